@@ -27,10 +27,14 @@
         statusIndicator: document.getElementById('status-indicator'),
         wordCount: document.getElementById('word-count'),
         charCount: document.getElementById('char-count'),
+        tokenCountDisplay: document.getElementById('token-count-display'),
+        tokenCount: document.getElementById('token-count'),
         remainingGenerations: document.getElementById('remaining-generations'),
         remainingCount: document.getElementById('remaining-count'),
+        remainingReset: document.getElementById('remaining-reset'),
         remainingImageGenerations: document.getElementById('remaining-image-generations'),
         remainingImageCount: document.getElementById('remaining-image-count'),
+        remainingImageReset: document.getElementById('remaining-image-reset'),
         cursorPosition: document.getElementById('cursor-position'),
         generationInfo: document.getElementById('generation-info'),
         autosaveStatus: document.getElementById('autosave-status'),
@@ -40,6 +44,8 @@
         loadingOverlay: document.getElementById('loading-overlay'),
         
         // Toolbar Buttons
+        btnLibrary: document.getElementById('btn-library'),
+        btnSnapshots: document.getElementById('btn-snapshots'),
         btnNew: document.getElementById('btn-new'),
         btnSave: document.getElementById('btn-save'),
         btnLoad: document.getElementById('btn-load'),
@@ -48,14 +54,88 @@
         btnGenerate: document.getElementById('btn-generate'),
         btnGenerateImage: document.getElementById('btn-generate-image'),
         btnStop: document.getElementById('btn-stop'),
+        btnCandidates: document.getElementById('btn-candidates'),
         btnFullscreen: document.getElementById('btn-fullscreen'),
         
+        // Selection Toolbar
+        selectionToolbar: document.getElementById('selection-toolbar'),
+        selectionTone: document.getElementById('selection-tone'),
+        selectionPov: document.getElementById('selection-pov'),
+        
+        // Branch Indicator
+        branchIndicator: document.getElementById('branch-indicator'),
+        branchPrev: document.getElementById('branch-prev'),
+        branchNext: document.getElementById('branch-next'),
+        branchCount: document.getElementById('branch-count'),
+        
+        // Library
+        libraryModal: document.getElementById('library-modal'),
+        libraryClose: document.getElementById('library-close'),
+        libraryNew: document.getElementById('library-new'),
+        btnExportProject: document.getElementById('btn-export-project'),
+        btnImportProject: document.getElementById('btn-import-project'),
+        projectInput: document.getElementById('project-input'),
+        libraryList: document.getElementById('library-list'),
+        
+        // Snapshots
+        snapshotModal: document.getElementById('snapshot-modal'),
+        snapshotClose: document.getElementById('snapshot-close'),
+        snapshotName: document.getElementById('snapshot-name'),
+        snapshotSave: document.getElementById('snapshot-save'),
+        snapshotList: document.getElementById('snapshot-list'),
+        snapshotSummary: document.getElementById('snapshot-summary'),
+        snapshotRestore: document.getElementById('snapshot-restore'),
+        snapshotDelete: document.getElementById('snapshot-delete'),
+        snapshotDiff: document.getElementById('snapshot-diff'),
+        
+        // Document Info
+        docTitle: document.getElementById('doc-title'),
+        docAuthor: document.getElementById('doc-author'),
+        docDescription: document.getElementById('doc-description'),
+        
+        // Sidebar Tabs
+        sidebarTabs: document.querySelectorAll('.sidebar-tab'),
+        sidebarPanels: document.querySelectorAll('.sidebar-panel'),
+        
+        // Story Bible
+        storyBibleCategory: document.getElementById('story-bible-category'),
+        btnStoryBibleAdd: document.getElementById('btn-story-bible-add'),
+        storyBibleList: document.getElementById('story-bible-list'),
+        
+        // Summary Memory
+        summaryMemoryToggle: document.getElementById('summary-memory-toggle'),
+        btnSummarizeChanged: document.getElementById('btn-summarize-changed'),
+        summaryList: document.getElementById('summary-list'),
+        
+        // Outline
+        chapterContextToggle: document.getElementById('chapter-context-toggle'),
+        outlineList: document.getElementById('outline-list'),
+        
+        // Token Usage
+        usageBudget: document.getElementById('usage-budget'),
+        usageSummary: document.getElementById('usage-summary'),
+        
+        // Candidate Picker
+        candidatePanel: document.getElementById('candidate-panel'),
+        candidateList: document.getElementById('candidate-list'),
+        candidateClose: document.getElementById('candidate-close'),
+        
         // Settings Controls
         modelSelect: document.getElementById('model-select'),
+        fallbackModelSelect: document.getElementById('fallback-model-select'),
+        providerSettings: document.getElementById('provider-settings'),
+        providerInputs: document.querySelectorAll('.provider-input'),
+        btnDetectLocalModels: document.getElementById('btn-detect-local-models'),
+        safetyDangerous: document.getElementById('safety-dangerous'),
+        safetyHarassment: document.getElementById('safety-harassment'),
+        safetyHateSpeech: document.getElementById('safety-hate-speech'),
+        safetySexual: document.getElementById('safety-sexual'),
         temperatureSlider: document.getElementById('temperature-slider'),
         temperatureValue: document.getElementById('temperature-value'),
         maxWordsSlider: document.getElementById('max-words-slider'),
         maxWordsValue: document.getElementById('max-words-value'),
+        infillWindowSlider: document.getElementById('infill-window-slider'),
+        infillWindowValue: document.getElementById('infill-window-value'),
         paragraphLength: document.getElementById('paragraph-length'),
         languageSelect: document.getElementById('language-select'),
         genreSelect: document.getElementById('genre-select'),
@@ -63,6 +143,7 @@
         toneSelect: document.getElementById('tone-select'),
         povSelect: document.getElementById('pov-select'),
         streamingToggle: document.getElementById('streaming-toggle'),
+        candidateCount: document.getElementById('candidate-count'),
         
         // Formatting Controls
         fontFamily: document.getElementById('font-family'),
@@ -81,6 +162,11 @@
         // Action Buttons
         btnExportTxt: document.getElementById('btn-export-txt'),
         btnExportHtml: document.getElementById('btn-export-html'),
+        btnExportMd: document.getElementById('btn-export-md'),
+        btnExportDocx: document.getElementById('btn-export-docx'),
+        btnExportEpub: document.getElementById('btn-export-epub'),
+        pdfLayout: document.getElementById('pdf-layout'),
+        btnExportPdf: document.getElementById('btn-export-pdf'),
         btnResetSettings: document.getElementById('btn-reset-settings'),
         
         // File Input
@@ -95,12 +181,42 @@
     // ========================================
     
     let state = {
+        // Library document open in the editor
+        currentDocument: null,
+        
         isGenerating: false,
         isGeneratingImage: false,
+        isStreamingGeneration: false,
         isFullscreen: false,
         lastSaveTime: null,
         autoSaveInterval: null,
-        cursorPositionBeforeGeneration: 0
+        cursorPositionBeforeGeneration: 0,
+        
+        // Alternative continuations from the last multi-candidate generation
+        candidates: [],
+        pickedCandidate: null,
+        
+        // Last non-empty selection in the editor ({ start, end })
+        selectionRange: null,
+        
+        // Story bible entries of the current document
+        storyBible: [],
+        
+        // Chapter units shown in the summary panel
+        summaryUnits: [],
+        
+        // Chapters shown in the outline panel, and the ones folded shut (by title)
+        outline: [],
+        collapsedChapters: new Set(),
+        
+        // Outline item being dragged: { chapterIndex, sceneIndex }
+        outlineDrag: null,
+        
+        // Snapshots of the current document, the one compared in the
+        // version history and the changes between it and the editor
+        snapshots: [],
+        selectedSnapshot: null,
+        snapshotHunks: []
     };
 
     // ========================================
@@ -110,21 +226,40 @@
     /**
      * Initializes the application
      */
-    function init() {
+    async function init() {
         // Set up event listeners
         setupPasswordModal();
         setupToolbarListeners();
         setupEditorListeners();
         setupSettingsListeners();
+        setupProviderSettings();
         setupFormattingListeners();
         setupKeyboardShortcuts();
         setupPresetButtons();
         setupImageDeleteHandlers();
+        setupCandidatePanel();
+        setupSelectionToolbar();
+        setupBranchIndicator();
+        setupSidebarTabs();
+        setupStoryBible();
+        setupSummaryPanel();
+        setupOutline();
+        setupLibrary();
+        setupSnapshots();
+        GeminiModule.setRetryHandler(showRetryStatus);
+        GeminiModule.setUsageHandler(recordUsage);
         
         // Load saved data
-        loadSavedDocument();
         loadSavedSettings();
         loadSavedFormatting();
+        try {
+            await loadSavedDocument();
+        } catch (error) {
+            // Writing still works in a document that is not stored yet
+            console.error('Failed to load documents:', error);
+            showAlert('error', '불러오기 실패', '저장된 문서를 불러오지 못했습니다. 브라우저 저장 공간을 확인해주세요. 지금 쓰는 내용은 저장되지 않을 수 있습니다.');
+            await openDocument(StorageModule.buildDocument({ settings: getGenerationSettings() }));
+        }
         
         // Start auto-save
         startAutoSave();
@@ -167,11 +302,11 @@
         elements.passwordSubmit.textContent = 'Unlocking...';
         
         try {
-            const { apiKey, isAdmin } = await CryptoModule.decryptApiKey(password);
+            const { apiKey, isAdmin } = await unlockApiKey(password);
             GeminiModule.initialize(apiKey);
             
             // Initialize rate limiting with admin status
-            await RateLimitModule.initialize(isAdmin);
+            RateLimitModule.initialize(isAdmin);
             
             // Hide modal and show app
             elements.passwordModal.classList.add('hidden');
@@ -207,6 +342,38 @@
         }
     }
 
+    /**
+     * Decrypts the API key. With ?mock=1 the mock model is selected after
+     * the unlock, and a copy without an encrypted key unlocks as a regular
+     * user. A wrong password never unlocks.
+     * In proxy mode the relay checks the password instead and keeps the key.
+     * @param {string} password - Entered password
+     * @returns {Promise<Object>} - { apiKey, isAdmin }
+     */
+    async function unlockApiKey(password) {
+        if (ProviderModule.isProxyEnabled()) {
+            const { isAdmin } = await ProviderModule.startProxySession(password);
+            // Gemini requests carry the session instead of a key
+            return { apiKey: 'proxy', isAdmin };
+        }
+
+        let unlocked;
+        try {
+            unlocked = await CryptoModule.decryptApiKey(password);
+        } catch (error) {
+            if (!ProviderModule.MOCK_QUERY_ENABLED || !error.message.startsWith('API_NOT_CONFIGURED')) throw error;
+
+            console.warn('Unlocking in mock mode:', error.message);
+            unlocked = { apiKey: 'mock', isAdmin: false };
+        }
+
+        if (ProviderModule.MOCK_QUERY_ENABLED) {
+            elements.modelSelect.value = ProviderModule.MOCK_MODEL_ID;
+            saveSettings();
+        }
+        return unlocked;
+    }
+
     /**
      * Shows error message in password modal
      * @param {string} message - Error message
@@ -221,46 +388,93 @@
         elements.passwordInput.style.animation = 'shake 0.5s ease';
     }
 
+    // Ticks the countdowns to the next quota reset while one is shown
+    let quotaCountdownTimer = null;
+
+    /**
+     * Shows the time until a quota window gains a request again
+     * @param {HTMLElement} element - Countdown element
+     * @param {number|null} resetsAt - Reset time in milliseconds, or null for none
+     * @returns {boolean} - True if a countdown is shown
+     */
+    function showQuotaCountdown(element, resetsAt) {
+        if (resetsAt === null) {
+            element.textContent = '';
+            return false;
+        }
+        element.textContent = ` · ${RateLimitModule.formatCountdown(resetsAt - Date.now())} 후 충전`;
+        return true;
+    }
+
+    /**
+     * Keeps the countdowns ticking every second while any is shown
+     * @param {boolean} isCounting - Whether a countdown is shown
+     */
+    function updateQuotaCountdownTimer(isCounting) {
+        if (isCounting && !quotaCountdownTimer) {
+            quotaCountdownTimer = setInterval(() => {
+                const textCounting = updateRemainingGenerationsDisplay();
+                const imageCounting = updateRemainingImageGenerationsDisplay();
+                if (!textCounting && !imageCounting) {
+                    clearInterval(quotaCountdownTimer);
+                    quotaCountdownTimer = null;
+                }
+            }, 1000);
+        }
+    }
+
     /**
      * Updates the remaining generations display in the UI
+     * @returns {boolean} - True if a countdown to the next reset is shown
      */
     function updateRemainingGenerationsDisplay() {
         if (RateLimitModule.isAdmin()) {
             // Hide for admins - they have unlimited generations
             elements.remainingGenerations.classList.add('hidden');
+            return false;
+        }
+
+        const remaining = RateLimitModule.getRemainingGenerations();
+        elements.remainingCount.textContent = remaining;
+        elements.remainingGenerations.classList.remove('hidden');
+        
+        // Add warning style if low on generations
+        if (remaining <= 2) {
+            elements.remainingGenerations.classList.add('low-count');
         } else {
-            const remaining = RateLimitModule.getRemainingGenerations();
-            elements.remainingCount.textContent = remaining;
-            elements.remainingGenerations.classList.remove('hidden');
-            
-            // Add warning style if low on generations
-            if (remaining <= 2) {
-                elements.remainingGenerations.classList.add('low-count');
-            } else {
-                elements.remainingGenerations.classList.remove('low-count');
-            }
+            elements.remainingGenerations.classList.remove('low-count');
         }
+
+        const isCounting = showQuotaCountdown(elements.remainingReset, RateLimitModule.getNextGenerationReset());
+        updateQuotaCountdownTimer(isCounting);
+        return isCounting;
     }
 
     /**
      * Updates the remaining image generations display in the UI
+     * @returns {boolean} - True if a countdown to the next reset is shown
      */
     function updateRemainingImageGenerationsDisplay() {
         if (RateLimitModule.isAdmin()) {
             // Hide for admins - they have unlimited generations
             elements.remainingImageGenerations.classList.add('hidden');
+            return false;
+        }
+
+        const remaining = RateLimitModule.getRemainingImageGenerations();
+        elements.remainingImageCount.textContent = remaining;
+        elements.remainingImageGenerations.classList.remove('hidden');
+        
+        // Add warning style if low on generations
+        if (remaining <= 1) {
+            elements.remainingImageGenerations.classList.add('low-count');
         } else {
-            const remaining = RateLimitModule.getRemainingImageGenerations();
-            elements.remainingImageCount.textContent = remaining;
-            elements.remainingImageGenerations.classList.remove('hidden');
-            
-            // Add warning style if low on generations
-            if (remaining <= 1) {
-                elements.remainingImageGenerations.classList.add('low-count');
-            } else {
-                elements.remainingImageGenerations.classList.remove('low-count');
-            }
+            elements.remainingImageGenerations.classList.remove('low-count');
         }
+
+        const isCounting = showQuotaCountdown(elements.remainingImageReset, RateLimitModule.getNextImageGenerationReset());
+        updateQuotaCountdownTimer(isCounting);
+        return isCounting;
     }
 
     /**
@@ -269,15 +483,24 @@
      */
     function applyUserRestrictions() {
         if (!RateLimitModule.isAdmin()) {
+            // Only admins connect other providers or pick a fallback model
+            elements.providerSettings.classList.add('hidden');
+            elements.fallbackModelSelect.value = '';
+            elements.fallbackModelSelect.disabled = true;
+
             // Restrict model selection to Gemini 2.5 Pro only for non-admin users
             const modelSelect = elements.modelSelect;
             
             // Set to Gemini 2.5 Pro and disable other options
-            modelSelect.value = 'gemini-2.5-pro';
+            if (modelSelect.value !== ProviderModule.MOCK_MODEL_ID) {
+                modelSelect.value = 'gemini-2.5-pro';
+            }
             
-            // Disable and style other options (only if not already done)
+            // Disable and style other options (only if not already done).
+            // The mock model sends no requests, so it stays available.
             for (let option of modelSelect.options) {
-                if (option.value !== 'gemini-2.5-pro' && !option.disabled) {
+                if (option.value !== 'gemini-2.5-pro' && option.value !== ProviderModule.MOCK_MODEL_ID &&
+                    !option.disabled) {
                     option.disabled = true;
                     option.textContent += ' (관리자 전용)';
                 }
@@ -293,23 +516,20 @@
      * Sets up toolbar button event listeners
      */
     function setupToolbarListeners() {
-        // New document
-        elements.btnNew.addEventListener('click', () => {
-            if (FormatterModule.getPlainText(elements.editorTextarea).trim() && 
-                !confirm('새 문서를 만드시겠습니까? 저장하지 않은 변경사항은 사라집니다.')) {
-                return;
-            }
-            elements.editorTextarea.textContent = '';
-            FormatterModule.applyRealtimeFormatting(elements.editorTextarea);
-            StorageModule.clearHistory();
-            updateStats();
-            showAlert('info', '새 문서', '새 문서를 시작했습니다.');
-        });
+        // Library
+        elements.btnLibrary.addEventListener('click', openLibrary);
+        elements.btnSnapshots.addEventListener('click', openSnapshots);
+
+        // New document (added to the library)
+        elements.btnNew.addEventListener('click', createNewDocument);
 
         // Save document
-        elements.btnSave.addEventListener('click', () => {
-            saveDocument();
-            showAlert('success', '저장됨', '문서가 성공적으로 저장되었습니다.');
+        elements.btnSave.addEventListener('click', async () => {
+            if (await saveDocument()) {
+                showAlert('success', '저장됨', '문서가 성공적으로 저장되었습니다.');
+            } else {
+                showAlert('error', '저장 실패', '문서를 저장하지 못했습니다. 브라우저 저장 공간을 확인해주세요.');
+            }
         });
 
         // Load document
@@ -351,6 +571,62 @@
             showAlert('success', '내보내기 완료', '문서를 HTML 파일로 내보냈습니다.');
         });
 
+        elements.btnExportMd.addEventListener('click', () => {
+            const text = FormatterModule.getPlainText(elements.editorTextarea);
+            StorageModule.exportAsMarkdown(text, getExportFilename());
+            showAlert('success', '내보내기 완료', '문서를 마크다운 파일로 내보냈습니다.');
+        });
+
+        elements.btnExportDocx.addEventListener('click', () => {
+            const content = FormatterModule.getContent(elements.editorTextarea);
+            const doc = state.currentDocument || {};
+            const metadata = doc.metadata || {};
+
+            StorageModule.exportAsDocx(content.text, {
+                title: doc.title,
+                author: metadata.author,
+                description: metadata.description,
+                language: elements.languageSelect.value,
+                images: content.images
+            }, getExportFilename());
+            showAlert('success', '내보내기 완료', '문서를 Word 파일로 내보냈습니다.');
+        });
+
+        elements.btnExportEpub.addEventListener('click', () => {
+            const content = FormatterModule.getContent(elements.editorTextarea);
+            const doc = state.currentDocument || {};
+            const metadata = doc.metadata || {};
+
+            StorageModule.exportAsEpub(content.text, getFormattingSettings(), {
+                id: doc.id,
+                title: doc.title,
+                author: metadata.author,
+                description: metadata.description,
+                language: elements.languageSelect.value,
+                images: content.images
+            }, getExportFilename());
+            showAlert('success', '내보내기 완료', '문서를 EPUB 전자책으로 내보냈습니다.');
+        });
+
+        elements.btnExportPdf.addEventListener('click', async () => {
+            const content = FormatterModule.getContent(elements.editorTextarea);
+            const doc = state.currentDocument || {};
+            const metadata = doc.metadata || {};
+
+            try {
+                await StorageModule.exportAsPdf(content.text, getFormattingSettings(), {
+                    title: doc.title,
+                    author: metadata.author,
+                    language: elements.languageSelect.value,
+                    images: content.images
+                }, elements.pdfLayout.value);
+                showAlert('info', 'PDF 내보내기', '인쇄 창에서 \'PDF로 저장\'을 선택하세요.');
+            } catch (error) {
+                console.error('PDF export failed:', error);
+                showAlert('error', '내보내기 실패', 'PDF를 만들지 못했습니다. 다시 시도해주세요.');
+            }
+        });
+
         // Reset settings
         elements.btnResetSettings.addEventListener('click', () => {
             if (confirm('모든 설정을 기본값으로 초기화하시겠습니까?')) {
@@ -367,12 +643,20 @@
     // EDITOR LISTENERS
     // ========================================
 
+    // Pause in typing (ms) that ends an undo step
+    const HISTORY_TYPING_PAUSE = 1000;
+
     /**
      * Sets up editor event listeners for contenteditable
      */
     function setupEditorListeners() {
         const editor = elements.editorTextarea;
 
+        // Typing is recorded as one undo step once it pauses
+        const pushTypingHistory = debounce(() => {
+            StorageModule.pushHistory(FormatterModule.getContent(editor));
+        }, HISTORY_TYPING_PAUSE);
+
         // Update stats and apply formatting on input
         editor.addEventListener('input', () => {
             // Apply real-time formatting
@@ -381,9 +665,7 @@
             updateStats();
             
             // Push to history for undo (debounced)
-            debounce(() => {
-                StorageModule.pushHistory(FormatterModule.getPlainText(editor));
-            }, 500)();
+            pushTypingHistory();
         });
 
         // Handle Enter key explicitly to ensure it works near non-editable image containers
@@ -443,16 +725,130 @@
         const text = FormatterModule.getPlainText(elements.editorTextarea);
         elements.wordCount.textContent = FormatterModule.countWords(text);
         elements.charCount.textContent = FormatterModule.countCharacters(text);
+        updateTokenCountSoon();
+
+        if (!elements.outlineList.closest('.sidebar-panel').classList.contains('hidden')) {
+            renderOutlineSoon();
+        }
     }
 
+    // Keeps the outline in step with typing without rebuilding it per keystroke
+    const renderOutlineSoon = debounce(() => renderOutline(), 300);
+
     /**
      * Updates cursor position display
      */
     function updateCursorDisplay() {
         const pos = FormatterModule.getCursorPosition(elements.editorTextarea);
         elements.cursorPosition.textContent = `${pos.line}줄, ${pos.column}열`;
+        updateTokenCountSoon();
+    }
+
+    // ========================================
+    // TOKEN COUNTING
+    // ========================================
+
+    // Pause in typing or cursor movement (ms) before the prompt is counted again
+    const TOKEN_COUNT_DELAY = 800;
+
+    // Exact counts kept by model and text hash
+    const TOKEN_COUNT_CACHE_SIZE = 100;
+    const tokenCountCache = new Map();
+
+    // Number of the latest status bar count; older answers are ignored
+    let tokenCountRequest = 0;
+
+    /**
+     * Counts the tokens of a text, exactly when the model's provider can
+     * count them and with the local estimate otherwise or when offline
+     * @param {string} text - Text to count
+     * @param {string} model - Model id from the settings
+     * @returns {Promise<Object>} - { count, isExact }
+     */
+    async function countTokens(text, model) {
+        if (!text) {
+            return { count: 0, isExact: true };
+        }
+
+        const key = `${model}|${MemoryModule.hashText(text)}`;
+        if (tokenCountCache.has(key)) {
+            return { count: tokenCountCache.get(key), isExact: true };
+        }
+
+        try {
+            const count = await GeminiModule.countTokens(text, model);
+            if (count !== null) {
+                tokenCountCache.set(key, count);
+                if (tokenCountCache.size > TOKEN_COUNT_CACHE_SIZE) {
+                    // Maps keep insertion order, so the first key is the oldest
+                    tokenCountCache.delete(tokenCountCache.keys().next().value);
+                }
+                return { count, isExact: true };
+            }
+        } catch (error) {
+            console.warn('Token count failed, using the estimate:', error);
+        }
+
+        return { count: RateLimitModule.estimateTokenCount(text), isExact: false };
+    }
+
+    /**
+     * Gets the text around the cursor that is sent to the model
+     * @param {string} fullText - Manuscript text
+     * @param {number} cursorPos - Cursor offset
+     * @param {Object} settings - Generation settings
+     * @returns {Object} - { contextBefore, contextAfter }
+     */
+    function getGenerationContext(fullText, cursorPos, settings) {
+        // Per-chapter context: the model only sees the chapter the cursor is in
+        if (settings.chapterContext) {
+            const chapter = ChapterModule.findChapterAt(ChapterModule.splitChapters(fullText), cursorPos);
+            if (chapter) {
+                return {
+                    contextBefore: fullText.substring(chapter.start, cursorPos),
+                    contextAfter: fullText.substring(cursorPos, chapter.end)
+                };
+            }
+        }
+
+        return {
+            contextBefore: fullText.substring(0, cursorPos),
+            contextAfter: fullText.substring(cursorPos)
+        };
+    }
+
+    /**
+     * Shows the token count of the text a generation at the cursor would send
+     */
+    async function updateTokenCount() {
+        const editor = elements.editorTextarea;
+        const position = FormatterModule.saveCursorPosition(editor);
+        // Keep the last count while the cursor is outside the editor
+        if (!position) return;
+
+        const fullText = FormatterModule.getPlainText(editor);
+        const settings = getGenerationSettings();
+        const { contextBefore } = getGenerationContext(fullText, position.start, settings);
+        const request = ++tokenCountRequest;
+
+        const { count, isExact } = await countTokens(contextBefore, settings.model);
+        if (request !== tokenCountRequest) return;
+
+        // Past the limit the summary memory takes over, if it is on
+        const usesSummary = settings.summaryMemory && MemoryModule.needsSummary(contextBefore);
+        const isOverLimit = !RateLimitModule.isAdmin() && !usesSummary &&
+            count > RateLimitModule.CONFIG.MAX_INPUT_TOKENS;
+
+        elements.tokenCount.textContent = `${isExact ? '' : '~'}${count.toLocaleString()}`;
+        elements.tokenCountDisplay.classList.toggle('over-limit', isOverLimit);
+        elements.tokenCountDisplay.title = isExact
+            ? 'AI에게 보낼 커서 앞 텍스트의 토큰 수'
+            : 'AI에게 보낼 커서 앞 텍스트의 토큰 수 (추정치)';
     }
 
+    // Counting goes to the API, so it waits for a pause
+    const updateTokenCountSoon = debounce(() => updateTokenCount(), TOKEN_COUNT_DELAY);
+
     // ========================================
     // SETTINGS LISTENERS
     // ========================================
@@ -473,15 +869,27 @@
             saveSettings();
         });
 
+        // Infill window slider
+        elements.infillWindowSlider.addEventListener('input', (e) => {
+            elements.infillWindowValue.textContent = e.target.value;
+            saveSettings();
+        });
+
         // All select inputs
         const selects = [
             elements.modelSelect,
+            elements.fallbackModelSelect,
             elements.paragraphLength,
             elements.languageSelect,
             elements.genreSelect,
             elements.styleSelect,
             elements.toneSelect,
-            elements.povSelect
+            elements.povSelect,
+            elements.candidateCount,
+            elements.safetyDangerous,
+            elements.safetyHarassment,
+            elements.safetyHateSpeech,
+            elements.safetySexual
         ];
 
         selects.forEach(select => {
@@ -492,6 +900,124 @@
         if (elements.streamingToggle) {
             elements.streamingToggle.addEventListener('change', saveSettings);
         }
+
+        elements.summaryMemoryToggle.addEventListener('change', saveSettings);
+        elements.chapterContextToggle.addEventListener('change', saveSettings);
+    }
+
+    // ========================================
+    // MODEL PROVIDERS
+    // ========================================
+
+    /**
+     * Sets up the connection fields of the OpenAI-compatible and local providers
+     */
+    function setupProviderSettings() {
+        const providers = StorageModule.loadProviderSettings();
+        elements.providerInputs.forEach(input => {
+            const value = providers[input.dataset.provider][input.dataset.field];
+            if (input.type === 'checkbox') {
+                input.checked = value;
+            } else {
+                input.value = value;
+            }
+            input.addEventListener('change', saveProviderSettings);
+        });
+
+        elements.btnDetectLocalModels.addEventListener('click', handleDetectLocalModels);
+
+        renderModelOptions();
+    }
+
+    /**
+     * Saves the connection fields and refreshes the model dropdown
+     */
+    function saveProviderSettings() {
+        const providers = StorageModule.loadProviderSettings();
+        elements.providerInputs.forEach(input => {
+            providers[input.dataset.provider][input.dataset.field] =
+                input.type === 'checkbox' ? input.checked : input.value.trim();
+        });
+        StorageModule.saveProviderSettings(providers);
+        renderModelOptions();
+    }
+
+    /**
+     * Lists the configured models of every provider in the model dropdown,
+     * one group per provider after the Gemini models
+     */
+    function renderModelOptions() {
+        const select = elements.modelSelect;
+        const selected = select.value;
+
+        select.querySelectorAll('optgroup:not([data-provider="gemini"])').forEach(group => group.remove());
+
+        ProviderModule.getConfiguredModels().forEach(({ provider, models }) => {
+            const group = document.createElement('optgroup');
+            group.label = provider.name;
+            group.dataset.provider = provider.id;
+            models.forEach(model => {
+                group.appendChild(new Option(model.name, model.id));
+            });
+            select.appendChild(group);
+        });
+
+        select.value = selected;
+        if (!select.value) {
+            // The selected model was removed from its provider
+            select.selectedIndex = 0;
+            saveSettings();
+        }
+
+        // The fallback can be any model of the dropdown
+        const fallbackSelect = elements.fallbackModelSelect;
+        const fallback = fallbackSelect.value;
+        while (fallbackSelect.options.length > 1) {
+            fallbackSelect.remove(1);
+        }
+        Array.from(select.options).forEach(option => {
+            fallbackSelect.appendChild(new Option(option.text, option.value));
+        });
+        fallbackSelect.value = fallback;
+        if (!fallbackSelect.value) {
+            fallbackSelect.value = '';
+        }
+
+        if (GeminiModule.isInitialized()) {
+            applyUserRestrictions();
+        }
+    }
+
+    /**
+     * Fills the local models field with the models the local server offers
+     */
+    async function handleDetectLocalModels() {
+        const button = elements.btnDetectLocalModels;
+        button.disabled = true;
+
+        try {
+            // The address may have been edited without leaving the field
+            saveProviderSettings();
+            const models = await ProviderModule.getProvider('local').listModels();
+            if (models.length === 0) {
+                showAlert('warning', '모델 없음', '로컬 서버에 설치된 모델이 없습니다.');
+                return;
+            }
+
+            elements.providerInputs.forEach(input => {
+                if (input.dataset.provider === 'local' && input.dataset.field === 'models') {
+                    input.value = models.join(', ');
+                }
+            });
+            saveProviderSettings();
+            showAlert('success', '로컬 모델', `모델 ${models.length}개를 찾았습니다.`);
+        } catch (error) {
+            console.error('Local model detection failed:', error);
+            const classified = GeminiModule.classifyError(error);
+            showAlert(classified.type, classified.title, classified.message);
+        } finally {
+            button.disabled = false;
+        }
     }
 
     // ========================================
@@ -639,484 +1165,2335 @@
             // Ctrl+S: Save
             if (e.ctrlKey && e.key === 's') {
                 e.preventDefault();
-                saveDocument();
-                showAlert('success', '저장됨', '문서가 저장되었습니다.');
+                saveDocument().then(saved => {
+                    if (saved) {
+                        showAlert('success', '저장됨', '문서가 저장되었습니다.');
+                    }
+                });
+            }
+
+            // Escape: Close library
+            if (e.key === 'Escape' && !elements.libraryModal.classList.contains('hidden')) {
+                closeLibrary();
+            }
+
+            // Escape: Close version history
+            if (e.key === 'Escape' && !elements.snapshotModal.classList.contains('hidden')) {
+                closeSnapshots();
             }
         });
     }
 
     // ========================================
-    // GENERATION HANDLERS
+    // SIDEBAR TABS
     // ========================================
 
     /**
-     * Handles text generation
+     * Sets up the left sidebar tab switching
      */
-    async function handleGenerate() {
-        if (state.isGenerating || !GeminiModule.isInitialized()) {
-            return;
-        }
+    function setupSidebarTabs() {
+        elements.sidebarTabs.forEach(tab => {
+            tab.addEventListener('click', () => {
+                const name = tab.dataset.tab;
+                elements.sidebarTabs.forEach(t => t.classList.toggle('active', t === tab));
+                elements.sidebarPanels.forEach(panel => {
+                    panel.classList.toggle('hidden', panel.dataset.panel !== name);
+                });
+
+                // Chapters may have changed since the panel was last shown
+                if (name === 'summary') {
+                    renderSummaries();
+                } else if (name === 'outline') {
+                    renderOutline();
+                } else if (name === 'usage') {
+                    renderUsage();
+                }
+            });
+        });
+    }
 
-        // Check rate limits before generating
-        const rateLimitCheck = RateLimitModule.canGenerate();
-        if (!rateLimitCheck.allowed) {
-            showAlert('warning', '생성 한도 도달', rateLimitCheck.reason);
-            return;
+    // ========================================
+    // STORY BIBLE
+    // ========================================
+
+    /**
+     * Sets up story bible panel listeners
+     */
+    function setupStoryBible() {
+        elements.btnStoryBibleAdd.addEventListener('click', () => {
+            const entry = StoryBibleModule.createEntry(elements.storyBibleCategory.value);
+            state.storyBible.push(entry);
+            saveDocumentSoon();
+            renderStoryBible();
+
+            // Start typing the name of the new entry right away
+            const card = elements.storyBibleList.querySelector(`[data-id="${entry.id}"]`);
+            card.querySelector('[data-field="name"]').focus();
+        });
+
+        // Event delegation for the fields of every entry card
+        elements.storyBibleList.addEventListener('input', handleStoryBibleEdit);
+        elements.storyBibleList.addEventListener('change', handleStoryBibleEdit);
+
+        elements.storyBibleList.addEventListener('click', (e) => {
+            const button = e.target.closest('.story-bible-delete');
+            if (!button) return;
+
+            const card = button.closest('.story-bible-entry');
+            const entry = state.storyBible.find(item => item.id === card.dataset.id);
+            if (entry && (!entry.name.trim() || confirm(`"${entry.name}" 항목을 삭제하시겠습니까?`))) {
+                state.storyBible = state.storyBible.filter(item => item !== entry);
+                saveDocumentSoon();
+                renderStoryBible();
+            }
+        });
+    }
+
+    /**
+     * Copies an edited field of an entry card back into the story bible
+     * @param {Event} e - Input or change event
+     */
+    function handleStoryBibleEdit(e) {
+        const field = e.target.dataset.field;
+        const card = e.target.closest('.story-bible-entry');
+        if (!field || !card) return;
+
+        const entry = state.storyBible.find(item => item.id === card.dataset.id);
+        if (!entry) return;
+
+        if (field === 'keywords') {
+            entry.keywords = StoryBibleModule.parseKeywords(e.target.value);
+        } else if (field === 'alwaysInclude') {
+            entry.alwaysInclude = e.target.checked;
+        } else {
+            entry[field] = e.target.value;
         }
 
-        const editor = elements.editorTextarea;
-        const cursorPos = FormatterModule.getCursorOffset(editor);
-        const fullText = FormatterModule.getPlainText(editor);
-        const textBefore = fullText.substring(0, cursorPos);
-        const textAfter = fullText.substring(cursorPos);
+        saveDocumentSoon();
+    }
 
-        // Check input token limit before generating
-        const inputTokenCheck = RateLimitModule.checkInputTokenLimit(textBefore);
-        if (!inputTokenCheck.allowed) {
-            showAlert('warning', '입력 토큰 한도 초과', inputTokenCheck.reason);
+    /**
+     * Renders the story bible entries into the sidebar panel
+     */
+    function renderStoryBible() {
+        const list = elements.storyBibleList;
+        list.innerHTML = '';
+
+        if (state.storyBible.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'story-bible-empty';
+            empty.textContent = '아직 항목이 없습니다. 인물, 장소, 세계관 규칙 등을 추가해보세요.';
+            list.appendChild(empty);
             return;
         }
 
-        // Save state for undo
-        StorageModule.pushHistory(fullText);
-        state.cursorPositionBeforeGeneration = cursorPos;
+        state.storyBible.forEach(entry => {
+            const card = document.createElement('div');
+            card.className = 'story-bible-entry';
+            card.dataset.id = entry.id;
 
-        // Update UI
-        setGeneratingState(true);
+            const header = document.createElement('div');
+            header.className = 'story-bible-entry-header';
 
-        const settings = getGenerationSettings();
-        
-        // Apply rate limit to max words if not admin
-        settings.maxWords = RateLimitModule.clampMaxWords(settings.maxWords);
+            const category = document.createElement('select');
+            category.className = 'setting-input';
+            category.dataset.field = 'category';
+            Object.entries(StoryBibleModule.CATEGORIES).forEach(([value, info]) => {
+                category.appendChild(new Option(info.label, value));
+            });
+            category.value = entry.category;
+
+            const name = document.createElement('input');
+            name.type = 'text';
+            name.className = 'setting-input';
+            name.dataset.field = 'name';
+            name.placeholder = '이름';
+            name.value = entry.name;
+
+            const deleteBtn = document.createElement('button');
+            deleteBtn.className = 'story-bible-delete';
+            deleteBtn.title = '항목 삭제';
+            deleteBtn.textContent = '×';
+
+            header.appendChild(category);
+            header.appendChild(name);
+            header.appendChild(deleteBtn);
+
+            const keywords = document.createElement('input');
+            keywords.type = 'text';
+            keywords.className = 'setting-input';
+            keywords.dataset.field = 'keywords';
+            keywords.placeholder = '키워드 (쉼표로 구분, 예: 별명, 호칭)';
+            keywords.value = entry.keywords.join(', ');
+
+            const description = document.createElement('textarea');
+            description.className = 'setting-input';
+            description.dataset.field = 'description';
+            description.placeholder = '설명 (외모, 성격, 관계, 규칙 등)';
+            description.rows = 3;
+            description.value = entry.description;
+
+            const footer = document.createElement('div');
+            footer.className = 'story-bible-entry-footer';
+            footer.innerHTML = `
+                <label><input type="checkbox" data-field="alwaysInclude"> 항상 포함</label>
+            `;
+            footer.querySelector('input').checked = entry.alwaysInclude;
+
+            card.appendChild(header);
+            card.appendChild(keywords);
+            card.appendChild(description);
+            card.appendChild(footer);
+            list.appendChild(card);
+        });
+    }
 
-        await GeminiModule.generateText(
-            textBefore,
-            textAfter,
-            settings,
-            // onChunk - called for each streaming chunk
-            (chunk, generatedText) => {
-                const newText = textBefore + generatedText + textAfter;
-                FormatterModule.setPlainText(editor, newText);
-                
-                // Keep cursor at end of generated text
-                const newCursorPos = textBefore.length + generatedText.length;
-                FormatterModule.setCursorOffset(editor, newCursorPos);
-                
-                // Scroll to cursor
-                scrollToCursor();
-                
-                // Update stats
-                updateStats();
-            },
-            // onComplete - called when generation finishes
-            (generatedText) => {
-                // Log the final generated text
-                console.log('Final Generated Text:', generatedText);
-                
-                const finalText = textBefore + generatedText + textAfter;
-                FormatterModule.setPlainText(editor, finalText);
-                
-                // Position cursor after generated text
-                const newCursorPos = textBefore.length + generatedText.length;
-                FormatterModule.setCursorOffset(editor, newCursorPos);
-                
-                setGeneratingState(false);
-                updateStats();
-                
-                // Save to history
-                StorageModule.pushHistory(finalText);
-                
-                // Increment generation count (for rate limiting)
-                RateLimitModule.incrementGenerationCount();
-                
-                // Update remaining generations display in the UI
-                updateRemainingGenerationsDisplay();
-                
-                // Show info with remaining generations
-                const wordCount = FormatterModule.countWords(generatedText);
-                const remaining = RateLimitModule.getRemainingGenerations();
-                if (RateLimitModule.isAdmin()) {
-                    elements.generationInfo.textContent = `${wordCount}단어 생성됨 (관리자)`;
-                } else {
-                    elements.generationInfo.textContent = `${wordCount}단어 생성됨 (${remaining}회 남음)`;
-                }
-                
-                setTimeout(() => {
-                    elements.generationInfo.textContent = '';
-                }, 3000);
-            },
-            // onError - called on error
-            (error) => {
-                setGeneratingState(false);
-                const classified = GeminiModule.classifyError(error);
-                showAlert(classified.type, classified.title, classified.message);
+    /**
+     * Picks the story bible entries relevant to the cursor and formats them
+     * for the prompt. The entries share the input token limit with the text,
+     * so they only get what the text leaves over.
+     * @param {string} textBefore - Text before cursor
+     * @param {string} textAfter - Text after cursor
+     * @param {number} inputTokens - Estimated tokens of the input text
+     * @returns {string} - Formatted story bible for the prompt
+     */
+    function buildStoryBibleContext(textBefore, textAfter, inputTokens) {
+        const remainingTokens = RateLimitModule.isAdmin()
+            ? Infinity
+            : RateLimitModule.CONFIG.MAX_INPUT_TOKENS - inputTokens;
+        const budget = Math.max(0, Math.min(StoryBibleModule.CONFIG.MAX_TOKENS, remainingTokens));
+
+        const selected = StoryBibleModule.selectEntries(state.storyBible, textBefore, textAfter, budget);
+
+        // Highlight the entries that were sent along with this generation
+        const selectedIds = new Set(selected.map(entry => entry.id));
+        elements.storyBibleList.querySelectorAll('.story-bible-entry').forEach(card => {
+            card.classList.toggle('active', selectedIds.has(card.dataset.id));
+        });
+
+        return StoryBibleModule.formatForPrompt(selected);
+    }
+
+    // ========================================
+    // SUMMARY MEMORY
+    // ========================================
+
+    /**
+     * Sets up summary panel listeners
+     */
+    function setupSummaryPanel() {
+        elements.btnSummarizeChanged.addEventListener('click', () => {
+            const stale = state.summaryUnits.filter(unit => unit.isStale);
+            if (stale.length === 0) {
+                showAlert('info', '요약 최신 상태', '모든 장의 요약이 최신 상태입니다.');
+                return;
             }
-        );
+            handleSummarize(stale);
+        });
+
+        // Event delegation for the per-chapter controls
+        elements.summaryList.addEventListener('click', (e) => {
+            const button = e.target.closest('.summary-regenerate');
+            if (button) {
+                handleSummarize([state.summaryUnits[parseInt(button.dataset.index)]]);
+            }
+        });
+
+        // Hand-edited summaries replace the generated ones
+        elements.summaryList.addEventListener('change', (e) => {
+            if (!e.target.classList.contains('summary-text')) return;
+
+            const card = e.target.closest('.summary-entry');
+            const unit = state.summaryUnits[parseInt(card.dataset.index)];
+            if (e.target.value.trim()) {
+                MemoryModule.setSummary(unit, e.target.value);
+                saveDocumentSoon();
+                renderSummaries();
+            }
+        });
     }
 
     /**
-     * Handles image generation
+     * Renders the chapters of the manuscript with their summaries
      */
-    async function handleGenerateImage() {
-        if (state.isGenerating || state.isGeneratingImage || !GeminiModule.isInitialized()) {
+    function renderSummaries() {
+        const text = FormatterModule.getPlainText(elements.editorTextarea);
+        const list = elements.summaryList;
+
+        state.summaryUnits = MemoryModule.getOverview(text);
+        list.innerHTML = '';
+
+        if (state.summaryUnits.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'summary-empty';
+            empty.textContent = '아직 요약할 내용이 없습니다.';
+            list.appendChild(empty);
             return;
         }
 
-        // Check rate limits before generating
-        const rateLimitCheck = RateLimitModule.canGenerateImage();
-        if (!rateLimitCheck.allowed) {
-            showAlert('warning', '이미지 생성 한도 도달', rateLimitCheck.reason);
+        state.summaryUnits.forEach((unit, index) => {
+            const card = document.createElement('div');
+            card.className = 'summary-entry';
+            card.classList.toggle('stale', unit.isStale);
+            card.dataset.index = index;
+
+            const header = document.createElement('div');
+            header.className = 'summary-entry-header';
+
+            const title = document.createElement('span');
+            title.className = 'summary-entry-title';
+            title.textContent = unit.title;
+
+            const meta = document.createElement('span');
+            meta.className = 'summary-entry-meta';
+            const status = unit.isStale ? (unit.previousSummary ? '변경됨' : '요약 없음') : '최신';
+            meta.textContent = `${FormatterModule.countWords(unit.text)}단어 · ${status}`;
+
+            header.appendChild(title);
+            header.appendChild(meta);
+
+            const summary = document.createElement('textarea');
+            summary.className = 'setting-input summary-text';
+            summary.rows = 3;
+            summary.placeholder = '요약이 아직 없습니다. 직접 쓰거나 요약하기를 눌러주세요.';
+            summary.value = unit.summary || unit.previousSummary;
+
+            const button = document.createElement('button');
+            button.className = 'action-btn summary-regenerate';
+            button.dataset.index = index;
+            button.textContent = unit.isStale ? '요약하기' : '다시 요약';
+
+            card.appendChild(header);
+            card.appendChild(summary);
+            card.appendChild(button);
+            list.appendChild(card);
+        });
+    }
+
+    /**
+     * Summarizes chapters one request at a time. Each summary is a text
+     * generation for the quota and the token budgets, and stops when they
+     * run out.
+     * @param {Object[]} units - Chapter units to summarize
+     * @param {Object} settings - Generation settings
+     * @returns {Promise<boolean>} - False if a limit stopped it (an alert is shown)
+     */
+    async function summarizeUnits(units, settings) {
+        try {
+            for (let i = 0; i < units.length; i++) {
+                const rateLimitCheck = RateLimitModule.canGenerate();
+                if (!rateLimitCheck.allowed) {
+                    showAlert('warning', '요약 한도 도달', rateLimitCheck.reason);
+                    return false;
+                }
+                if (!await useServerQuota('text', settings.model, '요약 한도 도달')) {
+                    return false;
+                }
+
+                setSummaryProgress(i + 1, units.length);
+                await MemoryModule.summarizeUnit(units[i], settings);
+                RateLimitModule.incrementGenerationCount();
+            }
+            return true;
+        } finally {
+            updateRemainingGenerationsDisplay();
+        }
+    }
+
+    /**
+     * Summarizes the given chapters from the summary panel
+     * @param {Object[]} units - Chapter units to summarize
+     */
+    async function handleSummarize(units) {
+        if (state.isGenerating || !GeminiModule.isInitialized()) {
             return;
         }
 
-        const editor = elements.editorTextarea;
-        const fullText = FormatterModule.getPlainText(editor);
+        const settings = getGenerationSettings();
+        state.isStreamingGeneration = false;
+        setGeneratingState(true);
 
-        if (!fullText.trim()) {
-            showAlert('warning', '내용이 없습니다', '이미지를 생성하기 전에 먼저 텍스트를 작성해주세요. 이미지는 이야기의 맥락을 기반으로 생성됩니다.');
-            return;
+        try {
+            if (await summarizeUnits(units, settings)) {
+                showAlert('success', '요약 완료', `${units.length}개 장의 요약을 만들었습니다.`);
+            }
+        } catch (error) {
+            const classified = GeminiModule.classifyError(error);
+            showAlert(classified.type, classified.title, classified.message);
+        } finally {
+            setGeneratingState(false);
+            saveDocumentSoon();
+            renderSummaries();
         }
+    }
 
-        // Update UI
-        setImageGeneratingState(true);
+    /**
+     * Summarizes the chapters before the cursor that changed and builds the
+     * context for a long manuscript. The caller holds the generating state.
+     * @param {string} textBefore - Context before cursor from getGenerationContext
+     * @param {Object} settings - Generation settings
+     * @returns {Promise<Object|null>} - { storySummary, contextBefore } or null on failure
+     */
+    async function prepareSummaryContext(textBefore, settings) {
+        const stale = MemoryModule.getStaleUnits(textBefore);
+        if (stale.length === 0) {
+            return MemoryModule.buildContext(textBefore);
+        }
 
-        const settings = getGenerationSettings();
+        try {
+            if (!await summarizeUnits(stale, settings)) {
+                return null;
+            }
+            if (!elements.summaryList.closest('.sidebar-panel').classList.contains('hidden')) {
+                renderSummaries();
+            }
+            return MemoryModule.buildContext(textBefore);
+        } catch (error) {
+            const classified = GeminiModule.classifyError(error);
+            showAlert(classified.type, classified.title, classified.message);
+            return null;
+        } finally {
+            saveDocumentSoon();
+        }
+    }
 
-        await GeminiModule.generateImage(
-            fullText,
-            settings,
-            // onComplete - called when image generation finishes
-            (imageData) => {
-                setImageGeneratingState(false);
-                
-                // Insert the image into the editor at the cursor position
-                insertImageIntoEditor(imageData);
-                
-                // Increment image generation count (for rate limiting)
-                RateLimitModule.incrementImageGenerationCount();
-                
-                // Update remaining image generations display in the UI
-                updateRemainingImageGenerationsDisplay();
-                
-                // Show info with remaining generations
-                const remaining = RateLimitModule.getRemainingImageGenerations();
-                if (RateLimitModule.isAdmin()) {
-                    elements.generationInfo.textContent = '이미지 생성됨 (관리자)';
+    /**
+     * Shows a retry of a failed request in the status indicator and loading overlay
+     * @param {Object} retry - { attempt, maxAttempts, isFallback } from GeminiModule
+     */
+    function showRetryStatus(retry) {
+        const text = retry.isFallback
+            ? `대체 모델로 재시도 중 (${retry.attempt}/${retry.maxAttempts})…`
+            : `재시도 중 (${retry.attempt}/${retry.maxAttempts})…`;
+        elements.statusIndicator.querySelector('.status-text').textContent = text;
+        elements.loadingOverlay.querySelector('.loading-text').textContent = text;
+    }
+
+    /**
+     * Shows summary progress in the status indicator and loading overlay
+     * @param {number} done - Chapter being summarized (1-based)
+     * @param {number} total - Number of chapters to summarize
+     */
+    function setSummaryProgress(done, total) {
+        const text = `줄거리 요약 중 (${done}/${total})...`;
+        elements.statusIndicator.querySelector('.status-text').textContent = text;
+        elements.loadingOverlay.querySelector('.loading-text').textContent = text;
+    }
+
+    // ========================================
+    // OUTLINE
+    // ========================================
+
+    /**
+     * Sets up the outline panel: jumping to and reordering chapters and scenes
+     */
+    function setupOutline() {
+        const list = elements.outlineList;
+
+        list.addEventListener('click', (e) => {
+            const toggle = e.target.closest('.outline-toggle');
+            const item = e.target.closest('.outline-item');
+            if (!item) return;
+
+            const chapter = state.outline[item.dataset.chapter];
+            if (!chapter) return;
+
+            if (toggle) {
+                if (state.collapsedChapters.has(chapter.title)) {
+                    state.collapsedChapters.delete(chapter.title);
                 } else {
-                    elements.generationInfo.textContent = `이미지 생성됨 (${remaining}장 남음)`;
+                    state.collapsedChapters.add(chapter.title);
                 }
-                
-                setTimeout(() => {
-                    elements.generationInfo.textContent = '';
-                }, 3000);
-                
-                showAlert('success', '이미지 생성 완료', '이야기에 삽화가 추가되었습니다.');
-            },
-            // onError - called on error
-            (error) => {
-                setImageGeneratingState(false);
-                const classified = GeminiModule.classifyError(error);
-                showAlert(classified.type, classified.title, classified.message);
+                renderOutline();
+                return;
             }
-        );
+
+            const scene = item.dataset.scene !== undefined ? chapter.scenes[item.dataset.scene] : null;
+            jumpToOffset(scene ? scene.start : chapter.start);
+        });
+
+        list.addEventListener('dragstart', (e) => {
+            const item = e.target.closest('.outline-item');
+            if (!item || state.isGenerating) {
+                e.preventDefault();
+                return;
+            }
+            state.outlineDrag = {
+                chapterIndex: parseInt(item.dataset.chapter),
+                sceneIndex: item.dataset.scene !== undefined ? parseInt(item.dataset.scene) : null
+            };
+            e.dataTransfer.effectAllowed = 'move';
+            item.classList.add('dragging');
+        });
+
+        list.addEventListener('dragover', (e) => {
+            const item = getOutlineDropTarget(e);
+            if (!item) return;
+            e.preventDefault();
+            list.querySelectorAll('.drag-over').forEach(node => node.classList.remove('drag-over'));
+            item.classList.add('drag-over');
+        });
+
+        list.addEventListener('drop', (e) => {
+            const item = getOutlineDropTarget(e);
+            if (!item) return;
+            e.preventDefault();
+
+            const drag = state.outlineDrag;
+            if (drag.sceneIndex === null) {
+                moveOutlineSection(state.outline, drag.chapterIndex, parseInt(item.dataset.chapter));
+            } else {
+                const chapter = state.outline[drag.chapterIndex];
+                moveOutlineSection(chapter.scenes, drag.sceneIndex, parseInt(item.dataset.scene));
+            }
+        });
+
+        list.addEventListener('dragend', () => {
+            state.outlineDrag = null;
+            list.querySelectorAll('.dragging, .drag-over').forEach(node => {
+                node.classList.remove('dragging', 'drag-over');
+            });
+        });
+    }
+
+    /**
+     * Finds the outline item a dragged item can be dropped on.
+     * Chapters drop on chapters, scenes only on scenes of the same chapter.
+     * @param {DragEvent} e - Drag event
+     * @returns {HTMLElement|null} - Drop target item
+     */
+    function getOutlineDropTarget(e) {
+        const drag = state.outlineDrag;
+        const item = e.target.closest('.outline-item');
+        if (!drag || !item) return null;
+
+        const isScene = item.dataset.scene !== undefined;
+        if (drag.sceneIndex === null) {
+            return isScene ? null : item;
+        }
+        return isScene && parseInt(item.dataset.chapter) === drag.chapterIndex ? item : null;
+    }
+
+    /**
+     * Moves a chapter or scene to a new place in the manuscript as one undo step.
+     * Images move together with the text around them.
+     * @param {Object[]} sections - Chapters or the scenes of one chapter
+     * @param {number} from - Index of the moved section
+     * @param {number} to - Target index
+     */
+    function moveOutlineSection(sections, from, to) {
+        if (from === to || !sections[from] || !sections[to]) return;
+
+        const editor = elements.editorTextarea;
+        const content = FormatterModule.getContent(editor);
+        const moved = ChapterModule.moveSection(content.text, sections, from, to);
+
+        StorageModule.pushHistory(content);
+        FormatterModule.setContent(editor, {
+            text: moved.text,
+            images: content.images.map(image => ({ ...image, offset: moved.mapOffset(image.offset) }))
+        });
+        StorageModule.pushHistory(FormatterModule.getContent(editor));
+
+        updateStats();
+        saveDocumentSoon();
+    }
+
+    /**
+     * Moves the cursor to an offset and scrolls it to the top of the editor
+     * @param {number} offset - Character offset
+     */
+    function jumpToOffset(offset) {
+        const editor = elements.editorTextarea;
+        editor.focus();
+        FormatterModule.setCursorOffset(editor, offset);
+
+        const selection = window.getSelection();
+        if (selection.rangeCount) {
+            const rect = selection.getRangeAt(0).getBoundingClientRect();
+            const editorRect = editor.getBoundingClientRect();
+            editor.scrollTop += rect.top - editorRect.top - 40;
+        }
+        updateCursorDisplay();
+        renderOutline();
+    }
+
+    /**
+     * Renders the chapters and scenes of the manuscript in the outline panel
+     */
+    function renderOutline() {
+        const editor = elements.editorTextarea;
+        const text = FormatterModule.getPlainText(editor);
+        const list = elements.outlineList;
+
+        state.outline = ChapterModule.getOutline(text);
+        list.innerHTML = '';
+
+        if (state.outline.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'outline-empty';
+            empty.textContent = '아직 내용이 없습니다.';
+            list.appendChild(empty);
+            return;
+        }
+
+        const current = ChapterModule.findChapterAt(state.outline, FormatterModule.getCursorOffset(editor));
+
+        state.outline.forEach((chapter, chapterIndex) => {
+            const hasScenes = chapter.scenes.length > 1;
+            const collapsed = state.collapsedChapters.has(chapter.title);
+
+            const item = createOutlineItem(chapter.title, chapter.text, 'outline-chapter');
+            item.dataset.chapter = chapterIndex;
+            item.classList.toggle('active', chapter === current);
+
+            const toggle = document.createElement('button');
+            toggle.className = 'outline-toggle';
+            toggle.textContent = collapsed ? '▸' : '▾';
+            toggle.title = collapsed ? '장면 펼치기' : '장면 접기';
+            toggle.classList.toggle('empty', !hasScenes);
+            item.prepend(toggle);
+
+            list.appendChild(item);
+
+            if (!hasScenes || collapsed) return;
+
+            chapter.scenes.forEach((scene, sceneIndex) => {
+                const preview = scene.text.trim().split('\n')[0];
+                const title = preview.length > 24 ? `${preview.slice(0, 24)}…` : preview;
+                const sceneItem = createOutlineItem(`${scene.title} · ${title}`, scene.text, 'outline-scene');
+                sceneItem.dataset.chapter = chapterIndex;
+                sceneItem.dataset.scene = sceneIndex;
+                list.appendChild(sceneItem);
+            });
+        });
+    }
+
+    /**
+     * Creates a draggable outline entry
+     * @param {string} title - Entry title
+     * @param {string} text - Text of the chapter or scene, for its word count
+     * @param {string} className - Entry type class
+     * @returns {HTMLElement} - Outline item
+     */
+    function createOutlineItem(title, text, className) {
+        const item = document.createElement('div');
+        item.className = `outline-item ${className}`;
+        item.draggable = true;
+
+        const label = document.createElement('span');
+        label.className = 'outline-title';
+        label.textContent = title;
+
+        const meta = document.createElement('span');
+        meta.className = 'outline-meta';
+        meta.textContent = `${FormatterModule.countWords(text).toLocaleString()}단어`;
+
+        item.appendChild(label);
+        item.appendChild(meta);
+        return item;
+    }
+
+    // ========================================
+    // TOKEN USAGE
+    // ========================================
+
+    // Days listed one by one in the usage panel
+    const USAGE_DAILY_DAYS = 7;
+
+    /**
+     * Records the token usage of an answer with the open document
+     * @param {Object} usage - { model, kind, promptTokens, outputTokens, totalTokens } from GeminiModule
+     */
+    function recordUsage(usage) {
+        UsageModule.record({
+            ...usage,
+            documentId: state.currentDocument ? state.currentDocument.id : null
+        });
+
+        if (!elements.usageSummary.closest('.sidebar-panel').classList.contains('hidden')) {
+            renderUsage();
+        }
+    }
+
+    /**
+     * Formats an estimated cost
+     * @param {Object} total - Total from UsageModule
+     * @returns {string} - Cost in dollars; '+' marks models without a known price
+     */
+    function formatUsageCost(total) {
+        if (total.cost === 0 && total.hasUnknownCost) {
+            return '—';
+        }
+        return `$${total.cost.toFixed(4)}${total.hasUnknownCost ? '+' : ''}`;
+    }
+
+    /**
+     * Builds a usage table
+     * @param {string[]} headings - Column headings
+     * @param {Array[]} rows - Cell texts per row
+     * @returns {HTMLTableElement} - Table
+     */
+    function createUsageTable(headings, rows) {
+        const table = document.createElement('table');
+        table.className = 'usage-table';
+
+        const headRow = table.createTHead().insertRow();
+        headings.forEach(heading => {
+            const cell = document.createElement('th');
+            cell.textContent = heading;
+            headRow.appendChild(cell);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(cells => {
+            const row = body.insertRow();
+            cells.forEach(text => {
+                row.insertCell().textContent = text;
+            });
+        });
+
+        return table;
+    }
+
+    /**
+     * Renders the totals of one period with a row per model
+     * @param {string} title - Period title
+     * @param {number} since - Start of the period in milliseconds
+     * @returns {HTMLElement} - Period block
+     */
+    function createUsagePeriod(title, since) {
+        const { total, models } = UsageModule.summarize(since);
+
+        const block = document.createElement('div');
+        block.className = 'usage-period';
+
+        const header = document.createElement('div');
+        header.className = 'usage-period-header';
+
+        const heading = document.createElement('span');
+        heading.className = 'usage-period-title';
+        heading.textContent = title;
+
+        const summary = document.createElement('span');
+        summary.className = 'usage-period-total';
+        summary.textContent = `${total.totalTokens.toLocaleString()} 토큰 · ${formatUsageCost(total)}`;
+
+        header.appendChild(heading);
+        header.appendChild(summary);
+        block.appendChild(header);
+
+        if (models.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'usage-empty';
+            empty.textContent = '사용 기록이 없습니다.';
+            block.appendChild(empty);
+            return block;
+        }
+
+        block.appendChild(createUsageTable(
+            ['모델', '요청', '입력', '출력', '비용'],
+            models.map(model => [
+                model.model,
+                model.requests,
+                model.promptTokens.toLocaleString(),
+                model.outputTokens.toLocaleString(),
+                formatUsageCost(model)
+            ])
+        ));
+        return block;
+    }
+
+    /**
+     * Renders the usage panel: remaining budgets, today's and this week's
+     * totals per model and the totals of the last days
+     */
+    function renderUsage() {
+        const budget = elements.usageBudget;
+        budget.classList.toggle('hidden', RateLimitModule.isAdmin());
+        if (!RateLimitModule.isAdmin()) {
+            const remaining = RateLimitModule.getRemainingTokens();
+            const limits = RateLimitModule.CONFIG;
+            budget.innerHTML = '';
+            [
+                `오늘 남은 토큰: ${remaining.day.toLocaleString()} / ${limits.MAX_TOKENS_PER_DAY.toLocaleString()}`,
+                `이번 주 남은 토큰: ${remaining.week.toLocaleString()} / ${limits.MAX_TOKENS_PER_WEEK.toLocaleString()}`
+            ].forEach(text => {
+                const line = document.createElement('span');
+                line.textContent = text;
+                budget.appendChild(line);
+            });
+            budget.classList.toggle('exhausted', remaining.day === 0 || remaining.week === 0);
+        }
+
+        const container = elements.usageSummary;
+        container.innerHTML = '';
+        container.appendChild(createUsagePeriod('오늘', UsageModule.getPeriodStart('day')));
+        container.appendChild(createUsagePeriod('이번 주', UsageModule.getPeriodStart('week')));
+
+        const daily = document.createElement('div');
+        daily.className = 'usage-period';
+
+        const header = document.createElement('div');
+        header.className = 'usage-period-header';
+        const heading = document.createElement('span');
+        heading.className = 'usage-period-title';
+        heading.textContent = `최근 ${USAGE_DAILY_DAYS}일`;
+        header.appendChild(heading);
+        daily.appendChild(header);
+
+        daily.appendChild(createUsageTable(
+            ['날짜', '요청', '토큰', '비용'],
+            UsageModule.getDailyTotals(USAGE_DAILY_DAYS).map(day => [
+                day.date.toLocaleDateString('ko-KR', { month: 'numeric', day: 'numeric', weekday: 'short' }),
+                day.requests,
+                day.totalTokens.toLocaleString(),
+                formatUsageCost(day)
+            ])
+        ));
+        container.appendChild(daily);
+    }
+
+    // ========================================
+    // GENERATION HANDLERS
+    // ========================================
+
+    /**
+     * Takes one generation from the advisory quota server and warns when it is
+     * refused. The mock model never reaches an API, so it does not count, and
+     * in proxy mode the relay enforces the quota on the requests it forwards.
+     * @param {string} kind - 'text' or 'image'
+     * @param {string} model - Selected model id
+     * @param {string} title - Alert title when the generation is refused
+     * @returns {Promise<boolean>} - True if the generation may go ahead
+     */
+    async function useServerQuota(kind, model, title) {
+        if (ProviderModule.resolveModel(model).provider.id === 'mock' || ProviderModule.isProxyEnabled()) {
+            return true;
+        }
+
+        const quotaCheck = await RateLimitModule.useServerQuota(kind);
+        if (!quotaCheck.allowed) {
+            showAlert('warning', title, quotaCheck.reason);
+        }
+        return quotaCheck.allowed;
+    }
+
+    /**
+     * Handles text generation
+     */
+    async function handleGenerate() {
+        if (state.isGenerating || !GeminiModule.isInitialized()) {
+            return;
+        }
+
+        // Check rate limits before generating
+        const rateLimitCheck = RateLimitModule.canGenerate();
+        if (!rateLimitCheck.allowed) {
+            showAlert('warning', '생성 한도 도달', rateLimitCheck.reason);
+            return;
+        }
+
+        const editor = elements.editorTextarea;
+        const cursorPos = FormatterModule.getCursorOffset(editor);
+        const content = FormatterModule.getContent(editor);
+        const fullText = content.text;
+        const textBefore = fullText.substring(0, cursorPos);
+        const textAfter = fullText.substring(cursorPos);
+        const settings = getGenerationSettings();
+        let { contextBefore, contextAfter } = getGenerationContext(fullText, cursorPos, settings);
+
+        // Lock the editor before the first await so the text read above stays
+        // valid and a second click cannot start another request; every early
+        // return below unlocks it again
+        state.isStreamingGeneration = false;
+        setGeneratingState(true);
+
+        // Long manuscripts send earlier chapters as summaries. The memory is
+        // built from the context above, so with per-chapter context it only
+        // covers the parts of the cursor's chapter
+        if (settings.summaryMemory && MemoryModule.needsSummary(contextBefore)) {
+            const memory = await prepareSummaryContext(contextBefore, settings);
+            if (!memory) {
+                setGeneratingState(false);
+                return;
+            }
+            contextBefore = memory.contextBefore;
+            settings.storySummary = memory.storySummary;
+
+            // The summaries may have used up what was left
+            const summaryRateLimitCheck = RateLimitModule.canGenerate();
+            if (!summaryRateLimitCheck.allowed) {
+                setGeneratingState(false);
+                showAlert('warning', '생성 한도 도달', summaryRateLimitCheck.reason);
+                return;
+            }
+        }
+
+        // Check input token limit before generating
+        const inputText = (settings.storySummary || '') + contextBefore;
+        const inputTokens = await countTokens(inputText, settings.model);
+        const inputTokenCheck = RateLimitModule.checkInputTokenLimit(inputText, inputTokens.count);
+        if (!inputTokenCheck.allowed) {
+            setGeneratingState(false);
+            showAlert('warning', '입력 토큰 한도 초과', inputTokenCheck.reason);
+            return;
+        }
+
+        if (!await useServerQuota('text', settings.model, '생성 한도 도달')) {
+            setGeneratingState(false);
+            return;
+        }
+
+        // Candidates from the previous generation are discarded
+        clearCandidates();
+        state.cursorPositionBeforeGeneration = cursorPos;
+        takeAutoSnapshot('generate');
+
+        settings.storyBible = buildStoryBibleContext(textBefore, textAfter, inputTokenCheck.tokenCount);
+        
+        // Apply rate limit to max words if not admin
+        settings.maxWords = RateLimitModule.clampMaxWords(settings.maxWords);
+
+        if (settings.candidateCount > 1) {
+            await generateCandidates(contextBefore, contextAfter, settings);
+            return;
+        }
+
+        // Save state for undo
+        StorageModule.pushHistory(content);
+
+        // Streaming shows the text as it arrives in an editor that stays open
+        if (settings.streaming) {
+            setGeneratingState(false);
+            state.isStreamingGeneration = true;
+            setGeneratingState(true);
+        }
+
+        await GeminiModule.generateText(
+            contextBefore,
+            contextAfter,
+            settings,
+            // onChunk - called for each streaming chunk
+            (chunk, generatedText) => {
+                const newText = textBefore + generatedText + textAfter;
+                FormatterModule.setPlainText(editor, newText);
+                
+                // Keep cursor at end of generated text
+                const newCursorPos = textBefore.length + generatedText.length;
+                FormatterModule.setCursorOffset(editor, newCursorPos);
+                
+                // Scroll to cursor
+                scrollToCursor();
+                
+                // Update stats
+                updateStats();
+            },
+            // onComplete - called when generation finishes
+            (generatedText) => {
+                // Log the final generated text
+                console.log('Final Generated Text:', generatedText);
+                
+                const finalText = textBefore + generatedText + textAfter;
+                FormatterModule.setPlainText(editor, finalText);
+                
+                // Position cursor after generated text
+                const newCursorPos = textBefore.length + generatedText.length;
+                FormatterModule.setCursorOffset(editor, newCursorPos);
+                
+                setGeneratingState(false);
+                updateStats();
+                
+                // Save to history; generations from the same state become alternatives
+                StorageModule.pushHistory(FormatterModule.getContent(editor), {
+                    type: 'generation',
+                    start: textBefore.length,
+                    end: newCursorPos
+                });
+                updateBranchIndicator();
+                
+                // Increment generation count (for rate limiting)
+                RateLimitModule.incrementGenerationCount();
+                
+                // Update remaining generations display in the UI
+                updateRemainingGenerationsDisplay();
+                
+                // Show info with remaining generations
+                const wordCount = FormatterModule.countWords(generatedText);
+                const remaining = RateLimitModule.getRemainingGenerations();
+                if (RateLimitModule.isAdmin()) {
+                    elements.generationInfo.textContent = `${wordCount}단어 생성됨 (관리자)`;
+                } else {
+                    elements.generationInfo.textContent = `${wordCount}단어 생성됨 (${remaining}회 남음)`;
+                }
+                
+                setTimeout(() => {
+                    elements.generationInfo.textContent = '';
+                }, 3000);
+            },
+            // onError - called on error
+            (error) => {
+                setGeneratingState(false);
+                const classified = GeminiModule.classifyError(error);
+                showAlert(classified.type, classified.title, classified.message);
+            }
+        );
+    }
+
+    /**
+     * Generates several candidates and shows them in the picker panel
+     * instead of inserting one into the editor
+     * @param {string} textBefore - Text before cursor
+     * @param {string} textAfter - Text after cursor
+     * @param {Object} settings - Generation settings
+     */
+    async function generateCandidates(textBefore, textAfter, settings) {
+        state.isStreamingGeneration = false;
+        setGeneratingState(true);
+
+        await GeminiModule.generateCandidates(
+            textBefore,
+            textAfter,
+            settings,
+            settings.candidateCount,
+            // onComplete - called with all candidates that succeeded
+            (candidates) => {
+                setGeneratingState(false);
+                
+                state.candidates = candidates;
+                state.pickedCandidate = null;
+                renderCandidates();
+                showCandidatePanel(true);
+                
+                // One batch of candidates counts as a single generation
+                RateLimitModule.incrementGenerationCount();
+                updateRemainingGenerationsDisplay();
+                
+                const remaining = RateLimitModule.getRemainingGenerations();
+                if (RateLimitModule.isAdmin()) {
+                    elements.generationInfo.textContent = `${candidates.length}개 후보 생성됨 (관리자)`;
+                } else {
+                    elements.generationInfo.textContent = `${candidates.length}개 후보 생성됨 (${remaining}회 남음)`;
+                }
+                
+                setTimeout(() => {
+                    elements.generationInfo.textContent = '';
+                }, 3000);
+            },
+            // onError - called when every candidate failed
+            (error) => {
+                setGeneratingState(false);
+                const classified = GeminiModule.classifyError(error);
+                showAlert(classified.type, classified.title, classified.message);
+            }
+        );
+    }
+
+    // ========================================
+    // CANDIDATE PICKER
+    // ========================================
+
+    /**
+     * Sets up candidate picker panel listeners
+     */
+    function setupCandidatePanel() {
+        elements.candidateClose.addEventListener('click', () => {
+            showCandidatePanel(false);
+        });
+
+        elements.btnCandidates.addEventListener('click', () => {
+            showCandidatePanel(elements.candidatePanel.classList.contains('hidden'));
+        });
+
+        // Event delegation for the per-candidate insert buttons
+        elements.candidateList.addEventListener('click', (e) => {
+            const button = e.target.closest('.candidate-pick');
+            if (button) {
+                pickCandidate(parseInt(button.dataset.index));
+            }
+        });
+    }
+
+    /**
+     * Shows or hides the candidate picker panel
+     * @param {boolean} visible - Whether the panel should be visible
+     */
+    function showCandidatePanel(visible) {
+        elements.candidatePanel.classList.toggle('hidden', !visible);
+        elements.btnCandidates.classList.toggle('hidden', state.candidates.length === 0);
+    }
+
+    /**
+     * Renders the current candidates into the picker panel
+     */
+    function renderCandidates() {
+        elements.candidateList.innerHTML = '';
+
+        state.candidates.forEach((candidate, index) => {
+            const card = document.createElement('div');
+            card.className = 'candidate-card';
+            card.classList.toggle('picked', index === state.pickedCandidate);
+
+            const meta = document.createElement('div');
+            meta.className = 'candidate-meta';
+            meta.innerHTML = `<span>후보 ${index + 1}</span><span>${FormatterModule.countWords(candidate)}단어</span>`;
+
+            const text = document.createElement('div');
+            text.className = 'candidate-text';
+            text.textContent = candidate;
+
+            const button = document.createElement('button');
+            button.className = 'action-btn candidate-pick';
+            button.dataset.index = index;
+            button.textContent = index === state.pickedCandidate ? '사용 중' : '이 후보 사용';
+
+            card.appendChild(meta);
+            card.appendChild(text);
+            card.appendChild(button);
+            elements.candidateList.appendChild(card);
+        });
+    }
+
+    /**
+     * Inserts a candidate at the cursor position recorded before generation.
+     * Picking another candidate right after swaps out the previous pick.
+     * @param {number} index - Candidate index
+     */
+    function pickCandidate(index) {
+        const candidate = state.candidates[index];
+        if (candidate === undefined || index === state.pickedCandidate) return;
+
+        const editor = elements.editorTextarea;
+        const currentText = FormatterModule.getPlainText(editor);
+        const insertAt = Math.min(state.cursorPositionBeforeGeneration, currentText.length);
+
+        let textBefore = currentText.substring(0, insertAt);
+        let textAfter = currentText.substring(insertAt);
+
+        // Replace the previously picked candidate if it is still untouched
+        const previous = state.candidates[state.pickedCandidate];
+        if (previous !== undefined && textAfter.startsWith(previous)) {
+            textAfter = textAfter.substring(previous.length);
+        }
+
+        const newText = textBefore + candidate + textAfter;
+
+        StorageModule.pushHistory(FormatterModule.getContent(editor));
+        FormatterModule.setPlainText(editor, newText);
+        FormatterModule.setCursorOffset(editor, insertAt + candidate.length);
+        scrollToCursor();
+        updateStats();
+
+        state.pickedCandidate = index;
+        renderCandidates();
+        showCandidatePanel(false);
+    }
+
+    /**
+     * Discards candidates from the previous generation
+     */
+    function clearCandidates() {
+        state.candidates = [];
+        state.pickedCandidate = null;
+        elements.candidateList.innerHTML = '';
+        showCandidatePanel(false);
+    }
+
+    // ========================================
+    // SELECTION TOOLBAR
+    // ========================================
+
+    /**
+     * Sets up the floating toolbar shown over a text selection
+     */
+    function setupSelectionToolbar() {
+        const editor = elements.editorTextarea;
+        const toolbar = elements.selectionToolbar;
+
+        // Reuse the sidebar's tone and POV options for the toolbar menus
+        Array.from(elements.toneSelect.options).forEach(option => {
+            elements.selectionTone.appendChild(new Option(option.textContent, option.value));
+        });
+        Array.from(elements.povSelect.options).forEach(option => {
+            elements.selectionPov.appendChild(new Option(option.textContent, option.value));
+        });
+
+        document.addEventListener('selectionchange', () => {
+            const selection = window.getSelection();
+            if (!selection.rangeCount || !editor.contains(selection.anchorNode)) {
+                // Focus moved elsewhere (e.g. into a toolbar menu) - keep the toolbar as is
+                return;
+            }
+
+            if (selection.isCollapsed || state.isGenerating || !GeminiModule.isInitialized()) {
+                hideSelectionToolbar();
+                return;
+            }
+
+            state.selectionRange = FormatterModule.saveCursorPosition(editor);
+            positionSelectionToolbar(selection.getRangeAt(0));
+        });
+
+        // Keep the editor selection when pressing toolbar buttons
+        toolbar.addEventListener('mousedown', (e) => {
+            if (e.target.closest('.selection-btn')) {
+                e.preventDefault();
+            }
+        });
+
+        toolbar.addEventListener('click', (e) => {
+            const button = e.target.closest('.selection-btn');
+            if (button) {
+                handleRevision({ type: button.dataset.action });
+            }
+        });
+
+        elements.selectionTone.addEventListener('change', (e) => {
+            if (e.target.value) {
+                handleRevision({ type: 'tone', tone: e.target.value });
+            }
+            e.target.value = '';
+        });
+
+        elements.selectionPov.addEventListener('change', (e) => {
+            if (e.target.value) {
+                handleRevision({ type: 'pov', pov: e.target.value });
+            }
+            e.target.value = '';
+        });
+
+        editor.addEventListener('input', hideSelectionToolbar);
+        editor.addEventListener('scroll', hideSelectionToolbar);
+    }
+
+    /**
+     * Places the selection toolbar just above the selected text
+     * @param {Range} range - Current selection range
+     */
+    function positionSelectionToolbar(range) {
+        const toolbar = elements.selectionToolbar;
+        const wrapperRect = toolbar.parentElement.getBoundingClientRect();
+        const rect = range.getBoundingClientRect();
+
+        toolbar.classList.remove('hidden');
+
+        const maxLeft = wrapperRect.width - toolbar.offsetWidth - 8;
+        const left = Math.max(8, Math.min(rect.left - wrapperRect.left, maxLeft));
+        let top = rect.top - wrapperRect.top - toolbar.offsetHeight - 8;
+
+        // Flip below the selection when there is no room above
+        if (top < 8) {
+            top = rect.bottom - wrapperRect.top + 8;
+        }
+
+        toolbar.style.left = `${left}px`;
+        toolbar.style.top = `${top}px`;
+    }
+
+    /**
+     * Hides the selection toolbar
+     */
+    function hideSelectionToolbar() {
+        elements.selectionToolbar.classList.add('hidden');
+    }
+
+    /**
+     * Revises the selected passage and replaces only the selection
+     * @param {Object} action - Revision action { type, tone, pov }
+     */
+    async function handleRevision(action) {
+        if (state.isGenerating || !GeminiModule.isInitialized() || !state.selectionRange) {
+            return;
+        }
+
+        // Check rate limits before generating
+        const rateLimitCheck = RateLimitModule.canGenerate();
+        if (!rateLimitCheck.allowed) {
+            showAlert('warning', '생성 한도 도달', rateLimitCheck.reason);
+            return;
+        }
+
+        const editor = elements.editorTextarea;
+        const content = FormatterModule.getContent(editor);
+        const fullText = content.text;
+        const { start, end } = state.selectionRange;
+        const selectedText = fullText.substring(start, end);
+        const textBefore = fullText.substring(0, start);
+        const textAfter = fullText.substring(end);
+
+        if (!selectedText.trim()) {
+            return;
+        }
+
+        // Lock the editor before the first await so the selection stays valid
+        state.isStreamingGeneration = false;
+        setGeneratingState(true);
+
+        // Only a fixed window of the surrounding text is sent along with the passage
+        const settings = getGenerationSettings();
+        const inputTokens = await countTokens(selectedText, settings.model);
+        const inputTokenCheck = RateLimitModule.checkInputTokenLimit(selectedText, inputTokens.count);
+        if (!inputTokenCheck.allowed) {
+            setGeneratingState(false);
+            showAlert('warning', '입력 토큰 한도 초과', inputTokenCheck.reason);
+            return;
+        }
+
+        if (!await useServerQuota('text', settings.model, '생성 한도 도달')) {
+            setGeneratingState(false);
+            return;
+        }
+
+        hideSelectionToolbar();
+        takeAutoSnapshot('revise');
+
+        settings.storyBible = buildStoryBibleContext(textBefore + selectedText, textAfter, inputTokenCheck.tokenCount);
+
+        await GeminiModule.reviseText(
+            selectedText,
+            textBefore,
+            textAfter,
+            action,
+            settings,
+            // onComplete - called with the revised passage
+            (revisedText) => {
+                // One undo step restores the original passage
+                StorageModule.pushHistory(content);
+
+                FormatterModule.setPlainText(editor, textBefore + revisedText + textAfter);
+                FormatterModule.restoreCursorPosition(editor, {
+                    start: start,
+                    end: start + revisedText.length
+                });
+
+                setGeneratingState(false);
+                updateStats();
+
+                RateLimitModule.incrementGenerationCount();
+                updateRemainingGenerationsDisplay();
+
+                const remaining = RateLimitModule.getRemainingGenerations();
+                if (RateLimitModule.isAdmin()) {
+                    elements.generationInfo.textContent = '선택한 부분을 수정했습니다 (관리자)';
+                } else {
+                    elements.generationInfo.textContent = `선택한 부분을 수정했습니다 (${remaining}회 남음)`;
+                }
+
+                setTimeout(() => {
+                    elements.generationInfo.textContent = '';
+                }, 3000);
+            },
+            // onError - called on error
+            (error) => {
+                setGeneratingState(false);
+                const classified = GeminiModule.classifyError(error);
+                showAlert(classified.type, classified.title, classified.message);
+            }
+        );
+    }
+
+    /**
+     * Handles image generation
+     */
+    async function handleGenerateImage() {
+        if (state.isGenerating || state.isGeneratingImage || !GeminiModule.isInitialized()) {
+            return;
+        }
+
+        // Check rate limits before generating
+        const rateLimitCheck = RateLimitModule.canGenerateImage();
+        if (!rateLimitCheck.allowed) {
+            showAlert('warning', '이미지 생성 한도 도달', rateLimitCheck.reason);
+            return;
+        }
+
+        const editor = elements.editorTextarea;
+        const fullText = FormatterModule.getPlainText(editor);
+
+        if (!fullText.trim()) {
+            showAlert('warning', '내용이 없습니다', '이미지를 생성하기 전에 먼저 텍스트를 작성해주세요. 이미지는 이야기의 맥락을 기반으로 생성됩니다.');
+            return;
+        }
+
+        // Set before the first await so a second click cannot start another request
+        setImageGeneratingState(true);
+
+        const settings = getGenerationSettings();
+        if (!await useServerQuota('image', settings.model, '이미지 생성 한도 도달')) {
+            setImageGeneratingState(false);
+            return;
+        }
+
+        takeAutoSnapshot('image');
+
+        await GeminiModule.generateImage(
+            fullText,
+            settings,
+            // onComplete - called when image generation finishes
+            (imageData) => {
+                setImageGeneratingState(false);
+                
+                // Insert the image into the editor at the cursor position
+                insertImageIntoEditor(imageData);
+                
+                // Increment image generation count (for rate limiting)
+                RateLimitModule.incrementImageGenerationCount();
+                
+                // Update remaining image generations display in the UI
+                updateRemainingImageGenerationsDisplay();
+                
+                // Show info with remaining generations
+                const remaining = RateLimitModule.getRemainingImageGenerations();
+                if (RateLimitModule.isAdmin()) {
+                    elements.generationInfo.textContent = '이미지 생성됨 (관리자)';
+                } else {
+                    elements.generationInfo.textContent = `이미지 생성됨 (${remaining}장 남음)`;
+                }
+                
+                setTimeout(() => {
+                    elements.generationInfo.textContent = '';
+                }, 3000);
+                
+                showAlert('success', '이미지 생성 완료', '이야기에 삽화가 추가되었습니다.');
+            },
+            // onError - called on error
+            (error) => {
+                setImageGeneratingState(false);
+                const classified = GeminiModule.classifyError(error);
+                showAlert(classified.type, classified.title, classified.message);
+            }
+        );
+    }
+
+    /**
+     * Inserts a generated image into the editor at the current cursor position
+     * @param {Object} imageData - Object with mimeType and data (base64)
+     */
+    function insertImageIntoEditor(imageData) {
+        const editor = elements.editorTextarea;
+        const content = FormatterModule.getContent(editor);
+        
+        // Without a cursor in the editor the image goes to the end
+        const cursor = FormatterModule.saveCursorPosition(editor);
+        const offset = cursor ? cursor.start : content.text.length;
+        
+        StorageModule.pushHistory(content);
+        FormatterModule.setContent(editor, {
+            text: content.text,
+            images: [...content.images, { ...imageData, offset }]
+        });
+        StorageModule.pushHistory(FormatterModule.getContent(editor));
+        
+        // Focus back on editor - this is crucial for keyboard input to work
+        editor.focus();
+        
+        // Place the cursor right after the new image; a plain offset would
+        // put it at the end of the text before the image
+        const knownIds = new Set(content.images.map(image => image.id));
+        const container = Array.from(editor.querySelectorAll('.novel-image-container'))
+            .find(node => !knownIds.has(node.dataset.imageId));
+        const after = container ? container.nextSibling : null;
+        if (after && after.nodeType === Node.TEXT_NODE) {
+            const selection = window.getSelection();
+            const range = document.createRange();
+            range.setStart(after, /^\u200B/.test(after.textContent) ? 1 : 0);
+            range.collapse(true);
+            selection.removeAllRanges();
+            selection.addRange(range);
+        } else {
+            FormatterModule.setCursorOffset(editor, offset);
+        }
+        
+        updateStats();
+    }
+
+    /**
+     * Sets up event delegation for image delete buttons
+     */
+    function setupImageDeleteHandlers() {
+        // Use event delegation for dynamically added delete buttons
+        elements.editorTextarea.addEventListener('click', function(e) {
+            if (e.target.classList.contains('novel-image-delete')) {
+                e.preventDefault();
+                e.stopPropagation();
+                if (confirm('이 이미지를 삭제하시겠습니까?')) {
+                    const container = e.target.closest('.novel-image-container');
+                    if (container) {
+                        StorageModule.pushHistory(FormatterModule.getContent(this));
+                        container.remove();
+                        StorageModule.pushHistory(FormatterModule.getContent(this));
+                        updateStats();
+                    }
+                }
+            }
+        });
+    }
+
+    /**
+     * Handles stopping generation
+     */
+    function handleStopGeneration() {
+        GeminiModule.stopGeneration();
+        setGeneratingState(false);
+        setImageGeneratingState(false);
+    }
+
+    /**
+     * Sets the UI state during/after generation
+     * @param {boolean} isGenerating - Whether generation is in progress
+     */
+    function setGeneratingState(isGenerating) {
+        state.isGenerating = isGenerating;
+
+        // Update status indicator
+        const statusIndicator = elements.statusIndicator;
+        if (isGenerating) {
+            statusIndicator.className = 'status-generating';
+            statusIndicator.innerHTML = '<span class="status-dot"></span><span class="status-text">생성 중...</span>';
+        } else {
+            statusIndicator.className = 'status-idle';
+            statusIndicator.innerHTML = '<span class="status-dot"></span><span class="status-text">준비됨</span>';
+            elements.loadingOverlay.querySelector('.loading-text').textContent = '생성 중...';
+        }
+
+        // Toggle buttons
+        elements.btnGenerate.classList.toggle('hidden', isGenerating);
+        elements.btnGenerateImage.classList.toggle('hidden', isGenerating);
+        elements.btnStop.classList.toggle('hidden', !isGenerating);
+
+        // Toggle loading overlay (only if not streaming)
+        if (!state.isStreamingGeneration) {
+            elements.loadingOverlay.classList.toggle('hidden', !isGenerating);
+        }
+
+        // Disable/enable contenteditable during non-streaming generation
+        if (!state.isStreamingGeneration) {
+            elements.editorTextarea.contentEditable = isGenerating ? 'false' : 'true';
+        }
+    }
+
+    /**
+     * Sets the UI state during/after image generation
+     * @param {boolean} isGenerating - Whether image generation is in progress
+     */
+    function setImageGeneratingState(isGenerating) {
+        state.isGeneratingImage = isGenerating;
+
+        // Update status indicator
+        const statusIndicator = elements.statusIndicator;
+        if (isGenerating) {
+            statusIndicator.className = 'status-generating';
+            statusIndicator.innerHTML = '<span class="status-dot"></span><span class="status-text">이미지 생성 중...</span>';
+        } else if (!state.isGenerating) {
+            statusIndicator.className = 'status-idle';
+            statusIndicator.innerHTML = '<span class="status-dot"></span><span class="status-text">준비됨</span>';
+        }
+
+        // Toggle buttons
+        elements.btnGenerate.classList.toggle('hidden', isGenerating);
+        elements.btnGenerateImage.classList.toggle('hidden', isGenerating);
+        elements.btnStop.classList.toggle('hidden', !isGenerating);
+
+        // Toggle loading overlay
+        elements.loadingOverlay.classList.toggle('hidden', !isGenerating);
+        if (isGenerating) {
+            elements.loadingOverlay.querySelector('.loading-text').textContent = '이미지 생성 중...';
+        } else {
+            elements.loadingOverlay.querySelector('.loading-text').textContent = '생성 중...';
+        }
+
+        // Disable/enable contenteditable during generation
+        elements.editorTextarea.contentEditable = isGenerating ? 'false' : 'true';
+    }
+
+    /**
+     * Scrolls the editor to keep cursor visible
+     */
+    function scrollToCursor() {
+        const editor = elements.editorTextarea;
+        const selection = window.getSelection();
+        
+        if (!selection.rangeCount) return;
+        
+        const range = selection.getRangeAt(0);
+        const rect = range.getBoundingClientRect();
+        const editorRect = editor.getBoundingClientRect();
+        
+        // Check if cursor is below viewport
+        if (rect.bottom > editorRect.bottom - 100) {
+            editor.scrollTop += (rect.bottom - editorRect.bottom + 100);
+        }
+        // Check if cursor is above viewport
+        else if (rect.top < editorRect.top + 100) {
+            editor.scrollTop -= (editorRect.top - rect.top + 100);
+        }
+    }
+
+    // ========================================
+    // UNDO/REDO HANDLERS
+    // ========================================
+
+    /**
+     * Handles undo action
+     */
+    function handleUndo() {
+        const currentContent = FormatterModule.getContent(elements.editorTextarea);
+        const previousContent = StorageModule.undo(currentContent);
+        if (previousContent !== null) {
+            FormatterModule.setContent(elements.editorTextarea, previousContent);
+            updateStats();
+        }
+        updateBranchIndicator();
+    }
+
+    /**
+     * Handles redo action
+     */
+    function handleRedo() {
+        const currentContent = FormatterModule.getContent(elements.editorTextarea);
+        const nextContent = StorageModule.redo(currentContent);
+        if (nextContent !== null) {
+            FormatterModule.setContent(elements.editorTextarea, nextContent);
+            updateStats();
+        }
+        updateBranchIndicator();
+    }
+
+    /**
+     * Sets up the branch indicator that switches between generations
+     * made from the same text
+     */
+    function setupBranchIndicator() {
+        const editor = elements.editorTextarea;
+
+        // Keep the editor cursor when pressing the arrows
+        elements.branchIndicator.addEventListener('mousedown', (e) => {
+            e.preventDefault();
+        });
+        elements.branchPrev.addEventListener('click', () => handleBranchSwitch(-1));
+        elements.branchNext.addEventListener('click', () => handleBranchSwitch(1));
+
+        // Typing makes a new state, so the alternatives no longer apply
+        editor.addEventListener('input', () => {
+            elements.branchIndicator.classList.add('hidden');
+        });
+        editor.addEventListener('scroll', updateBranchIndicator);
+        window.addEventListener('resize', updateBranchIndicator);
+    }
+
+    /**
+     * Shows the branch indicator next to the current generation when the
+     * current state has alternatives, and hides it otherwise
+     */
+    function updateBranchIndicator() {
+        const indicator = elements.branchIndicator;
+        const info = StorageModule.getBranchInfo();
+        if (!info) {
+            indicator.classList.add('hidden');
+            return;
+        }
+
+        elements.branchCount.textContent = `${info.index + 1}/${info.count}`;
+        indicator.classList.remove('hidden');
+
+        const editor = elements.editorTextarea;
+        const offset = info.meta && info.meta.end !== undefined
+            ? info.meta.end
+            : FormatterModule.getCursorOffset(editor);
+        const rect = FormatterModule.getOffsetRect(editor, offset);
+        if (!rect) return;
+
+        const wrapperRect = indicator.parentElement.getBoundingClientRect();
+        const maxLeft = wrapperRect.width - indicator.offsetWidth - 8;
+        const left = Math.max(8, Math.min(rect.right - wrapperRect.left + 8, maxLeft));
+        const top = Math.max(8, rect.bottom - wrapperRect.top + 4);
+
+        indicator.style.left = `${left}px`;
+        indicator.style.top = `${top}px`;
+    }
+
+    /**
+     * Replaces the current generation with its previous or next alternative
+     * @param {number} direction - -1 for the previous, 1 for the next alternative
+     */
+    function handleBranchSwitch(direction) {
+        const editor = elements.editorTextarea;
+        const branch = StorageModule.switchBranch(direction, FormatterModule.getContent(editor));
+        if (!branch) {
+            updateBranchIndicator();
+            return;
+        }
+
+        FormatterModule.setContent(editor, branch.content);
+        if (branch.meta && branch.meta.end !== undefined) {
+            FormatterModule.setCursorOffset(editor, branch.meta.end);
+        }
+        updateStats();
+        saveDocumentSoon();
+        updateBranchIndicator();
+    }
+
+    // ========================================
+    // FILE OPERATIONS
+    // ========================================
+
+    /**
+     * Handles file loading
+     * @param {Event} e - Change event
+     */
+    async function handleFileLoad(e) {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        try {
+            // Project backups are restored instead of being loaded as text
+            if (/\.json$/i.test(file.name)) {
+                const project = StorageModule.parseProject(await StorageModule.readFile(file));
+                if (project) {
+                    e.target.value = '';
+                    await restoreProject(project);
+                    return;
+                }
+            }
+
+            const content = await StorageModule.importFile(file);
+            
+            if (FormatterModule.getPlainText(elements.editorTextarea).trim() && 
+                !confirm('이 파일을 불러오시겠습니까? 현재 내용이 대체됩니다.')) {
+                return;
+            }
+
+            takeAutoSnapshot('load');
+            StorageModule.pushHistory(FormatterModule.getContent(elements.editorTextarea));
+            FormatterModule.setContent(elements.editorTextarea, content);
+            StorageModule.pushHistory(FormatterModule.getContent(elements.editorTextarea));
+            updateStats();
+            
+            showAlert('success', '파일 불러오기 완료', `"${file.name}" 파일을 불러왔습니다.`);
+        } catch (error) {
+            console.error('Import failed:', error);
+            if (error.message.startsWith('INVALID_PROJECT')) {
+                showAlert('error', '불러오기 실패', '프로젝트 파일이 손상되었거나 지원하지 않는 버전입니다.');
+            } else {
+                showAlert('error', '불러오기 실패', '파일을 읽을 수 없습니다. 다시 시도해주세요.');
+            }
+        }
+
+        // Reset file input
+        e.target.value = '';
+    }
+
+
+
+    // ========================================
+    // LIBRARY
+    // ========================================
+
+    /**
+     * Sets up the library modal and the document info fields
+     */
+    function setupLibrary() {
+        elements.libraryClose.addEventListener('click', closeLibrary);
+        elements.libraryModal.addEventListener('click', (e) => {
+            if (e.target === elements.libraryModal) closeLibrary();
+        });
+
+        elements.libraryNew.addEventListener('click', async () => {
+            await createNewDocument();
+            closeLibrary();
+        });
+
+        elements.libraryList.addEventListener('click', handleLibraryAction);
+
+        elements.btnExportProject.addEventListener('click', handleProjectExport);
+        elements.btnImportProject.addEventListener('click', () => {
+            elements.projectInput.click();
+        });
+        elements.projectInput.addEventListener('change', handleProjectImport);
+
+        elements.docTitle.addEventListener('input', () => {
+            if (!state.currentDocument) return;
+            state.currentDocument.title = elements.docTitle.value.trim() || '제목 없는 소설';
+            saveDocumentSoon();
+        });
+
+        elements.docAuthor.addEventListener('input', () => {
+            if (!state.currentDocument) return;
+            state.currentDocument.metadata.author = elements.docAuthor.value;
+            saveDocumentSoon();
+        });
+
+        elements.docDescription.addEventListener('input', () => {
+            if (!state.currentDocument) return;
+            state.currentDocument.metadata.description = elements.docDescription.value;
+            saveDocumentSoon();
+        });
+    }
+
+    /**
+     * Shows a document in the editor together with its settings,
+     * story bible and summaries
+     * @param {Object} doc - Library document
+     */
+    async function openDocument(doc) {
+        await StorageModule.loadHistory(doc.id);
+
+        state.currentDocument = doc;
+        StorageModule.setActiveDocumentId(doc.id);
+
+        FormatterModule.setContent(elements.editorTextarea, {
+            text: doc.content || '',
+            images: doc.images || []
+        });
+
+        state.storyBible = doc.storyBible || [];
+        MemoryModule.load(doc.summaries);
+
+        applySettings({ ...StorageModule.loadSettings(), ...doc.settings });
+        if (GeminiModule.isInitialized()) {
+            applyUserRestrictions();
+        }
+
+        elements.docTitle.value = doc.title;
+        elements.docAuthor.value = doc.metadata ? doc.metadata.author : '';
+        elements.docDescription.value = doc.metadata ? doc.metadata.description : '';
+
+        // The stored history continues from the saved content
+        StorageModule.pushHistory(FormatterModule.getContent(elements.editorTextarea));
+        updateBranchIndicator();
+        clearCandidates();
+        renderStoryBible();
+        renderSummaries();
+        updateStats();
+    }
+
+    /**
+     * Saves the open document and switches to another one
+     * @param {string} id - Document id
+     */
+    async function switchDocument(id) {
+        await saveDocument();
+
+        const doc = await StorageModule.loadDocument(id);
+        if (!doc) {
+            showAlert('error', '열기 실패', '문서를 찾을 수 없습니다.');
+            return;
+        }
+        await openDocument(doc);
+    }
+
+    /**
+     * Saves the open document and starts a new one in the library
+     */
+    async function createNewDocument() {
+        await saveDocument();
+
+        try {
+            const doc = await StorageModule.createDocument({ settings: getGenerationSettings() });
+            await openDocument(doc);
+            showAlert('info', '새 소설', '서재에 새 소설을 추가했습니다.');
+        } catch (error) {
+            console.error('Failed to create document:', error);
+            showAlert('error', '생성 실패', '새 문서를 만들지 못했습니다.');
+        }
+    }
+
+    /**
+     * Opens the library modal
+     */
+    async function openLibrary() {
+        await saveDocument();
+        await renderLibrary();
+        elements.libraryModal.classList.remove('hidden');
+    }
+
+    /**
+     * Closes the library modal
+     */
+    function closeLibrary() {
+        elements.libraryModal.classList.add('hidden');
+    }
+
+    /**
+     * Renders the list of documents in the library
+     */
+    async function renderLibrary() {
+        const docs = await StorageModule.listDocuments();
+        const currentId = state.currentDocument ? state.currentDocument.id : null;
+
+        elements.libraryList.innerHTML = '';
+
+        docs.forEach(doc => {
+            const item = document.createElement('div');
+            item.className = 'library-item';
+            item.classList.toggle('active', doc.id === currentId);
+            item.dataset.id = doc.id;
+
+            const info = document.createElement('div');
+            info.className = 'library-item-info';
+
+            const title = document.createElement('div');
+            title.className = 'library-item-title';
+            title.textContent = doc.title;
+
+            const meta = document.createElement('div');
+            meta.className = 'library-item-meta';
+            const modified = new Date(doc.updatedAt).toLocaleString('ko-KR', {
+                dateStyle: 'medium',
+                timeStyle: 'short'
+            });
+            const author = doc.metadata && doc.metadata.author ? `${doc.metadata.author} · ` : '';
+            meta.textContent = `${author}${(doc.wordCount || 0).toLocaleString()}단어 · ${modified} 수정`;
+
+            info.appendChild(title);
+            info.appendChild(meta);
+
+            const actions = document.createElement('div');
+            actions.className = 'library-item-actions';
+            [
+                { action: 'open', label: '열기' },
+                { action: 'rename', label: '이름 변경' },
+                { action: 'duplicate', label: '복제' },
+                { action: 'delete', label: '삭제' }
+            ].forEach(({ action, label }) => {
+                const button = document.createElement('button');
+                button.className = `library-action library-${action}`;
+                button.dataset.action = action;
+                button.textContent = label;
+                actions.appendChild(button);
+            });
+
+            item.appendChild(info);
+            item.appendChild(actions);
+            elements.libraryList.appendChild(item);
+        });
     }
 
     /**
-     * Inserts a generated image into the editor at the current cursor position
-     * @param {Object} imageData - Object with mimeType and data (base64)
+     * Handles the action buttons of a library item
+     * @param {Event} e - Click event
      */
-    function insertImageIntoEditor(imageData) {
-        const editor = elements.editorTextarea;
-        const selection = window.getSelection();
-        
-        // Create image container
-        const imageContainer = document.createElement('div');
-        imageContainer.className = 'novel-image-container';
-        imageContainer.contentEditable = 'false';
-        
-        // Create image element
-        const img = document.createElement('img');
-        img.className = 'novel-image';
-        img.src = `data:${imageData.mimeType};base64,${imageData.data}`;
-        img.alt = 'Generated illustration for the novel';
-        
-        // Create delete button (click handler is set up via event delegation in setupImageDeleteHandlers)
-        const deleteBtn = document.createElement('button');
-        deleteBtn.className = 'novel-image-delete';
-        deleteBtn.innerHTML = '×';
-        deleteBtn.title = '이미지 삭제';
-        
-        imageContainer.appendChild(img);
-        imageContainer.appendChild(deleteBtn);
-        
-        // Insert image at cursor position
-        if (selection.rangeCount > 0) {
-            const range = selection.getRangeAt(0);
-            range.deleteContents();
-            
-            // Add line breaks around the image for proper text flow
-            const beforeBr = document.createElement('br');
-            const afterBr = document.createElement('br');
-            
-            // Create a text node with a zero-width space after the image
-            // This provides a valid cursor position after the non-editable image container
-            const textNodeAfter = document.createTextNode('\u200B');
-            
-            // Insert nodes: each insertNode inserts at the collapsed range position,
-            // so we insert in reverse visual order (last-to-first)
-            range.insertNode(textNodeAfter);
-            range.insertNode(afterBr);
-            range.insertNode(imageContainer);
-            range.insertNode(beforeBr);
-            
-            // Move cursor to the text node after the image
-            // Position cursor at the end of the zero-width space (offset 1)
-            const newRange = document.createRange();
-            newRange.setStart(textNodeAfter, 1);
-            newRange.setEnd(textNodeAfter, 1);
-            selection.removeAllRanges();
-            selection.addRange(newRange);
-        } else {
-            // If no selection, append to end with proper cursor positioning
-            editor.appendChild(document.createElement('br'));
-            editor.appendChild(imageContainer);
-            editor.appendChild(document.createElement('br'));
-            
-            // Add a text node at the end for cursor positioning
-            const textNodeEnd = document.createTextNode('\u200B');
-            editor.appendChild(textNodeEnd);
-            
-            // Place cursor at the end of the text node
-            const newRange = document.createRange();
-            newRange.setStart(textNodeEnd, 1);
-            newRange.setEnd(textNodeEnd, 1);
-            selection.removeAllRanges();
-            selection.addRange(newRange);
-        }
-        
-        // Focus back on editor - this is crucial for keyboard input to work
-        editor.focus();
-        
-        // Use setTimeout(0) to defer cursor recovery to the next event loop tick.
-        // This allows the browser to complete DOM updates and layout calculations
-        // triggered by insertNode and focus() before we attempt cursor positioning.
-        // Without this delay, some browsers may reset or lose the cursor selection.
-        setTimeout(() => {
-            // Re-focus and ensure cursor is in an editable position
-            if (document.activeElement !== editor) {
-                editor.focus();
+    async function handleLibraryAction(e) {
+        const button = e.target.closest('.library-action');
+        if (!button) return;
+
+        const id = button.closest('.library-item').dataset.id;
+        const isCurrent = state.currentDocument && state.currentDocument.id === id;
+
+        switch (button.dataset.action) {
+            case 'open':
+                if (!isCurrent) await switchDocument(id);
+                closeLibrary();
+                return;
+
+            case 'rename': {
+                const doc = await StorageModule.loadDocument(id);
+                if (!doc) break;
+                const title = prompt('새 제목을 입력하세요.', doc.title);
+                if (title === null) return;
+
+                const renamed = await StorageModule.renameDocument(id, title);
+                if (renamed && isCurrent) {
+                    state.currentDocument.title = renamed.title;
+                    state.currentDocument.updatedAt = renamed.updatedAt;
+                    elements.docTitle.value = renamed.title;
+                }
+                break;
             }
-            
-            // Try to place cursor at the end of the editor's text content
-            // if selection was lost during focus
-            const currentSelection = window.getSelection();
-            if (!currentSelection.rangeCount || !editor.contains(currentSelection.anchorNode)) {
-                // Find the last text node in the editor
-                const treeWalker = document.createTreeWalker(
-                    editor,
-                    NodeFilter.SHOW_TEXT,
-                    null,
-                    false
-                );
-                let lastTextNode = null;
-                while (treeWalker.nextNode()) {
-                    lastTextNode = treeWalker.currentNode;
+
+            case 'duplicate':
+                if (isCurrent) await saveDocument();
+                if (!await StorageModule.duplicateDocument(id)) {
+                    showAlert('error', '복제 실패', '문서를 복제하지 못했습니다.');
+                }
+                break;
+
+            case 'delete': {
+                const title = button.closest('.library-item').querySelector('.library-item-title').textContent;
+                if (!confirm(`'${title}'을(를) 삭제하시겠습니까? 이 작업은 되돌릴 수 없습니다.`)) return;
+
+                if (isCurrent) {
+                    // Keep auto-save from writing the deleted document back
+                    state.currentDocument = null;
                 }
-                if (lastTextNode) {
-                    const recoverRange = document.createRange();
-                    recoverRange.setStart(lastTextNode, lastTextNode.length);
-                    recoverRange.setEnd(lastTextNode, lastTextNode.length);
-                    currentSelection.removeAllRanges();
-                    currentSelection.addRange(recoverRange);
+                await StorageModule.deleteDocument(id);
+                if (isCurrent) {
+                    // Open the next most recent document so the editor never shows a deleted one
+                    const docs = await StorageModule.listDocuments();
+                    await openDocument(docs[0] || await StorageModule.createDocument({ settings: getGenerationSettings() }));
                 }
+                break;
             }
-        }, 0);
-        
-        updateStats();
+        }
+
+        await renderLibrary();
     }
 
+    // ========================================
+    // SNAPSHOTS
+    // ========================================
+
+    // Timeline labels of automatic snapshots
+    const SNAPSHOT_REASONS = {
+        generate: 'AI 이어쓰기 전',
+        revise: 'AI 고쳐쓰기 전',
+        image: '삽화 생성 전',
+        load: '파일 불러오기 전',
+        restore: '스냅샷 복원 전'
+    };
+
+    // Unchanged characters shown on each side of a change in the diff view
+    const DIFF_CONTEXT_CHARS = 80;
+
     /**
-     * Sets up event delegation for image delete buttons
+     * Sets up the version history modal
      */
-    function setupImageDeleteHandlers() {
-        // Use event delegation for dynamically added delete buttons
-        elements.editorTextarea.addEventListener('click', function(e) {
-            if (e.target.classList.contains('novel-image-delete')) {
-                e.preventDefault();
-                e.stopPropagation();
-                if (confirm('이 이미지를 삭제하시겠습니까?')) {
-                    const container = e.target.closest('.novel-image-container');
-                    if (container) {
-                        container.remove();
-                        updateStats();
-                    }
-                }
-            }
+    function setupSnapshots() {
+        elements.snapshotClose.addEventListener('click', closeSnapshots);
+        elements.snapshotModal.addEventListener('click', (e) => {
+            if (e.target === elements.snapshotModal) closeSnapshots();
+        });
+
+        elements.snapshotSave.addEventListener('click', handleSnapshotSave);
+        elements.snapshotName.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') handleSnapshotSave();
+        });
+
+        elements.snapshotList.addEventListener('click', (e) => {
+            const item = e.target.closest('.snapshot-item');
+            if (!item) return;
+            state.selectedSnapshot = state.snapshots.find(snapshot => snapshot.id === item.dataset.id) || null;
+            renderSnapshots();
+        });
+
+        elements.snapshotDiff.addEventListener('click', (e) => {
+            const button = e.target.closest('.diff-restore');
+            if (button) restoreSnapshotHunk(parseInt(button.dataset.hunk));
+        });
+
+        elements.snapshotRestore.addEventListener('click', restoreSnapshot);
+        elements.snapshotDelete.addEventListener('click', async () => {
+            const snapshot = state.selectedSnapshot;
+            if (!snapshot || !confirm('이 스냅샷을 삭제하시겠습니까?')) return;
+
+            await StorageModule.deleteSnapshot(snapshot.id);
+            state.selectedSnapshot = null;
+            await loadSnapshots();
         });
     }
 
     /**
-     * Handles stopping generation
+     * Stores an automatic snapshot of the editor before it is changed by
+     * a generation or a file load. Runs in the background.
+     * @param {string} reason - Key of SNAPSHOT_REASONS
      */
-    function handleStopGeneration() {
-        GeminiModule.stopGeneration();
-        setGeneratingState(false);
-        setImageGeneratingState(false);
+    function takeAutoSnapshot(reason) {
+        if (!state.currentDocument) return;
+
+        const content = FormatterModule.getContent(elements.editorTextarea);
+        if (!content.text.trim() && content.images.length === 0) return;
+
+        StorageModule.createSnapshot(state.currentDocument.id, content, { reason })
+            .catch(error => console.error('Failed to store snapshot:', error));
     }
 
     /**
-     * Sets the UI state during/after generation
-     * @param {boolean} isGenerating - Whether generation is in progress
+     * Opens the version history of the current document
      */
-    function setGeneratingState(isGenerating) {
-        state.isGenerating = isGenerating;
+    async function openSnapshots() {
+        if (!state.currentDocument) return;
 
-        // Update status indicator
-        const statusIndicator = elements.statusIndicator;
-        if (isGenerating) {
-            statusIndicator.className = 'status-generating';
-            statusIndicator.innerHTML = '<span class="status-dot"></span><span class="status-text">생성 중...</span>';
-        } else {
-            statusIndicator.className = 'status-idle';
-            statusIndicator.innerHTML = '<span class="status-dot"></span><span class="status-text">준비됨</span>';
-        }
+        state.selectedSnapshot = null;
+        elements.snapshotName.value = '';
+        elements.snapshotModal.classList.remove('hidden');
+        await loadSnapshots();
+    }
 
-        // Toggle buttons
-        elements.btnGenerate.classList.toggle('hidden', isGenerating);
-        elements.btnGenerateImage.classList.toggle('hidden', isGenerating);
-        elements.btnStop.classList.toggle('hidden', !isGenerating);
+    /**
+     * Closes the version history modal
+     */
+    function closeSnapshots() {
+        elements.snapshotModal.classList.add('hidden');
+    }
 
-        // Toggle loading overlay (only if not streaming)
-        const settings = getGenerationSettings();
-        if (!settings.streaming) {
-            elements.loadingOverlay.classList.toggle('hidden', !isGenerating);
+    /**
+     * Reloads the snapshots of the current document and shows them
+     */
+    async function loadSnapshots() {
+        state.snapshots = await StorageModule.listSnapshots(state.currentDocument.id);
+        if (state.selectedSnapshot) {
+            state.selectedSnapshot = state.snapshots.find(snapshot => snapshot.id === state.selectedSnapshot.id) || null;
         }
+        renderSnapshots();
+    }
 
-        // Disable/enable contenteditable during non-streaming generation
-        if (!settings.streaming) {
-            elements.editorTextarea.contentEditable = isGenerating ? 'false' : 'true';
+    /**
+     * Saves a named snapshot of the current text
+     */
+    async function handleSnapshotSave() {
+        const name = elements.snapshotName.value.trim();
+        if (!name) {
+            elements.snapshotName.focus();
+            return;
+        }
+
+        try {
+            const content = FormatterModule.getContent(elements.editorTextarea);
+            state.selectedSnapshot = await StorageModule.createSnapshot(state.currentDocument.id, content, { name });
+            elements.snapshotName.value = '';
+            await loadSnapshots();
+            showAlert('success', '스냅샷 저장', `'${name}' 버전을 저장했습니다.`);
+        } catch (error) {
+            console.error('Failed to save snapshot:', error);
+            showAlert('error', '저장 실패', '스냅샷을 저장하지 못했습니다.');
         }
     }
 
     /**
-     * Sets the UI state during/after image generation
-     * @param {boolean} isGenerating - Whether image generation is in progress
+     * Renders the timeline and the diff of the selected snapshot
      */
-    function setImageGeneratingState(isGenerating) {
-        state.isGeneratingImage = isGenerating;
-
-        // Update status indicator
-        const statusIndicator = elements.statusIndicator;
-        if (isGenerating) {
-            statusIndicator.className = 'status-generating';
-            statusIndicator.innerHTML = '<span class="status-dot"></span><span class="status-text">이미지 생성 중...</span>';
-        } else if (!state.isGenerating) {
-            statusIndicator.className = 'status-idle';
-            statusIndicator.innerHTML = '<span class="status-dot"></span><span class="status-text">준비됨</span>';
+    function renderSnapshots() {
+        elements.snapshotList.innerHTML = '';
+
+        if (state.snapshots.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'snapshot-empty';
+            empty.textContent = '저장된 스냅샷이 없습니다. AI 생성이나 파일 불러오기 전에는 자동으로 저장됩니다.';
+            elements.snapshotList.appendChild(empty);
         }
 
-        // Toggle buttons
-        elements.btnGenerate.classList.toggle('hidden', isGenerating);
-        elements.btnGenerateImage.classList.toggle('hidden', isGenerating);
-        elements.btnStop.classList.toggle('hidden', !isGenerating);
+        state.snapshots.forEach(snapshot => {
+            const item = document.createElement('div');
+            item.className = 'snapshot-item';
+            item.classList.toggle('auto', snapshot.reason !== 'manual');
+            item.classList.toggle('active', state.selectedSnapshot === snapshot);
+            item.dataset.id = snapshot.id;
+
+            const title = document.createElement('div');
+            title.className = 'snapshot-item-title';
+            title.textContent = snapshot.name || SNAPSHOT_REASONS[snapshot.reason] || '자동 저장';
+
+            const meta = document.createElement('div');
+            meta.className = 'snapshot-item-meta';
+            const created = new Date(snapshot.createdAt).toLocaleString('ko-KR', {
+                dateStyle: 'medium',
+                timeStyle: 'short'
+            });
+            meta.textContent = `${created} · ${(snapshot.wordCount || 0).toLocaleString()}단어`;
 
-        // Toggle loading overlay
-        elements.loadingOverlay.classList.toggle('hidden', !isGenerating);
-        if (isGenerating) {
-            elements.loadingOverlay.querySelector('.loading-text').textContent = '이미지 생성 중...';
-        } else {
-            elements.loadingOverlay.querySelector('.loading-text').textContent = '생성 중...';
-        }
+            item.appendChild(title);
+            item.appendChild(meta);
+            elements.snapshotList.appendChild(item);
+        });
 
-        // Disable/enable contenteditable during generation
-        elements.editorTextarea.contentEditable = isGenerating ? 'false' : 'true';
+        const snapshot = state.selectedSnapshot;
+        elements.snapshotRestore.disabled = !snapshot;
+        elements.snapshotDelete.disabled = !snapshot;
+        renderSnapshotDiff(snapshot);
     }
 
     /**
-     * Scrolls the editor to keep cursor visible
+     * Shows the word-level changes between a snapshot and the current text.
+     * Deleted words are the snapshot's, inserted words are the current ones.
+     * @param {Object|null} snapshot - Selected snapshot
      */
-    function scrollToCursor() {
-        const editor = elements.editorTextarea;
-        const selection = window.getSelection();
-        
-        if (!selection.rangeCount) return;
-        
-        const range = selection.getRangeAt(0);
-        const rect = range.getBoundingClientRect();
-        const editorRect = editor.getBoundingClientRect();
-        
-        // Check if cursor is below viewport
-        if (rect.bottom > editorRect.bottom - 100) {
-            editor.scrollTop += (rect.bottom - editorRect.bottom + 100);
+    function renderSnapshotDiff(snapshot) {
+        elements.snapshotDiff.innerHTML = '';
+        state.snapshotHunks = [];
+
+        if (!snapshot) {
+            elements.snapshotSummary.textContent = '스냅샷을 선택하면 지금 내용과 비교합니다.';
+            return;
         }
-        // Check if cursor is above viewport
-        else if (rect.top < editorRect.top + 100) {
-            editor.scrollTop -= (editorRect.top - rect.top + 100);
+
+        const currentText = FormatterModule.getPlainText(elements.editorTextarea);
+        const hunks = DiffModule.getHunks(snapshot.text, currentText);
+        state.snapshotHunks = hunks;
+
+        if (hunks.length === 0) {
+            elements.snapshotSummary.textContent = '지금 내용과 같습니다.';
+            return;
         }
-    }
 
-    // ========================================
-    // UNDO/REDO HANDLERS
-    // ========================================
+        const removed = hunks.reduce((sum, hunk) => sum + FormatterModule.countWords(hunk.oldText), 0);
+        const added = hunks.reduce((sum, hunk) => sum + FormatterModule.countWords(hunk.newText), 0);
+        elements.snapshotSummary.textContent = `변경 ${hunks.length}곳 · 스냅샷 이후 +${added} / −${removed}단어`;
+
+        const appendContext = (text, isFirst, isLast) => {
+            let shown = text;
+            if (text.length > DIFF_CONTEXT_CHARS * 2) {
+                const head = isFirst ? '' : text.slice(0, DIFF_CONTEXT_CHARS);
+                const tail = isLast ? '' : text.slice(-DIFF_CONTEXT_CHARS);
+                shown = `${head}\n⋯\n${tail}`;
+            }
+            elements.snapshotDiff.appendChild(document.createTextNode(shown));
+        };
+
+        let position = 0;
+        hunks.forEach((hunk, index) => {
+            appendContext(currentText.substring(position, hunk.newStart), index === 0, false);
+
+            const change = document.createElement('span');
+            change.className = 'diff-hunk';
+            if (hunk.oldText) {
+                const del = document.createElement('del');
+                del.textContent = hunk.oldText;
+                change.appendChild(del);
+            }
+            if (hunk.newText) {
+                const ins = document.createElement('ins');
+                ins.textContent = hunk.newText;
+                change.appendChild(ins);
+            }
+
+            const restore = document.createElement('button');
+            restore.className = 'diff-restore';
+            restore.dataset.hunk = index;
+            restore.title = '이 부분만 스냅샷 내용으로 되돌리기';
+            restore.textContent = '↺';
+            change.appendChild(restore);
+
+            elements.snapshotDiff.appendChild(change);
+            position = hunk.newEnd;
+        });
+        appendContext(currentText.substring(position), false, true);
+    }
 
     /**
-     * Handles undo action
+     * Reverts one change to the snapshot's version as one undo step.
+     * Images stay where they are in the current text.
+     * @param {number} index - Index of the hunk
      */
-    function handleUndo() {
-        const currentContent = FormatterModule.getPlainText(elements.editorTextarea);
-        const previousContent = StorageModule.undo(currentContent);
-        if (previousContent !== null) {
-            FormatterModule.setPlainText(elements.editorTextarea, previousContent);
-            updateStats();
-        }
+    function restoreSnapshotHunk(index) {
+        const hunk = state.snapshotHunks[index];
+        if (!hunk) return;
+
+        const editor = elements.editorTextarea;
+        const content = FormatterModule.getContent(editor);
+
+        StorageModule.pushHistory(content);
+        FormatterModule.setPlainText(editor, DiffModule.revertHunk(content.text, hunk));
+        StorageModule.pushHistory(FormatterModule.getContent(editor));
+
+        updateStats();
+        saveDocumentSoon();
+        renderSnapshotDiff(state.selectedSnapshot);
     }
 
     /**
-     * Handles redo action
+     * Replaces the editor content with the selected snapshot, text and images.
+     * The current content is snapshotted first so the restore can be reverted.
      */
-    function handleRedo() {
-        const currentContent = FormatterModule.getPlainText(elements.editorTextarea);
-        const nextContent = StorageModule.redo(currentContent);
-        if (nextContent !== null) {
-            FormatterModule.setPlainText(elements.editorTextarea, nextContent);
-            updateStats();
-        }
+    async function restoreSnapshot() {
+        const snapshot = state.selectedSnapshot;
+        if (!snapshot) return;
+
+        const label = snapshot.name || SNAPSHOT_REASONS[snapshot.reason] || '자동 저장';
+        if (!confirm(`'${label}' 버전으로 전체 복원하시겠습니까? 지금 내용은 자동 스냅샷으로 남습니다.`)) return;
+
+        const editor = elements.editorTextarea;
+        const content = FormatterModule.getContent(editor);
+        await StorageModule.createSnapshot(state.currentDocument.id, content, { reason: 'restore' });
+
+        StorageModule.pushHistory(content);
+        FormatterModule.setContent(editor, { text: snapshot.text, images: snapshot.images });
+        StorageModule.pushHistory(FormatterModule.getContent(editor));
+
+        updateStats();
+        saveDocumentSoon();
+        await loadSnapshots();
+        showAlert('success', '복원 완료', `'${label}' 버전으로 복원했습니다.`);
     }
 
     // ========================================
-    // FILE OPERATIONS
+    // PROJECT BACKUP
     // ========================================
 
     /**
-     * Handles file loading
-     * @param {Event} e - Change event
+     * Saves the open document and downloads a backup of the whole library
      */
-    async function handleFileLoad(e) {
+    async function handleProjectExport() {
+        await saveDocument();
+
+        try {
+            const date = new Date().toISOString().slice(0, 10);
+            await StorageModule.exportProject(`kkumtl-project-${date}`);
+            showAlert('success', '내보내기 완료', '서재 전체를 프로젝트 파일로 내보냈습니다.');
+        } catch (error) {
+            console.error('Project export failed:', error);
+            showAlert('error', '내보내기 실패', '프로젝트 파일을 만들지 못했습니다.');
+        }
+    }
+
+    /**
+     * Restores a project file chosen in the library
+     * @param {Event} e - Change event of the project file input
+     */
+    async function handleProjectImport(e) {
         const file = e.target.files[0];
+        e.target.value = '';
         if (!file) return;
 
         try {
-            const content = await StorageModule.readFile(file);
-            
-            if (FormatterModule.getPlainText(elements.editorTextarea).trim() && 
-                !confirm('이 파일을 불러오시겠습니까? 현재 내용이 대체됩니다.')) {
+            const project = StorageModule.parseProject(await StorageModule.readFile(file));
+            if (!project) {
+                showAlert('error', '가져오기 실패', '꿈틀 프로젝트 파일이 아닙니다.');
                 return;
             }
-
-            FormatterModule.setPlainText(elements.editorTextarea, content);
-            StorageModule.pushHistory(content);
-            updateStats();
-            
-            showAlert('success', '파일 불러오기 완료', `"${file.name}" 파일을 불러왔습니다.`);
+            await restoreProject(project);
         } catch (error) {
-            showAlert('error', '불러오기 실패', '파일을 읽을 수 없습니다. 다시 시도해주세요.');
+            console.error('Project import failed:', error);
+            showAlert('error', '가져오기 실패', '프로젝트 파일이 손상되었거나 지원하지 않는 버전입니다.');
         }
-
-        // Reset file input
-        e.target.value = '';
     }
 
+    /**
+     * Shows what a project will overwrite and restores it after confirmation
+     * @param {Object} project - Project from StorageModule.parseProject
+     */
+    async function restoreProject(project) {
+        await saveDocument();
+
+        const plan = await StorageModule.getProjectImportPlan(project);
+        const listTitles = (docs) => docs.map(doc => `  - ${doc.title}`).join('\n');
+        const lines = ['이 프로젝트를 복원하시겠습니까?', ''];
+        if (plan.replaced.length > 0) {
+            lines.push(`덮어쓸 소설 (${plan.replaced.length}편):`, listTitles(plan.replaced), '');
+        }
+        if (plan.added.length > 0) {
+            lines.push(`새로 추가할 소설 (${plan.added.length}편):`, listTitles(plan.added), '');
+        }
+        lines.push('생성 설정과 서식도 백업된 값으로 바뀝니다.');
+        if (!confirm(lines.join('\n'))) return;
+
+        // Keep auto-save from writing the editor over a restored document
+        state.currentDocument = null;
+
+        try {
+            const result = await StorageModule.importProject(project);
+            loadSavedFormatting();
+            await openDocument(await StorageModule.loadDocument(result.documentId));
+            if (result.history) {
+                StorageModule.setHistory(result.history);
+            }
+            await renderLibrary();
+            showAlert('success', '복원 완료', `소설 ${project.documents.length}편을 복원했습니다.`);
+        } catch (error) {
+            console.error('Project restore failed:', error);
+            showAlert('error', '복원 실패', '프로젝트를 복원하지 못했습니다.');
+            await loadSavedDocument();
+        }
+    }
 
+    /**
+     * Gets a file name for exports from the document title
+     * @returns {string} - File name without extension
+     */
+    function getExportFilename() {
+        const title = state.currentDocument ? state.currentDocument.title : '';
+        // Characters that are not allowed in file names on common systems
+        return title.replace(/[\\/:*?"<>|]/g, '').trim() || 'novel';
+    }
 
     // ========================================
     // FULLSCREEN MODE
@@ -1143,15 +3520,24 @@
     function getGenerationSettings() {
         return {
             model: elements.modelSelect.value,
+            fallbackModel: elements.fallbackModelSelect.value,
             temperature: parseFloat(elements.temperatureSlider.value),
             maxWords: parseInt(elements.maxWordsSlider.value),
+            infillWindow: parseInt(elements.infillWindowSlider.value),
             paragraphLength: elements.paragraphLength.value,
             language: elements.languageSelect.value,
             genre: elements.genreSelect.value,
             style: elements.styleSelect.value,
             tone: elements.toneSelect.value,
             pov: elements.povSelect.value,
-            streaming: elements.streamingToggle ? elements.streamingToggle.checked : false
+            streaming: elements.streamingToggle ? elements.streamingToggle.checked : false,
+            candidateCount: parseInt(elements.candidateCount.value),
+            summaryMemory: elements.summaryMemoryToggle.checked,
+            chapterContext: elements.chapterContextToggle.checked,
+            safetyDangerous: elements.safetyDangerous.value,
+            safetyHarassment: elements.safetyHarassment.value,
+            safetyHateSpeech: elements.safetyHateSpeech.value,
+            safetySexual: elements.safetySexual.value
         };
     }
 
@@ -1174,10 +3560,11 @@
     }
 
     /**
-     * Saves current settings
+     * Saves current settings as the default and into the open document
      */
     function saveSettings() {
         StorageModule.saveSettings(getGenerationSettings());
+        saveDocumentSoon();
     }
 
     /**
@@ -1196,13 +3583,29 @@
      * Loads saved settings into UI
      */
     function loadSavedSettings() {
-        const settings = StorageModule.loadSettings();
-        
+        applySettings(StorageModule.loadSettings());
+    }
+
+    /**
+     * Shows generation settings in the UI
+     * @param {Object} settings - Generation settings
+     */
+    function applySettings(settings) {
         elements.modelSelect.value = settings.model;
+        if (!elements.modelSelect.value) {
+            // Models of a provider that is no longer set up fall back to the first one
+            elements.modelSelect.selectedIndex = 0;
+        }
+        elements.fallbackModelSelect.value = settings.fallbackModel;
+        if (!elements.fallbackModelSelect.value) {
+            elements.fallbackModelSelect.value = '';
+        }
         elements.temperatureSlider.value = settings.temperature;
         elements.temperatureValue.textContent = settings.temperature;
         elements.maxWordsSlider.value = settings.maxWords;
         elements.maxWordsValue.textContent = settings.maxWords;
+        elements.infillWindowSlider.value = settings.infillWindow;
+        elements.infillWindowValue.textContent = settings.infillWindow;
         elements.paragraphLength.value = settings.paragraphLength;
         elements.languageSelect.value = settings.language;
         elements.genreSelect.value = settings.genre;
@@ -1212,6 +3615,13 @@
         if (elements.streamingToggle) {
             elements.streamingToggle.checked = settings.streaming;
         }
+        elements.candidateCount.value = settings.candidateCount;
+        elements.summaryMemoryToggle.checked = settings.summaryMemory;
+        elements.chapterContextToggle.checked = settings.chapterContext;
+        elements.safetyDangerous.value = settings.safetyDangerous;
+        elements.safetyHarassment.value = settings.safetyHarassment;
+        elements.safetyHateSpeech.value = settings.safetyHateSpeech;
+        elements.safetySexual.value = settings.safetySexual;
     }
 
     /**
@@ -1241,14 +3651,22 @@
     }
 
     /**
-     * Loads saved document
+     * Opens the document that was open last, importing the document of
+     * earlier versions on the first run. Starts a new document if the
+     * library is empty.
      */
-    function loadSavedDocument() {
-        const doc = StorageModule.loadDocument();
-        if (doc && doc.content) {
-            FormatterModule.setPlainText(elements.editorTextarea, doc.content);
-            updateStats();
+    async function loadSavedDocument() {
+        await StorageModule.migrateLegacyDocument();
+
+        const activeId = StorageModule.getActiveDocumentId();
+        let doc = activeId ? await StorageModule.loadDocument(activeId) : null;
+
+        if (!doc) {
+            const docs = await StorageModule.listDocuments();
+            doc = docs[0] || await StorageModule.createDocument({ settings: getGenerationSettings() });
         }
+
+        await openDocument(doc);
     }
 
     // ========================================
@@ -1256,15 +3674,32 @@
     // ========================================
 
     /**
-     * Saves the current document
+     * Saves the open document with its images, settings, story bible and summaries
+     * @returns {Promise<boolean>} - Success status
      */
-    function saveDocument() {
-        const text = FormatterModule.getPlainText(elements.editorTextarea);
-        StorageModule.saveDocument(text);
-        state.lastSaveTime = Date.now();
-        updateAutosaveStatus();
+    async function saveDocument() {
+        const doc = state.currentDocument;
+        if (!doc) return false;
+
+        const content = FormatterModule.getContent(elements.editorTextarea);
+        doc.content = content.text;
+        doc.images = content.images;
+        doc.settings = getGenerationSettings();
+        doc.storyBible = state.storyBible;
+        doc.summaries = MemoryModule.getSummaries();
+
+        const saved = await StorageModule.saveDocument(doc);
+        await StorageModule.saveHistory(doc.id);
+        if (saved) {
+            state.lastSaveTime = Date.now();
+            updateAutosaveStatus();
+        }
+        return saved;
     }
 
+    // Saves shortly after sidebar edits instead of on every keystroke
+    const saveDocumentSoon = debounce(() => saveDocument(), 1000);
+
     /**
      * Updates the autosave status display
      */
@@ -1288,12 +3723,14 @@
      */
     function startAutoSave() {
         // Auto-save every 30 seconds
-        state.autoSaveInterval = setInterval(() => {
-            const text = FormatterModule.getPlainText(elements.editorTextarea);
-            if (text.trim()) {
+        state.autoSaveInterval = setInterval(saveDocument, 30000);
+
+        // Also save when the tab is hidden, so a reload keeps the latest undo steps
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
                 saveDocument();
             }
-        }, 30000);
+        });
 
         // Update status display every minute
         setInterval(updateAutosaveStatus, 60000);
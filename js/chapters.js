@@ -0,0 +1,304 @@
+/**
+ * ========================================
+ * CHAPTER MODULE
+ * Splits the manuscript into chapters by
+ * their headings and chapters into scenes
+ * by scene break markers
+ * ========================================
+ */
+
+const ChapterModule = (function() {
+    'use strict';
+
+    // ========================================
+    // HEADING PATTERNS
+    // ========================================
+
+    // Longest line that can still be a heading
+    const MAX_HEADING_LENGTH = 60;
+
+    // Heading words end the line or are followed by a subtitle after a colon,
+    // period or dash, so prose like "Part of me knew." is not a heading
+    const HEADING_PATTERNS = [
+        // Markdown headings
+        /^#{1,3}\s+\S/,
+        // English: "Chapter 3", "Chapter Three", "Part IV: The Return", "Prologue"
+        /^(chapter|part)\s+([0-9]+|[ivxlcdm]+|(twenty|thirty|forty|fifty)(-(one|two|three|four|five|six|seven|eight|nine))?|one|two|three|four|five|six|seven|eight|nine|ten|eleven|twelve|thirteen|fourteen|fifteen|sixteen|seventeen|eighteen|nineteen|first|second|third|fourth|fifth|sixth|seventh|eighth|ninth|tenth)(\s*[:.]?|\s*[:.\-–—]\s*\S.*)$/i,
+        /^(prologue|epilogue|interlude)(\s*[:.]?|\s*[:.\-–—]\s*\S.*)$/i,
+        // Korean: "제3장", "3장", "제 12 화 귀환", "프롤로그"
+        /^제\s*[0-9]+\s*[장화부](\s|$|[.:])/,
+        /^[0-9]+\s*[장화](\s|$|[.:])/,
+        /^(프롤로그|에필로그|서장|종장)(\s*[:.]?|\s*[:.\-–—]\s*\S.*)$/,
+        // Japanese: "第三章", "第3話", "プロローグ"
+        /^第\s*[0-9一二三四五六七八九十百千]+\s*[章話部](\s|$|[.:：])/,
+        /^(序章|終章|プロローグ|エピローグ)(\s*[:.：]?|\s*[:.：\-–—]\s*\S.*)$/
+    ];
+
+    // Scene breaks: a line of three or more markers, e.g. "***", "* * *", "---", "◇◇◇"
+    const SCENE_BREAK_PATTERN = /^([*\-=~#◇◆○●□■※☆★·]\s*){3,}$|^⁂$/;
+
+    // ========================================
+    // CHAPTER DETECTION
+    // ========================================
+
+    /**
+     * Checks whether a line is a chapter heading
+     * @param {string} line - Line of text
+     * @returns {boolean} - True if the line is a heading
+     */
+    function isHeading(line) {
+        const trimmed = line.trim();
+        if (!trimmed || trimmed.length > MAX_HEADING_LENGTH) return false;
+        return HEADING_PATTERNS.some(pattern => pattern.test(trimmed));
+    }
+
+    /**
+     * Checks whether a line is a scene break marker
+     * @param {string} line - Line of text
+     * @returns {boolean} - True if the line separates two scenes
+     */
+    function isSceneBreak(line) {
+        return SCENE_BREAK_PATTERN.test(line.trim());
+    }
+
+    /**
+     * Cleans a heading line for display (drops markdown markers)
+     * @param {string} line - Heading line
+     * @returns {string} - Heading title
+     */
+    function getHeadingTitle(line) {
+        return line.trim().replace(/^#{1,3}\s+/, '');
+    }
+
+    /**
+     * Splits a long chapter into parts at paragraph boundaries.
+     * Parts are cut greedily from the start, so the parts before the last
+     * one stay the same when text is appended to the chapter.
+     * @param {Object} chapter - Chapter { title, start, end, text }
+     * @param {number} maxChars - Maximum part length
+     * @returns {Object[]} - Parts of the chapter
+     */
+    function splitIntoParts(chapter, maxChars) {
+        if (chapter.text.length <= maxChars) return [chapter];
+
+        const parts = [];
+        let partStart = 0;
+
+        while (chapter.text.length - partStart > maxChars) {
+            const window = chapter.text.substring(partStart, partStart + maxChars);
+
+            // Prefer a paragraph break, then a line break, then a space
+            let cut = window.lastIndexOf('\n\n');
+            if (cut <= 0) cut = window.lastIndexOf('\n');
+            if (cut <= 0) cut = window.lastIndexOf(' ');
+            cut = cut > 0 ? cut + 1 : maxChars;
+
+            parts.push(chapter.text.substring(partStart, partStart + cut));
+            partStart += cut;
+        }
+        parts.push(chapter.text.substring(partStart));
+
+        let offset = chapter.start;
+        return parts.map((text, index) => {
+            const part = {
+                title: `${chapter.title} (${index + 1})`,
+                start: offset,
+                end: offset + text.length,
+                text: text
+            };
+            offset += text.length;
+            return part;
+        });
+    }
+
+    /**
+     * Splits text into chapters by their headings.
+     * Text before the first heading becomes an untitled opening chapter.
+     * @param {string} text - Manuscript text
+     * @param {number} maxChars - Optional maximum chapter length; longer chapters are split into parts
+     * @returns {Object[]} - Chapters [{ title, start, end, text }]
+     */
+    function splitChapters(text, maxChars) {
+        if (!text) return [];
+
+        const chapters = [];
+        let current = { title: '도입부', start: 0 };
+        let offset = 0;
+
+        text.split('\n').forEach(line => {
+            if (isHeading(line) && offset > 0) {
+                chapters.push(current);
+                current = { title: getHeadingTitle(line), start: offset };
+            } else if (isHeading(line)) {
+                current.title = getHeadingTitle(line);
+            }
+            if (isHeading(line)) {
+                // The chapter body starts after its heading line
+                current.bodyStart = Math.min(offset + line.length + 1, text.length);
+            }
+            offset += line.length + 1;
+        });
+        chapters.push(current);
+
+        const result = [];
+        chapters.forEach((chapter, index) => {
+            chapter.end = index + 1 < chapters.length ? chapters[index + 1].start : text.length;
+            chapter.text = text.substring(chapter.start, chapter.end);
+            chapter.hasHeading = chapter.bodyStart !== undefined;
+            if (!chapter.hasHeading) {
+                chapter.bodyStart = chapter.start;
+            }
+
+            // Skip an empty opening before the first heading
+            if (!chapter.text.trim()) return;
+
+            if (maxChars) {
+                result.push(...splitIntoParts(chapter, maxChars));
+            } else {
+                result.push(chapter);
+            }
+        });
+
+        return result;
+    }
+
+    /**
+     * Splits a chapter body into scenes at scene break lines.
+     * The break lines themselves belong to no scene.
+     * @param {string} text - Manuscript text
+     * @param {Object} chapter - Chapter from splitChapters
+     * @returns {Object[]} - Scenes [{ title, start, end, text }]
+     */
+    function splitScenes(text, chapter) {
+        const scenes = [];
+        let sceneStart = chapter.bodyStart;
+        let offset = chapter.bodyStart;
+
+        const addScene = (end) => {
+            const sceneText = text.substring(sceneStart, end);
+            if (sceneText.trim()) {
+                scenes.push({
+                    title: `장면 ${scenes.length + 1}`,
+                    start: sceneStart,
+                    end: end,
+                    text: sceneText
+                });
+            }
+        };
+
+        text.substring(chapter.bodyStart, chapter.end).split('\n').forEach(line => {
+            const lineEnd = Math.min(offset + line.length + 1, chapter.end);
+            if (isSceneBreak(line)) {
+                addScene(offset);
+                sceneStart = lineEnd;
+            }
+            offset = lineEnd;
+        });
+        addScene(chapter.end);
+
+        return scenes;
+    }
+
+    /**
+     * Builds the outline of the manuscript: chapters with their scenes
+     * @param {string} text - Manuscript text
+     * @returns {Object[]} - Chapters [{ title, start, end, bodyStart, hasHeading, text, scenes }]
+     */
+    function getOutline(text) {
+        return splitChapters(text).map(chapter => ({
+            ...chapter,
+            scenes: splitScenes(text, chapter)
+        }));
+    }
+
+    /**
+     * Finds the chapter that contains an offset
+     * @param {Object[]} chapters - Chapters from splitChapters or getOutline
+     * @param {number} offset - Character offset
+     * @returns {Object|null} - Chapter or null if there are no chapters
+     */
+    function findChapterAt(chapters, offset) {
+        for (let i = chapters.length - 1; i >= 0; i--) {
+            if (chapters[i].start <= offset) return chapters[i];
+        }
+        return chapters[0] || null;
+    }
+
+    // ========================================
+    // REORDERING
+    // ========================================
+
+    /**
+     * Moves one section (chapter or scene) before or after another.
+     * The text between sections, such as scene break lines, stays in place.
+     * @param {string} text - Manuscript text
+     * @param {Object[]} sections - Sections in document order, each { start, end }
+     * @param {number} from - Index of the section to move
+     * @param {number} to - Index the section should end up at
+     * @returns {Object} - { text, mapOffset } where mapOffset maps old offsets to new ones
+     */
+    function moveSection(text, sections, from, to) {
+        const order = sections.map((section, index) => index);
+        order.splice(to, 0, order.splice(from, 1)[0]);
+
+        const regionStart = sections[0].start;
+        const regionEnd = sections[sections.length - 1].end;
+
+        // Every section must end with a line break once it is not the last one
+        const lastIndex = sections.length - 1;
+        const missingBreak = !text.substring(sections[lastIndex].start, regionEnd).endsWith('\n');
+        const sectionText = (index) => {
+            const value = text.substring(sections[index].start, sections[index].end);
+            return index === lastIndex && missingBreak ? value + '\n' : value;
+        };
+
+        const pieces = [];
+        let region = '';
+        order.forEach((sectionIndex, position) => {
+            pieces.push({
+                oldStart: sections[sectionIndex].start,
+                oldEnd: sections[sectionIndex].end,
+                newStart: regionStart + region.length
+            });
+            region += sectionText(sectionIndex);
+
+            if (position < lastIndex) {
+                // Gap after the section at this position in the old order
+                const gapStart = sections[position].end;
+                const gapEnd = sections[position + 1].start;
+                pieces.push({ oldStart: gapStart, oldEnd: gapEnd, newStart: regionStart + region.length });
+                region += text.substring(gapStart, gapEnd);
+            }
+        });
+
+        if (missingBreak) {
+            region = region.slice(0, -1);
+        }
+
+        const mapOffset = (offset) => {
+            const piece = pieces.find(p => offset >= p.oldStart && offset < p.oldEnd);
+            return piece ? piece.newStart + (offset - piece.oldStart) : offset;
+        };
+
+        return {
+            text: text.substring(0, regionStart) + region + text.substring(regionEnd),
+            mapOffset
+        };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        splitChapters,
+        splitScenes,
+        getOutline,
+        findChapterAt,
+        moveSection,
+        isHeading,
+        isSceneBreak,
+        getHeadingTitle
+    };
+
+})();
@@ -13,6 +13,8 @@ const CryptoModule = (function() {
     // ENCRYPTED API KEY PLACEHOLDER
     // Replace this with your encrypted API key
     // generated using encoder.html
+    // Not used in proxy mode (ProviderModule PROXY_URL), where the
+    // relay holds the key; set it back to the placeholder so no key ships
     // ========================================
     const ENCRYPTED_API_KEY = 'KShzzWI7OzLxw7JazlfDYjqCQyZZyhHgRWLkfMUfkliX9Qt4Q6V/IEUbm4nT765SdSD3kBOnlajIqcgoar2Cp0zbkHu+BHUq5MfMlnobREKAGf8=';
 
@@ -0,0 +1,236 @@
+/**
+ * ========================================
+ * DIFF MODULE
+ * Word-level text comparison (Myers'
+ * O(ND) algorithm) for version snapshots
+ * ========================================
+ */
+
+const DiffModule = (function() {
+    'use strict';
+
+    // ========================================
+    // CONFIGURATION
+    // ========================================
+
+    const CONFIG = {
+        // Edit distance after which the changed middle is reported as one replaced block,
+        // so a completely rewritten text does not take quadratic time and memory
+        MAX_EDIT_DISTANCE: 2000
+    };
+
+    // Runs of whitespace, single Chinese/Japanese characters (no spaces between words),
+    // words and single punctuation marks
+    const TOKEN_PATTERN = /\s+|[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uf900-\ufaff]|[\p{L}\p{N}\p{M}_]+|\S/gu;
+
+    // ========================================
+    // TOKENIZING
+    // ========================================
+
+    /**
+     * Splits text into diff tokens
+     * @param {string} text - Text to split
+     * @returns {string[]} - Tokens that join back to the text
+     */
+    function tokenize(text) {
+        return text.match(TOKEN_PATTERN) || [];
+    }
+
+    // ========================================
+    // MYERS DIFF
+    // ========================================
+
+    /**
+     * Finds the shortest edit script between two token lists
+     * @param {string[]} a - Old tokens
+     * @param {string[]} b - New tokens
+     * @returns {Object[]} - Operations [{ type: 'equal'|'delete'|'insert', tokens }]
+     */
+    function myers(a, b) {
+        const n = a.length;
+        const m = b.length;
+        if (n === 0 && m === 0) return [];
+        if (n === 0) return [{ type: 'insert', tokens: b }];
+        if (m === 0) return [{ type: 'delete', tokens: a }];
+
+        const max = Math.min(n + m, CONFIG.MAX_EDIT_DISTANCE);
+        const offset = max + 1;
+        const v = new Int32Array(2 * max + 3);
+        // Only the diagonals -d-1..d+1 are kept per step
+        const trace = [];
+
+        for (let d = 0; d <= max; d++) {
+            trace.push(v.slice(offset - d - 1, offset + d + 2));
+
+            for (let k = -d; k <= d; k += 2) {
+                let x = k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1])
+                    ? v[offset + k + 1]
+                    : v[offset + k - 1] + 1;
+                let y = x - k;
+
+                while (x < n && y < m && a[x] === b[y]) {
+                    x++;
+                    y++;
+                }
+                v[offset + k] = x;
+
+                if (x >= n && y >= m) {
+                    return backtrack(trace, a, b);
+                }
+            }
+        }
+
+        return [{ type: 'delete', tokens: a }, { type: 'insert', tokens: b }];
+    }
+
+    /**
+     * Walks the saved search steps back from the end to recover the edits
+     * @param {Int32Array[]} trace - Diagonal endpoints before each step
+     * @param {string[]} a - Old tokens
+     * @param {string[]} b - New tokens
+     * @returns {Object[]} - Operations in order
+     */
+    function backtrack(trace, a, b) {
+        const ops = [];
+        const push = (type, token) => {
+            const last = ops[ops.length - 1];
+            if (last && last.type === type) {
+                last.tokens.push(token);
+            } else {
+                ops.push({ type, tokens: [token] });
+            }
+        };
+
+        let x = a.length;
+        let y = b.length;
+
+        for (let d = trace.length - 1; d >= 0; d--) {
+            const v = trace[d];
+            const at = (k) => v[k + d + 1];
+            const k = x - y;
+            const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+            const prevX = at(prevK);
+            const prevY = prevX - prevK;
+
+            while (x > prevX && y > prevY) {
+                push('equal', a[--x]);
+                y--;
+            }
+            if (d > 0) {
+                if (x === prevX) {
+                    push('insert', b[--y]);
+                } else {
+                    push('delete', a[--x]);
+                }
+            }
+        }
+
+        return ops.reverse().map(op => ({ type: op.type, tokens: op.tokens.reverse() }));
+    }
+
+    // ========================================
+    // TEXT DIFF
+    // ========================================
+
+    /**
+     * Compares two texts word by word
+     * @param {string} oldText - Old text
+     * @param {string} newText - New text
+     * @returns {Object[]} - Operations [{ type: 'equal'|'delete'|'insert', text }]
+     */
+    function diff(oldText, newText) {
+        const a = tokenize(oldText);
+        const b = tokenize(newText);
+
+        // The common start and end are cut off first; most edits are local
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start++;
+        let endA = a.length;
+        let endB = b.length;
+        while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+            endA--;
+            endB--;
+        }
+
+        const ops = [];
+        if (start > 0) ops.push({ type: 'equal', tokens: a.slice(0, start) });
+        ops.push(...myers(a.slice(start, endA), b.slice(start, endB)));
+        if (endA < a.length) ops.push({ type: 'equal', tokens: a.slice(endA) });
+
+        return ops.map(op => ({ type: op.type, text: op.tokens.join('') }));
+    }
+
+    /**
+     * Groups the changes between two texts into hunks. Changes separated
+     * only by spaces belong to one hunk, so a rewritten phrase is one hunk.
+     * @param {string} oldText - Old text
+     * @param {string} newText - New text
+     * @returns {Object[]} - Hunks [{ oldStart, oldEnd, newStart, newEnd, oldText, newText }]
+     */
+    function getHunks(oldText, newText) {
+        const ops = diff(oldText, newText);
+        const hunks = [];
+        let current = null;
+        let oldPos = 0;
+        let newPos = 0;
+
+        ops.forEach((op, index) => {
+            const length = op.text.length;
+
+            if (op.type === 'equal') {
+                const next = ops[index + 1];
+                const joinsChanges = current && next && /^[^\S\n]+$/.test(op.text);
+                if (joinsChanges) {
+                    current.oldEnd += length;
+                    current.newEnd += length;
+                } else {
+                    current = null;
+                }
+                oldPos += length;
+                newPos += length;
+                return;
+            }
+
+            if (!current) {
+                current = { oldStart: oldPos, oldEnd: oldPos, newStart: newPos, newEnd: newPos };
+                hunks.push(current);
+            }
+            if (op.type === 'delete') {
+                current.oldEnd += length;
+                oldPos += length;
+            } else {
+                current.newEnd += length;
+                newPos += length;
+            }
+        });
+
+        return hunks.map(hunk => ({
+            ...hunk,
+            oldText: oldText.substring(hunk.oldStart, hunk.oldEnd),
+            newText: newText.substring(hunk.newStart, hunk.newEnd)
+        }));
+    }
+
+    /**
+     * Reverts one hunk in the new text to its old version
+     * @param {string} newText - Text the hunk was computed against
+     * @param {Object} hunk - Hunk from getHunks
+     * @returns {string} - Text with the hunk reverted
+     */
+    function revertHunk(newText, hunk) {
+        return newText.substring(0, hunk.newStart) + hunk.oldText + newText.substring(hunk.newEnd);
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        tokenize,
+        diff,
+        getHunks,
+        revertHunk,
+        CONFIG
+    };
+
+})();
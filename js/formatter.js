@@ -32,27 +32,103 @@ const FormatterModule = (function() {
     // ========================================
 
     /**
-     * Saves the current cursor position
+     * Splits the content of an element into the pieces that make up its
+     * plain text. Embedded images take no characters, line break elements
+     * count as one, and zero-width spaces used for cursor positioning are
+     * left out.
+     * @param {Node} root - Contenteditable element or fragment
+     * @returns {Object} - { segments: [{ node, start, text, isImage }], length }
+     */
+    function getTextSegments(root) {
+        const segments = [];
+        let offset = 0;
+
+        const visit = (node) => {
+            if (node.nodeType === Node.TEXT_NODE) {
+                const text = node.textContent.replace(/\u200B/g, '');
+                segments.push({ node, start: offset, text, isImage: false });
+                offset += text.length;
+            } else if (node.nodeType === Node.ELEMENT_NODE) {
+                if (node.classList.contains('novel-image-container')) {
+                    segments.push({ node, start: offset, text: '', isImage: true });
+                } else if (node.tagName === 'BR') {
+                    segments.push({ node, start: offset, text: '\n', isImage: false });
+                    offset += 1;
+                } else {
+                    Array.from(node.childNodes).forEach(visit);
+                }
+            }
+        };
+
+        Array.from(root.childNodes).forEach(visit);
+        return { segments, length: offset };
+    }
+
+    /**
+     * Converts a plain text offset inside a text node to a DOM offset,
+     * skipping zero-width spaces
+     * @param {string} nodeText - Text of the node
+     * @param {number} plainOffset - Offset without zero-width spaces
+     * @returns {number} - Offset in the node
+     */
+    function toNodeOffset(nodeText, plainOffset) {
+        let count = 0;
+        for (let i = 0; i < nodeText.length; i++) {
+            if (count === plainOffset) return i;
+            if (nodeText[i] !== '\u200B') count++;
+        }
+        return nodeText.length;
+    }
+
+    /**
+     * Saves the current cursor position as plain text offsets
      * @param {HTMLElement} element - Contenteditable element
-     * @returns {Object|null} - Saved position data
+     * @returns {Object|null} - Saved position data, or null if the cursor is outside the element
      */
     function saveCursorPosition(element) {
         const selection = window.getSelection();
         if (!selection.rangeCount) return null;
 
         const range = selection.getRangeAt(0);
+        if (!element.contains(range.startContainer)) return null;
+
         const preSelectionRange = range.cloneRange();
         preSelectionRange.selectNodeContents(element);
         preSelectionRange.setEnd(range.startContainer, range.startOffset);
         
-        const start = preSelectionRange.toString().length;
+        const start = getTextSegments(preSelectionRange.cloneContents()).length;
         
         return {
             start: start,
-            end: start + range.toString().length
+            end: start + getTextSegments(range.cloneContents()).length
         };
     }
 
+    /**
+     * Finds the DOM position of a plain text offset
+     * @param {Object[]} segments - Segments from getTextSegments
+     * @param {number} offset - Plain text offset
+     * @returns {Object|null} - { node, offset } or null if there is no text
+     */
+    function findDomPosition(segments, offset) {
+        for (const segment of segments) {
+            if (segment.isImage || offset > segment.start + segment.text.length) continue;
+
+            if (segment.node.nodeType === Node.TEXT_NODE) {
+                return {
+                    node: segment.node,
+                    offset: toNodeOffset(segment.node.textContent, offset - segment.start)
+                };
+            }
+
+            // Line break element: position before or after it
+            const parent = segment.node.parentNode;
+            const index = Array.prototype.indexOf.call(parent.childNodes, segment.node);
+            return { node: parent, offset: offset === segment.start ? index : index + 1 };
+        }
+        return null;
+    }
+
     /**
      * Restores cursor position
      * @param {HTMLElement} element - Contenteditable element
@@ -64,33 +140,17 @@ const FormatterModule = (function() {
         const selection = window.getSelection();
         const range = document.createRange();
         
-        let charIndex = 0;
-        let nodeStack = [element];
-        let node, foundStart = false, stop = false;
-        
-        // Get total text length for bounds checking
-        const totalLength = element.textContent.length;
-        const safeStart = Math.min(savedPosition.start, totalLength);
-        const safeEnd = Math.min(savedPosition.end, totalLength);
+        // Clamp to the text length
+        const { segments, length } = getTextSegments(element);
+        const start = findDomPosition(segments, Math.min(savedPosition.start, length));
+        const end = findDomPosition(segments, Math.min(savedPosition.end, length));
         
-        while (!stop && (node = nodeStack.pop())) {
-            if (node.nodeType === Node.TEXT_NODE) {
-                const nextCharIndex = charIndex + node.length;
-                if (!foundStart && safeStart >= charIndex && safeStart <= nextCharIndex) {
-                    range.setStart(node, Math.min(safeStart - charIndex, node.length));
-                    foundStart = true;
-                }
-                if (foundStart && safeEnd >= charIndex && safeEnd <= nextCharIndex) {
-                    range.setEnd(node, Math.min(safeEnd - charIndex, node.length));
-                    stop = true;
-                }
-                charIndex = nextCharIndex;
-            } else {
-                let i = node.childNodes.length;
-                while (i--) {
-                    nodeStack.push(node.childNodes[i]);
-                }
-            }
+        if (start && end) {
+            range.setStart(start.node, start.offset);
+            range.setEnd(end.node, end.offset);
+        } else {
+            range.selectNodeContents(element);
+            range.collapse(false);
         }
         
         selection.removeAllRanges();
@@ -163,7 +223,7 @@ const FormatterModule = (function() {
         
         if (imageContainers.length === 0) {
             // No images - use the simple approach
-            const text = element.textContent;
+            const text = getPlainText(element);
             const formattedHtml = formatTextContent(text);
             
             // Only update if content changed
@@ -255,58 +315,175 @@ const FormatterModule = (function() {
 
     /**
      * Gets plain text from contenteditable (without formatting)
-     * Strips zero-width spaces used for cursor positioning
+     * Strips zero-width spaces used for cursor positioning and the
+     * controls inside embedded images
      * @param {HTMLElement} element - Contenteditable element
      * @returns {string} - Plain text
      */
     function getPlainText(element) {
-        // Get text content and remove zero-width spaces (used for cursor positioning)
-        return (element.textContent || '').replace(/\u200B/g, '');
+        return getTextSegments(element).segments.map(segment => segment.text).join('');
     }
 
     /**
      * Sets plain text content in contenteditable
-     * Preserves any embedded images while setting the text content
+     * Embedded images stay next to the text around them: images before the
+     * changed part keep their offset, images after it move with the text.
      * @param {HTMLElement} element - Contenteditable element
      * @param {string} text - Text to set
      */
     function setPlainText(element, text) {
         const cursorPos = saveCursorPosition(element);
+        const current = getContent(element);
         
-        // Save any image containers before replacing content
-        // Note: Images will be appended at the end after text is set,
-        // which may not preserve their original positions
-        const imageContainers = element.querySelectorAll('.novel-image-container');
-        const savedImages = [];
-        imageContainers.forEach(container => {
-            savedImages.push(container.cloneNode(true));
+        setContent(element, {
+            text: text,
+            images: rebaseImages(current.images, current.text, text)
         });
         
-        // Set the text content
-        element.textContent = text;
+        if (cursorPos) {
+            restoreCursorPosition(element, cursorPos);
+        }
+    }
+
+    // ========================================
+    // DOCUMENT CONTENT (TEXT + IMAGES)
+    // ========================================
+
+    /**
+     * Creates an id for an embedded image
+     * @returns {string} - Unique image id
+     */
+    function generateImageId() {
+        return `img-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Creates the non-editable container for an embedded image
+     * @param {Object} imageData - Object with mimeType, data (base64) and optional id
+     * @returns {HTMLElement} - Image container with its delete button
+     */
+    function createImageContainer(imageData) {
+        const imageContainer = document.createElement('div');
+        imageContainer.className = 'novel-image-container';
+        imageContainer.contentEditable = 'false';
+        imageContainer.dataset.imageId = imageData.id || generateImageId();
         
-        // Re-insert saved images at the end of the content
-        // Note: Original positions are not preserved; images are appended sequentially
-        if (savedImages.length > 0) {
-            // Add a line break before images if there's text content
-            if (element.textContent.trim().length > 0) {
-                element.appendChild(document.createElement('br'));
-            }
-            savedImages.forEach((img, index) => {
-                element.appendChild(img);
-                // Add spacing between images
-                if (index < savedImages.length - 1) {
-                    element.appendChild(document.createElement('br'));
-                }
+        const img = document.createElement('img');
+        img.className = 'novel-image';
+        img.src = `data:${imageData.mimeType};base64,${imageData.data}`;
+        img.alt = 'Generated illustration for the novel';
+        
+        // Click handling is set up by the app via event delegation
+        const deleteBtn = document.createElement('button');
+        deleteBtn.className = 'novel-image-delete';
+        deleteBtn.innerHTML = '×';
+        deleteBtn.title = '이미지 삭제';
+        
+        imageContainer.appendChild(img);
+        imageContainer.appendChild(deleteBtn);
+        return imageContainer;
+    }
+
+    /**
+     * Gets the document content of a contenteditable element
+     * @param {HTMLElement} element - Contenteditable element
+     * @returns {Object} - { text, images: [{ id, offset, mimeType, data }] }
+     */
+    function getContent(element) {
+        const { segments } = getTextSegments(element);
+        const images = [];
+
+        segments.filter(segment => segment.isImage).forEach(segment => {
+            const img = segment.node.querySelector('.novel-image');
+            const match = img ? img.src.match(/^data:([^;]+);base64,(.*)$/) : null;
+            if (!match) return;
+
+            images.push({
+                id: segment.node.dataset.imageId || generateImageId(),
+                offset: segment.start,
+                mimeType: match[1],
+                data: match[2]
             });
-            // Add a trailing line break
-            element.appendChild(document.createElement('br'));
+        });
+
+        return {
+            text: segments.map(segment => segment.text).join(''),
+            images: images
+        };
+    }
+
+    /**
+     * Replaces the content of a contenteditable element, placing each image
+     * at its text offset. Images without an offset go to the end.
+     * @param {HTMLElement} element - Contenteditable element
+     * @param {Object} content - { text, images: [{ id, offset, mimeType, data }] }
+     */
+    function setContent(element, content) {
+        const text = content.text || '';
+        const images = (content.images || [])
+            .map(image => ({
+                ...image,
+                offset: typeof image.offset === 'number' ? Math.min(Math.max(image.offset, 0), text.length) : text.length
+            }))
+            .sort((a, b) => a.offset - b.offset);
+
+        element.textContent = '';
+
+        let position = 0;
+        images.forEach(image => {
+            if (image.offset > position) {
+                element.appendChild(document.createTextNode(text.substring(position, image.offset)));
+                position = image.offset;
+            }
+            element.appendChild(createImageContainer(image));
+        });
+
+        if (position < text.length) {
+            element.appendChild(document.createTextNode(text.substring(position)));
+        } else if (images.length > 0) {
+            // Gives the cursor a place after a trailing image
+            element.appendChild(document.createTextNode('\u200B'));
         }
-        
+
         applyRealtimeFormatting(element);
-        if (cursorPos) {
-            restoreCursorPosition(element, cursorPos);
+    }
+
+    /**
+     * Moves image offsets along with a text change. The change is found by
+     * comparing the common start and end of both texts; images inside a
+     * replaced part move to the end of the replacement.
+     * @param {Object[]} images - Images with offsets into oldText
+     * @param {string} oldText - Text before the change
+     * @param {string} newText - Text after the change
+     * @returns {Object[]} - Images with offsets into newText
+     */
+    function rebaseImages(images, oldText, newText) {
+        if (images.length === 0 || oldText === newText) return images;
+
+        const maxPrefix = Math.min(oldText.length, newText.length);
+        let prefix = 0;
+        while (prefix < maxPrefix && oldText[prefix] === newText[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (suffix < maxPrefix - prefix &&
+            oldText[oldText.length - 1 - suffix] === newText[newText.length - 1 - suffix]) {
+            suffix++;
         }
+
+        const oldChangeEnd = oldText.length - suffix;
+        const newChangeEnd = newText.length - suffix;
+
+        return images.map(image => {
+            let offset = newChangeEnd;
+            if (image.offset <= prefix) {
+                offset = image.offset;
+            } else if (image.offset >= oldChangeEnd) {
+                offset = image.offset + (newText.length - oldText.length);
+            }
+            return { ...image, offset };
+        });
     }
 
     /**
@@ -353,6 +530,26 @@ const FormatterModule = (function() {
         restoreCursorPosition(element, { start: offset, end: offset });
     }
 
+    /**
+     * Gets the screen position of a plain-text offset without moving the cursor
+     * @param {HTMLElement} element - Contenteditable element
+     * @param {number} offset - Character offset
+     * @returns {DOMRect|null} - Caret rectangle at the offset
+     */
+    function getOffsetRect(element, offset) {
+        const { segments, length } = getTextSegments(element);
+        const position = findDomPosition(segments, Math.min(offset, length));
+        if (!position) return null;
+
+        const range = document.createRange();
+        range.setStart(position.node, position.offset);
+        range.collapse(true);
+
+        // A collapsed range right after a line break has no client rects
+        const rects = range.getClientRects();
+        return rects.length > 0 ? rects[rects.length - 1] : range.getBoundingClientRect();
+    }
+
     // ========================================
     // CSS VARIABLE UPDATES
     // ========================================
@@ -469,7 +666,7 @@ const FormatterModule = (function() {
             return { line: 1, column: 1 };
         }
         
-        const textBeforeCursor = element.textContent.substring(0, pos.start);
+        const textBeforeCursor = getPlainText(element).substring(0, pos.start);
         const lines = textBeforeCursor.split('\n');
 
         return {
@@ -489,9 +686,13 @@ const FormatterModule = (function() {
         restoreCursorPosition,
         getPlainText,
         setPlainText,
+        getContent,
+        setContent,
+        createImageContainer,
         insertTextAtCursor,
         getCursorOffset,
         setCursorOffset,
+        getOffsetRect,
         
         // Utility functions
         escapeHtml,
@@ -1,8 +1,9 @@
 /**
  * ========================================
  * GEMINI API MODULE
- * Handles communication with Google's
- * Gemini API for text generation
+ * Builds the prompts for text and image
+ * generation and runs them on the provider
+ * of the selected model
  * ========================================
  */
 
@@ -13,14 +14,69 @@ const GeminiModule = (function() {
     // API CONFIGURATION
     // ========================================
     
-    const API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
-    
     // Store the API key after decryption
     let apiKey = null;
     
     // AbortController for cancelling requests
     let currentController = null;
 
+    // Temperature difference between neighbouring candidates
+    const CANDIDATE_TEMPERATURE_STEP = 0.2;
+
+    // Default number of following characters shown to the model in infill mode
+    const DEFAULT_INFILL_WINDOW = 1000;
+
+    // Shortest overlap with the following text that is trimmed from an infill
+    const MIN_INFILL_OVERLAP = 8;
+
+    // Characters of surrounding context sent along with a revision
+    const REVISION_CONTEXT_BEFORE = 1500;
+    const REVISION_CONTEXT_AFTER = 500;
+
+    // Word limit for a single chapter summary
+    const SUMMARY_MAX_WORDS = 80;
+
+    const RETRY_CONFIG = {
+        // Attempts per request, the first one included
+        MAX_ATTEMPTS: 4,
+        // Backoff before the second attempt, doubled for every further one (ms)
+        BASE_DELAY: 1000,
+        MAX_DELAY: 30000,
+        // Longer waits asked for by the server are not worth holding the user for (ms)
+        MAX_RETRY_AFTER: 60000,
+        // Consecutive 503 answers after which the fallback model takes over
+        FALLBACK_AFTER_503: 2
+    };
+
+    // Statuses that usually go away when the request is repeated
+    const RETRYABLE_STATUSES = [429, 500, 502, 503, 504];
+
+    // Called before every retry, see setRetryHandler
+    let retryHandler = null;
+
+    // Called with the token usage of every answer, see setUsageHandler
+    let usageHandler = null;
+
+    // Settings field holding the safety threshold of each harm category
+    const SAFETY_SETTING_FIELDS = {
+        HARM_CATEGORY_HARASSMENT: 'safetyHarassment',
+        HARM_CATEGORY_HATE_SPEECH: 'safetyHateSpeech',
+        HARM_CATEGORY_SEXUALLY_EXPLICIT: 'safetySexual',
+        HARM_CATEGORY_DANGEROUS_CONTENT: 'safetyDangerous'
+    };
+
+    // Names of the harm categories in block messages
+    const HARM_CATEGORY_LABELS = {
+        HARM_CATEGORY_HARASSMENT: '괴롭힘',
+        HARM_CATEGORY_HATE_SPEECH: '혐오 표현',
+        HARM_CATEGORY_SEXUALLY_EXPLICIT: '선정적인 내용',
+        HARM_CATEGORY_DANGEROUS_CONTENT: '폭력적이거나 위험한 내용',
+        HARM_CATEGORY_CIVIC_INTEGRITY: '선거 관련 내용'
+    };
+
+    // Block reasons that no safety threshold can lift
+    const FIXED_BLOCK_REASONS = ['PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII'];
+
     // System prompt template with comprehensive instructions
     const SYSTEM_PROMPT_TEMPLATE = `You are a master novelist and creative writer with decades of experience across all literary genres. Your singular purpose is to seamlessly continue the narrative provided to you, writing as if you were the original author. 
 
@@ -59,7 +115,7 @@ However, what is wrapped in (OOC:  ) is OUT OF CHARACTER instructions for you, t
 
 {{POV_GUIDE}}
 
-# ABSOLUTE REQUIREMENTS - NON-NEGOTIABLE
+{{STORY_BIBLE}}{{STORY_SUMMARY}}# ABSOLUTE REQUIREMENTS - NON-NEGOTIABLE
 
 1. SEAMLESS CONTINUATION
    - Begin writing IMMEDIATELY from where the text ends
@@ -122,6 +178,80 @@ You are not an AI assistant helping with writing. You ARE the author, continuing
 
 Your response begins immediately after the last character of the provided text.  No preamble.  No explanation. Just pure, seamless storytelling that ends with proper punctuation.`;
 
+    // Extra instructions used when the cursor sits between two passages
+    const INFILL_INSTRUCTIONS = `# INFILL MODE - BRIDGING TWO PASSAGES
+
+Your writing will be inserted BETWEEN the text to continue and the FOLLOWING TEXT shown below it.  The following text already exists and will stay exactly as it is.
+
+- Write ONLY the missing bridge between the two passages
+- Your last sentence must lead directly into the first words of the following text
+- NEVER write, paraphrase, or summarize any part of the following text
+- NEVER contradict events, facts, names or character states established in the following text
+- If the following text starts mid-sentence, end your writing so that sentence reads naturally`;
+
+    // Prompt template for summarizing one chapter for the rolling summary
+    const SUMMARY_PROMPT_TEMPLATE = `You are a meticulous story editor keeping notes on a novel in progress.  Summarize the chapter below so that a writer continuing the novel later can stay consistent with it.
+
+# REQUIREMENTS
+
+- Write 3 to 5 plain sentences, no more than {{MAX_WORDS}} words
+- Cover the key events in order, who was involved, and how the chapter ends
+- Keep names, places and newly revealed facts exactly as written
+- Mention unresolved threads, promises and secrets that may matter later
+- Write in the same language as the chapter
+- Output ONLY the summary - no title, no bullet points, no commentary`;
+
+    // Prompt template for revising a selected passage in place
+    const REVISION_PROMPT_TEMPLATE = `You are a master novelist revising a passage of your own manuscript. You will receive the passage together with the text that surrounds it. Your singular purpose is to produce a revised version of the passage that will replace it word for word.
+
+# REVISION TASK
+
+{{TASK}}
+
+# ACTIVE WRITING PARAMETERS (User-Configured)
+
+- Genre: {{GENRE}}
+- Writing Style: {{STYLE}}
+- Emotional Tone: {{TONE}}
+- Narrative Point of View: {{POV}}
+- Language: {{LANGUAGE}}
+
+# LANGUAGE-SPECIFIC INSTRUCTIONS
+
+{{LANGUAGE_INSTRUCTIONS}}
+
+# STYLE IMPLEMENTATION GUIDE
+
+{{STYLE_GUIDE}}
+
+# TONE EXECUTION
+
+{{TONE_GUIDE}}
+
+# POINT OF VIEW REQUIREMENTS
+
+{{POV_GUIDE}}
+
+{{STORY_BIBLE}}# ABSOLUTE REQUIREMENTS - NON-NEGOTIABLE
+
+1. DROP-IN REPLACEMENT
+   - Output ONLY the revised passage - it is pasted directly in place of the original
+   - The revision must connect seamlessly to the text before and after it
+   - NEVER repeat or rewrite the surrounding context
+   - Keep the same paragraph breaks unless the task requires otherwise
+
+2. CONSISTENCY PRESERVATION
+   - Keep all character names, facts and world-building details unless the task changes them
+   - Preserve the tense of the original passage
+   - Keep dialogue in quotation marks ("...") and thoughts in single quotes ('...')
+
+3. PURE NARRATIVE OUTPUT
+   - NEVER include meta-commentary ("Here's the revised version...")
+   - NEVER wrap the passage in quotes, code blocks or markdown
+   - NEVER explain what you changed
+
+Your response begins with the first character of the revised passage.  No preamble.  No explanation.`;
+
     // ========================================
     // PROMPT HELPERS
     // ========================================
@@ -445,6 +575,107 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
         return guides[length] || guides['medium'];
     }
 
+    /**
+     * Gets the story bible section of the prompt
+     * @param {string} storyBible - Formatted story bible entries
+     * @returns {string} - Story bible section, or empty string when there are no entries
+     */
+    function getStoryBibleSection(storyBible) {
+        if (!storyBible || !storyBible.trim()) return '';
+
+        return `# STORY BIBLE (Established Facts)
+
+The following facts were set by the author.  Treat them as canon: keep names, appearances, relationships and world rules exactly as described here, even when the passage does not repeat them.
+
+${storyBible.trim()}
+
+`;
+    }
+
+    /**
+     * Gets the story-so-far section of the prompt
+     * @param {string} storySummary - Summaries of the chapters before the passage
+     * @returns {string} - Summary section, or empty string for short manuscripts
+     */
+    function getStorySummarySection(storySummary) {
+        if (!storySummary || !storySummary.trim()) return '';
+
+        return `# STORY SO FAR (Summary of Earlier Chapters)
+
+The passage you continue is only the end of a longer manuscript.  These are summaries of the chapters that come before it, in order.  Stay consistent with every event in them, but never retell them.
+
+${storySummary.trim()}
+
+`;
+    }
+
+    /**
+     * Gets the task description for a revision action
+     * @param {Object} action - Revision action { type, tone, pov }
+     * @returns {string} - Task description
+     */
+    function getRevisionTask(action) {
+        const tasks = {
+            'rewrite': `REWRITE
+Rewrite the passage with fresh wording and sentence structure.
+• Keep the same events, meaning and information
+• Keep roughly the same length
+• Improve rhythm, clarity and word choice`,
+
+            'expand': `EXPAND
+Expand the passage to roughly twice its length.
+• Add sensory detail, body language, interiority and atmosphere
+• Slow the pacing so the moment lands with more weight
+• Do NOT add new plot events or new characters`,
+
+            'condense': `CONDENSE
+Condense the passage to roughly half its length.
+• Keep every event that matters and the most important lines of dialogue
+• Cut redundant description, filler words and repeated beats
+• The result must still read as finished prose, not a summary`,
+
+            'tone': `CHANGE TONE
+Rewrite the passage so its emotional tone becomes more ${action.tone}.
+• Keep the same events and information
+• Shift word choice, imagery, rhythm and character reactions to match the new tone
+• Follow the TONE EXECUTION guide below`,
+
+            'pov': `CHANGE POINT OF VIEW
+Rewrite the passage in the ${action.pov} point of view.
+• Keep the same events and information
+• Adjust pronouns, narrative distance and access to thoughts accordingly
+• Follow the POINT OF VIEW REQUIREMENTS guide below`
+        };
+        return tasks[action.type] || tasks['rewrite'];
+    }
+
+    /**
+     * Builds the revision prompt for a selected passage
+     * The tone and POV guides follow the action when it changes them
+     * @param {Object} action - Revision action { type, tone, pov }
+     * @param {Object} settings - Generation settings
+     * @returns {string} - Complete revision prompt
+     */
+    function buildRevisionPrompt(action, settings) {
+        const tone = action.type === 'tone' ? action.tone : settings.tone;
+        const pov = action.type === 'pov' ? action.pov : settings.pov;
+        let prompt = REVISION_PROMPT_TEMPLATE;
+
+        prompt = prompt.replace('{{TASK}}', getRevisionTask(action));
+        prompt = prompt.replace('{{GENRE}}', settings.genre || 'fantasy');
+        prompt = prompt.replace('{{STYLE}}', settings.style || 'descriptive');
+        prompt = prompt.replace('{{TONE}}', tone || 'neutral');
+        prompt = prompt.replace('{{POV}}', pov || 'third-limited');
+        prompt = prompt.replace('{{LANGUAGE}}', settings.language || 'EN');
+        prompt = prompt.replace('{{LANGUAGE_INSTRUCTIONS}}', getLanguageInstructions(settings.language));
+        prompt = prompt.replace('{{STYLE_GUIDE}}', getStyleGuide(settings.style));
+        prompt = prompt.replace('{{TONE_GUIDE}}', getToneGuide(tone));
+        prompt = prompt.replace('{{POV_GUIDE}}', getPovGuide(pov));
+        prompt = prompt.replace('{{STORY_BIBLE}}', getStoryBibleSection(settings.storyBible));
+
+        return prompt;
+    }
+
     /**
      * Builds the complete system prompt with all parameters
      * @param {Object} settings - Generation settings
@@ -465,6 +696,8 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
         prompt = prompt.replace('{{GENRE_GUIDE}}', getGenreGuide(settings.genre));
         prompt = prompt.replace('{{TONE_GUIDE}}', getToneGuide(settings.tone));
         prompt = prompt.replace('{{POV_GUIDE}}', getPovGuide(settings.pov));
+        prompt = prompt.replace('{{STORY_BIBLE}}', getStoryBibleSection(settings.storyBible));
+        prompt = prompt.replace('{{STORY_SUMMARY}}', getStorySummarySection(settings.storySummary));
         
         return prompt;
     }
@@ -534,6 +767,19 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
     // TEXT GENERATION
     // ========================================
 
+    /**
+     * Builds the Gemini safety settings from the thresholds chosen in the settings
+     * @param {Object} settings - Generation settings
+     * @returns {Object[]|undefined} - [{ category, threshold }], or undefined to keep the API defaults
+     */
+    function buildSafetySettings(settings) {
+        const safetySettings = Object.keys(SAFETY_SETTING_FIELDS)
+            .filter(category => settings[SAFETY_SETTING_FIELDS[category]])
+            .map(category => ({ category, threshold: settings[SAFETY_SETTING_FIELDS[category]] }));
+
+        return safetySettings.length > 0 ? safetySettings : undefined;
+    }
+
     /**
      * Generates text continuation using Gemini API
      * @param {string} textBefore - Text before cursor
@@ -562,15 +808,21 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
             userPrompt += 'TEXT TO CONTINUE\n';
             userPrompt += '═══════════════════════════════════════════════════════════════════════════════\n\n';
             
+            // Infill mode: the cursor sits between two passages
+            const isInfill = Boolean(textBefore.trim() && textAfter.trim());
+
             if (textBefore.trim()) {
                 userPrompt += textBefore;
                 
-                if (textAfter.trim()) {
+                if (isInfill) {
+                    const infillWindow = settings.infillWindow || DEFAULT_INFILL_WINDOW;
+
                     userPrompt += '\n\n═══════════════════════════════════════════════════════════════════════════════\n';
-                    userPrompt += 'CONTEXT:  TEXT THAT FOLLOWS (your continuation must flow into this)\n';
+                    userPrompt += 'FOLLOWING TEXT (already written - bridge into it, never repeat it)\n';
                     userPrompt += '═══════════════════════════════════════════════════════════════════════════════\n\n';
-                    userPrompt += textAfter.substring(0, 300);
-                    if (textAfter.length > 300) userPrompt += '...';
+                    userPrompt += textAfter.substring(0, infillWindow);
+                    if (textAfter.length > infillWindow) userPrompt += '...';
+                    userPrompt += '\n\n' + INFILL_INSTRUCTIONS;
                 }
             } else {
                 userPrompt += `[BEGIN A NEW ${(settings.genre || 'fantasy').toUpperCase()} STORY]`;
@@ -593,7 +845,8 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
                     topP: 0.95,
                     topK: 40,
                     stopSequences: [] // Let the model end naturally
-                }
+                },
+                safetySettings: buildSafetySettings(settings)
             };
 
             // Add prefill if we have context - this helps the model continue seamlessly
@@ -605,7 +858,163 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
                 });
             }
 
-            await generateWithoutStreaming(settings.model, requestBody, lastSentence, onComplete, onError);
+            // Infill output is checked against the following text before insertion
+            const followingText = isInfill ? textAfter : null;
+
+            if (settings.candidateCount > 1) {
+                onComplete(await requestCandidates(settings, requestBody, lastSentence, followingText));
+                return;
+            }
+
+            const complete = followingText === null ? onComplete : (text) => {
+                const bridged = fitToFollowingText(text, followingText);
+                if (!bridged.trim()) {
+                    onError(new Error('EMPTY_RESPONSE: The AI returned an empty response'));
+                    return;
+                }
+                onComplete(bridged);
+            };
+
+            if (settings.streaming) {
+                await generateWithStreaming(settings.model, settings.fallbackModel, requestBody, lastSentence, onChunk, complete, onError);
+            } else {
+                await generateWithoutStreaming(settings.model, settings.fallbackModel, requestBody, lastSentence, complete, onError);
+            }
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                onError(new Error('GENERATION_CANCELLED: Generation was stopped by user'));
+            } else {
+                onError(error);
+            }
+        }
+    }
+
+    /**
+     * Generates several alternative continuations at once
+     * @param {string} textBefore - Text before cursor
+     * @param {string} textAfter - Text after cursor
+     * @param {Object} settings - Generation settings
+     * @param {number} count - Number of candidates to request
+     * @param {Function} onComplete - Callback with an array of candidate texts
+     * @param {Function} onError - Callback for errors
+     * @returns {Promise<void>}
+     */
+    async function generateCandidates(textBefore, textAfter, settings, count, onComplete, onError) {
+        await generateText(textBefore, textAfter, { ...settings, candidateCount: count }, null, onComplete, onError);
+    }
+
+    /**
+     * Sends one continuation request several times in parallel, with
+     * temperatures spread around the configured value so the candidates
+     * differ from each other
+     * @param {Object} settings - Generation settings with candidateCount
+     * @param {Object} requestBody - API request body
+     * @param {string} prefill - Prefill text to strip
+     * @param {string|null} followingText - Text after the cursor in infill mode
+     * @returns {Promise<string[]>} - Candidates that succeeded
+     * @throws {Error} - The first error when every candidate failed
+     */
+    async function requestCandidates(settings, requestBody, prefill, followingText) {
+        const count = settings.candidateCount;
+        const baseTemperature = requestBody.generationConfig.temperature;
+        const requests = [];
+
+        for (let i = 0; i < count; i++) {
+            // Spread temperatures evenly, e.g. 0.6 / 0.8 / 1.0 for three candidates
+            const offset = (i - (count - 1) / 2) * CANDIDATE_TEMPERATURE_STEP;
+            const temperature = Math.min(2, Math.max(0, baseTemperature + offset));
+            const candidateBody = {
+                ...requestBody,
+                generationConfig: { ...requestBody.generationConfig, temperature: Math.round(temperature * 100) / 100 }
+            };
+
+            requests.push(
+                requestCompletion(settings.model, candidateBody, prefill, settings.fallbackModel)
+                    .then(text => followingText === null ? text : fitToFollowingText(text, followingText))
+            );
+        }
+
+        const results = await Promise.allSettled(requests);
+        const candidates = results
+            .filter(result => result.status === 'fulfilled' && result.value.trim())
+            .map(result => result.value);
+
+        if (candidates.length === 0) {
+            throw results[0].reason || new Error('EMPTY_RESPONSE: The AI returned an empty response');
+        }
+
+        return candidates;
+    }
+
+    /**
+     * Revises a selected passage (rewrite, expand, condense, tone or POV change)
+     * @param {string} selectedText - The passage to revise
+     * @param {string} textBefore - Text before the selection
+     * @param {string} textAfter - Text after the selection
+     * @param {Object} action - Revision action { type, tone, pov }
+     * @param {Object} settings - Generation settings
+     * @param {Function} onComplete - Callback with the revised passage
+     * @param {Function} onError - Callback for errors
+     * @returns {Promise<void>}
+     */
+    async function reviseText(selectedText, textBefore, textAfter, action, settings, onComplete, onError) {
+        if (!apiKey) {
+            onError(new Error('API_NOT_INITIALIZED:  Please unlock the application first'));
+            return;
+        }
+
+        // Create abort controller for this request
+        currentController = new AbortController();
+
+        try {
+            let userPrompt = buildRevisionPrompt(action, settings) + '\n\n';
+
+            if (textBefore.trim()) {
+                userPrompt += '═══════════════════════════════════════════════════════════════════════════════\n';
+                userPrompt += 'CONTEXT:  TEXT BEFORE THE PASSAGE (do not repeat)\n';
+                userPrompt += '═══════════════════════════════════════════════════════════════════════════════\n\n';
+                userPrompt += textBefore.length > REVISION_CONTEXT_BEFORE
+                    ? '...' + textBefore.slice(-REVISION_CONTEXT_BEFORE)
+                    : textBefore;
+                userPrompt += '\n\n';
+            }
+
+            userPrompt += '═══════════════════════════════════════════════════════════════════════════════\n';
+            userPrompt += 'PASSAGE TO REVISE\n';
+            userPrompt += '═══════════════════════════════════════════════════════════════════════════════\n\n';
+            userPrompt += selectedText;
+
+            if (textAfter.trim()) {
+                userPrompt += '\n\n═══════════════════════════════════════════════════════════════════════════════\n';
+                userPrompt += 'CONTEXT:  TEXT AFTER THE PASSAGE (do not repeat)\n';
+                userPrompt += '═══════════════════════════════════════════════════════════════════════════════\n\n';
+                userPrompt += textAfter.substring(0, REVISION_CONTEXT_AFTER);
+                if (textAfter.length > REVISION_CONTEXT_AFTER) userPrompt += '...';
+            }
+
+            // Expanding needs room for about twice the original length
+            const lengthFactor = action.type === 'expand' ? 3 : 1.5;
+            const selectedWords = selectedText.trim().split(/\s+/).length;
+
+            const requestBody = {
+                contents: [
+                    {
+                        role: 'user',
+                        parts: [{ text: userPrompt }]
+                    }
+                ],
+                generationConfig: {
+                    temperature: settings.temperature || 0.8,
+                    maxOutputTokens: Math.ceil(Math.max(selectedWords, settings.maxWords || 150) * lengthFactor * 1.5),
+                    topP: 0.95,
+                    topK: 40
+                },
+                safetySettings: buildSafetySettings(settings)
+            };
+
+            const text = await requestCompletion(settings.model, requestBody, '', settings.fallbackModel);
+            onComplete(text.trim());
 
         } catch (error) {
             if (error.name === 'AbortError') {
@@ -616,6 +1025,53 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
         }
     }
 
+    /**
+     * Summarizes a chapter for the rolling summary memory
+     * @param {string} text - Chapter text
+     * @param {Object} settings - Generation settings
+     * @returns {Promise<string>} - Chapter summary
+     */
+    async function summarizeText(text, settings) {
+        if (!apiKey) {
+            throw new Error('API_NOT_INITIALIZED:  Please unlock the application first');
+        }
+
+        // Create abort controller for this request
+        currentController = new AbortController();
+
+        let userPrompt = SUMMARY_PROMPT_TEMPLATE.replace('{{MAX_WORDS}}', SUMMARY_MAX_WORDS) + '\n\n';
+        userPrompt += '═══════════════════════════════════════════════════════════════════════════════\n';
+        userPrompt += 'CHAPTER TO SUMMARIZE\n';
+        userPrompt += '═══════════════════════════════════════════════════════════════════════════════\n\n';
+        userPrompt += text;
+
+        const requestBody = {
+            contents: [
+                {
+                    role: 'user',
+                    parts: [{ text: userPrompt }]
+                }
+            ],
+            generationConfig: {
+                temperature: 0.3,
+                maxOutputTokens: SUMMARY_MAX_WORDS * 4,
+                topP: 0.95,
+                topK: 40
+            },
+            safetySettings: buildSafetySettings(settings)
+        };
+
+        try {
+            const summary = await requestCompletion(settings.model, requestBody, '', settings.fallbackModel);
+            return summary.trim();
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                throw new Error('GENERATION_CANCELLED: Generation was stopped by user');
+            }
+            throw error;
+        }
+    }
+
     /**
      * Strips the prefill from the beginning of generated text
      * @param {string} generated - Generated text
@@ -645,6 +1101,45 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
         return generated;
     }
 
+    /**
+     * Trims an infill so it does not run into the text that follows it
+     * The counterpart of stripPrefill for the end of the generated text
+     * @param {string} generated - Generated text
+     * @param {string} followingText - Text after the cursor
+     * @returns {string} - Text that ends where the following text begins
+     */
+    function fitToFollowingText(generated, followingText) {
+        if (!generated || !followingText || !followingText.trim()) return generated;
+
+        const following = followingText.trimStart();
+        let text = generated;
+
+        // The model sometimes starts rewriting the following text outright
+        const probe = following.substring(0, Math.min(following.length, 30));
+        if (probe.length >= MIN_INFILL_OVERLAP) {
+            const index = text.indexOf(probe);
+            if (index !== -1) {
+                text = text.substring(0, index);
+            }
+        }
+
+        // Remove a tail that duplicates the first words of the following text
+        const trimmedText = text.trimEnd();
+        const maxOverlap = Math.min(trimmedText.length, following.length, 200);
+        for (let i = maxOverlap; i >= MIN_INFILL_OVERLAP; i--) {
+            if (trimmedText.endsWith(following.substring(0, i))) {
+                text = trimmedText.substring(0, trimmedText.length - i);
+                break;
+            }
+        }
+
+        // Complete the last sentence when the following text starts a new one
+        const startsNewSentence = /^\s*\n/.test(followingText) ||
+            /^\s+["'\u201C\u2018A-Z]/.test(followingText);
+
+        return startsNewSentence ? ensureProperEnding(text) : text;
+    }
+
     /**
      * Ensures text ends with proper punctuation
      * @param {string} text - Text to check and fix
@@ -702,39 +1197,40 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
         return trimmed;
     }
 
+    /**
+     * Requests a single completion and returns the processed text
+     * @param {string} model - Model id from the settings
+     * @param {Object} requestBody - API request body
+     * @param {string} prefill - Prefill text to strip
+     * @param {string} fallbackModel - Optional model id to switch to after repeated 503 answers
+     * @returns {Promise<string>} - Generated text with prefill removed
+     * @throws {Error} - API, network or empty response errors
+     */
+    function requestCompletion(model, requestBody, prefill, fallbackModel) {
+        return new Promise((resolve, reject) => {
+            generateWithoutStreaming(model, fallbackModel, requestBody, prefill, resolve, reject);
+        });
+    }
+
     /**
      * Generates text without streaming
      * @param {string} model - Model name
+     * @param {string} fallbackModel - Model to switch to after repeated 503 answers
      * @param {Object} requestBody - API request body
      * @param {string} prefill - Prefill text to strip
      * @param {Function} onComplete - Complete callback
      * @param {Function} onError - Error callback
      */
-    async function generateWithoutStreaming(model, requestBody, prefill, onComplete, onError) {
-        const url = `${API_BASE_URL}/models/${model}:generateContent?key=${apiKey}`;
-
+    async function generateWithoutStreaming(model, fallbackModel, requestBody, prefill, onComplete, onError) {
         try {
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body:  JSON.stringify(requestBody),
-                signal: currentController.signal
+            let text = await withRetries(model, fallbackModel, (activeModel, signal) => {
+                const { provider, model: modelName } = ProviderModule.resolveModel(activeModel);
+                return provider.complete(modelName, requestBody, {
+                    apiKey: apiKey,
+                    signal: signal,
+                    onUsage: createUsageReporter(activeModel, 'text')
+                });
             });
-
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                const errorMsg = errorData.error?.message || response.statusText || 'Unknown error';
-                throw new Error(`API_ERROR_${response.status}: ${errorMsg}`);
-            }
-
-            const data = await response.json();
-            
-            // Log the raw AI response data
-            console.log('Raw AI Response Data:', data);
-            
-            let text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
             
             // Log the raw generated text before processing
             console.log('Raw Generated Text (before processing):', text);
@@ -765,6 +1261,87 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
         }
     }
 
+    /**
+     * Generates text with streaming using the server-sent events endpoint
+     * Text is held back until the echoed prefill can be stripped reliably,
+     * after which every chunk is forwarded to onChunk as it arrives
+     * @param {string} model - Model id from the settings
+     * @param {string} fallbackModel - Model to switch to after repeated 503 answers
+     * @param {Object} requestBody - API request body
+     * @param {string} prefill - Prefill text to strip
+     * @param {Function} onChunk - Chunk callback (chunk, textSoFar)
+     * @param {Function} onComplete - Complete callback
+     * @param {Function} onError - Error callback
+     */
+    async function generateWithStreaming(model, fallbackModel, requestBody, prefill, onChunk, onComplete, onError) {
+        try {
+            const trimmedPrefill = (prefill || '').trim();
+
+            let rawText = '';
+            let emittedText = '';
+            // Number of leading raw characters that belong to the echoed prefill.
+            // Stays null until enough text has arrived to decide.
+            let prefillCut = trimmedPrefill ? null : 0;
+
+            const emit = () => {
+                if (prefillCut === null) {
+                    // Wait until the output is longer than the prefill,
+                    // otherwise a partial echo cannot be told apart from new text
+                    if (rawText.trimStart().length <= trimmedPrefill.length) {
+                        return;
+                    }
+                    prefillCut = rawText.length - stripPrefill(rawText, prefill).length;
+                }
+
+                const visibleText = rawText.substring(prefillCut);
+                if (visibleText.length > emittedText.length) {
+                    const chunk = visibleText.substring(emittedText.length);
+                    emittedText = visibleText;
+                    onChunk(chunk, emittedText);
+                }
+            };
+
+            await withRetries(model, fallbackModel, async (activeModel, signal) => {
+                const { provider, model: modelName } = ProviderModule.resolveModel(activeModel);
+                try {
+                    await provider.stream(modelName, requestBody, {
+                        apiKey: apiKey,
+                        signal: signal,
+                        onUsage: createUsageReporter(activeModel, 'text')
+                    }, (text) => {
+                        rawText += text;
+                        emit();
+                    });
+                } catch (error) {
+                    // Text already shown in the editor cannot be taken back for a second attempt
+                    if (rawText) error.isRetryable = false;
+                    throw error;
+                }
+            });
+
+            // Log the raw streamed text before processing
+            console.log('Raw Streamed Text (before processing):', rawText);
+
+            // Short responses may never have reached the prefill length
+            const text = prefillCut === null
+                ? stripPrefill(rawText, prefill)
+                : rawText.substring(prefillCut);
+
+            if (!text || text.trim().length === 0) {
+                throw new Error('EMPTY_RESPONSE: The AI returned an empty response');
+            }
+
+            onComplete(text);
+
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                onError(new Error('GENERATION_CANCELLED: Generation was stopped by user'));
+            } else {
+                onError(error);
+            }
+        }
+    }
+
     /**
      * Stops the current generation
      */
@@ -775,6 +1352,176 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
         }
     }
 
+    // ========================================
+    // TOKEN USAGE
+    // ========================================
+
+    /**
+     * Sets the function that records the token usage the API reports for every answer
+     * @param {Function} handler - Called with { model, kind, promptTokens, outputTokens, totalTokens }
+     */
+    function setUsageHandler(handler) {
+        usageHandler = handler;
+    }
+
+    /**
+     * Creates the usage callback passed to a provider request
+     * @param {string} modelId - Model id the request went to
+     * @param {string} kind - 'text' or 'image'
+     * @returns {Function} - Callback for the provider's usage report
+     */
+    function createUsageReporter(modelId, kind) {
+        return (usage) => {
+            if (!usageHandler) return;
+
+            // Image requests go to the provider's image model instead
+            const { provider } = ProviderModule.resolveModel(modelId);
+            const model = usage.model ? ProviderModule.getModelId(provider.id, usage.model) : modelId;
+            usageHandler({
+                model,
+                kind,
+                promptTokens: usage.promptTokens,
+                outputTokens: usage.outputTokens,
+                totalTokens: usage.totalTokens
+            });
+        };
+    }
+
+    /**
+     * Counts the tokens of a text with the tokenizer of the selected model
+     * @param {string} text - Text to count
+     * @param {string} model - Model id from the settings
+     * @returns {Promise<number|null>} - Token count, or null if the provider cannot count tokens
+     */
+    async function countTokens(text, model) {
+        const { provider, model: modelName } = ProviderModule.resolveModel(model);
+        if (!apiKey || !provider.countTokens) {
+            return null;
+        }
+        return provider.countTokens(modelName, text, { apiKey: apiKey });
+    }
+
+    // ========================================
+    // RETRIES
+    // ========================================
+
+    /**
+     * Sets the function that is told about every retry, e.g. to show it in the status bar
+     * @param {Function} handler - Called with { attempt, maxAttempts, delay, model, isFallback }
+     */
+    function setRetryHandler(handler) {
+        retryHandler = handler;
+    }
+
+    /**
+     * Checks whether a failed request is worth repeating
+     * @param {Error} error - Error of the failed attempt
+     * @returns {boolean} - True for rate limits, server errors and dropped connections
+     */
+    function isRetryable(error) {
+        if (error.isRetryable === false || error.name === 'AbortError') return false;
+
+        const message = error.message || '';
+        const status = /^API_ERROR_(\d+)/.exec(message);
+        if (status) {
+            return RETRYABLE_STATUSES.includes(parseInt(status[1], 10));
+        }
+        return message.includes('Failed to fetch') || message.includes('NetworkError');
+    }
+
+    /**
+     * Gets the wait before the next attempt: the one the server asked for,
+     * otherwise an exponential backoff with random jitter
+     * @param {Error} error - Error of the failed attempt
+     * @param {number} attempt - Number of the failed attempt (1-based)
+     * @returns {number} - Wait in milliseconds
+     */
+    function getRetryDelay(error, attempt) {
+        if (error.retryAfter !== undefined) {
+            return error.retryAfter;
+        }
+
+        const backoff = Math.min(RETRY_CONFIG.MAX_DELAY, RETRY_CONFIG.BASE_DELAY * 2 ** (attempt - 1));
+        // Jitter keeps clients that failed together from retrying together
+        return Math.round(backoff / 2 + Math.random() * backoff / 2);
+    }
+
+    /**
+     * Waits before a retry, ending early when the generation is stopped
+     * @param {number} ms - Wait in milliseconds
+     * @param {AbortSignal} signal - Abort signal of the generation
+     * @returns {Promise<void>}
+     */
+    function waitForRetry(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The generation was stopped', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                signal.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+
+            if (signal.aborted) {
+                abort();
+            } else {
+                signal.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Runs a request, repeating it after transient failures. After
+     * repeated 503 answers the remaining attempts use the fallback model.
+     * @param {string} model - Model id from the settings
+     * @param {string} fallbackModel - Optional model id for repeated 503 answers
+     * @param {Function} attempt - Runs one attempt with (model, signal) and returns a promise
+     * @returns {Promise<*>} - Result of the first successful attempt
+     * @throws {Error} - Error of the last attempt
+     */
+    async function withRetries(model, fallbackModel, attempt) {
+        const signal = currentController.signal;
+        let activeModel = model;
+        let overloadedCount = 0;
+
+        for (let attemptNumber = 1; ; attemptNumber++) {
+            try {
+                return await attempt(activeModel, signal);
+            } catch (error) {
+                if (attemptNumber >= RETRY_CONFIG.MAX_ATTEMPTS || !isRetryable(error)) {
+                    throw error;
+                }
+
+                const delay = getRetryDelay(error, attemptNumber);
+                if (delay > RETRY_CONFIG.MAX_RETRY_AFTER) {
+                    throw error;
+                }
+
+                overloadedCount = error.message.startsWith('API_ERROR_503') ? overloadedCount + 1 : 0;
+                if (fallbackModel && activeModel !== fallbackModel &&
+                    overloadedCount >= RETRY_CONFIG.FALLBACK_AFTER_503) {
+                    console.warn(`Model ${activeModel} is overloaded, switching to ${fallbackModel}`);
+                    activeModel = fallbackModel;
+                    overloadedCount = 0;
+                }
+
+                console.warn(`Attempt ${attemptNumber} failed, retrying in ${delay}ms:`, error.message);
+                if (retryHandler) {
+                    retryHandler({
+                        attempt: attemptNumber + 1,
+                        maxAttempts: RETRY_CONFIG.MAX_ATTEMPTS,
+                        delay: delay,
+                        model: activeModel,
+                        isFallback: activeModel !== model
+                    });
+                }
+
+                await waitForRetry(delay, signal);
+            }
+        }
+    }
+
     // ========================================
     // ERROR CLASSIFICATION
     // ========================================
@@ -827,6 +1574,26 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
             };
         }
 
+        if (message.includes('PROMPT_BLOCKED') || message.includes('SAFETY_BLOCKED')) {
+            return classifyBlock(message);
+        }
+
+        if (message.includes('RECITATION_BLOCKED')) {
+            return {
+                type: 'warning',
+                title: '저작물 유사성 차단',
+                message: '기존 저작물과 지나치게 비슷한 내용이 생성되어 중단되었습니다. 다시 생성하거나 창의성을 높여보세요.'
+            };
+        }
+
+        if (message.includes('MAX_TOKENS')) {
+            return {
+                type: 'warning',
+                title: '최대 길이 도달',
+                message: '텍스트가 나오기 전에 응답 길이 제한에 도달했습니다. 최대 단어 수를 늘려보세요.'
+            };
+        }
+
         if (message.includes('API_ERROR_400')) {
             return {
                 type: 'error',
@@ -867,6 +1634,67 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
             };
         }
 
+        if (message.includes('PROVIDER_NOT_CONFIGURED')) {
+            return {
+                type: 'error',
+                title: '모델 연결 설정 필요',
+                message: '선택한 모델의 서버 주소가 설정되지 않았습니다. 생성 설정의 모델 연결에서 주소를 입력해주세요.'
+            };
+        }
+
+        if (message.includes('PROVIDER_UNREACHABLE')) {
+            return {
+                type: 'error',
+                title: '모델 서버 연결 실패',
+                message: '모델 서버에 연결할 수 없습니다. Ollama 또는 llama.cpp 서버가 실행 중인지, 주소가 맞는지 확인해주세요.'
+            };
+        }
+
+        if (message.includes('PROXY_UNREACHABLE')) {
+            return {
+                type: 'error',
+                title: '중계 서버 연결 실패',
+                message: 'API 중계 서버에 연결할 수 없습니다. 잠시 후 다시 시도해주세요.'
+            };
+        }
+
+        if (message.includes('PROXY_SESSION_EXPIRED')) {
+            return {
+                type: 'error',
+                title: '세션 만료',
+                message: '중계 서버 세션이 만료되었습니다. 페이지를 새로고침한 뒤 비밀번호를 다시 입력해주세요.'
+            };
+        }
+
+        if (message.includes('PROXY_SESSION_LIMIT')) {
+            return {
+                type: 'warning',
+                title: '잠금 해제 제한',
+                message: error.quota
+                    ? `잠금 해제 요청이 너무 많습니다. ${RateLimitModule.formatCountdown(error.quota.resetsAt - Date.now())} 후에 다시 시도해주세요.`
+                    : '잠금 해제 요청이 너무 많습니다. 잠시 후 다시 시도해주세요.'
+            };
+        }
+
+        if (message.includes('QUOTA_EXCEEDED')) {
+            const label = error.quota && error.quota.kind === 'image' ? '이미지 생성' : '생성';
+            return {
+                type: 'warning',
+                title: `${label} 한도 도달`,
+                message: error.quota
+                    ? RateLimitModule.describeFullWindow(error.quota, label)
+                    : `중계 서버의 ${label} 한도에 도달했습니다. 나중에 다시 시도해주세요.`
+            };
+        }
+
+        if (message.includes('IMAGE_NOT_SUPPORTED')) {
+            return {
+                type: 'warning',
+                title: '이미지 생성 불가',
+                message: '선택한 모델로는 이미지를 생성할 수 없습니다. Gemini 모델을 선택하거나 이미지 모델을 설정해주세요.'
+            };
+        }
+
         if (message.includes('Failed to fetch') || message.includes('NetworkError')) {
             return {
                 type: 'error',
@@ -882,12 +1710,43 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
         };
     }
 
+    /**
+     * Describes a prompt or answer that a content filter blocked
+     * @param {string} message - PROMPT_BLOCKED or SAFETY_BLOCKED error message
+     * @returns {Object} - Classified error with type, title, and message
+     */
+    function classifyBlock(message) {
+        const isPrompt = message.includes('PROMPT_BLOCKED');
+        const subject = isPrompt ? '보낸 내용이' : '생성된 내용이';
+        const category = (message.match(/HARM_CATEGORY_[A-Z_]+/) || [])[0];
+        const label = HARM_CATEGORY_LABELS[category];
+
+        if (FIXED_BLOCK_REASONS.some(reason => message.includes(reason))) {
+            return {
+                type: 'warning',
+                title: '콘텐츠 정책 차단',
+                message: `${subject} 금지된 콘텐츠로 판단되어 차단되었습니다. 안전 설정으로는 해제할 수 없으니 해당 장면의 묘사를 바꿔보세요.`
+            };
+        }
+
+        const reason = label ? `'${label}' 항목으로 판단되어` : '안전 필터에 걸려';
+        const hint = category === 'HARM_CATEGORY_DANGEROUS_CONTENT' || category === 'HARM_CATEGORY_HARASSMENT'
+            ? '분위기(톤)를 조정하거나 잔혹한 묘사를 줄여보세요'
+            : '분위기(톤)나 묘사 수위를 조정해보세요';
+
+        return {
+            type: 'warning',
+            title: isPrompt ? '입력 내용 차단' : '안전 필터 차단',
+            message: `${subject} ${reason} 차단되었습니다. ${hint}. 안전 설정에서 차단 기준을 낮출 수도 있습니다.`
+        };
+    }
+
     // ========================================
     // IMAGE GENERATION
     // ========================================
 
     /**
-     * Generates an image using the Gemini image generation model
+     * Generates an image with the image model of the selected provider
      * @param {string} contextText - The novel context to generate an image for
      * @param {Object} settings - Generation settings (genre, style, etc.)
      * @param {Function} onComplete - Callback with base64 image data
@@ -906,58 +1765,22 @@ Example approach: "The letter sat unopened on the table. She knew that handwriti
         try {
             // Build a prompt for image generation based on the novel context
             const imagePrompt = buildImagePrompt(contextText, settings);
-            
-            const requestBody = {
-                contents: [
-                    {
-                        role: 'user',
-                        parts: [{ text: imagePrompt }]
-                    }
-                ],
-                generationConfig: {
-                    responseModalities: ['TEXT', 'IMAGE']
-                }
-            };
-
-            const url = `${API_BASE_URL}/models/gemini-2.0-flash-exp-image-generation:generateContent?key=${apiKey}`;
-
-            const response = await fetch(url, {
-                method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
-                body: JSON.stringify(requestBody),
-                signal: currentController.signal
-            });
 
-            if (!response.ok) {
-                const errorData = await response.json().catch(() => ({}));
-                const errorMsg = errorData.error?.message || response.statusText || 'Unknown error';
-                throw new Error(`API_ERROR_${response.status}: ${errorMsg}`);
+            // Images come from the provider of the selected model
+            const { provider } = ProviderModule.resolveModel(settings.model);
+            if (!provider.generateImage) {
+                throw new Error(`IMAGE_NOT_SUPPORTED: ${provider.name} models cannot generate images`);
             }
 
-            const data = await response.json();
-            
-            // Log the raw AI image response data
-            console.log('Raw AI Image Response Data:', data);
-            
-            // Extract the image from the response
-            const parts = data.candidates?.[0]?.content?.parts;
-            if (!parts || parts.length === 0) {
-                throw new Error('EMPTY_RESPONSE: The AI did not generate an image');
-            }
-
-            // Find the image part in the response
-            let imageData = null;
-            for (const part of parts) {
-                if (part.inlineData && part.inlineData.mimeType && part.inlineData.data) {
-                    imageData = {
-                        mimeType: part.inlineData.mimeType,
-                        data: part.inlineData.data
-                    };
-                    break;
-                }
-            }
+            // The image model belongs to the provider, so there is no fallback model
+            const imageData = await withRetries(settings.model, null, (activeModel, signal) =>
+                provider.generateImage(imagePrompt, {
+                    apiKey: apiKey,
+                    signal: signal,
+                    safetySettings: buildSafetySettings(settings),
+                    onUsage: createUsageReporter(activeModel, 'image')
+                })
+            );
 
             if (!imageData) {
                 throw new Error('NO_IMAGE_IN_RESPONSE: The AI response did not contain an image');
@@ -1015,8 +1838,14 @@ Create the illustration now.`;
         initialize,
         isInitialized,
         generateText,
+        generateCandidates,
+        reviseText,
+        summarizeText,
         generateImage,
         stopGeneration,
+        countTokens,
+        setUsageHandler,
+        setRetryHandler,
         classifyError
     };
 
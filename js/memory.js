@@ -0,0 +1,223 @@
+/**
+ * ========================================
+ * MEMORY MODULE
+ * Keeps a rolling summary of the manuscript
+ * so long stories fit the input token limit
+ * ========================================
+ */
+
+const MemoryModule = (function() {
+    'use strict';
+
+    // ========================================
+    // CONFIGURATION
+    // ========================================
+
+    const CONFIG = {
+        // Tokens right before the cursor that are always sent word for word
+        VERBATIM_TOKENS: 1200
+    };
+
+    // Note placed in front of the summaries when the oldest ones do not fit
+    const OMITTED_NOTE = '(Summaries of the earliest chapters are omitted.)';
+
+    // ========================================
+    // STATE
+    // ========================================
+
+    // Cached summaries by chapter text hash: { title, summary, updatedAt }
+    let summaries = {};
+
+    /**
+     * Loads the cached summaries of the current document
+     * @param {Object} saved - Summaries stored with the document
+     */
+    function load(saved) {
+        summaries = { ...(saved || {}) };
+    }
+
+    /**
+     * Gets the cached summaries for storing with the document
+     * @returns {Object} - Summaries keyed by chapter text hash
+     */
+    function getSummaries() {
+        return summaries;
+    }
+
+    // ========================================
+    // CHAPTER UNITS
+    // ========================================
+
+    /**
+     * Hashes text with 32-bit FNV-1a
+     * @param {string} text - Text to hash
+     * @returns {string} - Hash with the text length appended
+     */
+    function hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${(hash >>> 0).toString(16)}-${text.length}`;
+    }
+
+    /**
+     * Splits text into the units that are summarized one by one.
+     * Long chapters are split so a single unit always fits the verbatim window.
+     * @param {string} text - Manuscript text
+     * @returns {Object[]} - Units [{ title, start, end, text, hash }]
+     */
+    function getUnits(text) {
+        const maxChars = CONFIG.VERBATIM_TOKENS * RateLimitModule.CONFIG.CHARS_PER_TOKEN_ESTIMATE;
+        return ChapterModule.splitChapters(text, maxChars).map(unit => ({
+            ...unit,
+            hash: hashText(unit.text)
+        }));
+    }
+
+    /**
+     * Checks whether the text before the cursor is too long to send as is
+     * @param {string} textBefore - Text before cursor
+     * @returns {boolean} - True if the summary memory should be used
+     */
+    function needsSummary(textBefore) {
+        return RateLimitModule.estimateTokenCount(textBefore) > RateLimitModule.CONFIG.MAX_INPUT_TOKENS;
+    }
+
+    // ========================================
+    // SUMMARIES
+    // ========================================
+
+    /**
+     * Lists the units of the manuscript with their summaries.
+     * Summaries of chapters that no longer exist are dropped from the cache.
+     * @param {string} text - Full manuscript text
+     * @returns {Object[]} - Units with { summary, isStale, previousSummary }
+     */
+    function getOverview(text) {
+        const units = getUnits(text);
+        const byTitle = {};
+        Object.values(summaries).forEach(entry => {
+            byTitle[entry.title] = entry.summary;
+        });
+
+        const overview = units.map(unit => {
+            const cached = summaries[unit.hash];
+            return {
+                ...unit,
+                summary: cached ? cached.summary : '',
+                isStale: !cached,
+                // The old summary of a changed chapter, shown until it is regenerated
+                previousSummary: cached ? '' : (byTitle[unit.title] || '')
+            };
+        });
+
+        const hashes = new Set(units.map(unit => unit.hash));
+        Object.keys(summaries).forEach(hash => {
+            if (!hashes.has(hash)) delete summaries[hash];
+        });
+
+        return overview;
+    }
+
+    /**
+     * Generates and caches the summary of one unit
+     * @param {Object} unit - Unit from getUnits
+     * @param {Object} settings - Generation settings
+     * @returns {Promise<string>} - Generated summary
+     */
+    async function summarizeUnit(unit, settings) {
+        const summary = await GeminiModule.summarizeText(unit.text, settings);
+        setSummary(unit, summary);
+        return summary;
+    }
+
+    /**
+     * Stores a summary for a unit (generated or edited by hand)
+     * @param {Object} unit - Unit from getUnits
+     * @param {string} summary - Summary text
+     */
+    function setSummary(unit, summary) {
+        summaries[unit.hash] = {
+            title: unit.title,
+            summary: summary.trim(),
+            updatedAt: Date.now()
+        };
+    }
+
+    /**
+     * Lists the units before the cursor's chapter that have no summary for
+     * their current text. They have to be summarized before buildContext.
+     * @param {string} textBefore - Text before cursor
+     * @returns {Object[]} - Units from getUnits
+     */
+    function getStaleUnits(textBefore) {
+        const units = getUnits(textBefore);
+        units.pop();
+        return units.filter(unit => !summaries[unit.hash]);
+    }
+
+    // ========================================
+    // CONTEXT BUILDING
+    // ========================================
+
+    /**
+     * Builds the generation context for a long manuscript: the chapter the
+     * cursor is in goes word for word, every earlier chapter is replaced by
+     * its summary. Chapters without a summary (see getStaleUnits) are left
+     * out. When all summaries do not fit the input token limit the oldest
+     * ones are left out too.
+     * @param {string} textBefore - Text before cursor
+     * @returns {Object} - { storySummary, contextBefore }
+     */
+    function buildContext(textBefore) {
+        const units = getUnits(textBefore).filter((unit, i, all) => i === all.length - 1 || summaries[unit.hash]);
+        const current = units.pop();
+
+        // A hard-cut unit can still run past the window, as can Korean or
+        // Japanese text split by characters; keep its end
+        const contextBefore = RateLimitModule.keepLastTokens(current ? current.text : '', CONFIG.VERBATIM_TOKENS);
+
+        let budget = RateLimitModule.CONFIG.MAX_INPUT_TOKENS -
+            RateLimitModule.estimateTokenCount(contextBefore) -
+            RateLimitModule.estimateTokenCount(OMITTED_NOTE) - 1;
+        const lines = [];
+
+        for (let i = units.length - 1; i >= 0; i--) {
+            const line = `## ${units[i].title}\n${summaries[units[i].hash].summary}`;
+            const tokens = RateLimitModule.estimateTokenCount(line) + 1;
+            if (tokens > budget) break;
+            lines.unshift(line);
+            budget -= tokens;
+        }
+
+        if (lines.length < units.length && lines.length > 0) {
+            lines.unshift(OMITTED_NOTE);
+        }
+
+        return {
+            storySummary: lines.join('\n\n'),
+            contextBefore
+        };
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        load,
+        getSummaries,
+        hashText,
+        getUnits,
+        needsSummary,
+        getOverview,
+        summarizeUnit,
+        getStaleUnits,
+        setSummary,
+        buildContext,
+        CONFIG
+    };
+
+})();
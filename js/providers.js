@@ -0,0 +1,1109 @@
+/**
+ * ========================================
+ * PROVIDER MODULE
+ * Sends requests to the model backends:
+ * Gemini, OpenAI-compatible chat completion
+ * APIs, local servers (Ollama, llama.cpp)
+ * and an offline mock for development
+ * ========================================
+ */
+
+const ProviderModule = (function() {
+    'use strict';
+
+    // ========================================
+    // CONFIGURATION
+    // ========================================
+
+    const GEMINI_API_BASE_URL = 'https://generativelanguage.googleapis.com/v1beta';
+
+    // Gemini model that can answer with images
+    const GEMINI_IMAGE_MODEL = 'gemini-2.0-flash-exp-image-generation';
+
+    // Relay that holds the Gemini key (relay/server.js or the Apps Script web app).
+    // When set, Gemini requests go through it and the key never reaches the browser.
+    // A relay on this machine can also be chosen for one visit with ?proxy=http://localhost:8787
+    const PROXY_URL = '';
+
+    // Statuses the relay marks its own refusals with, and the errors they become
+    const PROXY_ERRORS = {
+        INVALID_PASSWORD: 'INVALID_PASSWORD',
+        SESSION_EXPIRED: 'PROXY_SESSION_EXPIRED',
+        SESSION_LIMIT: 'PROXY_SESSION_LIMIT',
+        QUOTA_EXCEEDED: 'QUOTA_EXCEEDED'
+    };
+
+    // Finish reasons of a Gemini answer that was cut off by a content filter
+    const BLOCKED_FINISH_REASONS = ['SAFETY', 'PROHIBITED_CONTENT', 'BLOCKLIST', 'SPII', 'IMAGE_SAFETY'];
+
+    // Ranks of the safety rating probabilities, to find the category that caused a block
+    const HARM_PROBABILITY_RANKS = { NEGLIGIBLE: 1, LOW: 2, MEDIUM: 3, HIGH: 4 };
+
+    // Separates the provider from the model name in model ids, e.g. "local:llama3.1:8b".
+    // Ids without a known provider prefix are Gemini models.
+    const MODEL_ID_SEPARATOR = ':';
+
+    const MOCK_CONFIG = {
+        // Delay before the first answer and between streamed chunks (ms)
+        RESPONSE_DELAY: 600,
+        CHUNK_DELAY: 60,
+        // How long a simulated timeout hangs before the connection drops (ms)
+        TIMEOUT_DELAY: 10000,
+        IMAGE_SIZE: 512
+    };
+
+    // Failures the mock can be told to produce, by name
+    const MOCK_FAILURES = {
+        '400': { status: 400, message: 'Invalid request (mock)' },
+        '401': { status: 401, message: 'API key not valid (mock)' },
+        '403': { status: 403, message: 'Permission denied (mock)' },
+        '404': { status: 404, message: 'Model not found (mock)' },
+        '429': { status: 429, message: 'Resource has been exhausted (mock)', retryDelay: '2s' },
+        '500': { status: 500, message: 'Internal error (mock)' },
+        '503': { status: 503, message: 'The model is overloaded (mock)' },
+        safety: {
+            response: {
+                candidates: [{
+                    finishReason: 'SAFETY',
+                    safetyRatings: [{ category: 'HARM_CATEGORY_DANGEROUS_CONTENT', probability: 'HIGH', blocked: true }]
+                }]
+            }
+        },
+        recitation: { response: { candidates: [{ finishReason: 'RECITATION' }] } },
+        empty: {},
+        timeout: {}
+    };
+
+    // Sentences the mock continues stories with, by language setting
+    const MOCK_SENTENCES = {
+        EN: [
+            'The wind shifted, carrying the smell of rain across the empty square.',
+            'She paused at the door, listening for footsteps that never came.',
+            '"We should have left an hour ago," he muttered, checking the road again.',
+            'Somewhere below, a bell rang twice and fell silent.',
+            'The letter was still in her pocket, its edges soft from folding.',
+            'Nobody spoke as the lanterns flickered and steadied.',
+            'He counted the coins twice before he dared to believe it.',
+            'By the time the sun broke through, the tracks had already vanished.'
+        ],
+        KR: [
+            '바람의 방향이 바뀌자 텅 빈 광장 너머로 비 냄새가 밀려왔다.',
+            '그녀는 문 앞에서 멈춰 끝내 들려오지 않는 발소리에 귀를 기울였다.',
+            '"한 시간 전에 떠났어야 했어." 그가 다시 길을 살피며 중얼거렸다.',
+            '어딘가 아래쪽에서 종이 두 번 울리고는 이내 잠잠해졌다.',
+            '편지는 여전히 주머니 속에 있었고, 접힌 모서리는 닳아 부드러웠다.',
+            '등불이 흔들리다 가라앉는 동안 아무도 입을 열지 않았다.',
+            '그는 믿기지 않아 동전을 두 번이나 다시 셌다.',
+            '해가 구름을 뚫고 나왔을 때 발자국은 이미 사라지고 없었다.'
+        ],
+        JP: [
+            '風向きが変わり、誰もいない広場の向こうから雨の匂いが流れてきた。',
+            '彼女は扉の前で立ち止まり、来るはずのない足音に耳を澄ませた。',
+            '「一時間前に出るべきだったな」と彼は道をもう一度確かめながら呟いた。',
+            'どこか下の方で鐘が二度鳴り、やがて静かになった。',
+            '手紙はまだポケットの中にあり、折り目の角は柔らかくなっていた。',
+            'ランタンの灯が揺れて落ち着くまで、誰も口を開かなかった。',
+            '彼は信じられずに硬貨を二度数え直した。',
+            '日が差し込んだ頃には、足跡はもう消えていた。'
+        ]
+    };
+
+    // ========================================
+    // SHARED HELPERS
+    // ========================================
+
+    /**
+     * Reads the wait Gemini asks for in the RetryInfo detail of an error, e.g. "12.5s"
+     * @param {Object[]} details - Error details
+     * @returns {number|null} - Wait in milliseconds, or null if there is none
+     */
+    function getRetryInfoDelay(details) {
+        const retryInfo = (Array.isArray(details) ? details : [])
+            .find(detail => detail && /RetryInfo$/.test(detail['@type'] || ''));
+        const match = retryInfo && /^(\d+(?:\.\d+)?)s$/.exec(retryInfo.retryDelay || '');
+        return match ? Math.round(parseFloat(match[1]) * 1000) : null;
+    }
+
+    /**
+     * Reads the Retry-After header, given in seconds or as a date
+     * @param {Response} response - Fetch response
+     * @returns {number|null} - Wait in milliseconds, or null if there is none
+     */
+    function getRetryAfterHeader(response) {
+        const value = response.headers && response.headers.get('Retry-After');
+        if (!value) return null;
+
+        if (/^\d+$/.test(value.trim())) {
+            return parseInt(value, 10) * 1000;
+        }
+        const date = Date.parse(value);
+        return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+    }
+
+    /**
+     * Creates an API_ERROR, keeping the wait the server asked for before a retry
+     * @param {number} status - HTTP status or error code
+     * @param {string} message - Error message
+     * @param {number|null} retryAfter - Requested wait in milliseconds
+     * @returns {Error} - Error with retryAfter set when known
+     */
+    function createApiError(status, message, retryAfter) {
+        const error = new Error(`API_ERROR_${status}: ${message}`);
+        if (retryAfter !== null) {
+            error.retryAfter = retryAfter;
+        }
+        return error;
+    }
+
+    /**
+     * Throws an API_ERROR for an unsuccessful response
+     * @param {Response} response - Fetch response
+     * @returns {Promise<void>}
+     */
+    async function checkResponse(response) {
+        if (response.ok) return;
+
+        const errorData = await response.json().catch(() => ({}));
+        // Gemini and OpenAI wrap the message in an error object, Ollama sends a plain string
+        const errorMsg = errorData.error?.message ||
+            (typeof errorData.error === 'string' ? errorData.error : '') ||
+            response.statusText || 'Unknown error';
+        throwProxyError(errorData.error);
+        const retryAfter = getRetryInfoDelay(errorData.error?.details) ?? getRetryAfterHeader(response);
+        throw createApiError(response.status, errorMsg, retryAfter);
+    }
+
+    /**
+     * Throws an API_ERROR for an error event in a stream, or an error object
+     * a relay answered with a successful status
+     * @param {Object} error - Error object of the event
+     */
+    function throwStreamError(error) {
+        throwProxyError(error);
+        throw createApiError(error.code || 500, error.message || 'Unknown error', getRetryInfoDelay(error.details));
+    }
+
+    /**
+     * Throws the relay's own refusals as errors that are not retried
+     * @param {Object} error - Error object of a response
+     */
+    function throwProxyError(error) {
+        const code = error && PROXY_ERRORS[error.status];
+        if (!code) return;
+
+        const proxyError = new Error(`${code}: ${error.message || error.status}`);
+        proxyError.isRetryable = false;
+        if (error.quota) {
+            proxyError.quota = error.quota;
+        }
+        throw proxyError;
+    }
+
+    /**
+     * Posts a JSON request body
+     * @param {string} url - Endpoint url
+     * @param {Object} body - Request body
+     * @param {Object} options - { headers, signal, isLocal }
+     * @returns {Promise<Response>} - Successful response
+     */
+    async function postJson(url, body, options) {
+        let response;
+        try {
+            response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...options.headers
+                },
+                body: JSON.stringify(body),
+                signal: options.signal
+            });
+        } catch (error) {
+            // A local server that is not running looks like any network failure otherwise
+            if (options.isLocal && error.name !== 'AbortError') {
+                throw new Error(`PROVIDER_UNREACHABLE: ${url} (${error.message})`);
+            }
+            throw error;
+        }
+
+        await checkResponse(response);
+        return response;
+    }
+
+    /**
+     * Reads a server-sent events stream and passes each event's data on
+     * @param {Response} response - Streaming fetch response
+     * @param {Function} onData - Called with the data of every event
+     * @returns {Promise<void>}
+     */
+    async function readServerSentEvents(response, onData) {
+        if (!response.body) {
+            throw new Error('EMPTY_RESPONSE: The AI returned an empty response');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        const processEvent = (event) => {
+            const payload = event
+                .split(/\r?\n/)
+                .filter(line => line.startsWith('data:'))
+                .map(line => line.substring(5).trimStart())
+                .join('\n');
+
+            if (payload) onData(payload);
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // SSE events are separated by a blank line
+            const events = buffer.split(/\r?\n\r?\n/);
+            buffer = events.pop();
+            events.forEach(processEvent);
+        }
+
+        buffer += decoder.decode();
+        if (buffer.trim()) {
+            processEvent(buffer);
+        }
+    }
+
+    /**
+     * Passes the token usage of an answer to the usage callback of the request
+     * @param {Object} options - Request options with an optional onUsage callback
+     * @param {Object|null} usage - { promptTokens, outputTokens, totalTokens, model? }
+     */
+    function reportUsage(options, usage) {
+        if (usage && options.onUsage) {
+            options.onUsage(usage);
+        }
+    }
+
+    /**
+     * Reads the usage metadata of a Gemini answer. Thinking tokens are billed as output.
+     * @param {Object} metadata - usageMetadata of the answer
+     * @returns {Object|null} - { promptTokens, outputTokens, totalTokens }
+     */
+    function fromGeminiUsage(metadata) {
+        if (!metadata) return null;
+        const promptTokens = metadata.promptTokenCount || 0;
+        const outputTokens = (metadata.candidatesTokenCount || 0) + (metadata.thoughtsTokenCount || 0);
+        return {
+            promptTokens,
+            outputTokens,
+            totalTokens: metadata.totalTokenCount || promptTokens + outputTokens
+        };
+    }
+
+    /**
+     * Reads the usage of a chat completions answer
+     * @param {Object} usage - usage of the answer
+     * @returns {Object|null} - { promptTokens, outputTokens, totalTokens }
+     */
+    function fromChatUsage(usage) {
+        if (!usage) return null;
+        const promptTokens = usage.prompt_tokens || usage.input_tokens || 0;
+        const outputTokens = usage.completion_tokens || usage.output_tokens || 0;
+        return {
+            promptTokens,
+            outputTokens,
+            totalTokens: usage.total_tokens || promptTokens + outputTokens
+        };
+    }
+
+    /**
+     * Joins the text parts of a Gemini message
+     * @param {Object[]} parts - Message parts
+     * @returns {string} - Text
+     */
+    function joinTextParts(parts) {
+        return (parts || []).map(part => part.text || '').join('');
+    }
+
+    // ========================================
+    // PROXY
+    // ========================================
+
+    // Session of the relay, once the password has been checked: { url, token, expiresAt }
+    let proxySession = null;
+
+    /**
+     * Gets the relay Gemini requests go through
+     * @returns {string} - Relay url, or '' to call Gemini directly
+     */
+    function getProxyUrl() {
+        const queryUrl = new URLSearchParams(typeof location !== 'undefined' ? location.search : '').get('proxy');
+        // Only a relay on this machine may come from a link, so a link cannot send the password elsewhere
+        if (queryUrl && /^http:\/\/(localhost|127\.0\.0\.1)(:\d+)?\/?$/.test(queryUrl)) {
+            return queryUrl.replace(/\/$/, '');
+        }
+        return PROXY_URL;
+    }
+
+    /**
+     * Checks whether Gemini requests go through a relay
+     * @returns {boolean} - True in proxy mode
+     */
+    function isProxyEnabled() {
+        return Boolean(getProxyUrl());
+    }
+
+    /**
+     * Posts a request to the relay. The body is sent as plain text, which an
+     * Apps Script web app accepts without a CORS preflight.
+     * @param {string} url - Relay url
+     * @param {Object} body - Request { action, ... }
+     * @param {Object} options - { signal }
+     * @returns {Promise<Response>} - Successful response
+     */
+    async function postProxy(url, body, options) {
+        try {
+            return await postJson(url, body, {
+                headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+                signal: options.signal
+            });
+        } catch (error) {
+            if (error instanceof TypeError) {
+                throw new Error(`PROXY_UNREACHABLE: ${url} (${error.message})`);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Checks the password with the relay and keeps the session it issues
+     * @param {string} password - Entered password
+     * @returns {Promise<Object>} - { isAdmin, expiresAt }
+     */
+    async function startProxySession(password) {
+        const url = getProxyUrl();
+        const response = await postProxy(url, { action: 'session', password }, {});
+        const data = await readGeminiJson(response);
+
+        if (!data.token) {
+            throw new Error('PROXY_UNREACHABLE: The relay did not issue a session');
+        }
+        proxySession = { url, token: data.token, expiresAt: data.expiresAt };
+        return { isAdmin: Boolean(data.isAdmin), expiresAt: data.expiresAt };
+    }
+
+    /**
+     * Sends a Gemini request, through the relay in proxy mode
+     * @param {string} model - Model name
+     * @param {string} method - 'generateContent', 'streamGenerateContent' or 'countTokens'
+     * @param {Object} requestBody - Gemini request body
+     * @param {Object} options - { apiKey, signal }
+     * @returns {Promise<Response>} - Successful response; streams are server-sent events
+     */
+    async function postGemini(model, method, requestBody, options) {
+        if (!isProxyEnabled()) {
+            const query = method === 'streamGenerateContent' ? 'alt=sse&' : '';
+            const url = `${GEMINI_API_BASE_URL}/models/${model}:${method}?${query}key=${options.apiKey}`;
+            return postJson(url, requestBody, options);
+        }
+
+        if (!proxySession) {
+            throw new Error('API_NOT_INITIALIZED: No relay session');
+        }
+        return postProxy(proxySession.url, {
+            action: 'forward',
+            token: proxySession.token,
+            model,
+            method,
+            body: requestBody
+        }, options);
+    }
+
+    /**
+     * Reads a JSON answer. A relay that cannot set status codes sends its
+     * errors with a successful status.
+     * @param {Response} response - Successful response
+     * @returns {Promise<Object>} - Parsed answer
+     */
+    async function readGeminiJson(response) {
+        const data = await response.json();
+        if (data.error) {
+            throwStreamError(data.error);
+        }
+        return data;
+    }
+
+    // ========================================
+    // GEMINI
+    // ========================================
+
+    /**
+     * Finds the harm category that most likely caused a block
+     * @param {Object[]} safetyRatings - Safety ratings of the prompt or the candidate
+     * @returns {string} - Category, e.g. "HARM_CATEGORY_DANGEROUS_CONTENT", or '' if unknown
+     */
+    function getBlockedCategory(safetyRatings) {
+        const rank = (rating) => (rating.blocked ? 10 : 0) + (HARM_PROBABILITY_RANKS[rating.probability] || 0);
+        const ratings = (safetyRatings || []).slice().sort((a, b) => rank(b) - rank(a));
+        return ratings.length > 0 && rank(ratings[0]) >= HARM_PROBABILITY_RANKS.MEDIUM ? ratings[0].category : '';
+    }
+
+    /**
+     * Turns the block reasons and finish reasons of a Gemini answer into errors.
+     * Text cut off at the token limit is kept; only an empty answer is an error.
+     * @param {Object} data - Gemini response, or one streamed event
+     * @param {boolean} hasOutput - Whether any output has been received
+     * @throws {Error} - PROMPT_BLOCKED, SAFETY_BLOCKED, RECITATION_BLOCKED or MAX_TOKENS errors
+     */
+    function checkGeminiFinish(data, hasOutput) {
+        const feedback = data.promptFeedback;
+        if (feedback && feedback.blockReason) {
+            throw new Error(`PROMPT_BLOCKED: ${feedback.blockReason} ${getBlockedCategory(feedback.safetyRatings)}`.trim());
+        }
+
+        const candidate = data.candidates?.[0];
+        const finishReason = candidate?.finishReason;
+
+        if (BLOCKED_FINISH_REASONS.includes(finishReason)) {
+            throw new Error(`SAFETY_BLOCKED: ${finishReason} ${getBlockedCategory(candidate.safetyRatings)}`.trim());
+        }
+        if (finishReason === 'RECITATION') {
+            throw new Error('RECITATION_BLOCKED: The answer was stopped for resembling existing text');
+        }
+        if (finishReason === 'MAX_TOKENS' && !hasOutput) {
+            throw new Error('MAX_TOKENS: The output token limit was reached before any text');
+        }
+    }
+
+    // Requests are built in the Gemini format; the other providers convert them
+    const geminiProvider = {
+        id: 'gemini',
+        name: 'Gemini',
+
+        /**
+         * Requests a single completion
+         * @param {string} model - Model name
+         * @param {Object} requestBody - Gemini request body
+         * @param {Object} options - { apiKey, signal, onUsage }
+         * @returns {Promise<string>} - Raw generated text
+         */
+        async complete(model, requestBody, options) {
+            const response = await postGemini(model, 'generateContent', requestBody, options);
+            const data = await readGeminiJson(response);
+
+            // Log the raw AI response data
+            console.log('Raw AI Response Data:', data);
+            reportUsage(options, fromGeminiUsage(data.usageMetadata));
+
+            const text = data.candidates?.[0]?.content?.parts?.[0]?.text || '';
+            checkGeminiFinish(data, Boolean(text));
+            return text;
+        },
+
+        /**
+         * Streams a completion
+         * @param {string} model - Model name
+         * @param {Object} requestBody - Gemini request body
+         * @param {Object} options - { apiKey, signal, onUsage }
+         * @param {Function} onText - Called with each piece of text as it arrives
+         * @returns {Promise<void>}
+         */
+        async stream(model, requestBody, options, onText) {
+            const response = await postGemini(model, 'streamGenerateContent', requestBody, options);
+            let receivedText = '';
+            // Every event carries the usage so far; the last one counts
+            let usage = null;
+
+            try {
+                await readServerSentEvents(response, (payload) => {
+                    const data = JSON.parse(payload);
+                    if (data.error) {
+                        throwStreamError(data.error);
+                    }
+                    usage = fromGeminiUsage(data.usageMetadata) || usage;
+
+                    const text = joinTextParts(data.candidates?.[0]?.content?.parts);
+                    receivedText += text;
+                    onText(text);
+                    // The finish reason comes with the last event
+                    checkGeminiFinish(data, Boolean(receivedText));
+                });
+            } finally {
+                // Tokens of a stream that broke off are billed too
+                reportUsage(options, usage);
+            }
+        },
+
+        /**
+         * Counts the tokens of a text with the model's tokenizer
+         * @param {string} model - Model name
+         * @param {string} text - Text to count
+         * @param {Object} options - { apiKey, signal }
+         * @returns {Promise<number>} - Token count
+         */
+        async countTokens(model, text, options) {
+            const response = await postGemini(model, 'countTokens', {
+                contents: [{ role: 'user', parts: [{ text }] }]
+            }, options);
+            const data = await readGeminiJson(response);
+            return data.totalTokens || 0;
+        },
+
+        /**
+         * Generates an image
+         * @param {string} prompt - Image prompt
+         * @param {Object} options - { apiKey, signal, safetySettings, onUsage }
+         * @returns {Promise<Object|null>} - { mimeType, data } or null if the answer had no image
+         */
+        async generateImage(prompt, options) {
+            const requestBody = {
+                contents: [
+                    {
+                        role: 'user',
+                        parts: [{ text: prompt }]
+                    }
+                ],
+                generationConfig: {
+                    responseModalities: ['TEXT', 'IMAGE']
+                },
+                safetySettings: options.safetySettings
+            };
+
+            const response = await postGemini(GEMINI_IMAGE_MODEL, 'generateContent', requestBody, options);
+            const data = await readGeminiJson(response);
+
+            // Log the raw AI image response data
+            console.log('Raw AI Image Response Data:', data);
+            const usage = fromGeminiUsage(data.usageMetadata);
+            reportUsage(options, usage && { ...usage, model: GEMINI_IMAGE_MODEL });
+
+            const parts = data.candidates?.[0]?.content?.parts;
+            checkGeminiFinish(data, Boolean(parts && parts.length > 0));
+
+            if (!parts || parts.length === 0) {
+                throw new Error('EMPTY_RESPONSE: The AI did not generate an image');
+            }
+
+            const part = parts.find(p => p.inlineData && p.inlineData.mimeType && p.inlineData.data);
+            return part ? { mimeType: part.inlineData.mimeType, data: part.inlineData.data } : null;
+        }
+    };
+
+    // ========================================
+    // OPENAI-COMPATIBLE
+    // ========================================
+
+    /**
+     * Converts a Gemini request body to a chat completions request.
+     * A trailing model message (the prefill) is left out: chat APIs answer
+     * with a new message instead of continuing it, and the text it repeats
+     * is already part of the prompt.
+     * @param {string} model - Model name
+     * @param {Object} requestBody - Gemini request body
+     * @returns {Object} - Chat completions request body
+     */
+    function toChatRequest(model, requestBody) {
+        const contents = requestBody.contents.slice();
+        if (contents.length > 1 && contents[contents.length - 1].role === 'model') {
+            contents.pop();
+        }
+
+        const config = requestBody.generationConfig || {};
+        const body = {
+            model: model,
+            messages: contents.map(content => ({
+                role: content.role === 'model' ? 'assistant' : 'user',
+                content: joinTextParts(content.parts)
+            }))
+        };
+
+        if (config.temperature !== undefined) body.temperature = config.temperature;
+        if (config.topP !== undefined) body.top_p = config.topP;
+        if (config.maxOutputTokens !== undefined) body.max_tokens = config.maxOutputTokens;
+        if (config.stopSequences && config.stopSequences.length > 0) body.stop = config.stopSequences;
+
+        return body;
+    }
+
+    /**
+     * Turns the finish reason of a chat completion into the errors the Gemini answers give
+     * @param {string} finishReason - Finish reason of the first choice
+     * @param {boolean} hasOutput - Whether any text has been received
+     * @throws {Error} - SAFETY_BLOCKED or MAX_TOKENS errors
+     */
+    function checkChatFinish(finishReason, hasOutput) {
+        if (finishReason === 'content_filter') {
+            throw new Error('SAFETY_BLOCKED: CONTENT_FILTER');
+        }
+        if (finishReason === 'length' && !hasOutput) {
+            throw new Error('MAX_TOKENS: The output token limit was reached before any text');
+        }
+    }
+
+    /**
+     * Creates a provider for an OpenAI-compatible API
+     * @param {string} id - Provider id, used as the model id prefix
+     * @param {string} name - Display name
+     * @param {boolean} isLocal - Whether the server runs on this machine
+     * @returns {Object} - Provider
+     */
+    function createOpenAiProvider(id, name, isLocal) {
+        /**
+         * Gets the endpoint and headers from the stored provider settings
+         * @param {AbortSignal} signal - Abort signal of the request
+         * @returns {Object} - { baseUrl, headers, signal, isLocal }
+         */
+        const getConnection = (signal) => {
+            const config = StorageModule.loadProviderSettings()[id];
+            if (!config.baseUrl) {
+                throw new Error(`PROVIDER_NOT_CONFIGURED: No address set for ${name}`);
+            }
+
+            const headers = {};
+            if (config.apiKey) {
+                headers.Authorization = `Bearer ${config.apiKey}`;
+            }
+
+            return {
+                baseUrl: config.baseUrl.replace(/\/+$/, ''),
+                imageModel: config.imageModel,
+                headers,
+                signal,
+                isLocal
+            };
+        };
+
+        const provider = {
+            id,
+            name,
+            isLocal,
+
+            /**
+             * Requests a single completion
+             * @param {string} model - Model name
+             * @param {Object} requestBody - Gemini request body
+             * @param {Object} options - { signal, onUsage }
+             * @returns {Promise<string>} - Raw generated text
+             */
+            async complete(model, requestBody, options) {
+                const connection = getConnection(options.signal);
+                const response = await postJson(`${connection.baseUrl}/chat/completions`,
+                    toChatRequest(model, requestBody), connection);
+                const data = await response.json();
+
+                // Log the raw AI response data
+                console.log('Raw AI Response Data:', data);
+                reportUsage(options, fromChatUsage(data.usage));
+
+                const text = data.choices?.[0]?.message?.content || '';
+                checkChatFinish(data.choices?.[0]?.finish_reason, Boolean(text));
+                return text;
+            },
+
+            /**
+             * Streams a completion
+             * @param {string} model - Model name
+             * @param {Object} requestBody - Gemini request body
+             * @param {Object} options - { signal, onUsage }
+             * @param {Function} onText - Called with each piece of text as it arrives
+             * @returns {Promise<void>}
+             */
+            async stream(model, requestBody, options, onText) {
+                const connection = getConnection(options.signal);
+                // The usage is only sent in a last extra event when asked for
+                const response = await postJson(`${connection.baseUrl}/chat/completions`, {
+                    ...toChatRequest(model, requestBody),
+                    stream: true,
+                    stream_options: { include_usage: true }
+                }, connection);
+                let receivedText = '';
+                let usage = null;
+
+                try {
+                    await readServerSentEvents(response, (payload) => {
+                        if (payload === '[DONE]') return;
+
+                        const data = JSON.parse(payload);
+                        if (data.error) {
+                            throwStreamError(data.error);
+                        }
+                        usage = fromChatUsage(data.usage) || usage;
+
+                        const text = data.choices?.[0]?.delta?.content || '';
+                        receivedText += text;
+                        onText(text);
+                        checkChatFinish(data.choices?.[0]?.finish_reason, Boolean(receivedText));
+                    });
+                } finally {
+                    reportUsage(options, usage);
+                }
+            },
+
+            /**
+             * Lists the models the server offers
+             * @returns {Promise<string[]>} - Model names
+             */
+            async listModels() {
+                const connection = getConnection();
+                let response;
+                try {
+                    response = await fetch(`${connection.baseUrl}/models`, { headers: connection.headers });
+                } catch (error) {
+                    throw new Error(`PROVIDER_UNREACHABLE: ${connection.baseUrl} (${error.message})`);
+                }
+                await checkResponse(response);
+
+                const data = await response.json();
+                return (data.data || []).map(model => model.id).filter(Boolean).sort();
+            }
+        };
+
+        if (!isLocal) {
+            /**
+             * Generates an image with the images endpoint
+             * @param {string} prompt - Image prompt
+             * @param {Object} options - { signal, onUsage }
+             * @returns {Promise<Object|null>} - { mimeType, data } or null if the answer had no image
+             */
+            provider.generateImage = async function(prompt, options) {
+                const connection = getConnection(options.signal);
+                if (!connection.imageModel) {
+                    throw new Error(`IMAGE_NOT_SUPPORTED: No image model set for ${name}`);
+                }
+
+                const response = await postJson(`${connection.baseUrl}/images/generations`, {
+                    model: connection.imageModel,
+                    prompt: prompt,
+                    n: 1,
+                    response_format: 'b64_json'
+                }, connection);
+                const data = await response.json();
+                const usage = fromChatUsage(data.usage);
+                reportUsage(options, usage && { ...usage, model: connection.imageModel });
+
+                const image = data.data?.[0]?.b64_json;
+                return image ? { mimeType: 'image/png', data: image } : null;
+            };
+        }
+
+        return provider;
+    }
+
+    // ========================================
+    // MOCK
+    // ========================================
+
+    // Mock mode can be turned on for one visit with ?mock=1, and a failure
+    // can be chosen the same way, e.g. ?mock=1&mockFail=429
+    const queryParams = new URLSearchParams(typeof location !== 'undefined' ? location.search : '');
+    const MOCK_QUERY_ENABLED = ['1', 'true'].includes(queryParams.get('mock'));
+    const MOCK_QUERY_FAILURE = queryParams.get('mockFail') || '';
+
+    /**
+     * Checks whether the mock provider is offered
+     * @returns {boolean} - True if enabled by the query string or the admin setting
+     */
+    function isMockEnabled() {
+        return MOCK_QUERY_ENABLED || StorageModule.loadProviderSettings().mock.enabled;
+    }
+
+    /**
+     * Gets the failure the mock should produce
+     * @returns {Object|null} - Failure from MOCK_FAILURES with its name, or null to succeed
+     */
+    function getMockFailure() {
+        const name = MOCK_QUERY_FAILURE || StorageModule.loadProviderSettings().mock.failure;
+        return MOCK_FAILURES[name] ? { name, ...MOCK_FAILURES[name] } : null;
+    }
+
+    /**
+     * Waits like a network request would, ending early when the request is stopped
+     * @param {number} ms - Delay in milliseconds
+     * @param {AbortSignal} signal - Abort signal of the request
+     * @returns {Promise<void>}
+     */
+    function mockDelay(ms, signal) {
+        return new Promise((resolve, reject) => {
+            const abort = () => {
+                clearTimeout(timer);
+                reject(new DOMException('The request was stopped', 'AbortError'));
+            };
+            const timer = setTimeout(() => {
+                if (signal) signal.removeEventListener('abort', abort);
+                resolve();
+            }, ms);
+
+            if (signal) {
+                if (signal.aborted) {
+                    abort();
+                    return;
+                }
+                signal.addEventListener('abort', abort, { once: true });
+            }
+        });
+    }
+
+    /**
+     * Produces the configured failure, if any, after the usual delay
+     * @param {AbortSignal} signal - Abort signal of the request
+     * @returns {Promise<boolean>} - True if the answer should be empty
+     */
+    async function simulateRequest(signal) {
+        const failure = getMockFailure();
+
+        if (failure && failure.name === 'timeout') {
+            await mockDelay(MOCK_CONFIG.TIMEOUT_DELAY, signal);
+            // A timed out connection surfaces as a failed fetch in the browser
+            throw new TypeError('Failed to fetch');
+        }
+
+        await mockDelay(MOCK_CONFIG.RESPONSE_DELAY, signal);
+
+        if (failure && failure.status) {
+            // Goes through the same checks as a real error response
+            const details = failure.retryDelay
+                ? [{ '@type': 'type.googleapis.com/google.rpc.RetryInfo', retryDelay: failure.retryDelay }]
+                : [];
+            await checkResponse(new Response(JSON.stringify({
+                error: { code: failure.status, message: failure.message, details }
+            }), { status: failure.status, headers: { 'Content-Type': 'application/json' } }));
+        }
+        if (failure && failure.response) {
+            // Blocked answers go through the same checks as a real Gemini answer
+            checkGeminiFinish(failure.response, false);
+        }
+
+        return !!failure && failure.name === 'empty';
+    }
+
+    /**
+     * Hashes text with 32-bit FNV-1a
+     * @param {string} text - Text to hash
+     * @returns {number} - Unsigned hash
+     */
+    function hashText(text) {
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Builds the mock answer to a request. The same request always gets
+     * the same answer; a different temperature picks other sentences.
+     * @param {Object} requestBody - Gemini request body
+     * @returns {string} - Answer text
+     */
+    function buildMockText(requestBody) {
+        const prompt = requestBody.contents.map(content => joinTextParts(content.parts)).join('\n');
+        const config = requestBody.generationConfig || {};
+        const language = (prompt.match(/- Language: (EN|KR|JP)\b/) || [])[1] || 'EN';
+        const sentences = MOCK_SENTENCES[language];
+
+        // Roughly a third of the token budget, so answers stay short
+        const targetWords = Math.max(12, Math.round((config.maxOutputTokens || 150) / 3));
+        const separator = language === 'JP' ? '' : ' ';
+
+        let seed = hashText(`${prompt}|${config.temperature}`);
+        const picked = [];
+        let words = 0;
+        while (words < targetWords) {
+            const sentence = sentences[seed % sentences.length];
+            picked.push(sentence);
+            words += sentence.split(/\s+/).length;
+            seed = Math.imul(seed ^ (seed >>> 15), 0x2c1b3c6d) >>> 0;
+        }
+
+        return picked.join(separator);
+    }
+
+    /**
+     * Estimates the usage of a mock answer, as the mock has no tokenizer
+     * @param {Object} requestBody - Gemini request body
+     * @param {string} text - Answer text
+     * @returns {Object} - { promptTokens, outputTokens, totalTokens }
+     */
+    function estimateMockUsage(requestBody, text) {
+        const prompt = requestBody.contents.map(content => joinTextParts(content.parts)).join('\n');
+        const promptTokens = RateLimitModule.estimateTokenCount(prompt);
+        const outputTokens = RateLimitModule.estimateTokenCount(text);
+        return { promptTokens, outputTokens, totalTokens: promptTokens + outputTokens };
+    }
+
+    /**
+     * Draws a placeholder illustration
+     * @param {string} prompt - Image prompt, which picks the colors
+     * @returns {Object} - { mimeType, data }
+     */
+    function drawMockImage(prompt) {
+        const size = MOCK_CONFIG.IMAGE_SIZE;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+
+        const context = canvas.getContext('2d');
+        const hue = hashText(prompt) % 360;
+        const gradient = context.createLinearGradient(0, 0, size, size);
+        gradient.addColorStop(0, `hsl(${hue}, 55%, 70%)`);
+        gradient.addColorStop(1, `hsl(${(hue + 60) % 360}, 55%, 40%)`);
+        context.fillStyle = gradient;
+        context.fillRect(0, 0, size, size);
+
+        context.fillStyle = 'rgba(255, 255, 255, 0.85)';
+        context.font = `bold ${size / 12}px sans-serif`;
+        context.textAlign = 'center';
+        context.textBaseline = 'middle';
+        context.fillText('MOCK IMAGE', size / 2, size / 2);
+
+        return {
+            mimeType: 'image/png',
+            data: canvas.toDataURL('image/png').split(',')[1]
+        };
+    }
+
+    // Answers without network access; see MOCK_FAILURES for the failures it can produce
+    const mockProvider = {
+        id: 'mock',
+        name: '모의 (개발용)',
+        isLocal: true,
+
+        /**
+         * Answers a completion request
+         * @param {string} model - Model name
+         * @param {Object} requestBody - Gemini request body
+         * @param {Object} options - { signal, onUsage }
+         * @returns {Promise<string>} - Generated text
+         */
+        async complete(model, requestBody, options) {
+            const isEmpty = await simulateRequest(options.signal);
+            const text = isEmpty ? '' : buildMockText(requestBody);
+            reportUsage(options, estimateMockUsage(requestBody, text));
+            return text;
+        },
+
+        /**
+         * Streams the answer word by word
+         * @param {string} model - Model name
+         * @param {Object} requestBody - Gemini request body
+         * @param {Object} options - { signal, onUsage }
+         * @param {Function} onText - Called with each piece of text as it arrives
+         * @returns {Promise<void>}
+         */
+        async stream(model, requestBody, options, onText) {
+            const isEmpty = await simulateRequest(options.signal);
+            const text = isEmpty ? '' : buildMockText(requestBody);
+            reportUsage(options, estimateMockUsage(requestBody, text));
+
+            const chunks = text.match(/\S+\s*/g) || [];
+            for (const chunk of chunks) {
+                onText(chunk);
+                await mockDelay(MOCK_CONFIG.CHUNK_DELAY, options.signal);
+            }
+        },
+
+        /**
+         * Draws a placeholder image
+         * @param {string} prompt - Image prompt
+         * @param {Object} options - { signal }
+         * @returns {Promise<Object|null>} - { mimeType, data }, or null for an empty answer
+         */
+        async generateImage(prompt, options) {
+            const isEmpty = await simulateRequest(options.signal);
+            return isEmpty ? null : drawMockImage(prompt);
+        }
+    };
+
+    // ========================================
+    // PROVIDER REGISTRY
+    // ========================================
+
+    const PROVIDERS = {
+        gemini: geminiProvider,
+        openai: createOpenAiProvider('openai', 'OpenAI 호환', false),
+        // Ollama and llama.cpp both serve the OpenAI chat completions API under /v1
+        local: createOpenAiProvider('local', '로컬', true),
+        mock: mockProvider
+    };
+
+    // The one model of the mock provider
+    const MOCK_MODEL_ID = 'mock:writer';
+
+    /**
+     * Splits a model id into its provider and the provider's model name
+     * @param {string} modelId - Model id from the settings, e.g. "openai:gpt-4o"
+     * @returns {Object} - { provider, model }
+     */
+    function resolveModel(modelId) {
+        const value = modelId || '';
+        const separator = value.indexOf(MODEL_ID_SEPARATOR);
+        const prefix = separator > 0 ? value.substring(0, separator) : '';
+
+        if (prefix && PROVIDERS[prefix] && prefix !== 'gemini') {
+            return { provider: PROVIDERS[prefix], model: value.substring(separator + 1) };
+        }
+        return { provider: geminiProvider, model: value };
+    }
+
+    /**
+     * Builds the model id of a provider's model
+     * @param {string} providerId - Provider id
+     * @param {string} model - Model name
+     * @returns {string} - Model id for the settings
+     */
+    function getModelId(providerId, model) {
+        return providerId === 'gemini' ? model : `${providerId}${MODEL_ID_SEPARATOR}${model}`;
+    }
+
+    /**
+     * Gets a provider by id
+     * @param {string} id - Provider id
+     * @returns {Object|null} - Provider
+     */
+    function getProvider(id) {
+        return PROVIDERS[id] || null;
+    }
+
+    /**
+     * Lists the configured models of the non-Gemini providers for the model dropdown
+     * @returns {Object[]} - Groups [{ provider, models: [{ id, name }] }]
+     */
+    function getConfiguredModels() {
+        const settings = StorageModule.loadProviderSettings();
+
+        const groups = ['openai', 'local']
+            .map(id => ({
+                provider: PROVIDERS[id],
+                models: settings[id].models
+                    .split(',')
+                    .map(name => name.trim())
+                    .filter(Boolean)
+                    .map(name => ({ id: getModelId(id, name), name }))
+            }))
+            .filter(group => group.models.length > 0);
+
+        if (isMockEnabled()) {
+            groups.push({ provider: mockProvider, models: [{ id: MOCK_MODEL_ID, name: '모의 작가' }] });
+        }
+
+        return groups;
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        resolveModel,
+        getModelId,
+        getProvider,
+        getConfiguredModels,
+        isMockEnabled,
+        isProxyEnabled,
+        startProxySession,
+        MOCK_MODEL_ID,
+        MOCK_QUERY_ENABLED
+    };
+
+})();
@@ -1,8 +1,8 @@
 /**
  * ========================================
  * RATE LIMIT MODULE
- * Handles generation count limits per IP
- * and max token restrictions
+ * Handles generation limits in rolling
+ * time windows and token restrictions
  * ========================================
  */
 
@@ -13,25 +13,60 @@ const RateLimitModule = (function() {
     // CONFIGURATION
     // ========================================
     
+    const HOUR_MS = 60 * 60 * 1000;
+    const DAY_MS = 24 * HOUR_MS;
+
     const CONFIG = {
-        MAX_GENERATIONS_PER_IP: 5,
-        MAX_IMAGE_GENERATIONS_PER_IP: 3,
+        // Rolling windows: at most `limit` requests within any span of `windowMs`.
+        // A request is allowed only when every window of its kind has room.
+        TEXT_QUOTAS: [
+            { limit: 5, windowMs: HOUR_MS },
+            { limit: 20, windowMs: DAY_MS }
+        ],
+        IMAGE_QUOTAS: [
+            { limit: 3, windowMs: DAY_MS }
+        ],
         MAX_TOKENS_PER_GENERATION: 500,
         MAX_INPUT_TOKENS: 2000,
-        STORAGE_KEY: 'novelWriter_rateLimit',
-        IMAGE_STORAGE_KEY: 'novelWriter_imageRateLimit',
+        // Tokens (input and output, as reported by the API) a user may spend per day and per week
+        MAX_TOKENS_PER_DAY: 20000,
+        MAX_TOKENS_PER_WEEK: 60000,
+        STORAGE_KEY: 'novelWriter_quota',
+        // Apps Script backend that keeps the same windows per visitor in its quota sheet.
+        // The visitor id is the IP address the browser reports, so these counts are advisory:
+        // they survive clearing local storage but not a client that sends another id.
+        QUOTA_SCRIPT_URL: 'https://script.google.com/macros/s/AKfycbz7JsaF_YeqgWFa2tQipI0ywrQHKDi1iBPXRIQXj80BKPtfx0Tl10JTEex7-zip8E6SBw/exec',
+        QUOTA_TIMEOUT_MS: 10000,
+        // Lifetime counters per IP of earlier versions, migrated on load
+        LEGACY_STORAGE_KEY: 'novelWriter_rateLimit',
+        LEGACY_IMAGE_STORAGE_KEY: 'novelWriter_imageRateLimit',
         TOKENS_TO_WORDS_RATIO: 0.75,
-        CHARS_PER_TOKEN_ESTIMATE: 4
+        // Latin script; see TOKENS_PER_CHAR for the others
+        CHARS_PER_TOKEN_ESTIMATE: 4,
+        // Estimated tokens per character by script, for when no exact count is available.
+        // Hangul syllables, kana and Han characters mostly take a token or most of one each.
+        TOKENS_PER_CHAR: {
+            HANGUL: 0.7,
+            KANA: 0.7,
+            HAN: 0.8,
+            CJK_PUNCTUATION: 1
+        }
     };
 
+    // Version of the stored quota data: { version, text: [timestamps], image: [timestamps] }
+    const QUOTA_FORMAT_VERSION = 2;
+
     // ========================================
     // STATE
     // ========================================
     
     let state = {
         ip: null,
-        generationCount: 0,
-        imageGenerationCount: 0,
+        // Times of the requests still inside a quota window, oldest first
+        uses: {
+            text: [],
+            image: []
+        },
         isAdmin: false
     };
 
@@ -55,51 +90,99 @@ const RateLimitModule = (function() {
     }
 
     /**
-     * Initializes the rate limit module with IP detection
+     * Detects the user's IP address the first time the server quota needs it.
+     * A failed lookup is tried again with the next request.
+     * @returns {Promise<string>} - IP address or 'unknown'
+     */
+    async function detectIP() {
+        if (!state.ip || state.ip === 'unknown') {
+            state.ip = await fetchUserIP();
+        }
+        return state.ip;
+    }
+
+    /**
+     * Initializes the rate limit module
      * @param {boolean} isAdmin - Whether user has admin privileges
      */
-    async function initialize(isAdmin) {
+    function initialize(isAdmin) {
         state.isAdmin = isAdmin;
-        state.ip = await fetchUserIP();
-        loadGenerationCount();
-        loadImageGenerationCount();
+        loadQuotaUses();
     }
 
     // ========================================
-    // GENERATION COUNT TRACKING
+    // QUOTA STORAGE
     // ========================================
 
     /**
-     * Loads generation count from local storage
+     * Gets the quota windows of a kind of request
+     * @param {string} kind - 'text' or 'image'
+     * @returns {Object[]} - Windows [{ limit, windowMs }]
+     */
+    function getQuotas(kind) {
+        return kind === 'image' ? CONFIG.IMAGE_QUOTAS : CONFIG.TEXT_QUOTAS;
+    }
+
+    /**
+     * Drops the request times that have left every window of their kind
+     * @param {string} kind - 'text' or 'image'
+     * @param {number} now - Current time in milliseconds
+     */
+    function pruneUses(kind, now) {
+        const longest = Math.max(...getQuotas(kind).map(quota => quota.windowMs));
+        state.uses[kind] = state.uses[kind].filter(time => time > now - longest);
+    }
+
+    /**
+     * Converts the lifetime counter of an earlier version to request times.
+     * Only the time of the last request was kept, so every counted request
+     * is placed there and leaves the windows from that time on.
+     * @param {string} key - Storage key of the old counter
+     * @returns {number[]} - Request times
+     */
+    function readLegacyUses(key) {
+        try {
+            const parsed = JSON.parse(localStorage.getItem(key));
+            localStorage.removeItem(key);
+            if (!parsed || !parsed.count) return [];
+            return new Array(parsed.count).fill(parsed.timestamp || Date.now());
+        } catch (error) {
+            console.warn('Failed to migrate rate limit data:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Loads the request times from local storage, migrating the
+     * counters of earlier versions on first use
      */
-    function loadGenerationCount() {
+    function loadQuotaUses() {
         try {
-            const data = localStorage.getItem(CONFIG.STORAGE_KEY);
-            if (data) {
-                const parsed = JSON.parse(data);
-                // Check if the stored IP matches current IP
-                if (parsed.ip === state.ip) {
-                    state.generationCount = parsed.count || 0;
-                } else {
-                    // Different IP, reset count
-                    state.generationCount = 0;
-                }
+            const parsed = JSON.parse(localStorage.getItem(CONFIG.STORAGE_KEY));
+            if (parsed && parsed.version === QUOTA_FORMAT_VERSION) {
+                state.uses.text = Array.isArray(parsed.text) ? parsed.text : [];
+                state.uses.image = Array.isArray(parsed.image) ? parsed.image : [];
+            } else {
+                state.uses.text = readLegacyUses(CONFIG.LEGACY_STORAGE_KEY);
+                state.uses.image = readLegacyUses(CONFIG.LEGACY_IMAGE_STORAGE_KEY);
+                saveQuotaUses();
             }
         } catch (error) {
             console.warn('Failed to load rate limit data:', error);
-            state.generationCount = 0;
+            state.uses.text = [];
+            state.uses.image = [];
         }
     }
 
     /**
-     * Saves generation count to local storage
+     * Saves the request times to local storage
      */
-    function saveGenerationCount() {
+    function saveQuotaUses() {
         try {
             const data = {
-                ip: state.ip,
-                count: state.generationCount,
-                timestamp: Date.now()
+                version: QUOTA_FORMAT_VERSION,
+                text: state.uses.text,
+                image: state.uses.image
             };
             localStorage.setItem(CONFIG.STORAGE_KEY, JSON.stringify(data));
         } catch (error) {
@@ -107,89 +190,186 @@ const RateLimitModule = (function() {
         }
     }
 
+    // ========================================
+    // QUOTA WINDOWS
+    // ========================================
+
     /**
-     * Increments the generation count
+     * Records a request of a kind
+     * @param {string} kind - 'text' or 'image'
      */
-    function incrementGenerationCount() {
-        state.generationCount++;
-        saveGenerationCount();
+    function recordUse(kind) {
+        const now = Date.now();
+        pruneUses(kind, now);
+        state.uses[kind].push(now);
+        saveQuotaUses();
     }
 
     /**
-     * Gets the current generation count
-     * @returns {number} - Current generation count
+     * Gets the state of every window of a kind
+     * @param {string} kind - 'text' or 'image'
+     * @returns {Object[]} - [{ limit, windowMs, used, remaining, resetsAt }] where resetsAt is
+     *                       when the oldest request in the window leaves it (null if none)
      */
-    function getGenerationCount() {
-        return state.generationCount;
+    function getWindows(kind) {
+        const now = Date.now();
+        pruneUses(kind, now);
+
+        return getQuotas(kind).map(quota => {
+            const inWindow = state.uses[kind].filter(time => time > now - quota.windowMs);
+            return {
+                ...quota,
+                used: inWindow.length,
+                remaining: Math.max(0, quota.limit - inWindow.length),
+                resetsAt: inWindow.length > 0 ? inWindow[0] + quota.windowMs : null
+            };
+        });
     }
 
     /**
-     * Gets the remaining generations allowed
-     * @returns {number} - Remaining generations (Infinity for admins)
+     * Gets the requests of a kind left in its tightest window
+     * @param {string} kind - 'text' or 'image'
+     * @returns {number} - Remaining requests (Infinity for admins)
      */
-    function getRemainingGenerations() {
+    function getRemaining(kind) {
         if (state.isAdmin) {
             return Infinity;
         }
-        return Math.max(0, CONFIG.MAX_GENERATIONS_PER_IP - state.generationCount);
+        return Math.min(...getWindows(kind).map(quotaWindow => quotaWindow.remaining));
     }
 
-    // ========================================
-    // IMAGE GENERATION COUNT TRACKING
-    // ========================================
+    /**
+     * Gets when the tightest window of a kind next gains a request.
+     * With several windows at the same count, the latest of their resets counts.
+     * @param {string} kind - 'text' or 'image'
+     * @returns {number|null} - Time in milliseconds, or null if nothing is used up
+     */
+    function getNextReset(kind) {
+        if (state.isAdmin) {
+            return null;
+        }
+
+        const windows = getWindows(kind);
+        const remaining = Math.min(...windows.map(quotaWindow => quotaWindow.remaining));
+        const resets = windows
+            .filter(quotaWindow => quotaWindow.remaining === remaining && quotaWindow.resetsAt !== null)
+            .map(quotaWindow => quotaWindow.resetsAt);
+        return resets.length > 0 ? Math.max(...resets) : null;
+    }
 
     /**
-     * Loads image generation count from local storage
+     * Describes the length of a window, e.g. "1시간", "24시간", "7일"
+     * @param {number} windowMs - Window length in milliseconds
+     * @returns {string} - Window label
      */
-    function loadImageGenerationCount() {
-        try {
-            const data = localStorage.getItem(CONFIG.IMAGE_STORAGE_KEY);
-            if (data) {
-                const parsed = JSON.parse(data);
-                // Check if the stored IP matches current IP
-                if (parsed.ip === state.ip) {
-                    state.imageGenerationCount = parsed.count || 0;
-                } else {
-                    // Different IP, reset count
-                    state.imageGenerationCount = 0;
-                }
-            }
-        } catch (error) {
-            console.warn('Failed to load image rate limit data:', error);
-            state.imageGenerationCount = 0;
+    function formatWindow(windowMs) {
+        if (windowMs % DAY_MS === 0 && windowMs > DAY_MS) {
+            return `${windowMs / DAY_MS}일`;
         }
+        if (windowMs >= HOUR_MS) {
+            return `${Math.round(windowMs / HOUR_MS)}시간`;
+        }
+        return `${Math.round(windowMs / 60000)}분`;
     }
 
     /**
-     * Saves image generation count to local storage
+     * Formats the time until a reset as a countdown, e.g. "1:05:09" or "4:30"
+     * @param {number} ms - Time left in milliseconds
+     * @returns {string} - Countdown
      */
-    function saveImageGenerationCount() {
-        try {
-            const data = {
-                ip: state.ip,
-                count: state.imageGenerationCount,
-                timestamp: Date.now()
-            };
-            localStorage.setItem(CONFIG.IMAGE_STORAGE_KEY, JSON.stringify(data));
-        } catch (error) {
-            console.warn('Failed to save image rate limit data:', error);
+    function formatCountdown(ms) {
+        const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+        const hours = Math.floor(totalSeconds / 3600);
+        const minutes = Math.floor(totalSeconds / 60) % 60;
+        const seconds = String(totalSeconds % 60).padStart(2, '0');
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    /**
+     * Checks whether every window of a kind has room for another request
+     * @param {string} kind - 'text' or 'image'
+     * @param {string} label - Name of the request kind in the message
+     * @returns {Object} - { allowed: boolean, reason: string }
+     */
+    function checkQuota(kind, label) {
+        // The full window that stays full the longest decides when to try again
+        const full = getWindows(kind)
+            .filter(quotaWindow => quotaWindow.remaining === 0)
+            .sort((a, b) => b.resetsAt - a.resetsAt)[0];
+        if (!full) {
+            return { allowed: true, reason: '' };
         }
+
+        return { allowed: false, reason: describeFullWindow(full, label) };
+    }
+
+    /**
+     * Explains which window is full and when to try again
+     * @param {Object} quotaWindow - Full window { limit, windowMs, resetsAt }
+     * @param {string} label - Name of the request kind in the message
+     * @returns {string} - Reason shown to the user
+     */
+    function describeFullWindow(quotaWindow, label) {
+        return `최근 ${formatWindow(quotaWindow.windowMs)} 동안의 ${label} 한도(${quotaWindow.limit}회)에 도달했습니다. ` +
+            `${formatCountdown(quotaWindow.resetsAt - Date.now())} 후에 다시 시도할 수 있습니다.`;
     }
 
+    // ========================================
+    // GENERATION COUNT TRACKING
+    // ========================================
+
+    /**
+     * Increments the generation count
+     */
+    function incrementGenerationCount() {
+        recordUse('text');
+    }
+
+    /**
+     * Gets the number of generations in the longest text window
+     * @returns {number} - Current generation count
+     */
+    function getGenerationCount() {
+        pruneUses('text', Date.now());
+        return state.uses.text.length;
+    }
+
+    /**
+     * Gets the remaining generations allowed
+     * @returns {number} - Remaining generations (Infinity for admins)
+     */
+    function getRemainingGenerations() {
+        return getRemaining('text');
+    }
+
+    /**
+     * Gets when another text generation becomes available
+     * @returns {number|null} - Time in milliseconds, or null if nothing is used up
+     */
+    function getNextGenerationReset() {
+        return getNextReset('text');
+    }
+
+    // ========================================
+    // IMAGE GENERATION COUNT TRACKING
+    // ========================================
+
     /**
      * Increments the image generation count
      */
     function incrementImageGenerationCount() {
-        state.imageGenerationCount++;
-        saveImageGenerationCount();
+        recordUse('image');
     }
 
     /**
-     * Gets the current image generation count
+     * Gets the number of image generations in the longest image window
      * @returns {number} - Current image generation count
      */
     function getImageGenerationCount() {
-        return state.imageGenerationCount;
+        pruneUses('image', Date.now());
+        return state.uses.image.length;
     }
 
     /**
@@ -197,10 +377,15 @@ const RateLimitModule = (function() {
      * @returns {number} - Remaining image generations (Infinity for admins)
      */
     function getRemainingImageGenerations() {
-        if (state.isAdmin) {
-            return Infinity;
-        }
-        return Math.max(0, CONFIG.MAX_IMAGE_GENERATIONS_PER_IP - state.imageGenerationCount);
+        return getRemaining('image');
+    }
+
+    /**
+     * Gets when another image generation becomes available
+     * @returns {number|null} - Time in milliseconds, or null if nothing is used up
+     */
+    function getNextImageGenerationReset() {
+        return getNextReset('image');
     }
 
     /**
@@ -213,15 +398,12 @@ const RateLimitModule = (function() {
             return { allowed: true, reason: '' };
         }
 
-        // Check image generation count limit
-        if (state.imageGenerationCount >= CONFIG.MAX_IMAGE_GENERATIONS_PER_IP) {
-            return {
-                allowed: false,
-                reason: `최대 이미지 생성 횟수에 도달했습니다 (${CONFIG.MAX_IMAGE_GENERATIONS_PER_IP}회). 추가 권한을 위해 관리자에게 문의하세요.`
-            };
+        const quotaCheck = checkQuota('image', '이미지 생성');
+        if (!quotaCheck.allowed) {
+            return quotaCheck;
         }
 
-        return { allowed: true, reason: '' };
+        return checkTokenBudget();
     }
 
     // ========================================
@@ -238,43 +420,221 @@ const RateLimitModule = (function() {
             return { allowed: true, reason: '' };
         }
 
-        // Check generation count limit
-        if (state.generationCount >= CONFIG.MAX_GENERATIONS_PER_IP) {
+        const quotaCheck = checkQuota('text', '생성');
+        if (!quotaCheck.allowed) {
+            return quotaCheck;
+        }
+
+        return checkTokenBudget();
+    }
+
+    // ========================================
+    // TOKEN BUDGETS
+    // ========================================
+
+    /**
+     * Gets the tokens left in the daily and weekly budgets
+     * @returns {Object} - { day, week } (Infinity for admins)
+     */
+    function getRemainingTokens() {
+        if (state.isAdmin) {
+            return { day: Infinity, week: Infinity };
+        }
+
+        return {
+            day: Math.max(0, CONFIG.MAX_TOKENS_PER_DAY - UsageModule.getTokensSince(UsageModule.getPeriodStart('day'))),
+            week: Math.max(0, CONFIG.MAX_TOKENS_PER_WEEK - UsageModule.getTokensSince(UsageModule.getPeriodStart('week')))
+        };
+    }
+
+    /**
+     * Checks whether the token budgets have room for another request
+     * @returns {Object} - { allowed: boolean, reason: string }
+     */
+    function checkTokenBudget() {
+        const remaining = getRemainingTokens();
+
+        if (remaining.day <= 0) {
+            return {
+                allowed: false,
+                reason: `오늘 사용할 수 있는 토큰을 모두 사용했습니다 (${CONFIG.MAX_TOKENS_PER_DAY.toLocaleString()} 토큰). 내일 다시 시도해주세요.`
+            };
+        }
+
+        if (remaining.week <= 0) {
             return {
                 allowed: false,
-                reason: `최대 생성 횟수에 도달했습니다 (${CONFIG.MAX_GENERATIONS_PER_IP}회). 추가 권한을 위해 관리자에게 문의하세요.`
+                reason: `이번 주에 사용할 수 있는 토큰을 모두 사용했습니다 (${CONFIG.MAX_TOKENS_PER_WEEK.toLocaleString()} 토큰). 다음 주 월요일에 다시 시도해주세요.`
             };
         }
 
         return { allowed: true, reason: '' };
     }
 
+    // ========================================
+    // SERVER QUOTA
+    // ========================================
+
     /**
-     * Estimates the number of tokens in a text
-     * Note: This is a rough estimate based on ~4 characters per token.
-     * This may be less accurate for non-Latin scripts (e.g., CJK characters)
-     * which typically use fewer characters per token.
+     * Calls the quota endpoint of the Apps Script backend (JSONP, as the
+     * script cannot answer cross-origin fetches)
+     * @param {Object} params - Query parameters
+     * @returns {Promise<Object>} - Response { success, data }
+     */
+    function requestServerQuota(params) {
+        return new Promise((resolve, reject) => {
+            const callbackName = 'quota_callback_' + Date.now() + '_' + Math.random().toString(36).substring(2, 8);
+            const script = document.createElement('script');
+
+            const cleanUp = () => {
+                clearTimeout(timeout);
+                delete window[callbackName];
+                script.remove();
+            };
+
+            const timeout = setTimeout(() => {
+                cleanUp();
+                reject(new Error('QUOTA_UNREACHABLE: Quota server timed out'));
+            }, CONFIG.QUOTA_TIMEOUT_MS);
+
+            window[callbackName] = (response) => {
+                cleanUp();
+                resolve(response);
+            };
+            script.onerror = () => {
+                cleanUp();
+                reject(new Error('QUOTA_UNREACHABLE: Quota server request failed'));
+            };
+
+            const query = new URLSearchParams({ action: 'quota', table: 'quota', ...params, callback: callbackName });
+            script.src = `${CONFIG.QUOTA_SCRIPT_URL}?${query}`;
+            document.body.appendChild(script);
+        });
+    }
+
+    /**
+     * Uses one request of a kind on the server, whose counts survive clearing
+     * local storage. This is advisory, not enforcement: the server counts by
+     * the id sent here, which a modified client can change. Fails closed:
+     * when the server cannot be reached or the visitor cannot be identified,
+     * the request is not allowed.
+     * @param {string} kind - 'text' or 'image'
+     * @returns {Promise<Object>} - { allowed: boolean, reason: string }
+     */
+    async function useServerQuota(kind) {
+        const label = kind === 'image' ? '이미지 생성' : '생성';
+
+        const ip = await detectIP();
+        if (ip === 'unknown') {
+            return {
+                allowed: false,
+                reason: '접속 정보를 확인할 수 없어 사용 한도를 확인하지 못했습니다. 광고 차단 기능이 api.ipify.org를 막고 있지 않은지 확인한 뒤 새로고침해주세요.'
+            };
+        }
+
+        let response;
+        try {
+            response = await requestServerQuota({ op: 'use', kind, id: ip });
+        } catch (error) {
+            console.warn('Quota server check failed:', error);
+            response = null;
+        }
+
+        if (!response || !response.success || !response.data) {
+            return {
+                allowed: false,
+                reason: '사용 한도 서버에 연결할 수 없어 생성할 수 없습니다. 잠시 후 다시 시도해주세요.'
+            };
+        }
+
+        const status = response.data;
+        if (status.allowed) {
+            return { allowed: true, reason: '' };
+        }
+
+        return { allowed: false, reason: describeFullWindow(status, label) };
+    }
+
+    // ========================================
+    // TOKEN ESTIMATION
+    // ========================================
+
+    /**
+     * Estimates the tokens one character takes, by its script
+     * @param {number} code - UTF-16 code unit
+     * @returns {number} - Estimated tokens
+     */
+    function getCharTokenCost(code) {
+        const rates = CONFIG.TOKENS_PER_CHAR;
+        if ((code >= 0xAC00 && code <= 0xD7AF) || (code >= 0x1100 && code <= 0x11FF) ||
+            (code >= 0x3130 && code <= 0x318F)) {
+            return rates.HANGUL;
+        }
+        if (code >= 0x3040 && code <= 0x30FF) {
+            return rates.KANA;
+        }
+        if ((code >= 0x4E00 && code <= 0x9FFF) || (code >= 0x3400 && code <= 0x4DBF) ||
+            (code >= 0xF900 && code <= 0xFAFF)) {
+            return rates.HAN;
+        }
+        if ((code >= 0x3000 && code <= 0x303F) || (code >= 0xFF00 && code <= 0xFFEF)) {
+            return rates.CJK_PUNCTUATION;
+        }
+        return 1 / CONFIG.CHARS_PER_TOKEN_ESTIMATE;
+    }
+
+    /**
+     * Estimates the number of tokens in a text without the model's tokenizer.
+     * Each character is weighted by its script, so Korean and Japanese text
+     * is not undercounted the way a flat characters-per-token ratio would.
      * @param {string} text - Input text
      * @returns {number} - Estimated token count
      */
     function estimateTokenCount(text) {
         if (!text) return 0;
-        // Rough estimate: 1 token ≈ 4 characters (may vary by language)
-        return Math.ceil(text.length / CONFIG.CHARS_PER_TOKEN_ESTIMATE);
+
+        let tokens = 0;
+        for (let i = 0; i < text.length; i++) {
+            tokens += getCharTokenCost(text.charCodeAt(i));
+        }
+        return Math.ceil(tokens);
     }
 
+    /**
+     * Cuts text from the start until its estimate fits a token budget
+     * @param {string} text - Input text
+     * @param {number} maxTokens - Token budget
+     * @returns {string} - End of the text that fits the budget
+     */
+    function keepLastTokens(text, maxTokens) {
+        let tokens = 0;
+        let start = text.length;
+        while (start > 0) {
+            tokens += getCharTokenCost(text.charCodeAt(start - 1));
+            if (tokens > maxTokens) break;
+            start--;
+        }
+        return text.substring(start);
+    }
+
+    // ========================================
+    // TOKEN LIMITS
+    // ========================================
+
     /**
      * Checks if input text exceeds the maximum token limit
      * @param {string} inputText - The input text to check
+     * @param {number} knownTokenCount - Optional exact count from the tokenizer; estimated otherwise
      * @returns {Object} - { allowed: boolean, reason: string, tokenCount: number }
      */
-    function checkInputTokenLimit(inputText) {
+    function checkInputTokenLimit(inputText, knownTokenCount) {
+        const tokenCount = knownTokenCount !== undefined ? knownTokenCount : estimateTokenCount(inputText);
+
         // Admins bypass all limits
         if (state.isAdmin) {
-            return { allowed: true, reason: '', tokenCount: estimateTokenCount(inputText) };
+            return { allowed: true, reason: '', tokenCount };
         }
 
-        const tokenCount = estimateTokenCount(inputText);
         if (tokenCount > CONFIG.MAX_INPUT_TOKENS) {
             return {
                 allowed: false,
@@ -335,15 +695,23 @@ const RateLimitModule = (function() {
         initialize,
         canGenerate,
         canGenerateImage,
+        getRemainingTokens,
+        useServerQuota,
         checkInputTokenLimit,
         getMaxTokens,
         clampMaxWords,
+        estimateTokenCount,
+        keepLastTokens,
         incrementGenerationCount,
         incrementImageGenerationCount,
         getGenerationCount,
         getImageGenerationCount,
         getRemainingGenerations,
         getRemainingImageGenerations,
+        getNextGenerationReset,
+        getNextImageGenerationReset,
+        formatCountdown,
+        describeFullWindow,
         isAdmin,
         getIP,
         CONFIG
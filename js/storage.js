@@ -1,8 +1,9 @@
 /**
  * ========================================
  * STORAGE MODULE
- * Handles local storage operations for
- * saving/loading documents and settings
+ * Handles local storage and IndexedDB
+ * operations for saving/loading documents
+ * and settings
  * ========================================
  */
 
@@ -13,11 +14,18 @@ const StorageModule = (function() {
     // STORAGE KEYS
     // ========================================
     const KEYS = {
-        DOCUMENT: 'novelWriter_document',
+        ACTIVE_DOCUMENT: 'novelWriter_activeDocument',
         SETTINGS: 'novelWriter_settings',
         FORMATTING: 'novelWriter_formatting',
+        PROVIDERS: 'novelWriter_providers',
+        USAGE: 'novelWriter_usage',
         HISTORY: 'novelWriter_history',
-        AUTOSAVE: 'novelWriter_autosave'
+        AUTOSAVE: 'novelWriter_autosave',
+        
+        // Single-document storage of earlier versions (migrated to IndexedDB)
+        DOCUMENT: 'novelWriter_document',
+        STORY_BIBLE: 'novelWriter_storyBible',
+        SUMMARIES: 'novelWriter_summaries'
     };
 
     // ========================================
@@ -25,6 +33,8 @@ const StorageModule = (function() {
     // ========================================
     const DEFAULT_SETTINGS = {
         model: 'gemini-2.5-flash',
+        // Used after repeated 503 answers from the model; '' for none
+        fallbackModel: '',
         temperature: 0.8,
         maxWords: 150,
         paragraphLength: 'medium',
@@ -33,7 +43,16 @@ const StorageModule = (function() {
         style: 'descriptive',
         tone: 'neutral',
         pov: 'third-limited',
-        streaming: true
+        streaming: true,
+        candidateCount: 1,
+        infillWindow: 1000,
+        summaryMemory: true,
+        chapterContext: false,
+        // Gemini safety thresholds per harm category; '' keeps the API default
+        safetyHarassment: '',
+        safetyHateSpeech: '',
+        safetySexual: '',
+        safetyDangerous: ''
     };
 
     const DEFAULT_FORMATTING = {
@@ -48,6 +67,25 @@ const StorageModule = (function() {
         bgColor: '#fdf6e3'
     };
 
+    // Connections of the non-Gemini model providers. Models are comma-separated names.
+    const DEFAULT_PROVIDER_SETTINGS = {
+        openai: {
+            baseUrl: 'https://api.openai.com/v1',
+            apiKey: '',
+            models: '',
+            imageModel: ''
+        },
+        local: {
+            baseUrl: 'http://localhost:11434/v1',
+            models: ''
+        },
+        // Offline mock for development; failure is a key of the mock's failure list or ''
+        mock: {
+            enabled: false,
+            failure: ''
+        }
+    };
+
     // ========================================
     // UTILITY FUNCTIONS
     // ========================================
@@ -81,23 +119,145 @@ const StorageModule = (function() {
         }
     }
 
+    // ========================================
+    // DATABASE
+    // ========================================
+
+    const DB_NAME = 'novelWriter';
+    const DB_VERSION = 3;
+    const STORES = {
+        DOCUMENTS: 'documents',
+        SNAPSHOTS: 'snapshots',
+        HISTORY: 'history'
+    };
+
+    let dbPromise = null;
+
+    /**
+     * Opens the IndexedDB database, creating stores on first use
+     * @returns {Promise<IDBDatabase>} - Open database
+     */
+    function openDatabase() {
+        if (!dbPromise) {
+            dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORES.DOCUMENTS)) {
+                        const store = db.createObjectStore(STORES.DOCUMENTS, { keyPath: 'id' });
+                        store.createIndex('updatedAt', 'updatedAt');
+                    }
+                    if (!db.objectStoreNames.contains(STORES.SNAPSHOTS)) {
+                        const store = db.createObjectStore(STORES.SNAPSHOTS, { keyPath: 'id' });
+                        store.createIndex('documentId', 'documentId');
+                    }
+                    if (!db.objectStoreNames.contains(STORES.HISTORY)) {
+                        db.createObjectStore(STORES.HISTORY, { keyPath: 'documentId' });
+                    }
+                };
+
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => {
+                    dbPromise = null;
+                    reject(request.error);
+                };
+            });
+        }
+        return dbPromise;
+    }
+
+    /**
+     * Runs a single request against an object store
+     * @param {string} storeName - Object store name
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the store and returns an IDBRequest
+     * @returns {Promise<*>} - Result of the request once the transaction completes
+     */
+    async function runTransaction(storeName, mode, operation) {
+        const db = await openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = operation(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Generates a unique id for stored records
+     * @param {string} prefix - Id prefix
+     * @returns {string} - Unique id
+     */
+    function generateId(prefix) {
+        return `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+    }
+
+    /**
+     * Counts the words of a stored document
+     * @param {string} content - Document content
+     * @returns {number} - Word count
+     */
+    function countWords(content) {
+        return (content || '').split(/\s+/).filter(w => w.length > 0).length;
+    }
+
     // ========================================
     // DOCUMENT OPERATIONS
     // ========================================
 
+    const DEFAULT_TITLE = '제목 없는 소설';
+
     /**
-     * Saves the current document content
-     * @param {string} content - Document content to save
-     * @returns {boolean} - Success status
+     * Builds a new document without storing it
+     * @param {Object} fields - Initial fields (title, content, settings, ...)
+     * @returns {Object} - The new document
+     */
+    function buildDocument(fields = {}) {
+        const now = Date.now();
+        const doc = {
+            id: generateId('doc'),
+            title: DEFAULT_TITLE,
+            content: '',
+            // Embedded images anchored in the text: { id, offset, mimeType, data }
+            images: [],
+            settings: loadSettings(),
+            storyBible: [],
+            summaries: {},
+            metadata: {
+                author: '',
+                description: ''
+            },
+            createdAt: now,
+            updatedAt: now,
+            ...fields
+        };
+        doc.wordCount = countWords(doc.content);
+        return doc;
+    }
+
+    /**
+     * Creates and stores a new document
+     * @param {Object} fields - Initial fields (title, content, settings, ...)
+     * @returns {Promise<Object>} - The new document
+     */
+    async function createDocument(fields = {}) {
+        const doc = buildDocument(fields);
+        await runTransaction(STORES.DOCUMENTS, 'readwrite', store => store.put(doc));
+        return doc;
+    }
+
+    /**
+     * Saves a document, updating its word count and modification time
+     * @param {Object} doc - Document to save
+     * @returns {Promise<boolean>} - Success status
      */
-    function saveDocument(content) {
+    async function saveDocument(doc) {
         try {
-            const data = {
-                content: content,
-                timestamp: Date.now(),
-                wordCount: content.split(/\s+/).filter(w => w.length > 0).length
-            };
-            localStorage.setItem(KEYS.DOCUMENT, safeJsonStringify(data));
+            doc.wordCount = countWords(doc.content);
+            doc.updatedAt = Date.now();
+            await runTransaction(STORES.DOCUMENTS, 'readwrite', store => store.put(doc));
             return true;
         } catch (error) {
             console.error('Failed to save document:', error);
@@ -106,19 +266,240 @@ const StorageModule = (function() {
     }
 
     /**
-     * Loads the saved document
-     * @returns {Object|null} - Document data or null
+     * Loads a document by id
+     * @param {string} id - Document id
+     * @returns {Promise<Object|null>} - Document or null
+     */
+    async function loadDocument(id) {
+        try {
+            const doc = await runTransaction(STORES.DOCUMENTS, 'readonly', store => store.get(id));
+            return doc || null;
+        } catch (error) {
+            console.error('Failed to load document:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Lists all documents, most recently modified first
+     * @returns {Promise<Object[]>} - Documents
+     */
+    async function listDocuments() {
+        try {
+            const docs = await runTransaction(STORES.DOCUMENTS, 'readonly', store => store.getAll());
+            return docs.sort((a, b) => b.updatedAt - a.updatedAt);
+        } catch (error) {
+            console.error('Failed to list documents:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Renames a document
+     * @param {string} id - Document id
+     * @param {string} title - New title
+     * @returns {Promise<Object|null>} - Renamed document or null
+     */
+    async function renameDocument(id, title) {
+        const doc = await loadDocument(id);
+        if (!doc) return null;
+
+        doc.title = title.trim() || DEFAULT_TITLE;
+        return await saveDocument(doc) ? doc : null;
+    }
+
+    /**
+     * Copies a document under a new id
+     * @param {string} id - Document id
+     * @returns {Promise<Object|null>} - The copy or null
+     */
+    async function duplicateDocument(id) {
+        const doc = await loadDocument(id);
+        if (!doc) return null;
+
+        const copy = JSON.parse(JSON.stringify(doc));
+        delete copy.id;
+        delete copy.createdAt;
+        delete copy.updatedAt;
+        copy.title = `${doc.title} (사본)`;
+
+        return createDocument(copy);
+    }
+
+    /**
+     * Deletes a document
+     * @param {string} id - Document id
+     * @returns {Promise<boolean>} - Success status
+     */
+    async function deleteDocument(id) {
+        try {
+            await runTransaction(STORES.DOCUMENTS, 'readwrite', store => store.delete(id));
+            await deleteDocumentSnapshots(id);
+            await runTransaction(STORES.HISTORY, 'readwrite', store => store.delete(id));
+            if (getActiveDocumentId() === id) {
+                localStorage.removeItem(KEYS.ACTIVE_DOCUMENT);
+            }
+            return true;
+        } catch (error) {
+            console.error('Failed to delete document:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Gets the id of the document that was open last
+     * @returns {string|null} - Document id
+     */
+    function getActiveDocumentId() {
+        return localStorage.getItem(KEYS.ACTIVE_DOCUMENT);
+    }
+
+    /**
+     * Remembers the open document for the next visit
+     * @param {string} id - Document id
+     */
+    function setActiveDocumentId(id) {
+        localStorage.setItem(KEYS.ACTIVE_DOCUMENT, id);
+    }
+
+    /**
+     * Imports the single localStorage document of earlier versions into
+     * the library, even when only its story bible or summaries are left.
+     * The old keys are removed once the document is stored, so this only
+     * does something on the first run after an update.
+     * @returns {Promise<Object|null>} - The imported document or null
+     */
+    async function migrateLegacyDocument() {
+        const legacyKeys = [KEYS.DOCUMENT, KEYS.STORY_BIBLE, KEYS.SUMMARIES];
+        if (legacyKeys.every(key => localStorage.getItem(key) === null)) return null;
+
+        const legacy = safeJsonParse(localStorage.getItem(KEYS.DOCUMENT), null) || {};
+        const storyBible = safeJsonParse(localStorage.getItem(KEYS.STORY_BIBLE), []);
+        const summaries = safeJsonParse(localStorage.getItem(KEYS.SUMMARIES), {});
+        const timestamp = legacy.timestamp || Date.now();
+
+        // Throws when the write fails, which keeps the old keys for the next run
+        const doc = await createDocument({
+            content: typeof legacy.content === 'string' ? legacy.content : '',
+            storyBible: Array.isArray(storyBible) ? storyBible : [],
+            summaries: summaries && typeof summaries === 'object' ? summaries : {},
+            createdAt: timestamp,
+            updatedAt: timestamp
+        });
+
+        legacyKeys.forEach(key => localStorage.removeItem(key));
+        setActiveDocumentId(doc.id);
+        return doc;
+    }
+
+    // ========================================
+    // SNAPSHOT OPERATIONS
+    // ========================================
+
+    // Automatic snapshots kept per document; named snapshots are never pruned
+    const MAX_AUTO_SNAPSHOTS = 30;
+
+    /**
+     * Stores a snapshot of a document's content. Automatic snapshots are
+     * skipped when the content did not change since the latest snapshot.
+     * @param {string} documentId - Document id
+     * @param {Object} content - Content state { text, images }
+     * @param {Object} options - { name } for named snapshots, { reason } for automatic ones
+     * @returns {Promise<Object|null>} - The snapshot, or null if it was skipped
+     */
+    async function createSnapshot(documentId, content, options = {}) {
+        const name = (options.name || '').trim();
+        const reason = name ? 'manual' : (options.reason || 'manual');
+
+        if (reason !== 'manual') {
+            const latest = (await listSnapshots(documentId))[0];
+            if (latest && isSameContent(latest, content)) return null;
+        }
+
+        const snapshot = {
+            id: generateId('snap'),
+            documentId: documentId,
+            name: name,
+            reason: reason,
+            text: content.text,
+            images: content.images,
+            wordCount: countWords(content.text),
+            createdAt: Date.now()
+        };
+        await runTransaction(STORES.SNAPSHOTS, 'readwrite', store => store.put(snapshot));
+
+        if (reason !== 'manual') {
+            await pruneAutoSnapshots(documentId);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Deletes the oldest automatic snapshots beyond MAX_AUTO_SNAPSHOTS
+     * @param {string} documentId - Document id
+     */
+    async function pruneAutoSnapshots(documentId) {
+        const stale = (await listSnapshots(documentId))
+            .filter(snapshot => snapshot.reason !== 'manual')
+            .slice(MAX_AUTO_SNAPSHOTS);
+        if (stale.length === 0) return;
+
+        await runTransaction(STORES.SNAPSHOTS, 'readwrite', store => {
+            let request = null;
+            stale.forEach(snapshot => {
+                request = store.delete(snapshot.id);
+            });
+            return request;
+        });
+    }
+
+    /**
+     * Lists the snapshots of a document, newest first
+     * @param {string} documentId - Document id
+     * @returns {Promise<Object[]>} - Snapshots
+     */
+    async function listSnapshots(documentId) {
+        try {
+            const snapshots = await runTransaction(STORES.SNAPSHOTS, 'readonly',
+                store => store.index('documentId').getAll(documentId));
+            return snapshots.sort((a, b) => b.createdAt - a.createdAt);
+        } catch (error) {
+            console.error('Failed to list snapshots:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Deletes a snapshot
+     * @param {string} id - Snapshot id
+     * @returns {Promise<boolean>} - Success status
      */
-    function loadDocument() {
-        const data = localStorage.getItem(KEYS.DOCUMENT);
-        return safeJsonParse(data, null);
+    async function deleteSnapshot(id) {
+        try {
+            await runTransaction(STORES.SNAPSHOTS, 'readwrite', store => store.delete(id));
+            return true;
+        } catch (error) {
+            console.error('Failed to delete snapshot:', error);
+            return false;
+        }
     }
 
     /**
-     * Clears the saved document
+     * Deletes every snapshot of a document
+     * @param {string} documentId - Document id
      */
-    function clearDocument() {
-        localStorage.removeItem(KEYS.DOCUMENT);
+    async function deleteDocumentSnapshots(documentId) {
+        await runTransaction(STORES.SNAPSHOTS, 'readwrite', store => {
+            const request = store.index('documentId').openCursor(documentId);
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    cursor.delete();
+                    cursor.continue();
+                }
+            };
+            return request;
+        });
     }
 
     // ========================================
@@ -195,61 +576,210 @@ const StorageModule = (function() {
         localStorage.setItem(KEYS.FORMATTING, safeJsonStringify(DEFAULT_FORMATTING));
     }
 
+    // ========================================
+    // PROVIDER SETTINGS
+    // ========================================
+
+    /**
+     * Saves the model provider connections. They stay on this device and
+     * are not part of documents or project backups, as they can hold API keys.
+     * @param {Object} providers - Connections by provider id
+     * @returns {boolean} - Success status
+     */
+    function saveProviderSettings(providers) {
+        try {
+            localStorage.setItem(KEYS.PROVIDERS, safeJsonStringify(providers));
+            return true;
+        } catch (error) {
+            console.error('Failed to save provider settings:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Loads the model provider connections
+     * @returns {Object} - Connections by provider id with defaults applied
+     */
+    function loadProviderSettings() {
+        const saved = safeJsonParse(localStorage.getItem(KEYS.PROVIDERS), {}) || {};
+        const providers = {};
+        Object.keys(DEFAULT_PROVIDER_SETTINGS).forEach(id => {
+            providers[id] = {
+                ...DEFAULT_PROVIDER_SETTINGS[id],
+                ...pickKnownFields(saved[id], DEFAULT_PROVIDER_SETTINGS[id])
+            };
+        });
+        return providers;
+    }
+
+    // ========================================
+    // USAGE LOG
+    // ========================================
+
+    /**
+     * Saves the token usage log
+     * @param {Object[]} entries - Usage entries, oldest first
+     * @returns {boolean} - Success status
+     */
+    function saveUsageLog(entries) {
+        try {
+            localStorage.setItem(KEYS.USAGE, safeJsonStringify(entries));
+            return true;
+        } catch (error) {
+            console.error('Failed to save usage log:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Loads the token usage log
+     * @returns {Object[]} - Usage entries, oldest first
+     */
+    function loadUsageLog() {
+        const saved = safeJsonParse(localStorage.getItem(KEYS.USAGE), []);
+        return Array.isArray(saved) ? saved : [];
+    }
+
     // ========================================
     // HISTORY OPERATIONS (Undo/Redo)
     // ========================================
 
+    // The history is a tree of content states. Making a change after an undo
+    // starts a new branch instead of discarding the states that could be
+    // redone, so every generation from the same state is kept as a sibling.
     const MAX_HISTORY_SIZE = 50;
-    let undoStack = [];
-    let redoStack = [];
+
+    // Nodes by id: { id, parent, children, activeChild, content, meta, createdAt }
+    let historyNodes = {};
+    let rootId = null;
+    let currentId = null;
+    // Whether the tree changed since it was last stored
+    let historyChanged = false;
 
     /**
-     * Pushes a new state to the undo stack
-     * @param {string} content - Content state to save
+     * Checks whether two content states are the same
+     * @param {Object} a - Content state { text, images }
+     * @param {Object} b - Content state { text, images }
+     * @returns {boolean} - True if text and image positions match
      */
-    function pushHistory(content) {
-        // Don't push if same as last state
-        if (undoStack.length > 0 && undoStack[undoStack.length - 1] === content) {
-            return;
+    function isSameContent(a, b) {
+        return a.text === b.text &&
+            a.images.length === b.images.length &&
+            a.images.every((image, i) => image.id === b.images[i].id && image.offset === b.images[i].offset);
+    }
+
+    /**
+     * Adds a state as the newest child of the current state and makes it current
+     * @param {Object} content - Content state { text, images }
+     * @param {Object} meta - Optional details, e.g. { type: 'generation', start, end }
+     */
+    function addHistoryNode(content, meta) {
+        const node = {
+            id: generateId('hist'),
+            parent: currentId,
+            children: [],
+            activeChild: null,
+            content: content,
+            meta: meta || null,
+            createdAt: Date.now()
+        };
+        historyNodes[node.id] = node;
+
+        if (currentId) {
+            const parent = historyNodes[currentId];
+            parent.children.push(node.id);
+            parent.activeChild = node.id;
+        } else {
+            rootId = node.id;
         }
+        currentId = node.id;
+        historyChanged = true;
 
-        undoStack.push(content);
-        
-        // Limit stack size
-        if (undoStack.length > MAX_HISTORY_SIZE) {
-            undoStack.shift();
+        pruneHistory();
+    }
+
+    /**
+     * Drops the oldest states, with every branch that does not lead
+     * to the current state, until the tree fits MAX_HISTORY_SIZE
+     */
+    function pruneHistory() {
+        const removeBranch = (id) => {
+            historyNodes[id].children.forEach(removeBranch);
+            delete historyNodes[id];
+        };
+
+        while (Object.keys(historyNodes).length > MAX_HISTORY_SIZE && rootId !== currentId) {
+            // Child of the root on the way to the current state
+            let keep = currentId;
+            while (historyNodes[keep].parent !== rootId) {
+                keep = historyNodes[keep].parent;
+            }
+
+            historyNodes[rootId].children.filter(id => id !== keep).forEach(removeBranch);
+            delete historyNodes[rootId];
+            historyNodes[keep].parent = null;
+            rootId = keep;
         }
-        
-        // Clear redo stack on new action
-        redoStack = [];
+    }
+
+    /**
+     * Records a new state
+     * @param {Object} content - Content state { text, images } to save
+     * @param {Object} meta - Optional details, e.g. { type: 'generation', start, end }
+     */
+    function pushHistory(content, meta) {
+        // Don't push if same as the current state
+        const current = historyNodes[currentId];
+        if (current && isSameContent(current.content, content)) {
+            return;
+        }
+
+        addHistoryNode(content, meta);
     }
 
     /**
      * Undoes the last action
-     * @param {string} currentContent - Current content before undo
-     * @returns {string|null} - Previous content or null if nothing to undo
+     * @param {Object} currentContent - Current content before undo
+     * @returns {Object|null} - Previous content or null if nothing to undo
      */
     function undo(currentContent) {
-        if (undoStack.length === 0) {
+        // Edits that were not recorded yet can be redone afterwards
+        pushHistory(currentContent);
+
+        const node = historyNodes[currentId];
+        if (!node || !node.parent) {
             return null;
         }
 
-        redoStack.push(currentContent);
-        return undoStack.pop();
+        const parent = historyNodes[node.parent];
+        parent.activeChild = node.id;
+        currentId = parent.id;
+        historyChanged = true;
+        return parent.content;
     }
 
     /**
-     * Redoes the last undone action
-     * @param {string} currentContent - Current content before redo
-     * @returns {string|null} - Next content or null if nothing to redo
+     * Redoes the last undone action, following the branch that was active last
+     * @param {Object} currentContent - Current content before redo
+     * @returns {Object|null} - Next content or null if nothing to redo
      */
     function redo(currentContent) {
-        if (redoStack.length === 0) {
+        const node = historyNodes[currentId];
+        if (!node) {
+            return null;
+        }
+        if (!isSameContent(node.content, currentContent)) {
+            // New edits start a new branch with nothing to redo
+            pushHistory(currentContent);
+            return null;
+        }
+        if (!node.activeChild) {
             return null;
         }
 
-        undoStack.push(currentContent);
-        return redoStack.pop();
+        currentId = node.activeChild;
+        historyChanged = true;
+        return historyNodes[currentId].content;
     }
 
     /**
@@ -257,7 +787,7 @@ const StorageModule = (function() {
      * @returns {boolean}
      */
     function canUndo() {
-        return undoStack.length > 0;
+        return !!historyNodes[currentId] && !!historyNodes[currentId].parent;
     }
 
     /**
@@ -265,103 +795,1990 @@ const StorageModule = (function() {
      * @returns {boolean}
      */
     function canRedo() {
-        return redoStack.length > 0;
+        return !!historyNodes[currentId] && !!historyNodes[currentId].activeChild;
+    }
+
+    /**
+     * Gets the position of the current state among its alternatives
+     * @returns {Object|null} - { index, count, meta }, or null if the current state has no siblings
+     */
+    function getBranchInfo() {
+        const node = historyNodes[currentId];
+        if (!node || !node.parent) return null;
+
+        const siblings = historyNodes[node.parent].children;
+        if (siblings.length < 2) return null;
+
+        return {
+            index: siblings.indexOf(node.id),
+            count: siblings.length,
+            meta: node.meta
+        };
+    }
+
+    /**
+     * Switches to the previous or next alternative of the current state
+     * @param {number} direction - -1 for the previous, 1 for the next sibling
+     * @param {Object} currentContent - Current content
+     * @returns {Object|null} - { content, meta } of the sibling, or null if there is none
+     */
+    function switchBranch(direction, currentContent) {
+        const node = historyNodes[currentId];
+        if (!node || !node.parent || !isSameContent(node.content, currentContent)) {
+            return null;
+        }
+
+        const parent = historyNodes[node.parent];
+        const index = parent.children.indexOf(node.id);
+        const count = parent.children.length;
+        if (count < 2) return null;
+
+        const sibling = historyNodes[parent.children[(index + direction + count) % count]];
+        parent.activeChild = sibling.id;
+        currentId = sibling.id;
+        historyChanged = true;
+        return { content: sibling.content, meta: sibling.meta };
     }
 
     /**
      * Clears all history
      */
     function clearHistory() {
-        undoStack = [];
-        redoStack = [];
+        historyNodes = {};
+        rootId = null;
+        currentId = null;
+        historyChanged = true;
     }
 
-    // ========================================
-    // EXPORT OPERATIONS
-    // ========================================
+    /**
+     * Gets the history tree for storing
+     * @returns {Object} - { rootId, currentId, nodes }
+     */
+    function getHistory() {
+        return {
+            rootId: rootId,
+            currentId: currentId,
+            nodes: Object.values(historyNodes)
+        };
+    }
 
     /**
-     * Exports document as plain text file
-     * @param {string} content - Content to export
-     * @param {string} filename - Filename without extension
+     * Replaces the history, e.g. after restoring a project
+     * @param {Object} history - Tree from getHistory
      */
-    function exportAsText(content, filename = 'novel') {
-        const blob = new Blob([content], { type: 'text/plain;charset=utf-8' });
-        downloadBlob(blob, `${filename}.txt`);
+    function setHistory(history) {
+        clearHistory();
+
+        history.nodes.forEach(node => {
+            historyNodes[node.id] = node;
+        });
+        rootId = history.rootId;
+        currentId = history.currentId;
     }
 
     /**
-     * Exports document as formatted HTML file
-     * @param {string} content - Content to export
-     * @param {Object} formatting - Formatting settings
-     * @param {string} filename - Filename without extension
+     * Turns the { undo, redo } stacks of earlier versions into a history tree
+     * with a single branch. The current state is the last undo entry.
+     * @param {Object} stacks - { undo, redo } content states
+     * @returns {Object|null} - { rootId, currentId, nodes }, or null if both stacks are empty
      */
-    function exportAsHtml(content, formatting, filename = 'novel') {
-        const html = generateHtmlDocument(content, formatting);
-        const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
-        downloadBlob(blob, `${filename}.html`);
+    function historyStacksToTree(stacks) {
+        const nodes = [];
+
+        const add = (content) => {
+            const parent = nodes[nodes.length - 1];
+            // Neighbouring entries with the same content were one state
+            if (parent && isSameContent(parent.content, content)) return;
+
+            const node = {
+                id: generateId('hist'),
+                parent: parent ? parent.id : null,
+                children: [],
+                activeChild: null,
+                content: content,
+                meta: null,
+                createdAt: Date.now()
+            };
+            if (parent) {
+                parent.children.push(node.id);
+                parent.activeChild = node.id;
+            }
+            nodes.push(node);
+        };
+
+        stacks.undo.forEach(add);
+        const current = nodes[nodes.length - 1];
+        stacks.redo.slice().reverse().forEach(add);
+        if (nodes.length === 0) return null;
+
+        return {
+            rootId: nodes[0].id,
+            currentId: (current || nodes[0]).id,
+            nodes: nodes
+        };
     }
 
     /**
-     * Generates a complete HTML document from content
-     * @param {string} content - Raw text content
-     * @param {Object} formatting - Formatting settings
-     * @returns {string} - Complete HTML document
+     * Checks that a stored history tree is complete and consistent
+     * @param {Object} history - { rootId, currentId, nodes }
+     * @returns {boolean} - True if the tree can be restored
      */
-    function generateHtmlDocument(content, formatting) {
-        // Split content into paragraphs
-        const paragraphs = content.split(/\n\n+/).filter(p => p.trim());
-        
-        // Format each paragraph with dialogue/thoughts highlighting
-        const formattedParagraphs = paragraphs.map(p => {
-            let html = escapeHtml(p);
-            
-            // Apply formatting
-            html = html.replace(/"([^"]+)"/g, `<span style="color: ${formatting.dialogueColor}">"$1"</span>`);
-            html = html.replace(/'([^']+)'/g, `<span style="color: ${formatting.thoughtsColor}; font-style: italic;">'$1'</span>`);
-            html = html.replace(/\*([^*]+)\*/g, `<span style="color: ${formatting.emphasisColor}; font-style: italic;">$1</span>`);
-            
-            return `<p>${html}</p>`;
-        }).join('\n');
+    function isValidHistoryTree(history) {
+        if (!history || !Array.isArray(history.nodes)) return false;
 
-        return `<!DOCTYPE html>
-<html lang="en">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>My Novel</title>
-    <style>
-        body {
-            font-family: ${formatting.fontFamily};
-            font-size: ${formatting.fontSize}px;
-            line-height: ${formatting.lineHeight};
-            color: ${formatting.textColor};
-            background-color: ${formatting.bgColor};
+        const nodes = new Map(history.nodes.map(node => [node && node.id, node]));
+        const isConsistent = nodes.size === history.nodes.length &&
+            nodes.has(history.rootId) && nodes.has(history.currentId) &&
+            history.nodes.every(node =>
+                isValidContentState(node.content) &&
+                (node.parent === null ? node.id === history.rootId : nodes.has(node.parent)) &&
+                Array.isArray(node.children) && node.children.every(id => nodes.has(id)) &&
+                (node.activeChild === null || node.children.includes(node.activeChild))
+            );
+        if (!isConsistent) return false;
+
+        // Every node has to be reached once from the root through children that
+        // point back to it; a cycle would keep pruneHistory looping forever
+        const reached = new Set();
+        const pending = [history.rootId];
+        while (pending.length > 0) {
+            const id = pending.pop();
+            if (reached.has(id)) return false;
+            reached.add(id);
+
+            for (const childId of nodes.get(id).children) {
+                if (nodes.get(childId).parent !== id) return false;
+                pending.push(childId);
+            }
+        }
+        return reached.size === nodes.size;
+    }
+
+    // Stored trees keep the full text of the root only. Every other state is
+    // a patch against its parent and images are stored once, by id.
+    const HISTORY_FORMAT_VERSION = 2;
+
+    /**
+     * Finds the changed part between two texts
+     * @param {string} oldText - Text of the parent state
+     * @param {string} newText - Text of the child state
+     * @returns {Array} - Patch [start, removedLength, insertedText]
+     */
+    function createTextPatch(oldText, newText) {
+        let start = 0;
+        const maxStart = Math.min(oldText.length, newText.length);
+        while (start < maxStart && oldText[start] === newText[start]) start++;
+
+        let oldEnd = oldText.length;
+        let newEnd = newText.length;
+        while (oldEnd > start && newEnd > start && oldText[oldEnd - 1] === newText[newEnd - 1]) {
+            oldEnd--;
+            newEnd--;
+        }
+
+        return [start, oldEnd - start, newText.substring(start, newEnd)];
+    }
+
+    /**
+     * Applies a patch from createTextPatch
+     * @param {string} text - Text of the parent state
+     * @param {Array} patch - Patch [start, removedLength, insertedText]
+     * @returns {string} - Text of the child state
+     */
+    function applyTextPatch(text, patch) {
+        const [start, removed, inserted] = patch;
+        return text.substring(0, start) + inserted + text.substring(start + removed);
+    }
+
+    /**
+     * Converts a history tree to the compact stored form
+     * @param {Object} history - { rootId, currentId, nodes } from getHistory
+     * @returns {Object} - { version, rootId, currentId, images, nodes }
+     */
+    function compactHistory(history) {
+        const byId = {};
+        history.nodes.forEach(node => {
+            byId[node.id] = node;
+        });
+
+        const images = {};
+        const nodes = history.nodes.map(node => {
+            node.content.images.forEach(image => {
+                images[image.id] = { mimeType: image.mimeType, data: image.data };
+            });
+
+            const { content, ...fields } = node;
+            const parent = byId[node.parent];
+            return {
+                ...fields,
+                ...(parent
+                    ? { patch: createTextPatch(parent.content.text, content.text) }
+                    : { text: content.text }),
+                images: content.images.map(image => [image.id, image.offset])
+            };
+        });
+
+        return {
+            version: HISTORY_FORMAT_VERSION,
+            rootId: history.rootId,
+            currentId: history.currentId,
+            images: images,
+            nodes: nodes
+        };
+    }
+
+    /**
+     * Rebuilds a history tree from its compact stored form
+     * @param {Object} stored - Stored history from compactHistory
+     * @returns {Object|null} - { rootId, currentId, nodes }, or null if the record is broken
+     */
+    function expandHistory(stored) {
+        if (!stored || !Array.isArray(stored.nodes) || !stored.images) return null;
+
+        const byId = {};
+        stored.nodes.forEach(node => {
+            if (node) byId[node.id] = node;
+        });
+
+        const nodes = [];
+        const visited = new Set();
+        // Parents are rebuilt before their children, starting at the root
+        const queue = [{ id: stored.rootId, parentText: null }];
+        while (queue.length > 0) {
+            const { id, parentText } = queue.shift();
+            const node = byId[id];
+            if (!node || visited.has(id) || !Array.isArray(node.children) || !Array.isArray(node.images)) {
+                return null;
+            }
+            visited.add(id);
+
+            const text = parentText === null ? node.text : applyTextPatch(parentText, node.patch);
+            const images = node.images.map(([imageId, offset]) => ({
+                id: imageId,
+                offset: offset,
+                ...stored.images[imageId]
+            }));
+
+            const { patch, text: rootText, images: imageRefs, ...fields } = node;
+            nodes.push({ ...fields, content: { text, images } });
+            node.children.forEach(childId => queue.push({ id: childId, parentText: text }));
+        }
+
+        return { rootId: stored.rootId, currentId: stored.currentId, nodes };
+    }
+
+    /**
+     * Stores the history tree of a document if it changed
+     * @param {string} documentId - Document id
+     * @returns {Promise<boolean>} - Success status
+     */
+    async function saveHistory(documentId) {
+        if (!historyChanged) return true;
+
+        try {
+            historyChanged = false;
+            await runTransaction(STORES.HISTORY, 'readwrite', store => store.put({
+                documentId: documentId,
+                ...compactHistory(getHistory()),
+                updatedAt: Date.now()
+            }));
+            return true;
+        } catch (error) {
+            historyChanged = true;
+            console.error('Failed to save history:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Replaces the history with the stored tree of a document
+     * @param {string} documentId - Document id
+     */
+    async function loadHistory(documentId) {
+        let stored = null;
+        try {
+            stored = await runTransaction(STORES.HISTORY, 'readonly', store => store.get(documentId));
+        } catch (error) {
+            console.error('Failed to load history:', error);
+        }
+
+        // Trees stored before the compact format hold full content states
+        const isCompact = !!stored && stored.version === HISTORY_FORMAT_VERSION;
+        let history = null;
+        try {
+            history = isCompact ? expandHistory(stored) : stored;
+        } catch (error) {
+            console.error('Failed to read history:', error);
+        }
+
+        // The previous tree stays in place until the stored one is ready
+        clearHistory();
+        if (isValidHistoryTree(history)) {
+            setHistory(history);
+        }
+        // Old trees are written back in the compact format with the next save
+        historyChanged = !!stored && !isCompact && isValidHistoryTree(history);
+    }
+
+    // ========================================
+    // PROJECT BACKUP
+    // ========================================
+
+    const PROJECT_FORMAT = 'kkumtl-project';
+    // 2: the undo history is a tree from getHistory; 1 held { undo, redo } stacks
+    const PROJECT_VERSION = 2;
+
+    /**
+     * Exports every document of the library with its snapshots, together with
+     * the settings, formatting and the undo history of the open document as one JSON file
+     * @param {string} filename - Filename without extension
+     */
+    async function exportProject(filename = 'kkumtl-project') {
+        const documents = await runTransaction(STORES.DOCUMENTS, 'readonly', store => store.getAll());
+        const snapshots = await runTransaction(STORES.SNAPSHOTS, 'readonly', store => store.getAll());
+        const activeDocumentId = getActiveDocumentId();
+
+        const bundle = {
+            format: PROJECT_FORMAT,
+            version: PROJECT_VERSION,
+            exportedAt: new Date().toISOString(),
+            activeDocumentId: activeDocumentId,
+            settings: loadSettings(),
+            formatting: loadFormatting(),
+            history: {
+                documentId: activeDocumentId,
+                ...getHistory()
+            },
+            documents: documents,
+            snapshots: snapshots
+        };
+
+        const blob = new Blob([JSON.stringify(bundle)], { type: 'application/json;charset=utf-8' });
+        downloadBlob(blob, `${filename}.json`);
+    }
+
+    /**
+     * Parses and validates a project file
+     * @param {string} json - File content
+     * @returns {Object|null} - Normalized project, or null if the file is not a project
+     * @throws {Error} - INVALID_PROJECT if the file is a project that cannot be restored
+     */
+    function parseProject(json) {
+        let bundle;
+        try {
+            bundle = JSON.parse(json);
+        } catch (error) {
+            // Any other .json file is loaded as text
+            return null;
+        }
+        if (!bundle || typeof bundle !== 'object' || bundle.format !== PROJECT_FORMAT) {
+            return null;
+        }
+
+        if (!Number.isInteger(bundle.version) || bundle.version < 1) {
+            throw new Error('INVALID_PROJECT: Missing version');
+        }
+        if (bundle.version > PROJECT_VERSION) {
+            throw new Error(`INVALID_PROJECT: Version ${bundle.version} is newer than this app supports`);
+        }
+        bundle = migrateProject(bundle);
+        if (!Array.isArray(bundle.documents) || bundle.documents.length === 0) {
+            throw new Error('INVALID_PROJECT: No documents');
+        }
+
+        const documents = bundle.documents.map((doc, index) => normalizeProjectDocument(doc, index));
+        const ids = new Set(documents.map(doc => doc.id));
+        if (ids.size !== documents.length) {
+            throw new Error('INVALID_PROJECT: Duplicate document ids');
+        }
+
+        const activeDocumentId = ids.has(bundle.activeDocumentId) ? bundle.activeDocumentId : documents[0].id;
+        const history = bundle.history;
+        const isValidHistory = history && history.documentId === activeDocumentId && isValidHistoryTree(history);
+
+        return {
+            version: bundle.version,
+            exportedAt: bundle.exportedAt,
+            activeDocumentId: activeDocumentId,
+            settings: pickKnownFields(bundle.settings, DEFAULT_SETTINGS),
+            formatting: pickKnownFields(bundle.formatting, DEFAULT_FORMATTING),
+            history: isValidHistory ? history : null,
+            documents: documents,
+            // Snapshots came after the first projects; those of unknown documents are dropped
+            snapshots: (Array.isArray(bundle.snapshots) ? bundle.snapshots : [])
+                .map(normalizeProjectSnapshot)
+                .filter(snapshot => ids.has(snapshot.documentId))
+        };
+    }
+
+    /**
+     * Brings a project of an earlier version to the current format
+     * @param {Object} bundle - Parsed project file
+     * @returns {Object} - Project in the format of PROJECT_VERSION
+     */
+    function migrateProject(bundle) {
+        if (bundle.version < 2) {
+            // The undo and redo stacks become a tree; broken stacks are dropped
+            const history = bundle.history;
+            const isValidStacks = !!history && Array.isArray(history.undo) && Array.isArray(history.redo) &&
+                [...history.undo, ...history.redo].every(isValidContentState);
+            const tree = isValidStacks ? historyStacksToTree(history) : null;
+
+            bundle = {
+                ...bundle,
+                version: 2,
+                history: tree ? { documentId: history.documentId, ...tree } : null
+            };
+        }
+
+        return bundle;
+    }
+
+    /**
+     * Validates one snapshot of a project
+     * @param {Object} snapshot - Snapshot from the project file
+     * @param {number} index - Position in the project, for error messages
+     * @returns {Object} - Snapshot ready to be stored
+     */
+    function normalizeProjectSnapshot(snapshot, index) {
+        if (!snapshot || typeof snapshot.id !== 'string' || !snapshot.id ||
+            typeof snapshot.documentId !== 'string' || !isValidContentState(snapshot)) {
+            throw new Error(`INVALID_PROJECT: Snapshot ${index + 1} is broken`);
+        }
+
+        return {
+            id: snapshot.id,
+            documentId: snapshot.documentId,
+            name: typeof snapshot.name === 'string' ? snapshot.name : '',
+            reason: typeof snapshot.reason === 'string' ? snapshot.reason : 'manual',
+            text: snapshot.text,
+            images: snapshot.images,
+            wordCount: countWords(snapshot.text),
+            createdAt: Number.isFinite(snapshot.createdAt) ? snapshot.createdAt : Date.now()
+        };
+    }
+
+    /**
+     * Validates one document of a project and fills in missing optional fields
+     * @param {Object} doc - Document from the project file
+     * @param {number} index - Position in the project, for error messages
+     * @returns {Object} - Document ready to be stored
+     */
+    function normalizeProjectDocument(doc, index) {
+        if (!doc || typeof doc !== 'object' || typeof doc.id !== 'string' || !doc.id) {
+            throw new Error(`INVALID_PROJECT: Document ${index + 1} has no id`);
+        }
+        if (typeof doc.content !== 'string') {
+            throw new Error(`INVALID_PROJECT: Document ${index + 1} has no content`);
+        }
+
+        const images = doc.images || [];
+        if (!Array.isArray(images) || !images.every(isValidImage)) {
+            throw new Error(`INVALID_PROJECT: Document ${index + 1} has broken images`);
+        }
+
+        const now = Date.now();
+        const metadata = doc.metadata && typeof doc.metadata === 'object' ? doc.metadata : {};
+        return {
+            id: doc.id,
+            title: typeof doc.title === 'string' && doc.title.trim() ? doc.title : DEFAULT_TITLE,
+            content: doc.content,
+            images: images,
+            settings: pickKnownFields(doc.settings, DEFAULT_SETTINGS),
+            storyBible: Array.isArray(doc.storyBible) ? doc.storyBible : [],
+            summaries: doc.summaries && typeof doc.summaries === 'object' ? doc.summaries : {},
+            metadata: {
+                author: typeof metadata.author === 'string' ? metadata.author : '',
+                description: typeof metadata.description === 'string' ? metadata.description : ''
+            },
+            createdAt: Number.isFinite(doc.createdAt) ? doc.createdAt : now,
+            updatedAt: Number.isFinite(doc.updatedAt) ? doc.updatedAt : now,
+            wordCount: countWords(doc.content)
+        };
+    }
+
+    /**
+     * Checks an embedded image record
+     * @param {Object} image - { id, offset, mimeType, data }
+     * @returns {boolean} - True if the image can be shown
+     */
+    function isValidImage(image) {
+        return !!image &&
+            Number.isFinite(image.offset) && image.offset >= 0 &&
+            /^image\/[\w.+-]+$/.test(image.mimeType) &&
+            typeof image.data === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(image.data);
+    }
+
+    /**
+     * Checks an undo history entry
+     * @param {Object} state - Content state { text, images }
+     * @returns {boolean} - True if the entry can be restored
+     */
+    function isValidContentState(state) {
+        return !!state && typeof state.text === 'string' &&
+            Array.isArray(state.images) && state.images.every(isValidImage);
+    }
+
+    /**
+     * Keeps the fields of an object that exist in the defaults and have the same type
+     * @param {Object} value - Object from a project file
+     * @param {Object} defaults - Default values
+     * @returns {Object} - Known fields only
+     */
+    function pickKnownFields(value, defaults) {
+        const result = {};
+        if (!value || typeof value !== 'object') return result;
+
+        Object.keys(defaults).forEach(key => {
+            if (key in value && typeof value[key] === typeof defaults[key]) {
+                result[key] = value[key];
+            }
+        });
+        return result;
+    }
+
+    /**
+     * Compares a project with the library before it is restored
+     * @param {Object} project - Project from parseProject
+     * @returns {Promise<Object>} - { replaced, added } documents of the project
+     */
+    async function getProjectImportPlan(project) {
+        const existing = new Map((await listDocuments()).map(doc => [doc.id, doc]));
+
+        return {
+            // Library documents that the project overwrites, as they are now
+            replaced: project.documents.filter(doc => existing.has(doc.id)).map(doc => existing.get(doc.id)),
+            added: project.documents.filter(doc => !existing.has(doc.id))
+        };
+    }
+
+    /**
+     * Restores a project: stores its documents and snapshots (replacing those
+     * with the same id), settings and formatting, and makes its open document active.
+     * Library documents that are not part of the project are kept.
+     * @param {Object} project - Project from parseProject
+     * @returns {Promise<Object>} - { documentId, history } to open after restoring
+     */
+    async function importProject(project) {
+        await runTransaction(STORES.DOCUMENTS, 'readwrite', store => {
+            let request = null;
+            project.documents.forEach(doc => {
+                request = store.put(doc);
+            });
+            return request;
+        });
+
+        if (project.snapshots.length > 0) {
+            await runTransaction(STORES.SNAPSHOTS, 'readwrite', store => {
+                let request = null;
+                project.snapshots.forEach(snapshot => {
+                    request = store.put(snapshot);
+                });
+                return request;
+            });
+        }
+
+        saveSettings(project.settings);
+        saveFormatting(project.formatting);
+        setActiveDocumentId(project.activeDocumentId);
+
+        return {
+            documentId: project.activeDocumentId,
+            history: project.history
+        };
+    }
+
+    // ========================================
+    // EXPORT OPERATIONS
+    // ========================================
+
+    // Dialogue, thoughts and emphasis spans styled by a stylesheet (EPUB, PDF)
+    const CLASS_SPAN_ATTRIBUTES = {
+        dialogue: 'class="dialogue"',
+        thoughts: 'class="thoughts"',
+        emphasis: 'class="emphasis"'
+    };
+
+    // settings.language to BCP 47 tags
+    const LANGUAGE_TAGS = {
+        'EN': 'en',
+        'KR': 'ko',
+        'JP': 'ja'
+    };
+
+    /**
+     * Exports document as plain text file
+     * @param {string} content - Content to export
+     * @param {string} filename - Filename without extension
+     */
+    function exportAsText(content, filename = 'novel') {
+        const chapters = getHeadedChapters(content);
+        let text = content;
+
+        if (chapters.length > 0) {
+            // Plain chapter headings without markdown markers
+            text = content.split('\n')
+                .map(line => ChapterModule.isHeading(line) ? ChapterModule.getHeadingTitle(line) : line)
+                .join('\n');
+        }
+
+        if (chapters.length > 1) {
+            const toc = chapters.map((chapter, index) => `${index + 1}. ${chapter.title}`).join('\n');
+            text = `목차\n\n${toc}\n\n\n${text}`;
+        }
+
+        const blob = new Blob([text], { type: 'text/plain;charset=utf-8' });
+        downloadBlob(blob, `${filename}.txt`);
+    }
+
+    /**
+     * Exports document as formatted HTML file
+     * @param {string} content - Content to export
+     * @param {Object} formatting - Formatting settings
+     * @param {string} filename - Filename without extension
+     */
+    function exportAsHtml(content, formatting, filename = 'novel') {
+        const html = generateHtmlDocument(content, formatting);
+        const blob = new Blob([html], { type: 'text/html;charset=utf-8' });
+        downloadBlob(blob, `${filename}.html`);
+    }
+
+    /**
+     * Gets the chapters of a document that start with a heading
+     * @param {string} content - Raw text content
+     * @returns {Object[]} - Chapters from ChapterModule
+     */
+    function getHeadedChapters(content) {
+        return ChapterModule.splitChapters(content).filter(chapter => chapter.hasHeading);
+    }
+
+    /**
+     * Formats a block of text as HTML paragraphs with dialogue/thoughts highlighting.
+     * Scene break lines become horizontal rules. The output is also valid XHTML.
+     * @param {string} text - Raw text
+     * @param {Object} spanAttributes - Attributes of the dialogue, thoughts and emphasis spans
+     * @returns {string} - HTML paragraphs
+     */
+    function formatParagraphs(text, spanAttributes) {
+        // Scene breaks get their own paragraph so they can be replaced
+        const lines = text.split('\n').map(line => ChapterModule.isSceneBreak(line) ? `\n\n${line}\n\n` : line);
+        const paragraphs = lines.join('\n').split(/\n\n+/).map(p => p.trim()).filter(p => p);
+        
+        return paragraphs.map(p => {
+            if (ChapterModule.isSceneBreak(p)) {
+                return '<hr class="scene-break"/>';
+            }
+
+            let html = escapeXml(p);
+            
+            // Apply formatting
+            html = html.replace(/"([^"]+)"/g, `<span ${spanAttributes.dialogue}>"$1"</span>`);
+            html = html.replace(/'([^']+)'/g, `<span ${spanAttributes.thoughts}>'$1'</span>`);
+            html = html.replace(/\*([^*]+)\*/g, `<span ${spanAttributes.emphasis}>$1</span>`);
+            
+            return `<p>${html}</p>`;
+        }).join('\n');
+    }
+
+    /**
+     * Formats the body of a chapter with its images placed at their offsets
+     * @param {string} content - Full content
+     * @param {Object} chapter - Chapter from ChapterModule
+     * @param {Object[]} images - Images inside the chapter
+     * @param {Object} spanAttributes - Attributes of the dialogue, thoughts and emphasis spans
+     * @param {Function} imageSrc - Returns the src of an image
+     * @returns {string} - HTML paragraphs and figures
+     */
+    function formatChapterBody(content, chapter, images, spanAttributes, imageSrc) {
+        const parts = [];
+        let position = chapter.bodyStart;
+
+        images
+            .slice()
+            .sort((a, b) => a.offset - b.offset)
+            .forEach(image => {
+                const offset = Math.max(image.offset, position);
+                parts.push(formatParagraphs(content.substring(position, offset), spanAttributes));
+                parts.push(`<figure class="illustration"><img src="${imageSrc(image)}" alt=""/></figure>`);
+                position = offset;
+            });
+        parts.push(formatParagraphs(content.substring(position, chapter.end), spanAttributes));
+
+        return parts.filter(part => part).join('\n');
+    }
+
+    /**
+     * Generates a complete HTML document from content.
+     * Chapter headings become h2 elements; with more than one chapter
+     * a linked table of contents is added at the top.
+     * @param {string} content - Raw text content
+     * @param {Object} formatting - Formatting settings
+     * @returns {string} - Complete HTML document
+     */
+    function generateHtmlDocument(content, formatting) {
+        const chapters = ChapterModule.splitChapters(content);
+        const headed = chapters.filter(chapter => chapter.hasHeading);
+        const spanAttributes = {
+            dialogue: `style="color: ${formatting.dialogueColor}"`,
+            thoughts: `style="color: ${formatting.thoughtsColor}; font-style: italic;"`,
+            emphasis: `style="color: ${formatting.emphasisColor}; font-style: italic;"`
+        };
+
+        const body = chapters.map(chapter => {
+            const text = formatParagraphs(content.substring(chapter.bodyStart, chapter.end), spanAttributes);
+            if (!chapter.hasHeading) return text;
+
+            const id = `chapter-${headed.indexOf(chapter) + 1}`;
+            return `<h2 id="${id}">${escapeHtml(chapter.title)}</h2>\n${text}`;
+        }).join('\n');
+
+        let toc = '';
+        if (headed.length > 1) {
+            const items = headed.map((chapter, index) =>
+                `        <li><a href="#chapter-${index + 1}">${escapeHtml(chapter.title)}</a></li>`
+            ).join('\n');
+            toc = `<nav class="toc">\n    <h2>목차</h2>\n    <ol>\n${items}\n    </ol>\n</nav>\n`;
+        }
+
+        return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>My Novel</title>
+    <style>
+        body {
+            font-family: ${formatting.fontFamily};
+            font-size: ${formatting.fontSize}px;
+            line-height: ${formatting.lineHeight};
+            color: ${formatting.textColor};
+            background-color: ${formatting.bgColor};
             max-width: 800px;
             margin: 0 auto;
             padding: 40px 20px;
             text-align: justify;
         }
         p {
-            margin-bottom: ${formatting.paragraphSpacing}em;
+            margin-bottom: ${formatting.paragraphSpacing}em;
+        }
+        h2 {
+            margin: 2em 0 1em;
+            text-align: center;
+        }
+        hr.scene-break {
+            border: none;
+            margin: 2em 0;
+            text-align: center;
+        }
+        hr.scene-break::after {
+            content: '* * *';
+        }
+        .toc {
+            margin-bottom: 3em;
+        }
+        .toc a {
+            color: inherit;
+        }
+    </style>
+</head>
+<body>
+${toc}${body}
+</body>
+</html>`;
+    }
+
+    /**
+     * Escapes HTML special characters
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    function escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    /**
+     * Escapes XML special characters in text content. Unlike escapeHtml this
+     * never produces HTML-only entities such as &nbsp;, so the result is valid in XHTML.
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    function escapeXml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;');
+    }
+
+    // ========================================
+    // EPUB EXPORT
+    // ========================================
+
+    const EPUB_TOC_TITLES = {
+        'en': 'Contents',
+        'ko': '목차',
+        'ja': '目次'
+    };
+
+    const IMAGE_EXTENSIONS = {
+        'image/png': 'png',
+        'image/jpeg': 'jpg',
+        'image/gif': 'gif',
+        'image/webp': 'webp'
+    };
+
+    /**
+     * Exports document as an EPUB 3 e-book
+     * @param {string} content - Content to export
+     * @param {Object} formatting - Formatting settings
+     * @param {Object} book - { id, title, author, description, language, images }
+     * @param {string} filename - Filename without extension
+     */
+    function exportAsEpub(content, formatting, book, filename = 'novel') {
+        const blob = ZipModule.createZip(buildEpubFiles(content, formatting, book), 'application/epub+zip');
+        downloadBlob(blob, `${filename}.epub`);
+    }
+
+    /**
+     * Builds the files of an EPUB 3 package. Each chapter becomes its own
+     * XHTML file, embedded images are packaged next to them and the first
+     * image doubles as the cover.
+     * @param {string} content - Content to export
+     * @param {Object} formatting - Formatting settings
+     * @param {Object} book - { id, title, author, description, language, images }
+     * @returns {Object[]} - Files as { name, data } with the mimetype first
+     */
+    function buildEpubFiles(content, formatting, book) {
+        const lang = LANGUAGE_TAGS[book.language] || 'en';
+        const title = book.title || DEFAULT_TITLE;
+        const images = (book.images || []).map(image => ({
+            ...image,
+            href: `images/${image.id}.${IMAGE_EXTENSIONS[image.mimeType] || 'png'}`
+        }));
+
+        const chapters = ChapterModule.splitChapters(content);
+        if (chapters.length === 0) {
+            chapters.push({ title, start: 0, end: 0, bodyStart: 0, hasHeading: false, text: '' });
+        }
+
+        const chapterFiles = chapters.map((chapter, index) => {
+            const chapterImages = images.filter(image =>
+                ChapterModule.findChapterAt(chapters, image.offset) === chapter
+            );
+            const label = chapter.hasHeading || chapters.length > 1 ? chapter.title : title;
+
+            return {
+                id: `chapter-${index + 1}`,
+                name: `text/chapter-${index + 1}.xhtml`,
+                label: label,
+                data: buildEpubChapter(content, chapter, chapterImages, label, lang)
+            };
+        });
+
+        const cover = images[0] || null;
+        const files = [
+            { name: 'mimetype', data: 'application/epub+zip' },
+            { name: 'META-INF/container.xml', data: `<?xml version="1.0" encoding="UTF-8"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+    <rootfiles>
+        <rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/>
+    </rootfiles>
+</container>` },
+            { name: 'OEBPS/content.opf', data: buildEpubPackage(book, title, lang, chapterFiles, images, cover) },
+            { name: 'OEBPS/nav.xhtml', data: buildXhtml(EPUB_TOC_TITLES[lang], lang, `<nav epub:type="toc" id="toc">
+    <h1>${escapeXml(EPUB_TOC_TITLES[lang])}</h1>
+    <ol>
+${chapterFiles.map(file => `        <li><a href="${file.name}">${escapeXml(file.label)}</a></li>`).join('\n')}
+    </ol>
+</nav>`, '') },
+            { name: 'OEBPS/cover.xhtml', data: buildXhtml(title, lang, `<section epub:type="cover" class="cover">
+${cover ? `    <img src="${cover.href}" alt="${escapeXml(title).replace(/"/g, '&quot;')}"/>\n` : ''}    <h1 class="cover-title">${escapeXml(title)}</h1>
+${book.author ? `    <p class="cover-author">${escapeXml(book.author)}</p>\n` : ''}</section>`, '') },
+            { name: 'OEBPS/styles/book.css', data: buildEpubStylesheet(formatting) }
+        ];
+
+        chapterFiles.forEach(file => {
+            files.push({ name: `OEBPS/${file.name}`, data: file.data });
+        });
+        images.forEach(image => {
+            files.push({ name: `OEBPS/${image.href}`, data: base64ToBytes(image.data) });
+        });
+
+        return files;
+    }
+
+    /**
+     * Builds the package document (content.opf)
+     * @param {Object} book - Book metadata
+     * @param {string} title - Book title
+     * @param {string} lang - Language tag
+     * @param {Object[]} chapterFiles - Chapter files { id, name }
+     * @param {Object[]} images - Images with their href
+     * @param {Object|null} cover - Cover image
+     * @returns {string} - Package document
+     */
+    function buildEpubPackage(book, title, lang, chapterFiles, images, cover) {
+        // EPUB requires the modification date without milliseconds
+        const modified = new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+        const metadata = [
+            `<dc:identifier id="book-id">kkumtl:${escapeXml(book.id || generateId('doc'))}</dc:identifier>`,
+            `<dc:title>${escapeXml(title)}</dc:title>`,
+            `<dc:language>${lang}</dc:language>`,
+            book.author ? `<dc:creator>${escapeXml(book.author)}</dc:creator>` : '',
+            book.description ? `<dc:description>${escapeXml(book.description)}</dc:description>` : '',
+            `<meta property="dcterms:modified">${modified}</meta>`
+        ].filter(line => line);
+
+        const manifest = [
+            '<item id="nav" href="nav.xhtml" media-type="application/xhtml+xml" properties="nav"/>',
+            '<item id="cover" href="cover.xhtml" media-type="application/xhtml+xml"/>',
+            '<item id="css" href="styles/book.css" media-type="text/css"/>',
+            ...chapterFiles.map(file =>
+                `<item id="${file.id}" href="${file.name}" media-type="application/xhtml+xml"/>`
+            ),
+            ...images.map(image =>
+                `<item id="${image.id}" href="${image.href}" media-type="${image.mimeType}"${image === cover ? ' properties="cover-image"' : ''}/>`
+            )
+        ];
+
+        const spine = [
+            '<itemref idref="cover"/>',
+            '<itemref idref="nav"/>',
+            ...chapterFiles.map(file => `<itemref idref="${file.id}"/>`)
+        ];
+
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="book-id" xml:lang="${lang}">
+    <metadata xmlns:dc="http://purl.org/dc/elements/1.1/">
+        ${metadata.join('\n        ')}
+    </metadata>
+    <manifest>
+        ${manifest.join('\n        ')}
+    </manifest>
+    <spine>
+        ${spine.join('\n        ')}
+    </spine>
+</package>`;
+    }
+
+    /**
+     * Builds the XHTML file of one chapter with its images in place
+     * @param {string} content - Full content
+     * @param {Object} chapter - Chapter from ChapterModule
+     * @param {Object[]} images - Images inside the chapter, with their href
+     * @param {string} label - Chapter title
+     * @param {string} lang - Language tag
+     * @returns {string} - XHTML document
+     */
+    function buildEpubChapter(content, chapter, images, label, lang) {
+        const text = formatChapterBody(content, chapter, images, CLASS_SPAN_ATTRIBUTES, image => `../${image.href}`);
+        const heading = chapter.hasHeading ? `<h1>${escapeXml(chapter.title)}</h1>\n` : '';
+        const body = `<section epub:type="chapter">\n${heading}${text}\n</section>`;
+
+        return buildXhtml(label, lang, body, '../');
+    }
+
+    /**
+     * Wraps a body in an XHTML content document
+     * @param {string} title - Document title
+     * @param {string} lang - Language tag
+     * @param {string} body - Body markup
+     * @param {string} root - Relative path to the package root
+     * @returns {string} - XHTML document
+     */
+    function buildXhtml(title, lang, body, root) {
+        return `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE html>
+<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">
+<head>
+    <meta charset="UTF-8"/>
+    <title>${escapeXml(title)}</title>
+    <link rel="stylesheet" type="text/css" href="${root}styles/book.css"/>
+</head>
+<body>
+${body}
+</body>
+</html>`;
+    }
+
+    /**
+     * Builds the e-book stylesheet. Colors and fonts follow the editor;
+     * page colors are left to the reading system.
+     * @param {Object} formatting - Formatting settings
+     * @returns {string} - CSS
+     */
+    function buildEpubStylesheet(formatting) {
+        return `body {
+    font-family: ${formatting.fontFamily};
+    line-height: ${formatting.lineHeight};
+    text-align: justify;
+}
+h1 {
+    margin: 2em 0 1em;
+    font-size: 1.4em;
+    text-align: center;
+}
+p {
+    margin: 0 0 ${formatting.paragraphSpacing}em;
+}
+.dialogue {
+    color: ${formatting.dialogueColor};
+}
+.thoughts {
+    color: ${formatting.thoughtsColor};
+    font-style: italic;
+}
+.emphasis {
+    color: ${formatting.emphasisColor};
+    font-style: italic;
+}
+hr.scene-break {
+    border: none;
+    margin: 2em 0;
+    text-align: center;
+}
+hr.scene-break::after {
+    content: '* * *';
+}
+figure.illustration {
+    margin: 1.5em 0;
+    text-align: center;
+}
+figure.illustration img,
+.cover img {
+    max-width: 100%;
+    max-height: 90vh;
+}
+.cover {
+    text-align: center;
+}
+.cover-author {
+    margin-top: 1em;
+}
+`;
+    }
+
+    /**
+     * Decodes base64 data to bytes
+     * @param {string} base64 - Base64 data
+     * @returns {Uint8Array} - Bytes
+     */
+    function base64ToBytes(base64) {
+        const binary = atob(base64);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) {
+            bytes[i] = binary.charCodeAt(i);
+        }
+        return bytes;
+    }
+
+    // ========================================
+    // PDF EXPORT (PRINT)
+    // ========================================
+
+    // Fallback fonts so Korean and Japanese text prints with the Noto fonts
+    const CJK_FONTS = {
+        'KR': "'Noto Sans KR', 'Noto Sans JP'",
+        'JP': "'Noto Sans JP', 'Noto Sans KR'",
+        'EN': "'Noto Sans KR', 'Noto Sans JP'"
+    };
+
+    const PRINT_FONTS_URL = 'https://fonts.googleapis.com/css2?family=Crimson+Text:ital,wght@0,400;0,600;0,700;1,400&family=Lora:ital,wght@0,400;0,500;0,600;1,400&family=Merriweather:ital,wght@0,300;0,400;0,700;1,300;1,400&family=Noto+Sans+JP:wght@300;400;500&family=Noto+Sans+KR:wght@300;400;500&display=swap';
+
+    /**
+     * Gets the approximate length shown on a manuscript title page
+     * @param {string} content - Manuscript text
+     * @param {string} language - settings.language
+     * @returns {string} - Length label
+     */
+    function getManuscriptLength(content, language) {
+        // Japanese has no spaces between words, so it is counted in characters
+        if (language === 'JP') {
+            return `約${Math.round(content.replace(/\s/g, '').length / 100) * 100}字`;
+        }
+        const words = Math.round(countWords(content) / 100) * 100;
+        return language === 'KR' ? `약 ${words}단어` : `about ${words} words`;
+    }
+
+    /**
+     * Quotes a string for use in CSS generated content
+     * @param {string} text - Text to quote
+     * @returns {string} - CSS string
+     */
+    function cssString(text) {
+        return `"${text.replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, ' ')}"`;
+    }
+
+    /**
+     * Generates a print document for PDF export.
+     * 'manuscript' follows the standard submission format: 12pt, double
+     * spaced, running header with author, title and page number, scene breaks
+     * as "#". 'book' is a typeset A5 layout using the editor formatting.
+     * Running headers use @page margin boxes, which Chromium-based browsers print.
+     * @param {string} content - Raw text content
+     * @param {Object} formatting - Formatting settings
+     * @param {Object} book - { title, author, language, images }
+     * @param {string} layout - 'manuscript' or 'book'
+     * @returns {string} - Complete HTML document
+     */
+    function generatePrintDocument(content, formatting, book, layout) {
+        const title = book.title || DEFAULT_TITLE;
+        const author = book.author || '';
+        const images = book.images || [];
+        const isManuscript = layout === 'manuscript';
+        const cjkFonts = CJK_FONTS[book.language] || CJK_FONTS.EN;
+        const lang = LANGUAGE_TAGS[book.language] || 'en';
+
+        const chapters = ChapterModule.splitChapters(content);
+        const imageSrc = image => `data:${image.mimeType};base64,${image.data}`;
+
+        const body = chapters.map(chapter => {
+            const chapterImages = images.filter(image =>
+                ChapterModule.findChapterAt(chapters, image.offset) === chapter
+            );
+            const text = formatChapterBody(content, chapter, chapterImages, CLASS_SPAN_ATTRIBUTES, imageSrc);
+            const heading = chapter.hasHeading ? `<h2>${escapeXml(chapter.title)}</h2>\n` : '';
+            return `<section class="chapter">\n${heading}${text}\n</section>`;
+        }).join('\n');
+
+        const titlePage = isManuscript ? `<header class="title-page">
+    <div class="title-page-meta">
+        <span>${escapeXml(author)}</span>
+        <span>${escapeXml(getManuscriptLength(content, book.language))}</span>
+    </div>
+    <h1>${escapeXml(title)}</h1>
+    ${author ? `<p class="byline">${escapeXml(author)}</p>` : ''}
+</header>` : `<header class="title-page">
+    <h1>${escapeXml(title)}</h1>
+    ${author ? `<p class="byline">${escapeXml(author)}</p>` : ''}
+</header>`;
+
+        const styles = isManuscript ? `@page {
+            size: letter;
+            margin: 1in;
+            @top-right {
+                content: ${cssString(`${author ? `${author} / ` : ''}${title} / `)} counter(page);
+                font-family: 'Times New Roman', ${cjkFonts}, serif;
+                font-size: 12pt;
+            }
+        }
+        @page :first {
+            @top-right { content: none; }
+        }
+        body {
+            font-family: 'Times New Roman', ${cjkFonts}, serif;
+            font-size: 12pt;
+            line-height: 2;
+        }
+        p {
+            margin: 0;
+            text-indent: 0.5in;
+        }
+        .title-page h1 {
+            margin: 3in 0 0;
+            font-size: 12pt;
+            font-weight: normal;
+            text-align: center;
+            text-transform: uppercase;
+        }
+        .title-page-meta {
+            display: flex;
+            justify-content: space-between;
+        }
+        .chapter {
+            break-before: page;
+        }
+        h2 {
+            margin: 2.5in 0 1em;
+            font-size: 12pt;
+            font-weight: normal;
+            text-align: center;
+        }
+        hr.scene-break::after {
+            content: '#';
+        }
+        .dialogue, .thoughts, .emphasis {
+            color: inherit;
+        }
+        .thoughts, .emphasis {
+            font-style: italic;
+        }` : `@page {
+            size: A5;
+            margin: 20mm 16mm 22mm;
+            @bottom-center {
+                content: counter(page);
+                font-family: ${formatting.fontFamily}, ${cjkFonts};
+                font-size: 9pt;
+            }
+        }
+        @page :first {
+            @bottom-center { content: none; }
+        }
+        body {
+            font-family: ${formatting.fontFamily}, ${cjkFonts};
+            /* Editor sizes are meant for screens; 18px maps to a common 10.8pt book size */
+            font-size: ${(formatting.fontSize * 0.6).toFixed(1)}pt;
+            line-height: ${formatting.lineHeight};
+            text-align: justify;
+        }
+        p {
+            margin: 0 0 ${formatting.paragraphSpacing * 0.5}em;
+            text-indent: 1em;
+        }
+        .title-page {
+            text-align: center;
+        }
+        .title-page h1 {
+            margin: 35% 0 1em;
+            font-size: 20pt;
+        }
+        .chapter {
+            break-before: right;
+        }
+        h2 {
+            margin: 25% 0 2em;
+            font-size: 14pt;
+            text-align: center;
+        }
+        hr.scene-break::after {
+            content: '* * *';
+        }
+        .dialogue {
+            color: ${formatting.dialogueColor};
+        }
+        .thoughts {
+            color: ${formatting.thoughtsColor};
+            font-style: italic;
+        }
+        .emphasis {
+            color: ${formatting.emphasisColor};
+            font-style: italic;
+        }`;
+
+        return `<!DOCTYPE html>
+<html lang="${lang}">
+<head>
+    <meta charset="UTF-8">
+    <title>${escapeXml(title)}</title>
+    <link href="${PRINT_FONTS_URL}" rel="stylesheet">
+    <style>
+        ${styles}
+        body {
+            margin: 0;
+            color: #000;
+        }
+        p {
+            white-space: pre-line;
+            orphans: 2;
+            widows: 2;
+        }
+        .byline {
+            text-align: center;
+            text-indent: 0;
+        }
+        hr.scene-break {
+            border: none;
+            margin: 1em 0;
+            text-align: center;
+        }
+        figure.illustration {
+            margin: 1em 0;
+            text-align: center;
+            break-inside: avoid;
+        }
+        figure.illustration img {
+            max-width: 100%;
+            max-height: 60vh;
         }
     </style>
 </head>
 <body>
-${formattedParagraphs}
+${titlePage}
+${body}
 </body>
 </html>`;
     }
 
     /**
-     * Escapes HTML special characters
-     * @param {string} text - Text to escape
-     * @returns {string} - Escaped text
+     * Exports document as PDF through the browser's print dialog.
+     * The print document is rendered in a hidden iframe once its fonts and
+     * images have loaded; choosing "Save as PDF" produces the file.
+     * @param {string} content - Content to export
+     * @param {Object} formatting - Formatting settings
+     * @param {Object} book - { title, author, language, images }
+     * @param {string} layout - 'manuscript' or 'book'
+     * @returns {Promise<void>} - Resolves when the print dialog was opened
      */
-    function escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+    function exportAsPdf(content, formatting, book, layout = 'manuscript') {
+        const iframe = document.createElement('iframe');
+        iframe.style.cssText = 'position: fixed; right: 0; bottom: 0; width: 0; height: 0; border: 0;';
+        iframe.setAttribute('aria-hidden', 'true');
+
+        return new Promise((resolve, reject) => {
+            iframe.onload = async () => {
+                const printWindow = iframe.contentWindow;
+                try {
+                    await printWindow.document.fonts.ready;
+                    printWindow.addEventListener('afterprint', () => iframe.remove());
+                    printWindow.focus();
+                    printWindow.print();
+                    resolve();
+                } catch (error) {
+                    iframe.remove();
+                    reject(error);
+                }
+            };
+            iframe.srcdoc = generatePrintDocument(content, formatting, book, layout);
+            document.body.appendChild(iframe);
+        });
+    }
+
+    // ========================================
+    // MARKDOWN EXPORT / IMPORT
+    // ========================================
+
+    /**
+     * Exports document as Markdown. Chapter headings become "#" headings,
+     * scene breaks become thematic breaks and *emphasis* keeps its markers;
+     * dialogue and thoughts stay in their quotation marks.
+     * @param {string} content - Content to export
+     * @param {string} filename - Filename without extension
+     */
+    function exportAsMarkdown(content, filename = 'novel') {
+        const blob = new Blob([toMarkdown(content)], { type: 'text/markdown;charset=utf-8' });
+        downloadBlob(blob, `${filename}.md`);
+    }
+
+    /**
+     * Converts content to Markdown
+     * @param {string} content - Raw text content
+     * @returns {string} - Markdown text
+     */
+    function toMarkdown(content) {
+        const isBlock = (line) => !line.trim() || ChapterModule.isHeading(line) || ChapterModule.isSceneBreak(line);
+        const lines = content.split('\n');
+
+        return lines.map((line, index) => {
+            if (ChapterModule.isHeading(line)) {
+                return `# ${escapeMarkdown(ChapterModule.getHeadingTitle(line))}`;
+            }
+            if (ChapterModule.isSceneBreak(line)) return '* * *';
+            if (!line.trim()) return '';
+
+            // Single line breaks would be joined into one paragraph, so they become hard breaks
+            const next = lines[index + 1];
+            const hardBreak = next !== undefined && !isBlock(next);
+            return escapeMarkdown(line) + (hardBreak ? '\\' : '');
+        }).join('\n');
+    }
+
+    /**
+     * Escapes the characters of a line that Markdown would read as markup.
+     * Asterisks are left alone, they are the emphasis markers of both formats.
+     * @param {string} line - Line of text
+     * @returns {string} - Escaped line
+     */
+    function escapeMarkdown(line) {
+        return line
+            // Leading spaces would start a code block
+            .replace(/^[ \t]+/, '')
+            .replace(/[\\`_[\]<]/g, '\\$&')
+            .replace(/^([#>+*-])(?=\s|$)/, '\\$1')
+            .replace(/^(\d+)([.)])(?=\s|$)/, '$1\\$2');
+    }
+
+    /**
+     * Converts Markdown to the editor's plain text conventions: headings
+     * become chapter heading lines, bold and italics become *emphasis*,
+     * thematic breaks become scene breaks and everything else (links,
+     * code, raw HTML) is reduced to its text.
+     * @param {string} markdown - Markdown text
+     * @returns {string} - Plain text
+     */
+    function parseMarkdown(markdown) {
+        const lines = sanitizeImportedText(markdown)
+            .replace(/<!--[\s\S]*?-->/g, '')
+            .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '')
+            .split('\n');
+        const result = [];
+        let inFence = false;
+
+        for (let i = 0; i < lines.length; i++) {
+            let line = lines[i];
+
+            if (/^\s{0,3}(```|~~~)/.test(line)) {
+                inFence = !inFence;
+                continue;
+            }
+            if (inFence) {
+                result.push(line);
+                continue;
+            }
+
+            if (/^\s{0,3}([*_-])(\s*\1){2,}\s*$/.test(line)) {
+                result.push('* * *');
+                continue;
+            }
+
+            // Setext headings are underlined with "===" or "---"
+            const next = lines[i + 1];
+            if (line.trim() && !/^\s{0,3}>/.test(line) && next !== undefined && /^\s{0,3}(=+|-+)\s*$/.test(next)) {
+                result.push(`# ${parseMarkdownInline(line.trim())}`);
+                i++;
+                continue;
+            }
+
+            line = line
+                .replace(/^\s{0,3}(>\s?)+/, '')
+                .replace(/^\s*[*+-]\s+/, '');
+
+            const heading = line.match(/^\s{0,3}(#{1,6})\s+(.*?)(\s+#+)?\s*$/);
+            if (heading) {
+                // Only the first three levels are chapter headings
+                const title = parseMarkdownInline(heading[2]);
+                result.push(heading[1].length <= 3 ? `${heading[1]} ${title}` : title);
+                continue;
+            }
+
+            result.push(parseMarkdownInline(line.replace(/(\\|\s{2,})$/, '')));
+        }
+
+        return result.join('\n');
+    }
+
+    /**
+     * Converts the inline markup of a Markdown line
+     * @param {string} text - Markdown line
+     * @returns {string} - Plain text with *emphasis* markers
+     */
+    function parseMarkdownInline(text) {
+        const entities = { amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ' };
+
+        return text
+            // Escaped characters are set aside so no rule below reads them as markup
+            .replace(/\\([!-/:-@[-`{-~])/g, (match, char) => `\uE000${char.charCodeAt(0)}\uE001`)
+            .replace(/`+([^`]*)`+/g, '$1')
+            .replace(/!\[[^\]]*\]\([^)]*\)/g, '')
+            .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+            .replace(/<\/?[a-zA-Z][^>]*>/g, '')
+            .replace(/(\*\*|__)(?=\S)(.+?)\1/g, '*$2*')
+            .replace(/(^|[^\w])_(?=\S)([^_]+)_(?=[^\w]|$)/g, '$1*$2*')
+            .replace(/&(amp|lt|gt|quot|apos|nbsp);/g, (match, name) => entities[name])
+            .replace(/\uE000(\d+)\uE001/g, (match, code) => String.fromCharCode(code));
+    }
+
+    // ========================================
+    // DOCX EXPORT / IMPORT
+    // ========================================
+
+    const DOCX_NAMESPACES = {
+        w: 'http://schemas.openxmlformats.org/wordprocessingml/2006/main',
+        r: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships',
+        wp: 'http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing',
+        a: 'http://schemas.openxmlformats.org/drawingml/2006/main',
+        pic: 'http://schemas.openxmlformats.org/drawingml/2006/picture'
+    };
+
+    const DOCX_RELATIONSHIP_TYPES = {
+        document: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument',
+        coreProperties: 'http://schemas.openxmlformats.org/package/2006/relationships/metadata/core-properties',
+        styles: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles',
+        image: 'http://schemas.openxmlformats.org/officeDocument/2006/relationships/image'
+    };
+
+    // Images are sized at 96 dpi and scaled down to the 6 inch text width
+    const EMU_PER_PIXEL = 9525;
+    const DOCX_MAX_IMAGE_WIDTH = 6 * 914400;
+
+    /**
+     * Exports document as a Word document
+     * @param {string} content - Content to export
+     * @param {Object} book - { title, author, description, language, images }
+     * @param {string} filename - Filename without extension
+     */
+    function exportAsDocx(content, book, filename = 'novel') {
+        const blob = ZipModule.createZip(
+            buildDocxFiles(content, book),
+            'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+        );
+        downloadBlob(blob, `${filename}.docx`);
+    }
+
+    /**
+     * Builds the files of a minimal WordprocessingML package. Every line of
+     * the text becomes a paragraph, so empty lines survive a round trip.
+     * @param {string} content - Content to export
+     * @param {Object} book - { title, author, description, language, images }
+     * @returns {Object[]} - Files as { name, data }
+     */
+    function buildDocxFiles(content, book) {
+        const lang = LANGUAGE_TAGS[book.language] || 'en';
+        const images = (book.images || []).map((image, index) => ({
+            ...image,
+            relationshipId: `rIdImage${index + 1}`,
+            name: `media/image${index + 1}.${IMAGE_EXTENSIONS[image.mimeType] || 'png'}`,
+            bytes: base64ToBytes(image.data)
+        }));
+
+        const relationship = (id, type, target) =>
+            `<Relationship Id="${id}" Type="${type}" Target="${target}"/>`;
+        const relationships = (items) => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${items.join('')}</Relationships>`;
+
+        const imageTypes = Object.keys(IMAGE_EXTENSIONS)
+            .map(mimeType => `<Default Extension="${IMAGE_EXTENSIONS[mimeType]}" ContentType="${mimeType}"/>`)
+            .join('');
+        const wordType = 'application/vnd.openxmlformats-officedocument.wordprocessingml';
+
+        return [
+            {
+                name: '[Content_Types].xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/>${imageTypes}<Override PartName="/word/document.xml" ContentType="${wordType}.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="${wordType}.styles+xml"/><Override PartName="/docProps/core.xml" ContentType="application/vnd.openxmlformats-package.core-properties+xml"/></Types>`
+            },
+            {
+                name: '_rels/.rels',
+                data: relationships([
+                    relationship('rId1', DOCX_RELATIONSHIP_TYPES.document, 'word/document.xml'),
+                    relationship('rId2', DOCX_RELATIONSHIP_TYPES.coreProperties, 'docProps/core.xml')
+                ])
+            },
+            {
+                name: 'docProps/core.xml',
+                data: `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/" xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"><dc:title>${escapeXml(book.title || DEFAULT_TITLE)}</dc:title><dc:creator>${escapeXml(book.author || '')}</dc:creator><dc:description>${escapeXml(book.description || '')}</dc:description><dc:language>${lang}</dc:language><dcterms:created xsi:type="dcterms:W3CDTF">${new Date().toISOString().replace(/\.\d+Z$/, 'Z')}</dcterms:created></cp:coreProperties>`
+            },
+            {
+                name: 'word/_rels/document.xml.rels',
+                data: relationships([
+                    relationship('rIdStyles', DOCX_RELATIONSHIP_TYPES.styles, 'styles.xml'),
+                    ...images.map(image => relationship(image.relationshipId, DOCX_RELATIONSHIP_TYPES.image, image.name))
+                ])
+            },
+            { name: 'word/styles.xml', data: buildDocxStyles(lang) },
+            { name: 'word/document.xml', data: buildDocxDocument(content, images) },
+            ...images.map(image => ({ name: `word/${image.name}`, data: image.bytes }))
+        ];
+    }
+
+    /**
+     * Builds the document part: one paragraph per line, with image
+     * paragraphs placed before the line their offset falls in
+     * @param {string} content - Content to export
+     * @param {Object[]} images - Images with { offset, relationshipId, name, bytes }
+     * @returns {string} - word/document.xml
+     */
+    function buildDocxDocument(content, images) {
+        const pending = images.slice().sort((a, b) => a.offset - b.offset);
+        const paragraphs = [];
+        let next = 0;
+        let lineStart = 0;
+
+        const addImages = (upTo) => {
+            while (next < pending.length && pending[next].offset <= upTo) {
+                paragraphs.push(buildDocxImage(pending[next], next + 1));
+                next++;
+            }
+        };
+
+        content.split('\n').forEach(line => {
+            addImages(lineStart);
+            paragraphs.push(buildDocxParagraph(line));
+            // Images inside a line go after it
+            addImages(lineStart + line.length);
+            lineStart += line.length + 1;
+        });
+        addImages(Infinity);
+
+        const namespaces = Object.keys(DOCX_NAMESPACES)
+            .map(prefix => `xmlns:${prefix}="${DOCX_NAMESPACES[prefix]}"`)
+            .join(' ');
+
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:document ${namespaces}><w:body>${paragraphs.join('')}<w:sectPr><w:pgSz w:w="11906" w:h="16838"/><w:pgMar w:top="1440" w:right="1440" w:bottom="1440" w:left="1440" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`;
+    }
+
+    /**
+     * Builds the paragraph of one line. Thoughts and *emphasis* become
+     * italic runs; the emphasis markers themselves are dropped.
+     * @param {string} line - Line of text
+     * @returns {string} - w:p element
+     */
+    function buildDocxParagraph(line) {
+        if (!line.trim()) return '<w:p/>';
+
+        if (ChapterModule.isHeading(line)) {
+            return `<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr>${buildDocxRun(ChapterModule.getHeadingTitle(line), false)}</w:p>`;
+        }
+        if (ChapterModule.isSceneBreak(line)) {
+            return `<w:p><w:pPr><w:pStyle w:val="SceneBreak"/></w:pPr>${buildDocxRun(line.trim(), false)}</w:p>`;
+        }
+
+        const runs = line.split(/(\*[^*]+\*|'[^']+')/).map((part, index) => {
+            if (index % 2 === 0) return part ? buildDocxRun(part, false) : '';
+            return buildDocxRun(part.startsWith('*') ? part.slice(1, -1) : part, true);
+        });
+        return `<w:p>${runs.join('')}</w:p>`;
+    }
+
+    /**
+     * Builds a run of text
+     * @param {string} text - Run text
+     * @param {boolean} italic - Whether the run is italic
+     * @returns {string} - w:r element
+     */
+    function buildDocxRun(text, italic) {
+        const properties = italic ? '<w:rPr><w:i/><w:iCs/></w:rPr>' : '';
+        const content = text.split('\t')
+            .map(part => part ? `<w:t xml:space="preserve">${escapeXml(part)}</w:t>` : '')
+            .join('<w:tab/>');
+        return `<w:r>${properties}${content}</w:r>`;
+    }
+
+    /**
+     * Builds a centered paragraph holding an inline picture
+     * @param {Object} image - Image with { relationshipId, name, bytes }
+     * @param {number} number - Unique drawing number
+     * @returns {string} - w:p element
+     */
+    function buildDocxImage(image, number) {
+        const size = getImageSize(image.bytes);
+        let cx = size.width * EMU_PER_PIXEL;
+        let cy = size.height * EMU_PER_PIXEL;
+        if (cx > DOCX_MAX_IMAGE_WIDTH) {
+            cy = Math.round(cy * DOCX_MAX_IMAGE_WIDTH / cx);
+            cx = DOCX_MAX_IMAGE_WIDTH;
+        }
+
+        const name = image.name.split('/').pop();
+        return `<w:p><w:pPr><w:jc w:val="center"/></w:pPr><w:r><w:drawing><wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="${cx}" cy="${cy}"/><wp:docPr id="${number}" name="Picture ${number}"/><a:graphic><a:graphicData uri="${DOCX_NAMESPACES.pic}"><pic:pic><pic:nvPicPr><pic:cNvPr id="${number}" name="${name}"/><pic:cNvPicPr/></pic:nvPicPr><pic:blipFill><a:blip r:embed="${image.relationshipId}"/><a:stretch><a:fillRect/></a:stretch></pic:blipFill><pic:spPr><a:xfrm><a:off x="0" y="0"/><a:ext cx="${cx}" cy="${cy}"/></a:xfrm><a:prstGeom prst="rect"><a:avLst/></a:prstGeom></pic:spPr></pic:pic></a:graphicData></a:graphic></wp:inline></w:drawing></w:r></w:p>`;
+    }
+
+    /**
+     * Builds the styles part with the heading and scene break styles
+     * @param {string} lang - BCP 47 language tag
+     * @returns {string} - word/styles.xml
+     */
+    function buildDocxStyles(lang) {
+        return `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="${DOCX_NAMESPACES.w}"><w:docDefaults><w:rPrDefault><w:rPr><w:sz w:val="24"/><w:szCs w:val="24"/><w:lang w:val="${lang}" w:eastAsia="${lang}"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="0" w:line="360" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults><w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style><w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="480" w:after="240"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:bCs/><w:sz w:val="32"/><w:szCs w:val="32"/></w:rPr></w:style><w:style w:type="paragraph" w:customStyle="1" w:styleId="SceneBreak"><w:name w:val="Scene Break"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:pPr><w:spacing w:before="240" w:after="240"/><w:jc w:val="center"/></w:pPr></w:style></w:styles>`;
+    }
+
+    /**
+     * Reads the pixel size of a PNG, JPEG or GIF image from its header
+     * @param {Uint8Array} bytes - Image data
+     * @returns {Object} - { width, height }, a square fallback for other formats
+     */
+    function getImageSize(bytes) {
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        if (bytes.length > 24 && view.getUint32(0) === 0x89504E47) {
+            return { width: view.getUint32(16), height: view.getUint32(20) };
+        }
+        if (bytes.length > 10 && view.getUint32(0) >>> 8 === 0x474946) {
+            return { width: view.getUint16(6, true), height: view.getUint16(8, true) };
+        }
+        if (bytes.length > 4 && view.getUint16(0) === 0xFFD8) {
+            let offset = 2;
+            while (offset + 9 < bytes.length && bytes[offset] === 0xFF) {
+                const marker = bytes[offset + 1];
+                // Start of frame markers, except DHT (C4), JPG (C8) and DAC (CC)
+                if (marker >= 0xC0 && marker <= 0xCF && marker !== 0xC4 && marker !== 0xC8 && marker !== 0xCC) {
+                    return { width: view.getUint16(offset + 7), height: view.getUint16(offset + 5) };
+                }
+                offset += 2 + view.getUint16(offset + 2);
+            }
+        }
+        return { width: 1024, height: 1024 };
+    }
+
+    /**
+     * Converts a Word document to text and images. Heading paragraphs become
+     * chapter heading lines and italic runs become *emphasis* unless they are
+     * already thoughts in quotation marks.
+     * @param {ArrayBuffer} buffer - DOCX file
+     * @returns {Promise<Object>} - Content { text, images }
+     */
+    async function parseDocx(buffer) {
+        const files = await ZipModule.readZip(buffer);
+        const decoder = new TextDecoder();
+        const readXml = (name) => files[name]
+            ? new DOMParser().parseFromString(decoder.decode(files[name]), 'application/xml')
+            : null;
+
+        const documentXml = readXml('word/document.xml');
+        if (!documentXml || documentXml.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('INVALID_DOCX: word/document.xml not found');
+        }
+
+        const relationships = getDocxRelationships(readXml('word/_rels/document.xml.rels'));
+        const headingStyles = getDocxHeadingStyles(readXml('word/styles.xml'));
+        const mimeTypes = {};
+        Object.keys(IMAGE_EXTENSIONS).forEach(mimeType => {
+            mimeTypes[IMAGE_EXTENSIONS[mimeType]] = mimeType;
+        });
+        mimeTypes.jpeg = 'image/jpeg';
+
+        const readImage = (relationshipId) => {
+            const target = relationships[relationshipId];
+            const mimeType = target && mimeTypes[target.split('.').pop().toLowerCase()];
+            // Formats the browser cannot show (EMF, WMF, ...) are skipped
+            if (!mimeType || !files[target]) return null;
+            return { mimeType, data: bytesToBase64(files[target]) };
+        };
+
+        const lines = [];
+        const images = [];
+        let length = 0;
+
+        Array.from(documentXml.getElementsByTagNameNS(DOCX_NAMESPACES.w, 'p'))
+            // Text box paragraphs sit inside another paragraph's drawing
+            .filter(paragraph => !hasDocxAncestor(paragraph.parentNode, 'p'))
+            .forEach(paragraph => {
+                const segments = readDocxParagraph(paragraph, readImage);
+                const lineStart = length + (lines.length > 0 ? 1 : 0);
+                let line = '';
+                // Images by their position in the line, placed once the line is final
+                const lineImages = [];
+
+                segments.forEach(segment => {
+                    if (segment.image) {
+                        lineImages.push({ image: segment.image, position: line.length });
+                    } else {
+                        // Cleaned here so the positions above stay right
+                        const text = sanitizeImportedText(segment.text);
+                        line += segment.italic ? italicToText(text) : text;
+                    }
+                });
+
+                // Paragraphs holding nothing but pictures add no line
+                if (!line && segments.length > 0 && segments.every(segment => segment.image)) {
+                    lineImages.forEach(({ image }) => images.push({ ...image, offset: lineStart }));
+                    return;
+                }
+
+                let toLinePosition = (position) => position;
+                if (line.trim() && !ChapterModule.isHeading(line) && isDocxHeading(paragraph, headingStyles)) {
+                    // The heading loses its leading whitespace and gains the '# ' marker
+                    const trimmed = line.trim();
+                    const leading = line.length - line.trimStart().length;
+                    toLinePosition = (position) => 2 + Math.min(Math.max(position - leading, 0), trimmed.length);
+                    line = `# ${trimmed}`;
+                }
+
+                lineImages.forEach(({ image, position }) => {
+                    images.push({ ...image, offset: lineStart + toLinePosition(position) });
+                });
+                lines.push(line);
+                length = lineStart + line.length;
+            });
+
+        return {
+            text: lines.join('\n'),
+            images: images
+        };
+    }
+
+    /**
+     * Reads the runs of a paragraph into text and image segments.
+     * Adjacent runs with the same italic state are merged.
+     * @param {Element} paragraph - w:p element
+     * @param {Function} readImage - Returns { mimeType, data } for a relationship id
+     * @returns {Object[]} - Segments [{ text, italic } | { image }]
+     */
+    function readDocxParagraph(paragraph, readImage) {
+        const W = DOCX_NAMESPACES.w;
+        const segments = [];
+
+        const addText = (text, italic) => {
+            const last = segments[segments.length - 1];
+            if (last && !last.image && last.italic === italic) {
+                last.text += text;
+            } else {
+                segments.push({ text, italic });
+            }
+        };
+
+        const readRun = (run) => {
+            const properties = Array.from(run.children).find(child => child.localName === 'rPr');
+            const italicNode = properties && Array.from(properties.children).find(child => child.localName === 'i');
+            const italic = !!italicNode && !['0', 'false', 'off'].includes(italicNode.getAttributeNS(W, 'val'));
+
+            Array.from(run.children).forEach(child => {
+                if (child.localName === 't') {
+                    addText(child.textContent, italic);
+                } else if (child.localName === 'tab') {
+                    addText('\t', italic);
+                } else if ((child.localName === 'br' && child.getAttributeNS(W, 'type') !== 'page') || child.localName === 'cr') {
+                    addText('\n', italic);
+                } else if (child.localName === 'drawing') {
+                    Array.from(child.getElementsByTagNameNS(DOCX_NAMESPACES.a, 'blip')).forEach(blip => {
+                        const image = readImage(blip.getAttributeNS(DOCX_NAMESPACES.r, 'embed'));
+                        if (image) segments.push({ image });
+                    });
+                }
+            });
+        };
+
+        // Runs can be wrapped in hyperlinks, insertions, fields and so on
+        const walk = (node) => {
+            Array.from(node.children).forEach(child => {
+                if (child.namespaceURI !== W) return;
+                if (child.localName === 'r') {
+                    readRun(child);
+                } else if (child.localName !== 'p' && child.localName !== 'del' && child.localName !== 'pPr') {
+                    walk(child);
+                }
+            });
+        };
+        walk(paragraph);
+
+        return segments;
+    }
+
+    /**
+     * Writes italic text in the editor's conventions: thoughts in quotation
+     * marks stay as they are, anything else is wrapped in *emphasis* markers
+     * @param {string} text - Italic text
+     * @returns {string} - Text with markers
+     */
+    function italicToText(text) {
+        const trimmed = text.trim();
+        if (!trimmed || /^'[^']*'$/.test(trimmed) || trimmed.includes('\n')) return text;
+
+        const leading = text.match(/^\s*/)[0];
+        const trailing = text.match(/\s*$/)[0];
+        return `${leading}*${trimmed.replace(/\*/g, '')}*${trailing}`;
+    }
+
+    /**
+     * Maps relationship ids of the document part to package paths
+     * @param {Document|null} rels - word/_rels/document.xml.rels
+     * @returns {Object} - Paths by relationship id
+     */
+    function getDocxRelationships(rels) {
+        const relationships = {};
+        if (!rels) return relationships;
+
+        Array.from(rels.getElementsByTagName('Relationship')).forEach(relationship => {
+            if (relationship.getAttribute('TargetMode') === 'External') return;
+
+            const target = relationship.getAttribute('Target') || '';
+            const parts = [];
+            (target.startsWith('/') ? target.slice(1) : `word/${target}`).split('/').forEach(part => {
+                if (part === '..') parts.pop();
+                else if (part && part !== '.') parts.push(part);
+            });
+            relationships[relationship.getAttribute('Id')] = parts.join('/');
+        });
+        return relationships;
+    }
+
+    /**
+     * Finds the paragraph styles that are headings. Style ids are localized
+     * in some Word versions, so styles are recognized by name or outline level.
+     * @param {Document|null} styles - word/styles.xml
+     * @returns {Set<string>} - Heading style ids
+     */
+    function getDocxHeadingStyles(styles) {
+        const W = DOCX_NAMESPACES.w;
+        const headings = new Set(['Title', 'Heading1', 'Heading2', 'Heading3']);
+        if (!styles) return headings;
+
+        Array.from(styles.getElementsByTagNameNS(W, 'style')).forEach(style => {
+            const name = style.getElementsByTagNameNS(W, 'name')[0];
+            const outline = style.getElementsByTagNameNS(W, 'outlineLvl')[0];
+            const isHeadingName = name && /^(title|heading [1-3])$/i.test(name.getAttributeNS(W, 'val'));
+            const isOutline = outline && Number(outline.getAttributeNS(W, 'val')) <= 2;
+            if (isHeadingName || isOutline) {
+                headings.add(style.getAttributeNS(W, 'styleId'));
+            }
+        });
+        return headings;
+    }
+
+    /**
+     * Checks whether a paragraph is a heading by its style or outline level
+     * @param {Element} paragraph - w:p element
+     * @param {Set<string>} headingStyles - Heading style ids
+     * @returns {boolean} - True if the paragraph is a heading
+     */
+    function isDocxHeading(paragraph, headingStyles) {
+        const W = DOCX_NAMESPACES.w;
+        const properties = Array.from(paragraph.children).find(child => child.localName === 'pPr');
+        if (!properties) return false;
+
+        const style = properties.getElementsByTagNameNS(W, 'pStyle')[0];
+        const outline = properties.getElementsByTagNameNS(W, 'outlineLvl')[0];
+        return (!!style && headingStyles.has(style.getAttributeNS(W, 'val'))) ||
+            (!!outline && Number(outline.getAttributeNS(W, 'val')) <= 2);
+    }
+
+    /**
+     * Checks whether a node or one of its ancestors is a WordprocessingML element
+     * @param {Node} node - Node to start at
+     * @param {string} localName - Element name without prefix
+     * @returns {boolean} - True if found
+     */
+    function hasDocxAncestor(node, localName) {
+        for (let current = node; current && current.nodeType === 1; current = current.parentNode) {
+            if (current.namespaceURI === DOCX_NAMESPACES.w && current.localName === localName) return true;
+        }
+        return false;
+    }
+
+    /**
+     * Encodes bytes as base64
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} - Base64 data
+     */
+    function bytesToBase64(bytes) {
+        let binary = '';
+        // Chunked so large images do not exceed the argument limit
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+            binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    // ========================================
+    // FILE IMPORT
+    // ========================================
+
+    /**
+     * Imports a manuscript file. Markdown and DOCX files are converted to the
+     * editor's plain text conventions, anything else is read as plain text.
+     * The result is only ever inserted as text, so the editor escapes it with
+     * FormatterModule.escapeHtml like anything typed.
+     * @param {File} file - File to import
+     * @returns {Promise<Object>} - Content { text, images }
+     */
+    async function importFile(file) {
+        const extension = file.name.split('.').pop().toLowerCase();
+
+        if (extension === 'docx') {
+            return parseDocx(await file.arrayBuffer());
+        }
+
+        const text = sanitizeImportedText(await readFile(file));
+        if (extension === 'md' || extension === 'markdown') {
+            return { text: parseMarkdown(text), images: [] };
+        }
+        return { text, images: [] };
+    }
+
+    /**
+     * Normalizes line breaks and drops control characters, the byte order
+     * mark and zero-width spaces (the editor's own placeholder) from imported text
+     * @param {string} text - Imported text
+     * @returns {string} - Clean text
+     */
+    function sanitizeImportedText(text) {
+        return text
+            .replace(/\r\n?/g, '\n')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F\u200B\uFEFF]/g, '');
     }
 
     /**
@@ -399,10 +2816,23 @@ ${formattedParagraphs}
     // ========================================
 
     return {
-        // Document
+        // Documents
+        buildDocument,
+        createDocument,
         saveDocument,
         loadDocument,
-        clearDocument,
+        listDocuments,
+        renameDocument,
+        duplicateDocument,
+        deleteDocument,
+        getActiveDocumentId,
+        setActiveDocumentId,
+        migrateLegacyDocument,
+        
+        // Snapshots
+        createSnapshot,
+        listSnapshots,
+        deleteSnapshot,
         
         // Settings
         saveSettings,
@@ -413,21 +2843,44 @@ ${formattedParagraphs}
         // Formatting
         saveFormatting,
         loadFormatting,
+        saveProviderSettings,
+        loadProviderSettings,
         resetFormatting,
         DEFAULT_FORMATTING,
         
+        // Usage
+        saveUsageLog,
+        loadUsageLog,
+        
         // History
         pushHistory,
         undo,
         redo,
         canUndo,
         canRedo,
+        getBranchInfo,
+        switchBranch,
         clearHistory,
+        getHistory,
+        setHistory,
+        saveHistory,
+        loadHistory,
+        
+        // Project backup
+        exportProject,
+        parseProject,
+        getProjectImportPlan,
+        importProject,
         
         // Export
         exportAsText,
         exportAsHtml,
-        readFile
+        exportAsEpub,
+        exportAsPdf,
+        exportAsMarkdown,
+        exportAsDocx,
+        readFile,
+        importFile
     };
 
 })();
\ No newline at end of file
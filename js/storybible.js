@@ -0,0 +1,211 @@
+/**
+ * ========================================
+ * STORY BIBLE MODULE
+ * Keeps the per-document lorebook and picks
+ * the entries relevant to the cursor for
+ * the system prompt
+ * ========================================
+ */
+
+const StoryBibleModule = (function() {
+    'use strict';
+
+    // ========================================
+    // CONFIGURATION
+    // ========================================
+
+    const CONFIG = {
+        // Upper bound for the story bible section of a prompt
+        MAX_TOKENS: 600,
+        // Characters around the cursor scanned for keyword triggers
+        TRIGGER_WINDOW_BEFORE: 3000,
+        TRIGGER_WINDOW_AFTER: 500
+    };
+
+    // Entry categories in prompt order
+    const CATEGORIES = {
+        'character': { label: '인물', heading: 'Characters' },
+        'place': { label: '장소', heading: 'Places' },
+        'faction': { label: '세력', heading: 'Factions' },
+        'rule': { label: '규칙', heading: 'World Rules' },
+        'glossary': { label: '용어', heading: 'Glossary' }
+    };
+
+    // ========================================
+    // ENTRY HELPERS
+    // ========================================
+
+    /**
+     * Creates an empty story bible entry
+     * @param {string} category - Entry category
+     * @returns {Object} - New entry
+     */
+    function createEntry(category = 'character') {
+        return {
+            id: `entry-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+            category: CATEGORIES[category] ? category : 'character',
+            name: '',
+            keywords: [],
+            description: '',
+            alwaysInclude: false
+        };
+    }
+
+    /**
+     * Splits a comma separated keyword field into keywords
+     * @param {string} text - Raw keyword input
+     * @returns {string[]} - Trimmed, non-empty keywords
+     */
+    function parseKeywords(text) {
+        return (text || '')
+            .split(/[,，、]/)
+            .map(keyword => keyword.trim())
+            .filter(keyword => keyword.length > 0);
+    }
+
+    /**
+     * Gets every word that triggers an entry (its name plus keywords)
+     * @param {Object} entry - Story bible entry
+     * @returns {string[]} - Trigger words
+     */
+    function getTriggers(entry) {
+        const triggers = [entry.name, ...(entry.keywords || [])];
+        return triggers
+            .map(trigger => (trigger || '').trim())
+            .filter(trigger => trigger.length > 0);
+    }
+
+    /**
+     * Escapes a string for use inside a regular expression
+     * @param {string} text - Text to escape
+     * @returns {string} - Escaped text
+     */
+    function escapeRegExp(text) {
+        return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Finds all positions where a trigger is mentioned.
+     * Latin triggers must match whole words; CJK triggers match anywhere
+     * so that Korean particles (e.g. 민수는, 민수가) still count.
+     * @param {string} text - Text to search
+     * @param {string} trigger - Trigger word
+     * @returns {number[]} - Match positions
+     */
+    function findMentions(text, trigger) {
+        const isLatinWord = /^[\w\s'-]+$/.test(trigger);
+        const pattern = isLatinWord
+            ? new RegExp(`\\b${escapeRegExp(trigger)}\\b`, 'gi')
+            : new RegExp(escapeRegExp(trigger), 'gi');
+
+        return [...text.matchAll(pattern)].map(match => match.index);
+    }
+
+    // ========================================
+    // ENTRY SELECTION
+    // ========================================
+
+    /**
+     * Selects the entries relevant to the text around the cursor.
+     * Always-included entries come first, then triggered entries ordered by
+     * how close their nearest mention is to the cursor. Entries that do not
+     * fit the token budget are skipped.
+     * @param {Object[]} entries - All story bible entries
+     * @param {string} textBefore - Text before cursor
+     * @param {string} textAfter - Text after cursor
+     * @param {number} tokenBudget - Maximum tokens for the selected entries
+     * @returns {Object[]} - Selected entries
+     */
+    function selectEntries(entries, textBefore, textAfter, tokenBudget) {
+        const before = textBefore.slice(-CONFIG.TRIGGER_WINDOW_BEFORE);
+        const after = textAfter.slice(0, CONFIG.TRIGGER_WINDOW_AFTER);
+
+        const ranked = [];
+
+        (entries || []).forEach((entry, index) => {
+            if (!entry.name.trim() && !entry.description.trim()) return;
+
+            let distance = Infinity;
+            getTriggers(entry).forEach(trigger => {
+                findMentions(before, trigger).forEach(position => {
+                    distance = Math.min(distance, before.length - position);
+                });
+                findMentions(after, trigger).forEach(position => {
+                    distance = Math.min(distance, position);
+                });
+            });
+
+            if (entry.alwaysInclude) {
+                ranked.push({ entry, rank: -1, index });
+            } else if (distance !== Infinity) {
+                ranked.push({ entry, rank: distance, index });
+            }
+        });
+
+        ranked.sort((a, b) => a.rank - b.rank || a.index - b.index);
+
+        const selected = [];
+        let usedTokens = 0;
+
+        ranked.forEach(({ entry }) => {
+            const tokens = RateLimitModule.estimateTokenCount(formatEntry(entry)) + 1;
+            if (usedTokens + tokens <= tokenBudget) {
+                selected.push(entry);
+                usedTokens += tokens;
+            }
+        });
+
+        return selected;
+    }
+
+    // ========================================
+    // PROMPT FORMATTING
+    // ========================================
+
+    /**
+     * Formats a single entry as a prompt line
+     * @param {Object} entry - Story bible entry
+     * @returns {string} - Formatted line
+     */
+    function formatEntry(entry) {
+        const name = entry.name.trim() || '(unnamed)';
+        const aliases = (entry.keywords || []).filter(keyword => keyword !== entry.name);
+        const aliasText = aliases.length > 0 ? ` (also: ${aliases.join(', ')})` : '';
+        const description = entry.description.trim().replace(/\s*\n\s*/g, ' ');
+        return `- ${name}${aliasText}: ${description}`;
+    }
+
+    /**
+     * Formats entries grouped by category for the system prompt
+     * @param {Object[]} entries - Entries to format
+     * @returns {string} - Formatted story bible, or empty string
+     */
+    function formatForPrompt(entries) {
+        if (!entries || entries.length === 0) return '';
+
+        return Object.keys(CATEGORIES)
+            .map(category => {
+                const lines = entries
+                    .filter(entry => entry.category === category)
+                    .map(formatEntry);
+                if (lines.length === 0) return '';
+                return `## ${CATEGORIES[category].heading}\n${lines.join('\n')}`;
+            })
+            .filter(section => section.length > 0)
+            .join('\n\n');
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        createEntry,
+        parseKeywords,
+        selectEntries,
+        formatForPrompt,
+        CATEGORIES,
+        CONFIG
+    };
+
+})();
@@ -0,0 +1,232 @@
+/**
+ * ========================================
+ * USAGE MODULE
+ * Records the tokens every request really
+ * used and totals them per day, week and
+ * model with an estimated cost
+ * ========================================
+ */
+
+const UsageModule = (function() {
+    'use strict';
+
+    // ========================================
+    // CONFIGURATION
+    // ========================================
+
+    const CONFIG = {
+        // Entries older than this are dropped when a new one is recorded
+        RETENTION_DAYS: 35
+    };
+
+    // Published prices in US dollars per million tokens, by model id
+    const MODEL_PRICES = {
+        'gemini-2.5-pro': { input: 1.25, output: 10 },
+        'gemini-2.5-flash': { input: 0.30, output: 2.50 },
+        'gemini-3-pro-preview': { input: 2, output: 12 },
+        'gemini-2.0-flash-exp-image-generation': { input: 0.10, output: 0.40 }
+    };
+
+    // Providers that run without a paid API
+    const FREE_PROVIDERS = ['local', 'mock'];
+
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    // ========================================
+    // STATE
+    // ========================================
+
+    // Usage entries, oldest first; loaded on first use
+    let entries = null;
+
+    /**
+     * Gets the usage entries, loading them from storage on first use
+     * @returns {Object[]} - Usage entries
+     */
+    function getEntries() {
+        if (!entries) {
+            entries = StorageModule.loadUsageLog();
+        }
+        return entries;
+    }
+
+    // ========================================
+    // RECORDING
+    // ========================================
+
+    /**
+     * Records the token usage of one request
+     * @param {Object} usage - { model, kind, documentId, promptTokens, outputTokens, totalTokens }
+     * @returns {Object} - Stored entry
+     */
+    function record(usage) {
+        const promptTokens = usage.promptTokens || 0;
+        const outputTokens = usage.outputTokens || 0;
+        const entry = {
+            timestamp: Date.now(),
+            model: usage.model,
+            kind: usage.kind || 'text',
+            documentId: usage.documentId || null,
+            promptTokens,
+            outputTokens,
+            totalTokens: usage.totalTokens || promptTokens + outputTokens
+        };
+
+        const cutoff = entry.timestamp - CONFIG.RETENTION_DAYS * DAY_MS;
+        entries = getEntries().filter(item => item.timestamp >= cutoff);
+        entries.push(entry);
+        StorageModule.saveUsageLog(entries);
+
+        return entry;
+    }
+
+    // ========================================
+    // COST
+    // ========================================
+
+    /**
+     * Checks whether a model runs without a paid API
+     * @param {string} model - Model id
+     * @returns {boolean} - True for the local and mock providers
+     */
+    function isFreeModel(model) {
+        return FREE_PROVIDERS.includes(ProviderModule.resolveModel(model).provider.id);
+    }
+
+    /**
+     * Estimates the cost of a number of tokens on a model
+     * @param {string} model - Model id
+     * @param {number} promptTokens - Input tokens
+     * @param {number} outputTokens - Output tokens
+     * @returns {number|null} - Cost in US dollars, or null if the price is unknown
+     */
+    function estimateCost(model, promptTokens, outputTokens) {
+        if (isFreeModel(model)) {
+            return 0;
+        }
+
+        const price = MODEL_PRICES[model];
+        if (!price) return null;
+        return (promptTokens * price.input + outputTokens * price.output) / 1000000;
+    }
+
+    // ========================================
+    // TOTALS
+    // ========================================
+
+    /**
+     * Gets the start of the day or week a time falls in, in local time.
+     * Weeks start on Monday.
+     * @param {string} period - 'day' or 'week'
+     * @param {number} now - Optional time in milliseconds; defaults to now
+     * @returns {number} - Start of the period in milliseconds
+     */
+    function getPeriodStart(period, now = Date.now()) {
+        const start = new Date(now);
+        start.setHours(0, 0, 0, 0);
+        if (period === 'week') {
+            start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        }
+        return start.getTime();
+    }
+
+    /**
+     * Adds an entry to a running total
+     * @param {Object} total - Total to add to
+     * @param {Object} entry - Usage entry
+     */
+    function addToTotal(total, entry) {
+        const cost = estimateCost(entry.model, entry.promptTokens, entry.outputTokens);
+        total.requests++;
+        total.promptTokens += entry.promptTokens;
+        total.outputTokens += entry.outputTokens;
+        total.totalTokens += entry.totalTokens;
+        if (cost === null) {
+            total.hasUnknownCost = true;
+        } else {
+            total.cost += cost;
+        }
+    }
+
+    /**
+     * Creates an empty total
+     * @returns {Object} - { requests, promptTokens, outputTokens, totalTokens, cost, hasUnknownCost }
+     */
+    function createTotal() {
+        return { requests: 0, promptTokens: 0, outputTokens: 0, totalTokens: 0, cost: 0, hasUnknownCost: false };
+    }
+
+    /**
+     * Totals the usage since a point in time, overall and per model
+     * @param {number} since - Start time in milliseconds
+     * @param {number} until - Optional end time in milliseconds (exclusive)
+     * @returns {Object} - { total, models: [{ model, ...total }] } with the most used models first
+     */
+    function summarize(since, until = Infinity) {
+        const total = createTotal();
+        const byModel = {};
+
+        getEntries().forEach(entry => {
+            if (entry.timestamp < since || entry.timestamp >= until) return;
+            addToTotal(total, entry);
+            if (!byModel[entry.model]) {
+                byModel[entry.model] = createTotal();
+            }
+            addToTotal(byModel[entry.model], entry);
+        });
+
+        const models = Object.keys(byModel)
+            .map(model => ({ model, ...byModel[model] }))
+            .sort((a, b) => b.totalTokens - a.totalTokens);
+
+        return { total, models };
+    }
+
+    /**
+     * Totals the usage of each of the last days, today included
+     * @param {number} days - Number of days
+     * @returns {Object[]} - [{ date, ...total }] with the most recent day first
+     */
+    function getDailyTotals(days) {
+        const today = getPeriodStart('day');
+        const result = [];
+
+        for (let i = 0; i < days; i++) {
+            // Stepping by calendar date keeps days right across daylight saving changes
+            const start = new Date(today);
+            start.setDate(start.getDate() - i);
+            const end = new Date(start);
+            end.setDate(end.getDate() + 1);
+            result.push({ date: start, ...summarize(start.getTime(), end.getTime()).total });
+        }
+
+        return result;
+    }
+
+    /**
+     * Counts the tokens of paid models used since a point in time, for the
+     * token budgets. Local and mock answers cost nothing and are left out.
+     * @param {number} since - Start time in milliseconds
+     * @returns {number} - Total tokens
+     */
+    function getTokensSince(since) {
+        return getEntries()
+            .filter(entry => entry.timestamp >= since && !isFreeModel(entry.model))
+            .reduce((sum, entry) => sum + entry.totalTokens, 0);
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        record,
+        estimateCost,
+        getPeriodStart,
+        summarize,
+        getDailyTotals,
+        getTokensSince,
+        CONFIG
+    };
+
+})();
@@ -0,0 +1,211 @@
+/**
+ * ========================================
+ * ZIP MODULE
+ * Builds uncompressed (stored) zip archives
+ * for EPUB and DOCX exports and reads zip
+ * archives for DOCX imports
+ * ========================================
+ */
+
+const ZipModule = (function() {
+    'use strict';
+
+    // ========================================
+    // CRC-32
+    // ========================================
+
+    let crcTable = null;
+
+    /**
+     * Builds the CRC-32 lookup table on first use
+     * @returns {Uint32Array} - Lookup table
+     */
+    function getCrcTable() {
+        if (!crcTable) {
+            crcTable = new Uint32Array(256);
+            for (let n = 0; n < 256; n++) {
+                let c = n;
+                for (let k = 0; k < 8; k++) {
+                    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+                }
+                crcTable[n] = c >>> 0;
+            }
+        }
+        return crcTable;
+    }
+
+    /**
+     * Computes the CRC-32 checksum of data
+     * @param {Uint8Array} data - Data to checksum
+     * @returns {number} - Unsigned CRC-32
+     */
+    function crc32(data) {
+        const table = getCrcTable();
+        let crc = 0xFFFFFFFF;
+        for (let i = 0; i < data.length; i++) {
+            crc = table[(crc ^ data[i]) & 0xFF] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xFFFFFFFF) >>> 0;
+    }
+
+    // ========================================
+    // ARCHIVE BUILDING
+    // ========================================
+
+    /**
+     * Converts a date to MS-DOS time and date fields
+     * @param {Date} date - Date to convert
+     * @returns {Object} - { time, date }
+     */
+    function toDosDateTime(date) {
+        return {
+            time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+            date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+        };
+    }
+
+    /**
+     * Creates a zip archive. Files are stored without compression, in the
+     * given order, so an EPUB's mimetype entry can be placed first.
+     * @param {Object[]} files - Files as { name, data } where data is a string or Uint8Array
+     * @param {string} mimeType - Mime type of the resulting blob
+     * @returns {Blob} - Zip archive
+     */
+    function createZip(files, mimeType = 'application/zip') {
+        const encoder = new TextEncoder();
+        const { time, date } = toDosDateTime(new Date());
+        const parts = [];
+        const centralDirectory = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.name);
+            const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+            const crc = crc32(data);
+
+            const header = new DataView(new ArrayBuffer(30));
+            header.setUint32(0, 0x04034B50, true);  // Local file header signature
+            header.setUint16(4, 20, true);          // Version needed to extract
+            header.setUint16(6, 0x0800, true);      // Flags: UTF-8 file names
+            header.setUint16(8, 0, true);           // Compression: stored
+            header.setUint16(10, time, true);
+            header.setUint16(12, date, true);
+            header.setUint32(14, crc, true);
+            header.setUint32(18, data.length, true);
+            header.setUint32(22, data.length, true);
+            header.setUint16(26, name.length, true);
+            header.setUint16(28, 0, true);          // Extra field length
+
+            const entry = new DataView(new ArrayBuffer(46));
+            entry.setUint32(0, 0x02014B50, true);   // Central directory signature
+            entry.setUint16(4, 20, true);           // Version made by
+            entry.setUint16(6, 20, true);           // Version needed to extract
+            entry.setUint16(8, 0x0800, true);
+            entry.setUint16(10, 0, true);
+            entry.setUint16(12, time, true);
+            entry.setUint16(14, date, true);
+            entry.setUint32(16, crc, true);
+            entry.setUint32(20, data.length, true);
+            entry.setUint32(24, data.length, true);
+            entry.setUint16(28, name.length, true);
+            // Extra field, comment, disk number and attributes stay zero
+            entry.setUint32(42, offset, true);      // Offset of the local header
+
+            parts.push(new Uint8Array(header.buffer), name, data);
+            centralDirectory.push(new Uint8Array(entry.buffer), name);
+            offset += 30 + name.length + data.length;
+        });
+
+        const directorySize = centralDirectory.reduce((size, part) => size + part.length, 0);
+
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);         // End of central directory signature
+        end.setUint16(8, files.length, true);       // Entries on this disk
+        end.setUint16(10, files.length, true);      // Total entries
+        end.setUint32(12, directorySize, true);
+        end.setUint32(16, offset, true);            // Offset of the central directory
+
+        return new Blob([...parts, ...centralDirectory, new Uint8Array(end.buffer)], { type: mimeType });
+    }
+
+    // ========================================
+    // ARCHIVE READING
+    // ========================================
+
+    /**
+     * Inflates raw deflate data with the browser's DecompressionStream
+     * @param {Uint8Array} data - Compressed data
+     * @returns {Promise<Uint8Array>} - Decompressed data
+     */
+    async function inflate(data) {
+        const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    /**
+     * Reads the entries of a zip archive. Stored and deflated entries are supported.
+     * @param {ArrayBuffer} buffer - Zip archive
+     * @returns {Promise<Object>} - File contents (Uint8Array) by entry name
+     */
+    async function readZip(buffer) {
+        const view = new DataView(buffer);
+        const bytes = new Uint8Array(buffer);
+        const decoder = new TextDecoder();
+
+        // The end of central directory record sits at the end, before an optional comment
+        let end = buffer.byteLength - 22;
+        while (end >= 0 && view.getUint32(end, true) !== 0x06054B50) {
+            end--;
+        }
+        if (end < 0) {
+            throw new Error('INVALID_ZIP: End of central directory not found');
+        }
+
+        const entryCount = view.getUint16(end + 10, true);
+        let offset = view.getUint32(end + 16, true);
+        const files = {};
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014B50) {
+                throw new Error('INVALID_ZIP: Broken central directory');
+            }
+
+            const method = view.getUint16(offset + 10, true);
+            const compressedSize = view.getUint32(offset + 20, true);
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+            const headerOffset = view.getUint32(offset + 42, true);
+            const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLength));
+
+            // Data starts after the local header, whose extra field can differ
+            const dataStart = headerOffset + 30 +
+                view.getUint16(headerOffset + 26, true) +
+                view.getUint16(headerOffset + 28, true);
+            const data = bytes.subarray(dataStart, dataStart + compressedSize);
+
+            if (method === 0) {
+                files[name] = data;
+            } else if (method === 8) {
+                files[name] = await inflate(data);
+            } else {
+                throw new Error(`INVALID_ZIP: Unsupported compression method ${method}`);
+            }
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return files;
+    }
+
+    // ========================================
+    // PUBLIC API
+    // ========================================
+
+    return {
+        createZip,
+        readZip,
+        crc32
+    };
+
+})();
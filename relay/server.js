@@ -0,0 +1,434 @@
+/**
+ * ========================================
+ * GEMINI RELAY
+ * Local Node relay for proxy mode: holds
+ * the Gemini key, issues sessions after a
+ * password check, enforces quotas and
+ * forwards Gemini requests
+ * ========================================
+ *
+ * Usage (Node 18 or later, no dependencies):
+ *
+ *   GEMINI_API_KEY=... RELAY_PASSWORD=... node relay/server.js
+ *
+ * then open the app with ?proxy=http://localhost:8787
+ *
+ * Environment:
+ *   GEMINI_API_KEY        Gemini key (required)
+ *   RELAY_PASSWORD        Password users unlock the app with (required)
+ *   RELAY_ADMIN_PASSWORD  Password for admins, who have no quotas (optional)
+ *   RELAY_SECRET          Key sessions are signed with; random per start if unset
+ *   RELAY_SESSION_HOURS   Session lifetime (default 12)
+ *   RELAY_ALLOWED_ORIGIN  Origin allowed to call the relay (default *)
+ *   RELAY_TRUST_PROXY     Set to 1 behind a reverse proxy to count quotas by X-Forwarded-For
+ *   PORT                  Port to listen on (default 8787)
+ *
+ * Protocol (the same as the Apps Script relay): POST / with a JSON body
+ *   { action: 'session', password }                      -> { token, expiresAt, isAdmin }
+ *   { action: 'forward', token, model, method, body }    -> Gemini answer (server-sent events for streams)
+ * Errors use Gemini's { error: { code, message, status } } shape.
+ */
+
+'use strict';
+
+const http = require('http');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+// ========================================
+// CONFIGURATION
+// ========================================
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+const CONFIG = {
+    PORT: parseInt(process.env.PORT, 10) || 8787,
+    GEMINI_API_BASE_URL: process.env.RELAY_GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com/v1beta',
+    SESSION_MS: (parseFloat(process.env.RELAY_SESSION_HOURS) || 12) * HOUR_MS,
+    ALLOWED_ORIGIN: process.env.RELAY_ALLOWED_ORIGIN || '*',
+    TRUST_PROXY: process.env.RELAY_TRUST_PROXY === '1',
+    MAX_BODY_BYTES: 10 * 1024 * 1024,
+    // Keep these in step with RateLimitModule.CONFIG
+    QUOTAS: {
+        text: [
+            { limit: 5, windowMs: HOUR_MS },
+            { limit: 20, windowMs: DAY_MS }
+        ],
+        image: [
+            { limit: 3, windowMs: DAY_MS }
+        ]
+    }
+};
+
+// Gemini methods the relay forwards; countTokens is free and not counted
+const FORWARDED_METHODS = ['generateContent', 'streamGenerateContent', 'countTokens'];
+
+// ========================================
+// ERRORS
+// ========================================
+
+/**
+ * Error answered to the client in Gemini's error shape
+ */
+class RelayError extends Error {
+    /**
+     * @param {number} code - HTTP status
+     * @param {string} status - Error status, e.g. 'SESSION_EXPIRED'
+     * @param {string} message - Error message
+     * @param {Object} extra - Optional fields added to the error object
+     */
+    constructor(code, status, message, extra = {}) {
+        super(message);
+        this.code = code;
+        this.status = status;
+        this.extra = extra;
+    }
+
+    toJSON() {
+        return { error: { code: this.code, message: this.message, status: this.status, ...this.extra } };
+    }
+}
+
+// ========================================
+// SESSIONS
+// ========================================
+
+/**
+ * Compares two strings in constant time
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} - True if equal
+ */
+function safeEqual(a, b) {
+    const hash = value => crypto.createHash('sha256').update(String(value)).digest();
+    return crypto.timingSafeEqual(hash(a), hash(b));
+}
+
+/**
+ * Creates the session store. Tokens are signed rather than stored, so they
+ * stay valid across restarts as long as the secret does.
+ * @param {string} secret - Signing key
+ * @returns {Object} - { issue, verify }
+ */
+function createSessions(secret) {
+    const sign = payload => crypto.createHmac('sha256', secret).update(payload).digest('base64url');
+
+    return {
+        /**
+         * Issues a session token
+         * @param {Object} claims - { visitor, isAdmin }
+         * @returns {Object} - { token, expiresAt }
+         */
+        issue(claims) {
+            const expiresAt = Date.now() + CONFIG.SESSION_MS;
+            const payload = Buffer.from(JSON.stringify({ ...claims, exp: expiresAt })).toString('base64url');
+            return { token: `${payload}.${sign(payload)}`, expiresAt };
+        },
+
+        /**
+         * Checks a session token
+         * @param {string} token - Token from the client
+         * @returns {Object} - Claims { visitor, isAdmin, exp }
+         * @throws {RelayError} - SESSION_EXPIRED if the token is invalid or expired
+         */
+        verify(token) {
+            const [payload, signature] = String(token || '').split('.');
+            if (!payload || !signature || !safeEqual(signature, sign(payload))) {
+                throw new RelayError(401, 'SESSION_EXPIRED', 'Invalid session');
+            }
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            if (!(claims.exp > Date.now())) {
+                throw new RelayError(401, 'SESSION_EXPIRED', 'Session expired');
+            }
+            return claims;
+        }
+    };
+}
+
+// ========================================
+// QUOTAS
+// ========================================
+
+/**
+ * Creates the in-memory quota store: request times per visitor and kind
+ * @returns {Object} - { take, giveBack }
+ */
+function createQuotas() {
+    const uses = new Map();
+
+    const getUses = (visitor, kind) => {
+        const key = `${kind}|${visitor}`;
+        const longest = Math.max(...CONFIG.QUOTAS[kind].map(quota => quota.windowMs));
+        const now = Date.now();
+        const times = (uses.get(key) || []).filter(time => time > now - longest);
+        uses.set(key, times);
+        return times;
+    };
+
+    return {
+        /**
+         * Takes a use if every window of a kind has room for another request.
+         * Checking and recording happen in one step, so parallel requests
+         * cannot all pass while the first is still waiting for Gemini.
+         * @param {string} visitor - Visitor id
+         * @param {string} kind - 'text' or 'image'
+         * @returns {number} - Time of the use, to give it back with
+         * @throws {RelayError} - QUOTA_EXCEEDED with the window that frees up last
+         */
+        take(visitor, kind) {
+            const now = Date.now();
+            const times = getUses(visitor, kind);
+            const full = CONFIG.QUOTAS[kind]
+                .map(quota => {
+                    const inWindow = times.filter(time => time > now - quota.windowMs);
+                    return { ...quota, used: inWindow.length, resetsAt: inWindow.length ? inWindow[0] + quota.windowMs : null };
+                })
+                .filter(quotaWindow => quotaWindow.used >= quotaWindow.limit)
+                .sort((a, b) => b.resetsAt - a.resetsAt)[0];
+
+            if (full) {
+                throw new RelayError(429, 'QUOTA_EXCEEDED', `The ${kind} quota is used up`, {
+                    quota: { kind, limit: full.limit, windowMs: full.windowMs, resetsAt: full.resetsAt }
+                });
+            }
+
+            times.push(now);
+            return now;
+        },
+
+        /**
+         * Gives back a use, e.g. when the request it was taken for failed
+         * @param {string} visitor - Visitor id
+         * @param {string} kind - 'text' or 'image'
+         * @param {number} time - Time returned by take
+         */
+        giveBack(visitor, kind, time) {
+            const times = getUses(visitor, kind);
+            const index = times.indexOf(time);
+            if (index !== -1) {
+                times.splice(index, 1);
+            }
+        }
+    };
+}
+
+/**
+ * Works out which quota a Gemini request counts against
+ * @param {string} method - Gemini method
+ * @param {Object} body - Gemini request body
+ * @returns {string|null} - 'text', 'image', or null if it is not counted
+ */
+function getRequestKind(method, body) {
+    if (method === 'countTokens') return null;
+    const modalities = (body && body.generationConfig && body.generationConfig.responseModalities) || [];
+    return modalities.includes('IMAGE') ? 'image' : 'text';
+}
+
+// ========================================
+// HTTP
+// ========================================
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} - Parsed body
+ * @throws {RelayError} - If the body is too large or not a JSON object
+ */
+async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > CONFIG.MAX_BODY_BYTES) {
+            throw new RelayError(413, 'INVALID_ARGUMENT', 'Request body too large');
+        }
+        chunks.push(chunk);
+    }
+
+    let body;
+    try {
+        body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch (error) {
+        throw new RelayError(400, 'INVALID_ARGUMENT', 'Request body is not JSON');
+    }
+
+    if (!body || typeof body !== 'object' || Array.isArray(body)) {
+        throw new RelayError(400, 'INVALID_ARGUMENT', 'Request body is not a JSON object');
+    }
+    return body;
+}
+
+/**
+ * Gets the address quotas are counted by
+ * @param {http.IncomingMessage} req - Request
+ * @returns {string} - Visitor id
+ */
+function getVisitor(req) {
+    const forwarded = CONFIG.TRUST_PROXY && req.headers['x-forwarded-for'];
+    return forwarded ? forwarded.split(',')[0].trim() : req.socket.remoteAddress;
+}
+
+/**
+ * Sends a JSON answer
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} data - Answer
+ */
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(data));
+}
+
+// ========================================
+// HANDLERS
+// ========================================
+
+/**
+ * Creates the relay server
+ * @param {Object} options - { apiKey, password, adminPassword, secret }
+ * @returns {http.Server} - Server, not yet listening
+ */
+function createServer(options) {
+    const sessions = createSessions(options.secret || crypto.randomBytes(32).toString('hex'));
+    const quotas = createQuotas();
+
+    /**
+     * Checks the password and issues a session
+     * @param {Object} request - { password }
+     * @param {string} visitor - Visitor id
+     * @returns {Object} - { token, expiresAt, isAdmin }
+     */
+    function handleSession(request, visitor) {
+        const isAdmin = Boolean(options.adminPassword) && safeEqual(request.password, options.adminPassword);
+        if (!isAdmin && !safeEqual(request.password, options.password)) {
+            throw new RelayError(401, 'INVALID_PASSWORD', 'The password is incorrect');
+        }
+        return { ...sessions.issue({ visitor, isAdmin }), isAdmin };
+    }
+
+    /**
+     * Forwards a Gemini request and pipes the answer back
+     * @param {Object} request - { token, model, method, body }
+     * @param {http.ServerResponse} res - Response
+     * @returns {Promise<void>}
+     */
+    async function handleForward(request, res) {
+        const session = sessions.verify(request.token);
+
+        if (!FORWARDED_METHODS.includes(request.method) || !/^[\w.-]+$/.test(request.model || '')) {
+            throw new RelayError(400, 'INVALID_ARGUMENT', 'Unsupported model or method');
+        }
+
+        const kind = getRequestKind(request.method, request.body);
+        const isCounted = Boolean(kind) && !session.isAdmin;
+        const usedAt = isCounted ? quotas.take(session.visitor, kind) : null;
+        // Only requests Gemini accepts count
+        const giveBack = () => {
+            if (isCounted) {
+                quotas.giveBack(session.visitor, kind, usedAt);
+            }
+        };
+
+        const query = request.method === 'streamGenerateContent' ? '?alt=sse' : '';
+        const controller = new AbortController();
+        res.on('close', () => controller.abort());
+
+        let upstream;
+        try {
+            upstream = await fetch(`${CONFIG.GEMINI_API_BASE_URL}/models/${request.model}:${request.method}${query}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    // In a header, the key stays out of request logs
+                    'x-goog-api-key': options.apiKey
+                },
+                body: JSON.stringify(request.body || {}),
+                signal: controller.signal
+            });
+        } catch (error) {
+            giveBack();
+            throw error;
+        }
+
+        if (!upstream.ok) {
+            giveBack();
+        }
+
+        res.writeHead(upstream.status, {
+            'Content-Type': upstream.headers.get('content-type') || 'application/json',
+            'Cache-Control': 'no-cache'
+        });
+        if (!upstream.body) {
+            res.end();
+            return;
+        }
+        Readable.fromWeb(upstream.body)
+            .on('error', () => res.destroy())
+            .pipe(res);
+    }
+
+    return http.createServer(async (req, res) => {
+        res.setHeader('Access-Control-Allow-Origin', CONFIG.ALLOWED_ORIGIN);
+        res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+        res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+
+        if (req.method === 'OPTIONS') {
+            res.writeHead(204);
+            res.end();
+            return;
+        }
+
+        try {
+            if (req.method !== 'POST' || req.url !== '/') {
+                throw new RelayError(404, 'NOT_FOUND', 'Not found');
+            }
+
+            const request = await readBody(req);
+            if (request.action === 'session') {
+                sendJson(res, 200, handleSession(request, getVisitor(req)));
+            } else if (request.action === 'forward') {
+                await handleForward(request, res);
+            } else {
+                throw new RelayError(400, 'INVALID_ARGUMENT', 'Unknown action');
+            }
+        } catch (error) {
+            if (res.headersSent) {
+                res.destroy();
+                return;
+            }
+            if (error instanceof RelayError) {
+                sendJson(res, error.code, error.toJSON());
+                return;
+            }
+            if (error.name === 'AbortError') return;
+
+            console.error('Relay request failed:', error);
+            sendJson(res, 502, new RelayError(502, 'UNAVAILABLE', 'Gemini could not be reached').toJSON());
+        }
+    });
+}
+
+// ========================================
+// STARTUP
+// ========================================
+
+if (require.main === module) {
+    const options = {
+        apiKey: process.env.GEMINI_API_KEY,
+        password: process.env.RELAY_PASSWORD,
+        adminPassword: process.env.RELAY_ADMIN_PASSWORD,
+        secret: process.env.RELAY_SECRET
+    };
+
+    if (!options.apiKey || !options.password) {
+        console.error('GEMINI_API_KEY and RELAY_PASSWORD must be set.');
+        process.exit(1);
+    }
+
+    createServer(options).listen(CONFIG.PORT, () => {
+        console.log(`Gemini relay listening on http://localhost:${CONFIG.PORT}`);
+    });
+}
+
+module.exports = { createServer, CONFIG };
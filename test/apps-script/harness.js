@@ -0,0 +1,231 @@
+/**
+ * ========================================
+ * APPS SCRIPT HARNESS
+ * Runs the Google Apps Script backend in
+ * a node vm with in-memory stand-ins for
+ * SpreadsheetApp and the other services
+ * ========================================
+ *
+ * Run the tests with: node --test test/apps-script/
+ */
+
+'use strict';
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const SCRIPT_PATH = path.join(__dirname, '..', '..', 'script(google apps).txt');
+
+// ========================================
+// SPREADSHEET STUBS
+// ========================================
+
+/**
+ * In-memory sheet with the subset of the Sheet API the script uses.
+ * Rows and columns are 1-based as in Apps Script.
+ */
+class FakeSheet {
+    /**
+     * @param {Array[]} rows - Cell values, header row first
+     */
+    constructor(rows) {
+        this.rows = rows.map(row => row.slice());
+    }
+
+    getLastColumn() {
+        return this.rows.length ? this.rows[0].length : 0;
+    }
+
+    getDataRange() {
+        return this.getRange(1, 1, this.rows.length, this.getLastColumn());
+    }
+
+    getRange(row, column, numRows = 1, numColumns = 1) {
+        const sheet = this;
+        return {
+            getValues() {
+                return sheet.rows.slice(row - 1, row - 1 + numRows)
+                    .map(values => values.slice(column - 1, column - 1 + numColumns));
+            },
+            setValue(value) {
+                if (row < 1 || column < 1) {
+                    throw new Error(`Range ${row}:${column} is out of bounds`);
+                }
+                sheet.rows[row - 1][column - 1] = value;
+            }
+        };
+    }
+
+    appendRow(values) {
+        this.rows.push(values.slice());
+    }
+
+    deleteRow(row) {
+        this.rows.splice(row - 1, 1);
+    }
+
+    /**
+     * Reads the data rows as objects keyed by the header row
+     * @returns {Object[]} - Records
+     */
+    getRecords() {
+        const [headers, ...data] = this.rows;
+        return data.map(row => Object.fromEntries(headers.map((header, index) => [header, row[index]])));
+    }
+}
+
+// ========================================
+// SERVICE STUBS
+// ========================================
+
+/**
+ * Converts bytes as Apps Script returns them (signed) to a Buffer
+ * @param {number[]|string} value - Bytes or a string
+ * @returns {Buffer} - Buffer
+ */
+function toBuffer(value) {
+    return typeof value === 'string' ? Buffer.from(value, 'utf8') : Buffer.from(value.map(byte => byte & 0xFF));
+}
+
+/**
+ * Converts a Buffer to signed bytes like Apps Script's byte[]
+ * @param {Buffer} buffer - Buffer
+ * @returns {number[]} - Signed bytes
+ */
+function toSignedBytes(buffer) {
+    return Array.from(buffer, byte => (byte > 127 ? byte - 256 : byte));
+}
+
+/**
+ * Stand-in for the Utilities service
+ */
+const Utilities = {
+    base64EncodeWebSafe: value => toBuffer(value).toString('base64').replace(/\+/g, '-').replace(/\//g, '_'),
+    base64DecodeWebSafe: value => toSignedBytes(Buffer.from(value.replace(/-/g, '+').replace(/_/g, '/'), 'base64')),
+    computeHmacSha256Signature: (value, key) =>
+        toSignedBytes(crypto.createHmac('sha256', toBuffer(key)).update(toBuffer(value)).digest()),
+    newBlob: bytes => ({ getDataAsString: () => toBuffer(bytes).toString('utf8') }),
+    getUuid: () => crypto.randomUUID()
+};
+
+// ========================================
+// HARNESS
+// ========================================
+
+/**
+ * Loads the Apps Script into a fresh vm context
+ * @param {Object} options - { sheets: { name: rows }, now: start time in milliseconds,
+ *                           properties: script properties, fetch: (url, params) => { code, body } }
+ * @returns {Object} - { request, post, sheets, mails, fetches, setNow, advance, context }
+ */
+function createHarness(options = {}) {
+    const sheets = {};
+    Object.entries(options.sheets || {}).forEach(([name, rows]) => {
+        sheets[name] = new FakeSheet(rows);
+    });
+
+    const mails = [];
+    const fetches = [];
+    const properties = { ...options.properties };
+    const fetchHandler = options.fetch || (() => ({ code: 200, body: '{}' }));
+    let now = options.now || Date.UTC(2025, 0, 1);
+
+    // Date.now() and new Date() follow the harness clock
+    class FakeDate extends Date {
+        constructor(...args) {
+            super(...(args.length ? args : [now]));
+        }
+
+        static now() {
+            return now;
+        }
+    }
+
+    const context = {
+        console,
+        JSON,
+        Date: FakeDate,
+        SpreadsheetApp: {
+            openByUrl: () => ({ getSheetByName: name => sheets[name] || null }),
+            openById: () => ({ getSheetByName: name => sheets[name] || null })
+        },
+        ContentService: {
+            MimeType: { JSON: 'application/json', JAVASCRIPT: 'application/javascript', TEXT: 'text/plain' },
+            createTextOutput(content) {
+                return {
+                    content,
+                    mimeType: null,
+                    setMimeType(mimeType) {
+                        this.mimeType = mimeType;
+                        return this;
+                    },
+                    getContent() {
+                        return this.content;
+                    }
+                };
+            }
+        },
+        LockService: {
+            getScriptLock: () => ({ waitLock() {}, releaseLock() {} })
+        },
+        MailApp: {
+            sendEmail: message => mails.push(message)
+        },
+        PropertiesService: {
+            getScriptProperties: () => ({
+                getProperty: key => (key in properties ? properties[key] : null),
+                setProperty: (key, value) => { properties[key] = String(value); }
+            })
+        },
+        UrlFetchApp: {
+            fetch(url, params) {
+                fetches.push({ url, params });
+                const { code, body } = fetchHandler(url, params);
+                return { getResponseCode: () => code, getContentText: () => body };
+            }
+        },
+        Utilities
+    };
+
+    vm.createContext(context);
+    vm.runInContext(fs.readFileSync(SCRIPT_PATH, 'utf8'), context, { filename: SCRIPT_PATH });
+
+    /**
+     * Calls doGet like a web app request and parses the JSON response
+     * @param {Object} params - Query parameters
+     * @returns {Object} - Parsed response body
+     */
+    function request(params) {
+        const parameters = {};
+        Object.keys(params).forEach(key => {
+            parameters[key] = [params[key]];
+        });
+        const output = context.doGet({ parameter: { ...params }, parameters });
+        return JSON.parse(output.getContent());
+    }
+
+    /**
+     * Calls doPost with a JSON body like the app's plain text request
+     * @param {Object} body - Request body
+     * @returns {Object} - { content, mimeType }
+     */
+    function post(body) {
+        const output = context.doPost({ postData: { contents: JSON.stringify(body), type: 'text/plain' } });
+        return { content: output.getContent(), mimeType: output.mimeType };
+    }
+
+    return {
+        request,
+        post,
+        sheets,
+        fetches,
+        mails,
+        context,
+        setNow: time => { now = time; },
+        advance: ms => { now += ms; }
+    };
+}
+
+module.exports = { createHarness, FakeSheet };
@@ -0,0 +1,219 @@
+/**
+ * Proxy mode (doPost) of the Apps Script backend
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+const HOUR_MS = 60 * 60 * 1000;
+const QUOTA_HEADERS = ['id', 'text_uses', 'image_uses', 'exempt', 'time_stamp'];
+const PROPERTIES = {
+    GEMINI_API_KEY: 'test-key',
+    RELAY_PASSWORD: 'secret',
+    RELAY_ADMIN_PASSWORD: 'admin-secret',
+    RELAY_SECRET: 'signing-key'
+};
+const GEMINI_ANSWER = { candidates: [{ content: { parts: [{ text: '이야기' }] }, finishReason: 'STOP' }] };
+const IMAGE_BODY = { generationConfig: { responseModalities: ['TEXT', 'IMAGE'] } };
+
+function createProxyHarness(options = {}) {
+    return createHarness({
+        sheets: { quota: [QUOTA_HEADERS] },
+        properties: PROPERTIES,
+        fetch: () => ({ code: 200, body: JSON.stringify(GEMINI_ANSWER) }),
+        ...options
+    });
+}
+
+function startSession(harness, password = 'secret') {
+    return JSON.parse(harness.post({ action: 'session', password, visitor: '1.2.3.4' }).content);
+}
+
+function forward(harness, token, method = 'generateContent', body = {}) {
+    const output = harness.post({ action: 'forward', token, model: 'gemini-2.5-pro', method, body });
+    return method === 'streamGenerateContent' ? output.content : JSON.parse(output.content);
+}
+
+test('a wrong password gets no session', () => {
+    const harness = createProxyHarness();
+    const answer = startSession(harness, 'wrong');
+
+    assert.strictEqual(answer.token, undefined);
+    assert.strictEqual(answer.error.status, 'INVALID_PASSWORD');
+});
+
+test('passwords that are missing or not strings get no session', () => {
+    const harness = createProxyHarness({ properties: { ...PROPERTIES, RELAY_ADMIN_PASSWORD: '' } });
+
+    for (const password of [null, '', ['secret'], 0]) {
+        assert.strictEqual(startSession(harness, password).error.status, 'INVALID_PASSWORD');
+    }
+    assert.strictEqual(startSession(harness, 'secret').isAdmin, false);
+});
+
+test('the password opens a session that forwards requests with the key', () => {
+    const harness = createProxyHarness();
+    const session = startSession(harness);
+    assert.strictEqual(session.isAdmin, false);
+    assert.strictEqual(session.expiresAt, Date.UTC(2025, 0, 1) + 12 * HOUR_MS);
+
+    const answer = forward(harness, session.token, 'generateContent', { contents: [] });
+    assert.deepStrictEqual(answer, GEMINI_ANSWER);
+
+    const [{ url, params }] = harness.fetches;
+    assert.strictEqual(url, 'https://generativelanguage.googleapis.com/v1beta/models/gemini-2.5-pro:generateContent');
+    assert.strictEqual(params.headers['x-goog-api-key'], 'test-key');
+    assert.strictEqual(params.payload, '{"contents":[]}');
+});
+
+test('the key never appears in an answer', () => {
+    const harness = createProxyHarness();
+    const session = startSession(harness);
+
+    assert.ok(!JSON.stringify(session).includes('test-key'));
+    assert.ok(!JSON.stringify(forward(harness, session.token)).includes('test-key'));
+});
+
+test('forged and expired tokens are refused', () => {
+    const harness = createProxyHarness();
+    const { token } = startSession(harness);
+    const [payload] = token.split('.');
+
+    assert.strictEqual(forward(harness, `${payload}.forged`).error.status, 'SESSION_EXPIRED');
+    assert.strictEqual(forward(harness, 'nonsense').error.status, 'SESSION_EXPIRED');
+
+    harness.advance(13 * HOUR_MS);
+    assert.strictEqual(forward(harness, token).error.status, 'SESSION_EXPIRED');
+    assert.strictEqual(harness.fetches.length, 0);
+});
+
+test('streams are asked for as server-sent events', () => {
+    const events = 'data: {"candidates":[{"content":{"parts":[{"text":"a"}]}}]}\n\n';
+    const harness = createProxyHarness({ fetch: () => ({ code: 200, body: events }) });
+    const { token } = startSession(harness);
+
+    assert.strictEqual(forward(harness, token, 'streamGenerateContent'), events);
+    assert.match(harness.fetches[0].url, /:streamGenerateContent\?alt=sse$/);
+});
+
+test('stream errors come back as one error event', () => {
+    const harness = createProxyHarness();
+    const content = forward(harness, 'nonsense', 'streamGenerateContent');
+
+    assert.match(content, /^data: /);
+    assert.strictEqual(JSON.parse(content.substring(6)).error.status, 'SESSION_EXPIRED');
+});
+
+test('unknown methods and model names are refused', () => {
+    const harness = createProxyHarness();
+    const { token } = startSession(harness);
+
+    assert.strictEqual(forward(harness, token, 'listModels').error.code, 400);
+    const answer = JSON.parse(harness.post({ action: 'forward', token, model: '../files', method: 'generateContent' }).content);
+    assert.strictEqual(answer.error.code, 400);
+    assert.strictEqual(harness.fetches.length, 0);
+});
+
+test('quotas are enforced per visitor and kind', () => {
+    const harness = createProxyHarness();
+    const { token } = startSession(harness);
+
+    for (let i = 0; i < 3; i++) {
+        assert.ok(forward(harness, token, 'generateContent', IMAGE_BODY).candidates);
+    }
+    const refused = forward(harness, token, 'generateContent', IMAGE_BODY);
+    assert.strictEqual(refused.error.status, 'QUOTA_EXCEEDED');
+    assert.strictEqual(refused.error.code, 429);
+    assert.deepStrictEqual(Object.keys(refused.error.quota), ['kind', 'limit', 'windowMs', 'resetsAt']);
+    assert.strictEqual(refused.error.quota.kind, 'image');
+    assert.strictEqual(refused.error.quota.limit, 3);
+    assert.strictEqual(harness.fetches.length, 3);
+
+    // Text has quotas of its own, and countTokens is not counted
+    assert.ok(forward(harness, token).candidates);
+    forward(harness, token, 'countTokens');
+    const [record] = harness.sheets.quota.getRecords();
+    assert.match(record.id, /^session:/);
+    assert.strictEqual(JSON.parse(record.text_uses).length, 1);
+});
+
+test('requests Gemini refuses are not counted and keep their error', () => {
+    const error = { code: 503, message: 'The model is overloaded', status: 'UNAVAILABLE' };
+    const harness = createProxyHarness({ fetch: () => ({ code: 503, body: JSON.stringify({ error }) }) });
+    const { token } = startSession(harness);
+
+    assert.deepStrictEqual(forward(harness, token).error, error);
+    assert.strictEqual(harness.sheets.quota.getRecords()[0].text_uses, '[]');
+});
+
+test('sessions get an id of their own, whatever visitor the client names', () => {
+    const harness = createProxyHarness();
+    const first = startSession(harness);
+    const second = startSession(harness);
+    forward(harness, first.token);
+    forward(harness, second.token);
+
+    const ids = harness.sheets.quota.getRecords().map(record => record.id);
+    assert.strictEqual(ids.length, 2);
+    assert.ok(!ids.includes('1.2.3.4'));
+    assert.notStrictEqual(ids[0], ids[1]);
+});
+
+test('the user password opens a limited number of sessions', () => {
+    const harness = createProxyHarness();
+    for (let i = 0; i < 20; i++) {
+        assert.ok(startSession(harness).token);
+    }
+
+    const refused = startSession(harness);
+    assert.strictEqual(refused.token, undefined);
+    assert.strictEqual(refused.error.status, 'SESSION_LIMIT');
+    assert.strictEqual(refused.error.quota.resetsAt, Date.UTC(2025, 0, 1) + HOUR_MS);
+
+    // Admin sessions are not limited
+    assert.ok(startSession(harness, 'admin-secret').token);
+
+    harness.advance(HOUR_MS + 1);
+    assert.ok(startSession(harness).token);
+});
+
+test('the use is taken before Gemini is called', () => {
+    let usesDuringCall = null;
+    const harness = createProxyHarness({
+        fetch: () => {
+            usesDuringCall = JSON.parse(harness.sheets.quota.getRecords()[0].text_uses).length;
+            return { code: 200, body: JSON.stringify(GEMINI_ANSWER) };
+        }
+    });
+    const { token } = startSession(harness);
+    forward(harness, token);
+
+    assert.strictEqual(usesDuringCall, 1);
+    assert.strictEqual(JSON.parse(harness.sheets.quota.getRecords()[0].text_uses).length, 1);
+});
+
+test('the use is given back when Gemini cannot be reached', () => {
+    const harness = createProxyHarness({
+        fetch: () => {
+            throw new Error('Address unavailable');
+        }
+    });
+    const { token } = startSession(harness);
+
+    assert.strictEqual(forward(harness, token).error.code, 502);
+    assert.strictEqual(harness.sheets.quota.getRecords()[0].text_uses, '[]');
+});
+
+test('admins are not counted', () => {
+    const harness = createProxyHarness();
+    const session = startSession(harness, 'admin-secret');
+    assert.strictEqual(session.isAdmin, true);
+
+    for (let i = 0; i < 5; i++) {
+        assert.ok(forward(harness, session.token, 'generateContent', IMAGE_BODY).candidates);
+    }
+    assert.strictEqual(harness.sheets.quota.getRecords().length, 0);
+});
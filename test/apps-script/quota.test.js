@@ -0,0 +1,178 @@
+/**
+ * Quota endpoint of the Apps Script backend
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { createHarness } = require('./harness');
+
+const HOUR_MS = 60 * 60 * 1000;
+const QUOTA_HEADERS = ['id', 'text_uses', 'image_uses', 'exempt', 'time_stamp'];
+
+function createQuotaHarness(rows = []) {
+    return createHarness({ sheets: { quota: [QUOTA_HEADERS, ...rows] } });
+}
+
+function useQuota(harness, kind, id = '1.2.3.4') {
+    return harness.request({ action: 'quota', op: 'use', kind, id });
+}
+
+test('first use adds a row for the visitor', () => {
+    const harness = createQuotaHarness();
+    const response = useQuota(harness, 'text');
+
+    assert.strictEqual(response.success, true);
+    assert.strictEqual(response.data.allowed, true);
+    assert.strictEqual(response.data.remaining, 4);
+
+    const records = harness.sheets.quota.getRecords();
+    assert.strictEqual(records.length, 1);
+    assert.strictEqual(records[0].id, '1.2.3.4');
+    assert.strictEqual(JSON.parse(records[0].text_uses).length, 1);
+    assert.strictEqual(records[0].image_uses, '[]');
+});
+
+test('check does not use a generation', () => {
+    const harness = createQuotaHarness();
+    useQuota(harness, 'text');
+
+    const response = harness.request({ action: 'quota', op: 'check', kind: 'text', id: '1.2.3.4' });
+    assert.strictEqual(response.data.allowed, true);
+    assert.strictEqual(response.data.remaining, 4);
+    assert.strictEqual(harness.sheets.quota.getRecords().length, 1);
+});
+
+test('the hourly window blocks and frees up after an hour', () => {
+    const harness = createQuotaHarness();
+    const start = Date.UTC(2025, 0, 1);
+    for (let i = 0; i < 5; i++) {
+        assert.strictEqual(useQuota(harness, 'text').data.allowed, true);
+        harness.advance(60 * 1000);
+    }
+
+    const blocked = useQuota(harness, 'text');
+    assert.strictEqual(blocked.data.allowed, false);
+    assert.strictEqual(blocked.data.remaining, 0);
+    assert.strictEqual(blocked.data.limit, 5);
+    assert.strictEqual(blocked.data.windowMs, HOUR_MS);
+    assert.strictEqual(blocked.data.resetsAt, start + HOUR_MS);
+    assert.strictEqual(JSON.parse(harness.sheets.quota.getRecords()[0].text_uses).length, 5);
+
+    harness.setNow(start + HOUR_MS + 1);
+    assert.strictEqual(useQuota(harness, 'text').data.allowed, true);
+});
+
+test('the daily window is reported when it frees up last', () => {
+    const harness = createQuotaHarness();
+    const start = Date.UTC(2025, 0, 1);
+    for (let i = 0; i < 20; i++) {
+        harness.setNow(start + i * HOUR_MS);
+        assert.strictEqual(useQuota(harness, 'text').data.allowed, true);
+    }
+
+    harness.setNow(start + 20 * HOUR_MS);
+    const blocked = useQuota(harness, 'text');
+    assert.strictEqual(blocked.data.allowed, false);
+    assert.strictEqual(blocked.data.limit, 20);
+    assert.strictEqual(blocked.data.windowMs, 24 * HOUR_MS);
+    assert.strictEqual(blocked.data.resetsAt, start + 24 * HOUR_MS);
+});
+
+test('text and image uses are counted apart', () => {
+    const harness = createQuotaHarness();
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual(useQuota(harness, 'image').data.allowed, true);
+    }
+
+    assert.strictEqual(useQuota(harness, 'image').data.allowed, false);
+    assert.strictEqual(useQuota(harness, 'text').data.allowed, true);
+});
+
+test('visitors are counted apart', () => {
+    const harness = createQuotaHarness();
+    for (let i = 0; i < 3; i++) {
+        useQuota(harness, 'image', 'a');
+    }
+
+    assert.strictEqual(useQuota(harness, 'image', 'a').data.allowed, false);
+    assert.strictEqual(useQuota(harness, 'image', 'b').data.allowed, true);
+    assert.strictEqual(harness.sheets.quota.getRecords().length, 2);
+});
+
+test('exempt visitors are never blocked', () => {
+    const harness = createQuotaHarness([['admin', '[]', '[]', true, '']]);
+    for (let i = 0; i < 5; i++) {
+        useQuota(harness, 'image', 'admin');
+    }
+
+    const response = useQuota(harness, 'image', 'admin');
+    assert.strictEqual(response.data.allowed, true);
+    assert.strictEqual(response.data.exempt, true);
+});
+
+test('a broken uses cell counts as no uses', () => {
+    const harness = createQuotaHarness([['1.2.3.4', 'not json', '[]', false, '']]);
+    const response = useQuota(harness, 'text');
+
+    assert.strictEqual(response.data.allowed, true);
+    assert.strictEqual(response.data.remaining, 4);
+});
+
+test('invalid requests are refused', () => {
+    const harness = createQuotaHarness();
+
+    assert.strictEqual(harness.request({ action: 'quota', op: 'use', kind: 'video', id: 'a' }).success, false);
+    assert.strictEqual(harness.request({ action: 'quota', op: 'use', kind: 'text' }).success, false);
+    assert.strictEqual(harness.request({ action: 'quota', op: 'reset', kind: 'text', id: 'a' }).success, false);
+    assert.strictEqual(harness.sheets.quota.getRecords().length, 0);
+});
+
+test('the quota sheet is used whatever table is asked for', () => {
+    const harness = createHarness({
+        sheets: {
+            quota: [QUOTA_HEADERS],
+            beta_data: [['id', 'email']]
+        }
+    });
+    harness.request({ action: 'quota', table: 'beta_data', op: 'use', kind: 'text', id: 'a' });
+
+    assert.strictEqual(harness.sheets.beta_data.getRecords().length, 0);
+    assert.strictEqual(harness.sheets.quota.getRecords().length, 1);
+});
+
+test('JSONP requests are wrapped in the callback', () => {
+    const harness = createQuotaHarness();
+    const output = harness.context.doGet({
+        parameter: { action: 'quota', op: 'check', kind: 'text', id: 'a', callback: 'cb' },
+        parameters: { callback: ['cb'] }
+    });
+
+    assert.match(output.getContent(), /^cb\(\{"success":true,/);
+});
+
+test('the generic actions cannot touch the quota sheet', () => {
+    const harness = createQuotaHarness([['1.2.3.4', '[1]', '[]', false, '']]);
+    const row = { id: '5.6.7.8', text_uses: '[]', image_uses: '[]', exempt: true, time_stamp: '' };
+
+    const insert = harness.request({ action: 'insert', table: 'quota', data: JSON.stringify(row) });
+    assert.strictEqual(insert.success, false);
+    assert.strictEqual(harness.sheets.quota.getRecords().length, 1);
+
+    const read = harness.request({ action: 'read', table: 'quota' });
+    assert.strictEqual(read.success, false);
+    assert.strictEqual(read.data.error, 'Unknown table');
+
+    assert.strictEqual(harness.request({ action: 'update', table: 'quota', id: '1', data: '{"exempt":true}' }).success, false);
+    assert.strictEqual(harness.request({ action: 'delete', table: 'quota', id: '1' }).success, false);
+    assert.strictEqual(harness.sheets.quota.getRecords()[0].exempt, false);
+});
+
+test('the generic actions still reach the data tables', () => {
+    const harness = createHarness({ sheets: { beta_data: [['id', 'email']] } });
+    const insert = harness.request({ action: 'insert', table: 'beta_data', data: '{"id":"a","email":"b@c.d"}' });
+
+    assert.strictEqual(insert.success, true);
+    assert.strictEqual(harness.sheets.beta_data.getRecords().length, 1);
+});
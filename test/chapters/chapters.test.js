@@ -0,0 +1,68 @@
+/**
+ * Chapter heading detection of the chapter module
+ *
+ * Run with: node --test test/chapters/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+const MODULE_PATH = path.join(__dirname, '..', '..', 'js', 'chapters.js');
+
+// The module is a browser script that declares a global
+const context = vm.createContext({});
+vm.runInContext(`${fs.readFileSync(MODULE_PATH, 'utf8')}\nthis.ChapterModule = ChapterModule;`, context, { filename: MODULE_PATH });
+const { ChapterModule } = context;
+
+test('headings are recognized', () => {
+    const headings = [
+        '# 귀환',
+        'Chapter 3',
+        'Chapter Three',
+        'CHAPTER TWENTY-ONE',
+        'Part IV',
+        'Part One: The Return',
+        'Chapter 12 - The Storm',
+        'Prologue',
+        'Epilogue.',
+        '제3장',
+        '제 12 화 귀환',
+        '3장. 떠남',
+        '프롤로그',
+        '서장: 시작',
+        '第三章',
+        '第3話　帰還',
+        'プロローグ'
+    ];
+
+    headings.forEach(line => assert.strictEqual(ChapterModule.isHeading(line), true, line));
+});
+
+test('prose that starts like a heading is not one', () => {
+    const prose = [
+        'Part of me knew.',
+        'Chapter and verse, she said.',
+        'Part I knew already.',
+        'Prologue or not, it began there.',
+        'Epilogues are never the end.',
+        '서장님이 고개를 끄덕였다.',
+        '프롤로그부터 다시 읽었다.',
+        '제3장에서 말했듯이',
+        '第三章では彼が戻る。',
+        'プロローグを読んだ。'
+    ];
+
+    prose.forEach(line => assert.strictEqual(ChapterModule.isHeading(line), false, line));
+});
+
+test('prose lines do not split a chapter', () => {
+    const chapters = ChapterModule.splitChapters('Chapter 1\nShe ran.\nPart of me knew.\nThe end.');
+
+    assert.strictEqual(chapters.length, 1);
+    assert.strictEqual(chapters[0].title, 'Chapter 1');
+});
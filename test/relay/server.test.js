@@ -0,0 +1,223 @@
+/**
+ * Node relay for proxy mode
+ *
+ * Run with: node --test test/relay/
+ */
+
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createServer, CONFIG } = require('../../relay/server');
+
+const GEMINI_ANSWER = { candidates: [{ content: { parts: [{ text: '이야기' }] }, finishReason: 'STOP' }] };
+const IMAGE_BODY = { generationConfig: { responseModalities: ['TEXT', 'IMAGE'] } };
+
+/**
+ * Starts a server on a free port
+ * @param {http.Server} server - Server
+ * @returns {Promise<string>} - Base url
+ */
+function listen(server) {
+    return new Promise(resolve => {
+        server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`));
+    });
+}
+
+/**
+ * Starts a stand-in for Gemini and a relay in front of it
+ * @param {Function} answer - Optional (req, body) => { status, body } of the stand-in
+ * @returns {Promise<Object>} - { post, upstreamRequests, close }
+ */
+async function startRelay(answer) {
+    const upstreamRequests = [];
+    const upstream = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            upstreamRequests.push({ url: req.url, headers: req.headers, body });
+            const reply = answer ? answer(req, body) : { status: 200, body: JSON.stringify(GEMINI_ANSWER) };
+            res.writeHead(reply.status, { 'Content-Type': 'application/json' });
+            res.end(reply.body);
+        });
+    });
+    CONFIG.GEMINI_API_BASE_URL = `${await listen(upstream)}/v1beta`;
+
+    const relay = createServer({ apiKey: 'test-key', password: 'secret', adminPassword: 'admin-secret', secret: 'signing-key' });
+    const url = `${await listen(relay)}/`;
+
+    /**
+     * Posts a request to the relay like the app does
+     * @param {Object|string} body - Request body, or raw text
+     * @returns {Promise<Object>} - { status, data }
+     */
+    async function post(body) {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'text/plain;charset=utf-8' },
+            body: typeof body === 'string' ? body : JSON.stringify(body)
+        });
+        return { status: response.status, data: await response.json() };
+    }
+
+    return {
+        post,
+        upstreamRequests,
+        close: () => {
+            relay.close();
+            upstream.close();
+        }
+    };
+}
+
+async function startSession(relay, password = 'secret') {
+    const { data } = await relay.post({ action: 'session', password });
+    return data.token;
+}
+
+function forward(relay, token, body = {}, method = 'generateContent', model = 'gemini-2.5-pro') {
+    return relay.post({ action: 'forward', token, model, method, body });
+}
+
+test('a wrong password gets no session', async (t) => {
+    const relay = await startRelay();
+    t.after(relay.close);
+
+    const { status, data } = await relay.post({ action: 'session', password: 'wrong' });
+    assert.strictEqual(status, 401);
+    assert.strictEqual(data.token, undefined);
+    assert.strictEqual(data.error.status, 'INVALID_PASSWORD');
+});
+
+test('a session forwards requests with the key in a header', async (t) => {
+    const relay = await startRelay();
+    t.after(relay.close);
+
+    const { data: session } = await relay.post({ action: 'session', password: 'secret' });
+    assert.strictEqual(session.isAdmin, false);
+
+    const { status, data } = await forward(relay, session.token, { contents: [] });
+    assert.strictEqual(status, 200);
+    assert.deepStrictEqual(data, GEMINI_ANSWER);
+    assert.ok(!JSON.stringify(session).includes('test-key'));
+
+    const [request] = relay.upstreamRequests;
+    assert.strictEqual(request.url, '/v1beta/models/gemini-2.5-pro:generateContent');
+    assert.strictEqual(request.headers['x-goog-api-key'], 'test-key');
+    assert.strictEqual(request.body, '{"contents":[]}');
+});
+
+test('forged and expired tokens are refused', async (t) => {
+    const relay = await startRelay();
+    t.after(relay.close);
+
+    const token = await startSession(relay);
+    const [payload] = token.split('.');
+    const forged = Buffer.from(JSON.stringify({ visitor: 'x', isAdmin: true, exp: Date.now() + 60000 })).toString('base64url');
+
+    for (const badToken of [`${payload}.forged`, `${forged}.${token.split('.')[1]}`, 'nonsense', undefined]) {
+        const { status, data } = await forward(relay, badToken);
+        assert.strictEqual(status, 401);
+        assert.strictEqual(data.error.status, 'SESSION_EXPIRED');
+    }
+
+    const sessionMs = CONFIG.SESSION_MS;
+    CONFIG.SESSION_MS = -1;
+    const expired = await startSession(relay);
+    CONFIG.SESSION_MS = sessionMs;
+
+    const { status, data } = await forward(relay, expired);
+    assert.strictEqual(status, 401);
+    assert.strictEqual(data.error.message, 'Session expired');
+    assert.strictEqual(relay.upstreamRequests.length, 0);
+});
+
+test('the quota answers 429 with the time it frees up', async (t) => {
+    const relay = await startRelay();
+    t.after(relay.close);
+    const token = await startSession(relay);
+
+    const start = Date.now();
+    for (let i = 0; i < 3; i++) {
+        assert.strictEqual((await forward(relay, token, IMAGE_BODY)).status, 200);
+    }
+
+    const { status, data } = await forward(relay, token, IMAGE_BODY);
+    assert.strictEqual(status, 429);
+    assert.strictEqual(data.error.status, 'QUOTA_EXCEEDED');
+    assert.strictEqual(data.error.quota.kind, 'image');
+    assert.strictEqual(data.error.quota.limit, 3);
+    assert.ok(data.error.quota.resetsAt >= start + data.error.quota.windowMs);
+    assert.strictEqual(relay.upstreamRequests.length, 3);
+
+    // countTokens is not counted; admins are not limited
+    assert.strictEqual((await forward(relay, token, {}, 'countTokens')).status, 200);
+    const adminToken = await startSession(relay, 'admin-secret');
+    assert.strictEqual((await forward(relay, adminToken, IMAGE_BODY)).status, 200);
+});
+
+test('parallel requests cannot pass the quota together', async (t) => {
+    const relay = await startRelay();
+    t.after(relay.close);
+    const token = await startSession(relay);
+
+    const answers = await Promise.all(Array.from({ length: 6 }, () => forward(relay, token, IMAGE_BODY)));
+    const statuses = answers.map(answer => answer.status).sort();
+    assert.deepStrictEqual(statuses, [200, 200, 200, 429, 429, 429]);
+});
+
+test('requests Gemini refuses give their use back', async (t) => {
+    let failing = true;
+    const relay = await startRelay(() => (failing
+        ? { status: 503, body: '{"error":{"code":503,"message":"overloaded","status":"UNAVAILABLE"}}' }
+        : { status: 200, body: JSON.stringify(GEMINI_ANSWER) }));
+    t.after(relay.close);
+    const token = await startSession(relay);
+
+    for (let i = 0; i < 4; i++) {
+        assert.strictEqual((await forward(relay, token, IMAGE_BODY)).status, 503);
+    }
+    failing = false;
+    assert.strictEqual((await forward(relay, token, IMAGE_BODY)).status, 200);
+});
+
+test('only whitelisted methods and model names are forwarded', async (t) => {
+    const relay = await startRelay();
+    t.after(relay.close);
+    const token = await startSession(relay);
+
+    for (const [method, model] of [['listModels', 'gemini-2.5-pro'], ['generateContent', '../files'], ['generateContent', 'a/b']]) {
+        const { status, data } = await forward(relay, token, {}, method, model);
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.error.status, 'INVALID_ARGUMENT');
+    }
+    assert.strictEqual(relay.upstreamRequests.length, 0);
+});
+
+test('oversized bodies are refused', async (t) => {
+    const relay = await startRelay();
+    t.after(relay.close);
+    const token = await startSession(relay);
+
+    const maxBytes = CONFIG.MAX_BODY_BYTES;
+    CONFIG.MAX_BODY_BYTES = 1000;
+    t.after(() => { CONFIG.MAX_BODY_BYTES = maxBytes; });
+
+    const { status, data } = await forward(relay, token, { contents: 'x'.repeat(2000) });
+    assert.strictEqual(status, 413);
+    assert.strictEqual(data.error.status, 'INVALID_ARGUMENT');
+    assert.strictEqual(relay.upstreamRequests.length, 0);
+});
+
+test('bodies that are not JSON objects are refused with 400', async (t) => {
+    const relay = await startRelay();
+    t.after(relay.close);
+
+    for (const body of ['null', '42', '"session"', '[]', 'not json']) {
+        const { status, data } = await relay.post(body);
+        assert.strictEqual(status, 400);
+        assert.strictEqual(data.error.status, 'INVALID_ARGUMENT');
+    }
+    assert.strictEqual((await relay.post({ action: 'unknown' })).status, 400);
+});